@@ -0,0 +1,349 @@
+import { createFilterChain } from "./filters.js";
+import { MuseStream } from "./MuseStream.js";
+import { SAMPLE_RATES } from "./protocol.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.eeg;
+const MAX_LAG = SAMPLE_RATE; // Samples a channel can run ahead of the other channel of its detector
+
+/**
+ * The default configuration of each detector. Thresholds are in microvolts, durations in seconds.
+ */
+const DEFAULTS = {
+  blink: { threshold: 80, maxDuration: 0.6, refractory: 0.2 },
+  jawClench: { threshold: 15, window: 0.25, minDuration: 0.1 },
+};
+
+/**
+ * The EEG channels each detector analyzes: the forehead electrodes AF7 and AF8 for blinks,
+ * and the temporal electrodes TP9 and TP10 for jaw clenches.
+ */
+const CHANNELS = {
+  blink: [1, 2],
+  jawClench: [0, 3],
+};
+
+/**
+ * The filters applied to the channels of each detector. Blinks are slow deflections, so everything
+ * above 10 Hz and the DC offset are removed. Jaw-clench EMG is broadband, so everything below 30 Hz is
+ * removed along with the mains interference of 50 and 60 Hz grids, which would otherwise look like EMG.
+ */
+const FILTERS = {
+  blink: [{ type: "bandpass", low: 0.5, high: 10, order: 2 }],
+  jawClench: [
+    { type: "highpass", frequency: 30 },
+    { type: "notch", frequency: 50, harmonics: 2 },
+    { type: "notch", frequency: 60, harmonics: 2 },
+  ],
+};
+
+/**
+ * Returns how well the amplitudes of two channels agree, as the ratio of the smaller to the larger one.
+ *
+ * @param {number} a - The amplitude of the first channel.
+ * @param {number} b - The amplitude of the second channel.
+ * @return {number} The agreement in [0, 1], 0 if either amplitude is not positive.
+ */
+const agreement = (a, b) =>
+  a > 0 && b > 0 ? Math.min(a, b) / Math.max(a, b) : 0;
+
+/**
+ * Detects eye blinks and jaw clenches in the live EEG of a Muse, e.g. as hands-free input.
+ *
+ * Blinks show as positive deflections of a few hundred milliseconds on the forehead electrodes AF7 and AF8.
+ * A blink is detected when the average of both channels, band-pass filtered from 0.5 to 10 Hz, rises above
+ * `blink.threshold` and falls back below half of it within `blink.maxDuration`. Averaging cancels
+ * horizontal eye movements, which deflect AF7 and AF8 in opposite directions.
+ *
+ * Jaw clenches show as bursts of broadband muscle activity (EMG), strongest on the temporal electrodes
+ * TP9 and TP10. A clench is detected when the RMS above 30 Hz, averaged over both channels and over
+ * `jawClench.window`, rises above `jawClench.threshold` and stays above half of it for at least
+ * `jawClench.minDuration`.
+ *
+ * Each detection is dispatched once it is over, as a `blink` or `jawClench` event whose `event.detail` is
+ * `{ time, duration, amplitude, confidence }`:
+ * - time       - the Unix timestamp in milliseconds of the peak of the blink, or of the start of the clench
+ * - duration   - how long the signal stayed above the threshold in milliseconds
+ * - amplitude  - the peak deflection of a blink, or the peak RMS of a clench, in microvolts
+ * - confidence - a score in [0, 1] that grows with the amplitude relative to the threshold, up to twice
+ *                the threshold, and with the agreement between the two channels
+ *
+ * @example
+ * const detector = new ArtifactDetector(muse, { blink: { threshold: 100 } });
+ * detector.addEventListener("blink", (event) => {
+ *   if (event.detail.confidence > 0.6) {
+ *     select();
+ *   }
+ * });
+ * detector.addEventListener("jawClench", (event) => {
+ *   if (event.detail.duration > 1000) {
+ *     goBack();
+ *   }
+ * });
+ * detector.start();
+ */
+export class ArtifactDetector extends MuseStream {
+  #filters = [];
+  #queues = [];
+  #received = [];
+  #skip = [];
+  #positions = {};
+  #blink = null;
+  #lastBlink = -Infinity;
+  #clench = null;
+  #squares = [];
+  #sums = [];
+
+  /**
+   * Constructs a new detector for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose EEG is analyzed.
+   * @param {Object} [options] - Configuration options
+   * @param {Object|boolean} [options.blink] - Blink detection options, or false to disable it
+   * @param {number} [options.blink.threshold=80] - Deflection in µV that starts a blink
+   * @param {number} [options.blink.maxDuration=0.6] - Longest deflection in seconds that counts as a blink,
+   *                                                   longer ones are eye or head movements
+   * @param {number} [options.blink.refractory=0.2] - Seconds after a blink during which no other blink is reported
+   * @param {Object|boolean} [options.jawClench] - Jaw-clench detection options, or false to disable it
+   * @param {number} [options.jawClench.threshold=15] - RMS in µV of the EMG that starts a clench
+   * @param {number} [options.jawClench.window=0.25] - Duration in seconds over which the RMS is computed
+   * @param {number} [options.jawClench.minDuration=0.1] - Shortest burst in seconds that counts as a clench,
+   *                                                       shorter ones are electrode pops
+   * @throws {RangeError} If a threshold or the RMS window is not positive.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    for (const type of ["blink", "jawClench"]) {
+      this[type] =
+        options[type] === false
+          ? null
+          : {
+              ...DEFAULTS[type],
+              ...(options[type] === true ? {} : options[type]),
+            };
+    }
+    if (
+      (this.blink && !(this.blink.threshold > 0)) ||
+      (this.jawClench &&
+        !(this.jawClench.threshold > 0 && this.jawClench.window > 0))
+    ) {
+      throw new RangeError(
+        "The thresholds and the RMS window must be positive"
+      );
+    }
+  }
+
+  /**
+   * Listens to the EEG. The filters need about a second to settle before the first detection.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return { eeg: (event) => this.#onPacket(event.detail) };
+  }
+
+  /**
+   * Discards a blink or clench in progress and the state of the filters.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#filters = [0, 1, 2, 3].map((channel) =>
+      createFilterChain(
+        CHANNELS.blink.includes(channel) ? FILTERS.blink : FILTERS.jawClench,
+        SAMPLE_RATE
+      )
+    );
+    this.#queues = [[], [], [], []];
+    this.#received = [0, 0, 0, 0];
+    this.#skip = [0, 0, 0, 0];
+    this.#positions = { blink: 0, jawClench: 0 };
+    this.#blink = null;
+    this.#lastBlink = -Infinity;
+    this.#clench = null;
+    if (this.jawClench) {
+      const length = Math.max(
+        1,
+        Math.round(this.jawClench.window * SAMPLE_RATE)
+      );
+      this.#squares = CHANNELS.jawClench.map(() => new Float64Array(length));
+      this.#sums = CHANNELS.jawClench.map(() => 0);
+    }
+  }
+
+  /**
+   * Filters the samples of an EEG packet into the queue of its channel, and runs the detector of the channel
+   * over the samples both of its channels received. A channel runs at most MAX_LAG samples ahead of the other,
+   * e.g. when the other was left out of the subscribed sensors: its oldest samples are dropped, and so are
+   * the same samples of the other channel if it arrives after all.
+   *
+   * @param {object} detail - The payload of the `eeg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket({ channel, samples, dropped, reordered, timestamps }) {
+    const type = CHANNELS.blink.includes(channel) ? "blink" : "jawClench";
+    if (reordered || channel > 3 || !this[type]) {
+      return;
+    }
+    const queue = this.#queues[channel];
+    const filter = this.#filters[channel];
+    const add = (value, time) => {
+      if (this.#skip[channel] > 0) {
+        this.#skip[channel]--;
+      } else {
+        queue.push({ value, time });
+      }
+    };
+    // Lost samples keep the channels aligned, and pass the detectors without changing their state
+    if (this.#received[channel] > 0) {
+      for (let i = dropped * samples.length; i > 0; i--) {
+        add(NaN, NaN);
+      }
+    }
+    for (let i = 0; i < samples.length; i++) {
+      add(filter.step(samples[i]), timestamps[i]);
+    }
+    this.#received[channel] += samples.length;
+
+    const other = CHANNELS[type].find((c) => c !== channel);
+    const excess = queue.length - this.#queues[other].length - MAX_LAG;
+    if (excess > 0) {
+      queue.splice(0, excess);
+      this.#skip[other] += excess;
+    }
+
+    const [a, b] = CHANNELS[type].map((c) => this.#queues[c]);
+    const count = Math.min(a.length, b.length);
+    for (let i = 0; i < count; i++) {
+      const time = isNaN(a[i].time) ? b[i].time : a[i].time;
+      const position = this.#positions[type]++;
+      if (type === "blink") {
+        this.#detectBlink(a[i].value, b[i].value, time, position);
+      } else {
+        this.#detectClench(a[i].value, b[i].value, time, position);
+      }
+    }
+    a.splice(0, count);
+    b.splice(0, count);
+  }
+
+  /**
+   * Advances blink detection by one sample of AF7 and AF8.
+   *
+   * @param {number} af7 - The filtered sample of AF7 in µV.
+   * @param {number} af8 - The filtered sample of AF8 in µV.
+   * @param {number} time - The timestamp of the sample.
+   * @param {number} position - The index of the sample since the start.
+   * @return {void} This function does not return a value.
+   */
+  #detectBlink(af7, af8, time, position) {
+    const value = (af7 + af8) / 2;
+    if (isNaN(value)) {
+      return;
+    }
+    const { threshold, maxDuration, refractory } = this.blink;
+    const blink = this.#blink;
+    if (!blink) {
+      if (value >= threshold) {
+        this.#blink = {
+          start: position,
+          peak: value,
+          position,
+          time,
+          af7,
+          af8,
+        };
+      }
+      return;
+    }
+    if (value > blink.peak) {
+      Object.assign(blink, { peak: value, position, time, af7, af8 });
+    }
+    if (value >= threshold / 2) {
+      return;
+    }
+    this.#blink = null;
+    // Durations are counted in samples, which unlike timestamps are exact at any mock playback speed
+    const duration = ((position - blink.start) * 1000) / SAMPLE_RATE;
+    if (
+      duration > maxDuration * 1000 ||
+      blink.position - this.#lastBlink < refractory * SAMPLE_RATE
+    ) {
+      return;
+    }
+    this.#lastBlink = blink.position;
+    this.publish("blink", {
+      time: blink.time,
+      duration,
+      amplitude: blink.peak,
+      confidence:
+        Math.min(1, blink.peak / (2 * threshold)) *
+        (0.5 + 0.5 * agreement(blink.af7, blink.af8)),
+    });
+  }
+
+  /**
+   * Advances jaw-clench detection by one sample of TP9 and TP10.
+   *
+   * @param {number} tp9 - The filtered sample of TP9 in µV.
+   * @param {number} tp10 - The filtered sample of TP10 in µV.
+   * @param {number} time - The timestamp of the sample.
+   * @param {number} position - The index of the sample since the start.
+   * @return {void} This function does not return a value.
+   */
+  #detectClench(tp9, tp10, time, position) {
+    // Sliding sums of squares over the window, kept exact by subtracting the square that leaves it
+    const length = this.#squares[0].length;
+    const slot = position % length;
+    if (isNaN(tp9) || isNaN(tp10)) {
+      // A lost sample counts as silence, so that the square that leaves the window is still subtracted
+      for (let c = 0; c < 2; c++) {
+        this.#sums[c] -= this.#squares[c][slot];
+        this.#squares[c][slot] = 0;
+      }
+      return;
+    }
+    const rms = [tp9, tp10].map((sample, c) => {
+      this.#sums[c] += sample * sample - this.#squares[c][slot];
+      this.#squares[c][slot] = sample * sample;
+      return Math.sqrt(Math.max(0, this.#sums[c]) / length);
+    });
+    if (position < length - 1) {
+      return;
+    }
+    const value = (rms[0] + rms[1]) / 2;
+    const { threshold, minDuration } = this.jawClench;
+    const clench = this.#clench;
+    if (!clench) {
+      if (value >= threshold) {
+        this.#clench = {
+          start: position,
+          time,
+          peak: value,
+          tp9: rms[0],
+          tp10: rms[1],
+        };
+      }
+      return;
+    }
+    if (value > clench.peak) {
+      Object.assign(clench, { peak: value, tp9: rms[0], tp10: rms[1] });
+    }
+    if (value >= threshold / 2) {
+      return;
+    }
+    this.#clench = null;
+    const duration = ((position - clench.start) * 1000) / SAMPLE_RATE;
+    if (duration < minDuration * 1000) {
+      return;
+    }
+    this.publish("jawClench", {
+      time: clench.time,
+      duration,
+      amplitude: clench.peak,
+      confidence:
+        Math.min(1, clench.peak / (2 * threshold)) *
+        (0.5 + 0.5 * agreement(clench.tp9, clench.tp10)),
+    });
+  }
+}
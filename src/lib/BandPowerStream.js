@@ -0,0 +1,174 @@
+import { fillGaps } from "./gaps.js";
+import { MuseStream } from "./MuseStream.js";
+import { EEG_CHANNELS, SAMPLE_RATES } from "./protocol.js";
+import { SlidingWindow } from "./SlidingWindow.js";
+import { BANDS, bandPower, welch } from "./spectrum.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.eeg;
+
+/**
+ * Computes the band powers of the EEG channels of a Muse continuously, over a sliding window.
+ * Every `hop` seconds of EEG, the power spectral density of the last `window` seconds of every channel
+ * is estimated with Welch's method and integrated over each band. The result is dispatched as
+ * a `bandpower` event whose `event.detail` is
+ * `{ time, channels, absolute, relative, artifact }`:
+ * - time     - the Unix timestamp in milliseconds of the last sample of the window
+ * - channels - the names of the channels: "TP9", "AF7", "AF8" and "TP10", without AUX
+ * - absolute - the power of every band in µV², one `{ delta, theta, alpha, beta, gamma }` per channel
+ * - relative - the power of every band divided by the power of all bands, one object per channel
+ * - artifact - whether a motion artifact of the `motion` tracker overlaps the window, false without one
+ *
+ * Samples lost in transmission are interpolated linearly, as by analyzeRecording.
+ *
+ * @example
+ * const bandPowers = new BandPowerStream(muse, { window: 2, hop: 0.25 });
+ * bandPowers.addEventListener("bandpower", (event) => {
+ *   const [tp9] = event.detail.relative;
+ *   gauge.set(tp9.alpha);
+ * });
+ * bandPowers.start();
+ */
+export class BandPowerStream extends MuseStream {
+  #channels = null;
+  #windows = null;
+
+  /**
+   * Constructs a new band-power stream for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose EEG is analyzed.
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.window=2] - Duration of the analyzed window in seconds
+   * @param {number} [options.hop=0.25] - Seconds of EEG between two results
+   * @param {Object} [options.bands=BANDS] - The bands, as `{ name: [low, high] }` in Hz
+   * @param {Object} [options.spectrum] - The `segmentLength`, `overlap` and `window` of the Welch estimate,
+   *                                      see welch. Segments of 1 second by default
+   * @param {MotionTracker} [options.motion] - A motion tracker whose artifacts flag the windows they overlap
+   * @throws {RangeError} If the window or hop is not positive.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.window = options.window === undefined ? 2 : options.window;
+    this.hop = options.hop === undefined ? 0.25 : options.hop;
+    if (!(this.window > 0 && this.hop > 0)) {
+      throw new RangeError(
+        `The window and hop must be positive, got ${this.window} and ${this.hop}`
+      );
+    }
+    this.bands = options.bands || BANDS;
+    this.spectrum = options.spectrum || {};
+    this.motion = options.motion || null;
+  }
+
+  /**
+   * Listens to the EEG. The first result follows once a full window was received.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return { eeg: (event) => this.#onPacket(event.detail) };
+  }
+
+  /**
+   * Discards the window.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#channels = null;
+  }
+
+  /**
+   * Adds the samples of an EEG packet to the window of its channel, and computes the band powers
+   * once every channel received the next hop of samples.
+   *
+   * @param {object} detail - The payload of the `eeg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket({ channel, samples, dropped, reordered, timestamps }) {
+    if (!this.#channels) {
+      this.#setup();
+    }
+    if (reordered || channel >= this.#channels.length) {
+      return;
+    }
+    const time = timestamps[timestamps.length - 1];
+    if (this.#windows.push(channel, [samples], dropped, time)) {
+      this.#emit();
+    }
+  }
+
+  /**
+   * Sets up the windows of the EEG channels of the current layout, without the auxiliary channel.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #setup() {
+    const layout = this.muse.layout;
+    this.#channels = (layout ? layout.eeg : EEG_CHANNELS).slice(0, 4);
+    this.#windows = new SlidingWindow(this.#channels.length, {
+      length: Math.max(2, Math.round(this.window * SAMPLE_RATE)),
+      hop: Math.max(1, Math.round(this.hop * SAMPLE_RATE)),
+      // A second more than the window, for the channels whose packets arrive before the others
+      slack: SAMPLE_RATE,
+    });
+  }
+
+  /**
+   * Computes the band powers of the last complete window and dispatches them.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #emit() {
+    const absolute = [];
+    const relative = [];
+    for (let c = 0; c < this.#channels.length; c++) {
+      const powers = this.#bandPowers(this.#windows.window(c));
+      const total = Object.values(powers).reduce((a, b) => a + b, 0);
+      absolute.push(powers);
+      relative.push(
+        Object.fromEntries(
+          Object.entries(powers).map(([band, power]) => [
+            band,
+            total > 0 ? power / total : NaN,
+          ])
+        )
+      );
+    }
+    const time = this.#windows.time;
+    this.publish("bandpower", {
+      time,
+      channels: this.#channels,
+      absolute,
+      relative,
+      artifact: this.motion
+        ? this.motion.overlapsArtifact(time - this.window * 1000, time)
+        : false,
+    });
+  }
+
+  /**
+   * Computes the power of every band of a window. Lost samples are interpolated, see fillGaps.
+   *
+   * @param {Float64Array} window - The samples of the window, possibly with NaN.
+   * @return {Object<string, number>} The power of every band in µV², or NaN if the window has no samples.
+   */
+  #bandPowers(window) {
+    const samples = fillGaps(window);
+    if (!samples) {
+      return Object.fromEntries(Object.keys(this.bands).map((b) => [b, NaN]));
+    }
+    const spectrum = welch(samples, {
+      sampleRate: SAMPLE_RATE,
+      segmentLength: this.spectrum.segmentLength,
+      overlap: this.spectrum.overlap,
+      window: this.spectrum.window,
+    });
+    return Object.fromEntries(
+      Object.entries(this.bands).map(([band, [low, high]]) => [
+        band,
+        bandPower(spectrum, low, high),
+      ])
+    );
+  }
+}
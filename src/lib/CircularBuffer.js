@@ -1,19 +1,34 @@
 /**
  * Represents a circular buffer implementation.
+ * Every sample is stored together with its timestamp in a second ring of the same capacity.
  */
 class MuseCircularBuffer {
+  #Storage;
+
   /**
    * Constructs a new MuseCircularBuffer with the specified size.
-   * @param {number} size - The size of the circular buffer.
+   * @param {number} size - The capacity of the circular buffer.
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.mode="drop"] - What to do when writing to a full buffer: "drop" discards the new
+   *                                         sample, "overwrite" discards the oldest unread sample.
+   * @param {Function} [options.storage=Float64Array] - The sample storage: Float64Array, Float32Array or Array.
    */
-  constructor(size) {
-    this.memory = new Array(size);
-    for (var i = 0; i < size; i++) this.memory[i] = 0;
+  constructor(size, options = {}) {
+    if (options.mode && !["overwrite", "drop"].includes(options.mode)) {
+      throw new TypeError(`Unknown buffer mode: ${options.mode}`);
+    }
+    this.#Storage = options.storage || Float64Array;
+    this.mode = options.mode || "drop";
+    this.capacity = size;
+    this.memory = this.#allocate(size);
+    this.timestamps = new Float64Array(size);
     this.head = 0;
     this.tail = 0;
     this.isFull = false;
     this.lastwrite = 0;
     this.length = 0;
+    this.stored = 0;
+    this.discarded = 0;
   }
 
   /**
@@ -21,32 +36,92 @@ class MuseCircularBuffer {
    * @returns {number|null} The read value, or null if the buffer is empty.
    */
   read() {
-    if (this.tail === this.head && !this.isFull) {
+    if (this.length === 0) {
       return null;
-    } else {
-      this.tail = this.next(this.tail);
-      this.isFull = false;
-      this.length -= 1;
-      return this.memory[this.tail];
     }
+    const value = this.memory[this.tail];
+    this.tail = this.next(this.tail);
+    this.isFull = false;
+    this.length -= 1;
+    return value;
+  }
+
+  /**
+   * Reads up to `n` of the oldest unread values from the circular buffer.
+   * @param {number} [n=this.length] - The maximum number of values to read.
+   * @returns {{values: Float64Array|Float32Array|number[], timestamps: Float64Array}}
+   *          The read values and their timestamps, oldest first.
+   */
+  readMany(n = this.length) {
+    const count = Math.max(0, Math.min(n, this.length));
+    const result = this.#copy(this.tail, count);
+    this.tail = (this.tail + count) % this.capacity;
+    this.isFull = this.isFull && count === 0;
+    this.length -= count;
+    return result;
+  }
+
+  /**
+   * Returns up to `n` of the most recently written values without consuming them.
+   * Values that were already read are included, as long as they were not overwritten.
+   * @param {number} n - The maximum number of values to return.
+   * @returns {{values: Float64Array|Float32Array|number[], timestamps: Float64Array}}
+   *          The values and their timestamps, oldest first.
+   * @throws {RangeError} If `n` is not a non-negative integer.
+   */
+  peekLatest(n) {
+    if (!(Number.isInteger(n) && n >= 0)) {
+      throw new RangeError(`Expected a non-negative integer count, got ${n}`);
+    }
+    const count = Math.min(n, this.stored);
+    return this.#copy(
+      (this.head - count + this.capacity) % this.capacity,
+      count
+    );
+  }
+
+  /**
+   * Returns all unread values without consuming them.
+   * @returns {{values: Float64Array|Float32Array|number[], timestamps: Float64Array}}
+   *          The values and their timestamps, oldest first.
+   */
+  snapshot() {
+    return this.#copy(this.tail, this.length);
   }
 
   /**
    * Writes a value to the circular buffer.
+   * When the buffer is full, either the oldest unread value or the new value is discarded, depending on `mode`.
    * @param {number} value - The value to be written.
+   * @param {number} [timestamp=Date.now()] - The time at which the value was sampled, in milliseconds.
    */
-  write(value) {
+  write(value, timestamp = Date.now()) {
     this.lastwrite = Date.now();
     if (this.isFull) {
-      return;
-    } else {
-      this.head = this.next(this.head);
-      this.memory[this.head] = value;
-      if (this.head === this.tail) {
-        this.isFull = true;
+      this.discarded += 1;
+      if (this.mode === "drop") {
+        return;
       }
-      this.length += 1;
+      this.tail = this.next(this.tail);
+      this.length -= 1;
     }
+    this.memory[this.head] = value;
+    this.timestamps[this.head] = timestamp;
+    this.head = this.next(this.head);
+    this.length += 1;
+    this.stored = Math.min(this.capacity, this.stored + 1);
+    this.isFull = this.length === this.capacity;
+  }
+
+  /**
+   * Discards all values, read or unread.
+   */
+  clear() {
+    this.head = 0;
+    this.tail = 0;
+    this.isFull = false;
+    this.length = 0;
+    this.stored = 0;
   }
 
   /**
@@ -62,6 +137,33 @@ class MuseCircularBuffer {
       return nxt;
     }
   }
+
+  /**
+   * Allocates zeroed sample storage of the given length.
+   * @param {number} length - The number of samples.
+   * @returns {Float64Array|Float32Array|number[]} The allocated storage.
+   */
+  #allocate(length) {
+    return this.#Storage === Array
+      ? new Array(length).fill(0)
+      : new this.#Storage(length);
+  }
+
+  /**
+   * Copies `count` consecutive values and timestamps starting at index `start`, wrapping around the end.
+   * @param {number} start - The index of the first value.
+   * @param {number} count - The number of values to copy.
+   * @returns {{values: Float64Array|Float32Array|number[], timestamps: Float64Array}} The copied values and timestamps.
+   */
+  #copy(start, count) {
+    const values = this.#allocate(count);
+    const timestamps = new Float64Array(count);
+    for (let i = 0, j = start; i < count; i++, j = this.next(j)) {
+      values[i] = this.memory[j];
+      timestamps[i] = this.timestamps[j];
+    }
+    return { values, timestamps };
+  }
 }
 
 export { MuseCircularBuffer };
@@ -0,0 +1,330 @@
+import { createFilterChain } from "./filters.js";
+import { MuseStream } from "./MuseStream.js";
+import { PPG_CHANNELS, SAMPLE_RATES } from "./protocol.js";
+import { median } from "./statistics.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.ppg;
+
+// The shortest and longest accepted inter-beat intervals in milliseconds, for 200 and 30 beats per minute
+const IBI_RANGE = [300, 2000];
+
+// The largest deviation of an interval from the median of the recent ones before it is treated as an artifact
+const MAX_DEVIATION = 0.2;
+
+// The number of recent intervals the heart rate, the artifact check and the confidence are based on
+const RECENT = { heartRate: 5, median: 5, confidence: 10 };
+
+// The standard deviation of the acceleration magnitude in g up to which the headband is still, and from which
+// the PPG is dominated by motion
+const MOTION_LIMITS = [0.02, 0.2];
+
+/**
+ * Computes the time-domain HRV metrics of consecutive normal-to-normal intervals.
+ *
+ * @param {Array<{ibi: number, valid: boolean, follows: boolean}>} intervals - The intervals in order, with
+ *        whether each is valid and directly follows the previous interval.
+ * @return {{rmssd: number, sdnn: number, pnn50: number, count: number}} The root mean square of successive
+ *         differences and the standard deviation of the valid intervals in milliseconds, the percentage of
+ *         successive differences above 50 ms, NaN when there are too few intervals, and the number of
+ *         valid intervals.
+ */
+const hrv = (intervals) => {
+  const valid = intervals.filter((interval) => interval.valid);
+  const differences = [];
+  for (let i = 1; i < intervals.length; i++) {
+    const [previous, current] = [intervals[i - 1], intervals[i]];
+    if (previous.valid && current.valid && current.follows) {
+      differences.push(current.ibi - previous.ibi);
+    }
+  }
+  const mean = valid.reduce((sum, { ibi }) => sum + ibi, 0) / valid.length;
+  const variance =
+    valid.reduce((sum, { ibi }) => sum + (ibi - mean) ** 2, 0) /
+    (valid.length - 1);
+  return {
+    rmssd:
+      differences.length > 0
+        ? Math.sqrt(
+            differences.reduce((sum, d) => sum + d * d, 0) / differences.length
+          )
+        : NaN,
+    sdnn: valid.length > 1 ? Math.sqrt(variance) : NaN,
+    pnn50:
+      differences.length > 0
+        ? (100 * differences.filter((d) => Math.abs(d) > 50).length) /
+          differences.length
+        : NaN,
+    count: valid.length,
+  };
+};
+
+/**
+ * Measures the heart rate and heart-rate variability of the wearer of a Muse from a PPG channel.
+ *
+ * The channel is band-pass filtered from 0.5 to 4 Hz, and the systolic peaks are detected as local maxima
+ * above half of a decaying envelope of the pulse wave, at least half an interval after the previous peak.
+ * Their positions are refined between samples by parabolic interpolation. Inter-beat intervals outside
+ * 300 to 2000 ms, more than 20 % off the median of the recent ones, or ending while the headband moves
+ * by more than 0.11 g, are treated as artifacts: they count against the confidence but are left out of
+ * the heart rate and HRV. Intervals across lost packets are dropped altogether.
+ *
+ * Every beat is dispatched as a `heartrate` event whose `event.detail` is
+ * `{ time, ibi, heartRate, hrv, confidence, motion }`:
+ * - time       - the Unix timestamp in milliseconds of the systolic peak
+ * - ibi        - the interval to the previous beat in milliseconds, NaN for the first beat and after lost packets
+ * - heartRate  - the heart rate in beats per minute, from the median of the last 5 valid intervals
+ * - hrv        - `{ rmssd, sdnn, pnn50, count }` of the valid intervals over the last `hrvWindow` seconds:
+ *                RMSSD and SDNN in milliseconds, pNN50 in percent, and the number of intervals
+ * - confidence - a score in [0, 1]: the share of valid intervals among the last 10, reduced by motion
+ * - motion     - the standard deviation of the acceleration magnitude over the last 2 seconds in g
+ *
+ * @example
+ * const monitor = new HeartRateMonitor(muse);
+ * monitor.addEventListener("heartrate", (event) => {
+ *   const { heartRate, hrv, confidence } = event.detail;
+ *   if (confidence > 0.7) {
+ *     display(Math.round(heartRate), hrv.rmssd);
+ *   }
+ * });
+ * monitor.start();
+ */
+export class HeartRateMonitor extends MuseStream {
+  #filter = null;
+  #position = 0;
+  #history = [];
+  #envelope = 0;
+  #lastPeak = null;
+  #intervals = [];
+  #accelerations = [];
+
+  /**
+   * Constructs a new heart-rate monitor for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose PPG is analyzed.
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.channel="infrared"] - The PPG channel to analyze: "ambient", "infrared" or "red"
+   * @param {boolean} [options.invert=true] - Whether the pulse lowers the signal, as in reflective PPG where
+   *                                          more blood absorbs more light
+   * @param {number} [options.hrvWindow=60] - Duration in seconds over which the HRV metrics are computed
+   * @throws {TypeError} If the channel is unknown.
+   * @throws {RangeError} If the HRV window is not positive.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.channel = options.channel || "infrared";
+    this.invert = options.invert === undefined ? true : options.invert;
+    this.hrvWindow = options.hrvWindow === undefined ? 60 : options.hrvWindow;
+    if (!PPG_CHANNELS.includes(this.channel)) {
+      throw new TypeError(
+        `Unknown PPG channel "${
+          this.channel
+        }", expected one of ${PPG_CHANNELS.join(", ")}`
+      );
+    }
+    if (!(this.hrvWindow > 0)) {
+      throw new RangeError(
+        `The HRV window must be positive, got ${this.hrvWindow}`
+      );
+    }
+  }
+
+  /**
+   * Listens to the PPG and the accelerometer. The first heart rate follows the second beat.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return {
+      ppg: (event) => this.#onPacket(event.detail),
+      accelerometer: (event) => this.#onMotion(event.detail),
+    };
+  }
+
+  /**
+   * Discards the intervals and the state of the filter.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#filter = createFilterChain(
+      [{ type: "bandpass", low: 0.5, high: 4, order: 2 }],
+      SAMPLE_RATE
+    );
+    this.#position = 0;
+    this.#history = [];
+    this.#envelope = 0;
+    this.#lastPeak = null;
+    this.#intervals = [];
+    this.#accelerations = [];
+  }
+
+  /**
+   * Keeps the acceleration magnitudes of the last 2 seconds.
+   *
+   * @param {object} detail - The payload of the `accelerometer` event.
+   * @return {void} This function does not return a value.
+   */
+  #onMotion({ samples: [x, y, z] }) {
+    for (let i = 0; i < x.length; i++) {
+      this.#accelerations.push(Math.hypot(x[i], y[i], z[i]));
+    }
+    this.#accelerations.splice(
+      0,
+      this.#accelerations.length - 2 * SAMPLE_RATES.accelerometer
+    );
+  }
+
+  /**
+   * Filters the samples of a packet of the analyzed PPG channel and looks for peaks among them.
+   *
+   * @param {object} detail - The payload of the `ppg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket({ channel, samples, dropped, reordered, timestamps }) {
+    if (reordered || PPG_CHANNELS[channel] !== this.channel) {
+      return;
+    }
+    if (dropped > 0 && this.#position > 0) {
+      // No interval spans the lost samples, and the filter starts over, as the jump across them
+      // would shift the next peak
+      this.#position += dropped * samples.length;
+      this.#history = [];
+      this.#lastPeak = null;
+      this.#filter.reset();
+    }
+    for (let i = 0; i < samples.length; i++) {
+      const value = this.#filter.step(samples[i]);
+      this.#detect(this.invert ? -value : value, timestamps[i]);
+      this.#position++;
+    }
+  }
+
+  /**
+   * Advances peak detection by one filtered sample.
+   *
+   * @param {number} value - The filtered sample, with the pulse upwards.
+   * @param {number} time - The timestamp of the sample.
+   * @return {void} This function does not return a value.
+   */
+  #detect(value, time) {
+    // The envelope halves in 2 seconds without a larger pulse
+    this.#envelope = Math.max(
+      Math.abs(value),
+      this.#envelope * Math.pow(0.5, 1 / (2 * SAMPLE_RATE))
+    );
+    const history = this.#history;
+    history.push({ value, time, position: this.#position });
+    if (history.length > 3) {
+      history.shift();
+    }
+    if (history.length < 3) {
+      return;
+    }
+    const [before, peak, after] = history;
+    if (
+      !(peak.value > before.value && peak.value >= after.value) ||
+      peak.value < this.#envelope / 2
+    ) {
+      return;
+    }
+    // Refine the position of the peak with the parabola through the three samples
+    const curvature = before.value - 2 * peak.value + after.value;
+    const offset =
+      curvature < 0 ? (0.5 * (before.value - after.value)) / curvature : 0;
+    const position = peak.position + offset;
+    const last = this.#lastPeak;
+    const ibi = last ? ((position - last.position) * 1000) / SAMPLE_RATE : NaN;
+    const recent = this.#intervals
+      .filter((interval) => interval.inRange)
+      .slice(-RECENT.median)
+      .map((interval) => interval.ibi);
+    // A second peak within half of the typical interval is the dicrotic wave or noise
+    const refractory = Math.max(IBI_RANGE[0], median(recent) / 2 || 0);
+    if (ibi < refractory) {
+      return;
+    }
+    this.#lastPeak = {
+      position,
+      time: peak.time + (offset * 1000) / SAMPLE_RATE,
+    };
+    const { motion, stillness } = this.#motion();
+    if (last) {
+      const inRange = ibi >= IBI_RANGE[0] && ibi <= IBI_RANGE[1];
+      const typical = median(recent);
+      this.#intervals.push({
+        ibi,
+        end: position,
+        inRange,
+        // Beats during strong motion are as likely to be motion artifacts
+        valid:
+          inRange &&
+          stillness >= 0.5 &&
+          (isNaN(typical) ||
+            Math.abs(ibi - typical) <= MAX_DEVIATION * typical),
+        follows:
+          this.#intervals.length > 0 &&
+          this.#intervals[this.#intervals.length - 1].end === last.position,
+      });
+      const start = position - this.hrvWindow * SAMPLE_RATE;
+      this.#intervals = this.#intervals.filter(
+        (interval) => interval.end >= start
+      );
+    }
+    this.#emit(this.#lastPeak.time, last ? ibi : NaN, motion, stillness);
+  }
+
+  /**
+   * Measures the motion of the headband over the last 2 seconds.
+   *
+   * @return {{motion: number, stillness: number}} The standard deviation of the acceleration magnitude in g,
+   *         NaN without accelerometer data, and its score in [0, 1] between MOTION_LIMITS, 1 without data.
+   */
+  #motion() {
+    const accelerations = this.#accelerations;
+    if (accelerations.length < 2) {
+      return { motion: NaN, stillness: 1 };
+    }
+    const mean =
+      accelerations.reduce((sum, a) => sum + a, 0) / accelerations.length;
+    const motion = Math.sqrt(
+      accelerations.reduce((sum, a) => sum + (a - mean) ** 2, 0) /
+        accelerations.length
+    );
+    const [still, moving] = MOTION_LIMITS;
+    return {
+      motion,
+      stillness: Math.min(1, Math.max(0, (moving - motion) / (moving - still))),
+    };
+  }
+
+  /**
+   * Dispatches a beat with the current heart rate, HRV and confidence.
+   *
+   * @param {number} time - The timestamp of the beat.
+   * @param {number} ibi - The interval to the previous beat in milliseconds, or NaN.
+   * @param {number} motion - The standard deviation of the acceleration magnitude in g, or NaN.
+   * @param {number} stillness - The motion score in [0, 1].
+   * @return {void} This function does not return a value.
+   */
+  #emit(time, ibi, motion, stillness) {
+    const intervals = this.#intervals;
+    const valid = intervals.filter((interval) => interval.valid);
+    const rate =
+      60000 /
+      median(valid.slice(-RECENT.heartRate).map((interval) => interval.ibi));
+    const recent = intervals.slice(-RECENT.confidence);
+    const regularity =
+      recent.length > 0
+        ? recent.filter((interval) => interval.valid).length / recent.length
+        : 0;
+    this.publish("heartrate", {
+      time,
+      ibi,
+      heartRate: rate,
+      hrv: hrv(intervals),
+      confidence: regularity * stillness,
+      motion,
+    });
+  }
+}
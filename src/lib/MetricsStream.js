@@ -0,0 +1,176 @@
+import { BandPowerStream } from "./BandPowerStream.js";
+import { DEFAULT_REFERENCES, computeMetrics } from "./metrics.js";
+import { MuseStream } from "./MuseStream.js";
+import { median } from "./statistics.js";
+
+/**
+ * Computes the neurofeedback metrics of the EEG of a Muse continuously: the band powers of a sliding window
+ * from a BandPowerStream, and the ratios, asymmetry and scores computeMetrics derives from them. Every
+ * result is dispatched as a `metrics` event whose `event.detail` is
+ * `{ time, channels, artifact, relative, alphaTheta, thetaBeta, engagement, asymmetry, indices, relaxation,
+ * concentration }`, with `time`, `channels` and `artifact` as in the `bandpower` event and the rest as
+ * returned by computeMetrics.
+ *
+ * The relaxation and concentration scores are 50 at the reference indices. The defaults are typical values;
+ * `calibrate` measures them on the wearer instead, so that the scores show changes from their own baseline.
+ *
+ * @example
+ * const metrics = new MetricsStream(muse, { hop: 0.5 });
+ * metrics.addEventListener("metrics", (event) => {
+ *   const { relaxation, artifact } = event.detail;
+ *   if (!artifact) {
+ *     gauge.set(relaxation);
+ *   }
+ * });
+ * metrics.start();
+ * await metrics.calibrate(60); // a minute at rest
+ */
+export class MetricsStream extends MuseStream {
+  #bandPowers;
+  #calibration = null;
+
+  /**
+   * Constructs a new metrics stream for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose EEG is analyzed.
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.window=2] - Duration of the analyzed window in seconds, see BandPowerStream
+   * @param {number} [options.hop=0.25] - Seconds of EEG between two results
+   * @param {Object} [options.spectrum] - The `segmentLength`, `overlap` and `window` of the Welch estimate
+   * @param {MotionTracker} [options.motion] - A motion tracker whose artifacts flag the windows they overlap
+   * @param {Object} [options.references=DEFAULT_REFERENCES] - The `{ relaxation, concentration }` indices
+   *        that score 50
+   * @throws {RangeError} If the window or hop is not positive.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.references = { ...DEFAULT_REFERENCES, ...options.references };
+    this.#bandPowers = new BandPowerStream(muse, {
+      window: options.window,
+      hop: options.hop,
+      spectrum: options.spectrum,
+      motion: options.motion,
+    });
+    this.#bandPowers.addEventListener("bandpower", (event) =>
+      this.#onBandPower(event.detail)
+    );
+  }
+
+  /**
+   * Starts computing metrics, along with the band-power stream they are derived from.
+   * The first result follows once a full window was received.
+   *
+   * @return {void} This function does not return a value.
+   */
+  start() {
+    super.start();
+    this.#bandPowers.start();
+  }
+
+  /**
+   * Stops computing metrics and rejects a calibration in progress.
+   *
+   * @return {void} This function does not return a value.
+   */
+  stop() {
+    this.#bandPowers.stop();
+    super.stop();
+    if (this.#calibration) {
+      const { reject } = this.#calibration;
+      this.#calibration = null;
+      reject(new Error("The metrics stream was stopped during calibration"));
+    }
+  }
+
+  /**
+   * Listens to nothing on the device: the metrics follow the results of the band-power stream.
+   *
+   * @return {Object<string, function(CustomEvent): void>} No listeners.
+   */
+  listeners() {
+    return {};
+  }
+
+  /**
+   * Measures the references of the scores on the wearer: the medians of the relaxation and concentration
+   * indices over the next seconds of EEG, leaving out the windows with motion artifacts. The references are
+   * set once the calibration completes; the results until then use the previous ones.
+   *
+   * @param {number} [duration=30] - Seconds of EEG to calibrate on, e.g. at rest with open eyes.
+   * @return {Promise<Object>} Resolves with the new `{ relaxation, concentration }` references.
+   * @throws {RangeError} If the duration is not positive.
+   * @throws {Error} If the stream is not running, or (as a rejection) if it is stopped before the end.
+   */
+  calibrate(duration = 30) {
+    if (!(duration > 0)) {
+      throw new RangeError(`The duration must be positive, got ${duration}`);
+    }
+    if (!this.active) {
+      throw new Error("Start the metrics stream before calibrating");
+    }
+    if (this.#calibration) {
+      this.#calibration.reject(new Error("The calibration was restarted"));
+    }
+    return new Promise((resolve, reject) => {
+      this.#calibration = {
+        // There is one result per hop of EEG, so counting them measures seconds of EEG rather than of
+        // wall-clock time, which differ when a recording is played back faster
+        remaining: Math.max(1, Math.round(duration / this.#bandPowers.hop)),
+        relaxation: [],
+        concentration: [],
+        resolve,
+        reject,
+      };
+    });
+  }
+
+  /**
+   * Derives the metrics of a window of band powers and dispatches them.
+   *
+   * @param {object} detail - The payload of the `bandpower` event.
+   * @return {void} This function does not return a value.
+   */
+  #onBandPower({ time, channels, absolute, artifact }) {
+    const metrics = computeMetrics(absolute, {
+      channels,
+      references: this.references,
+    });
+    this.#calibrate(metrics.indices, artifact);
+    this.publish("metrics", { time, channels, artifact, ...metrics });
+  }
+
+  /**
+   * Adds the indices of a window to the calibration in progress, and completes it after the last window.
+   *
+   * @param {{relaxation: number, concentration: number}} indices - The indices of the window.
+   * @param {boolean} artifact - Whether a motion artifact overlaps the window.
+   * @return {void} This function does not return a value.
+   */
+  #calibrate(indices, artifact) {
+    const calibration = this.#calibration;
+    if (!calibration) {
+      return;
+    }
+    if (!artifact) {
+      calibration.relaxation.push(indices.relaxation);
+      calibration.concentration.push(indices.concentration);
+    }
+    if (--calibration.remaining > 0) {
+      return;
+    }
+    this.#calibration = null;
+    const references = {
+      relaxation: median(calibration.relaxation),
+      concentration: median(calibration.concentration),
+    };
+    if (!(references.relaxation > 0 && references.concentration > 0)) {
+      calibration.reject(
+        new Error("The calibration measured no EEG without artifacts")
+      );
+      return;
+    }
+    this.references = references;
+    calibration.resolve({ ...references });
+  }
+}
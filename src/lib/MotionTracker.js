@@ -0,0 +1,448 @@
+import { MuseStream } from "./MuseStream.js";
+import { SAMPLE_RATES, currentTime } from "./protocol.js";
+
+// The accelerometer and gyroscope are sampled at the same rate
+const SAMPLE_RATE = SAMPLE_RATES.accelerometer;
+
+const DEGREES = 180 / Math.PI;
+
+// Seconds of motion artifacts kept for overlapsArtifact
+const ARTIFACT_HISTORY = 300;
+
+/**
+ * The default configuration. Angles are in degrees, rates in degrees per second, accelerations in g
+ * and durations in seconds.
+ */
+const DEFAULTS = {
+  beta: 0.1,
+  nod: { rate: 60, window: 0.8 },
+  shake: { rate: 60, window: 0.8 },
+  tilt: { angle: 20, hold: 0.5 },
+  artifact: { rate: 20, acceleration: 0.15, hold: 0.5 },
+};
+
+/**
+ * Returns the orientation quaternion of a headband at rest from the gravity it measures, with no yaw.
+ *
+ * @param {number} ax - The acceleration along x in g.
+ * @param {number} ay - The acceleration along y in g.
+ * @param {number} az - The acceleration along z in g.
+ * @return {number[]} The quaternion `[w, x, y, z]`.
+ */
+const fromGravity = (ax, ay, az) => {
+  const roll = Math.atan2(ay, az) / 2;
+  const pitch = Math.atan2(-ax, Math.hypot(ay, az)) / 2;
+  return [
+    Math.cos(roll) * Math.cos(pitch),
+    Math.sin(roll) * Math.cos(pitch),
+    Math.cos(roll) * Math.sin(pitch),
+    -Math.sin(roll) * Math.sin(pitch),
+  ];
+};
+
+/**
+ * Tracks the head of the wearer of a Muse from its accelerometer and gyroscope.
+ *
+ * The sensors are fused into an orientation with Madgwick's filter: the gyroscope is integrated, and the
+ * gravity measured by the accelerometer pulls pitch and roll back at a rate set by `beta`. Without a
+ * magnetometer, yaw is relative to the start and drifts slowly. The gyroscope bias is estimated while the
+ * head is still and removed. Angles follow the axes of the headband: roll about x, pitch about y and
+ * yaw about z.
+ *
+ * The tracker dispatches these events, with the Unix timestamp in milliseconds of the sample as `time`:
+ * - orientation    - `{ time, pitch, roll, yaw, quaternion, moving }` for every packet, with the angles
+ *                    in degrees, the quaternion as `[w, x, y, z]`, and whether a motion artifact is ongoing
+ * - nod            - `{ time, rate }` when the pitch rate swings past `nod.rate` one way and back within
+ *                    `nod.window`, with the peak rate in degrees per second
+ * - shake          - `{ time, rate }` likewise for the yaw rate. Repeated nods or shakes without a pause of
+ *                    the window between them are reported once
+ * - tilt           - `{ time, direction, angle }` when the roll stays beyond `tilt.angle` for `tilt.hold`,
+ *                    "right" for positive roll and "left" for negative roll. It is reported again once the
+ *                    roll went back within half the angle
+ * - motionartifact - `{ start, end }` when a motion artifact ended: while the rotation rate exceeds
+ *                    `artifact.rate`, or the acceleration magnitude differs from 1 g by more than
+ *                    `artifact.acceleration`, and for `artifact.hold` afterwards
+ *
+ * Motion artifacts also corrupt the EEG, so EEG consumers can reject the segments for which
+ * `overlapsArtifact` is true; BandPowerStream does so with its `motion` option.
+ *
+ * @example
+ * const tracker = new MotionTracker(muse);
+ * tracker.addEventListener("orientation", (event) => {
+ *   head.rotation.set(event.detail.pitch, event.detail.yaw, event.detail.roll);
+ * });
+ * tracker.addEventListener("nod", () => confirm());
+ * tracker.addEventListener("shake", () => cancel());
+ * tracker.start();
+ */
+export class MotionTracker extends MuseStream {
+  #queues = { accelerometer: [], gyroscope: [] };
+  #quaternion = null;
+  #bias = [0, 0, 0];
+  #position = 0;
+  #swings = {};
+  #tilt = null;
+  #moving = null;
+  #artifacts = [];
+
+  /**
+   * Constructs a new motion tracker for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose motion is tracked.
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.beta=0.1] - Gain of Madgwick's filter: higher corrects gyroscope drift faster,
+   *                                      lower is less disturbed by acceleration
+   * @param {Object} [options.nod] - `{ rate = 60, window = 0.8 }`: pitch rate of a nod in deg/s, and longest
+   *                                 time between its swings in seconds
+   * @param {Object} [options.shake] - `{ rate = 60, window = 0.8 }`: yaw rate of a shake and its window
+   * @param {Object} [options.tilt] - `{ angle = 20, hold = 0.5 }`: roll in degrees of a tilt, and how long
+   *                                  it is held in seconds
+   * @param {Object} [options.artifact] - `{ rate = 20, acceleration = 0.15, hold = 0.5 }`: rotation rate in
+   *                                      deg/s and deviation from 1 g of a motion artifact, and seconds it is
+   *                                      extended by
+   * @throws {RangeError} If beta is negative.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.beta = options.beta === undefined ? DEFAULTS.beta : options.beta;
+    for (const name of ["nod", "shake", "tilt", "artifact"]) {
+      this[name] = { ...DEFAULTS[name], ...options[name] };
+    }
+    if (!(this.beta >= 0)) {
+      throw new RangeError(`Beta must not be negative, got ${this.beta}`);
+    }
+  }
+
+  /**
+   * Whether a motion artifact is ongoing.
+   *
+   * @type {boolean}
+   */
+  get moving() {
+    return this.#moving !== null;
+  }
+
+  /**
+   * Listens to the accelerometer and the gyroscope.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return {
+      accelerometer: (event) => this.#onPacket("accelerometer", event.detail),
+      gyroscope: (event) => this.#onPacket("gyroscope", event.detail),
+    };
+  }
+
+  /**
+   * Discards the orientation and the artifacts. Yaw starts again at 0, and pitch and roll
+   * at the angles of the first sample.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#queues = { accelerometer: [], gyroscope: [] };
+    this.#quaternion = null;
+    this.#bias = [0, 0, 0];
+    this.#position = 0;
+    this.#swings = { nod: null, shake: null };
+    this.#tilt = { since: null, reported: false };
+    this.#moving = null;
+    this.#artifacts = [];
+  }
+
+  /**
+   * Stops tracking. A motion artifact in progress ends now.
+   *
+   * @return {void} This function does not return a value.
+   */
+  stop() {
+    if (this.active) {
+      super.stop();
+      if (this.#moving) {
+        this.#endArtifact(currentTime());
+      }
+    }
+  }
+
+  /**
+   * Returns whether a motion artifact overlaps a period, e.g. the window of an EEG analysis.
+   * Artifacts of the last 5 minutes are kept.
+   *
+   * @example
+   * if (!tracker.overlapsArtifact(start, end)) {
+   *   keep(segment);
+   * }
+   *
+   * @param {number} start - The start of the period as a Unix timestamp in milliseconds.
+   * @param {number} end - The end of the period as a Unix timestamp in milliseconds.
+   * @return {boolean} True if an artifact, or the ongoing one, overlaps the period.
+   */
+  overlapsArtifact(start, end) {
+    if (this.#moving && this.#moving.start <= end) {
+      return true;
+    }
+    return this.#artifacts.some(
+      (artifact) => artifact.start <= end && artifact.end >= start
+    );
+  }
+
+  /**
+   * Queues the samples of a packet, and processes the samples both sensors received.
+   * The packets carry no timestamps, so the samples are spaced at the nominal rate up to the time of arrival.
+   *
+   * @param {string} sensor - "accelerometer" or "gyroscope".
+   * @param {object} detail - The payload of the `accelerometer` or `gyroscope` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket(sensor, { samples: [x, y, z] }) {
+    const now = currentTime();
+    const queue = this.#queues[sensor];
+    for (let i = 0; i < x.length; i++) {
+      queue.push({
+        value: [x[i], y[i], z[i]],
+        time: now - ((x.length - 1 - i) * 1000) / SAMPLE_RATE,
+      });
+    }
+    const { accelerometer, gyroscope } = this.#queues;
+    const count = Math.min(accelerometer.length, gyroscope.length);
+    if (count === 0) {
+      return;
+    }
+    for (let i = 0; i < count; i++) {
+      this.#update(
+        accelerometer[i].value,
+        gyroscope[i].value,
+        gyroscope[i].time
+      );
+    }
+    accelerometer.splice(0, count);
+    gyroscope.splice(0, count);
+    this.publish("orientation", {
+      time: now,
+      ...this.#angles(),
+      quaternion: this.#quaternion.slice(),
+      moving: this.moving,
+    });
+  }
+
+  /**
+   * Advances the tracker by one pair of accelerometer and gyroscope samples.
+   *
+   * @param {number[]} acceleration - The acceleration in g.
+   * @param {number[]} rotation - The rotation rate in deg/s.
+   * @param {number} time - The timestamp of the samples.
+   * @return {void} This function does not return a value.
+   */
+  #update(acceleration, rotation, time) {
+    const rate = rotation.map((value, axis) => value - this.#bias[axis]);
+    const deviation = Math.abs(Math.hypot(...acceleration) - 1);
+    const speed = Math.hypot(...rate);
+    const still =
+      speed <= this.artifact.rate && deviation <= this.artifact.acceleration;
+    if (still && speed < 5) {
+      // Follow the slowly changing bias while the head is at rest
+      this.#bias = this.#bias.map(
+        (bias, axis) => bias + 0.02 * (rotation[axis] - bias)
+      );
+    }
+    this.#fuse(acceleration, rate);
+    this.#trackArtifact(still, time);
+    this.#detectSwing("nod", rate[1], rate[2], time);
+    this.#detectSwing("shake", rate[2], rate[1], time);
+    this.#detectTilt(time);
+    this.#position++;
+  }
+
+  /**
+   * Returns the orientation as Tait-Bryan angles, applied in the order yaw, pitch and roll.
+   *
+   * @return {{pitch: number, roll: number, yaw: number}} The angles in degrees.
+   */
+  #angles() {
+    const [w, x, y, z] = this.#quaternion;
+    const sine = Math.max(-1, Math.min(1, 2 * (w * y - z * x)));
+    return {
+      pitch: Math.asin(sine) * DEGREES,
+      roll: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)) * DEGREES,
+      yaw: Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)) * DEGREES,
+    };
+  }
+
+  /**
+   * Updates the orientation with one step of Madgwick's filter for an accelerometer and gyroscope.
+   *
+   * @param {number[]} acceleration - The acceleration in g.
+   * @param {number[]} rate - The rotation rate without bias in deg/s.
+   * @return {void} This function does not return a value.
+   */
+  #fuse([ax, ay, az], rate) {
+    if (!this.#quaternion) {
+      this.#quaternion = fromGravity(ax, ay, az);
+      return;
+    }
+    const [q0, q1, q2, q3] = this.#quaternion;
+    const [gx, gy, gz] = rate.map((value) => value / DEGREES);
+    // The rate of change of the quaternion from the gyroscope
+    let dq0 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+    let dq1 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+    let dq2 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+    let dq3 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+    const norm = Math.hypot(ax, ay, az);
+    if (norm > 0) {
+      // Gradient descent step towards the orientation in which gravity points along the measured acceleration
+      [ax, ay, az] = [ax / norm, ay / norm, az / norm];
+      let s0 = 4 * q0 * q2 * q2 + 2 * q2 * ax + 4 * q0 * q1 * q1 - 2 * q1 * ay;
+      let s1 =
+        4 * q1 * q3 * q3 -
+        2 * q3 * ax +
+        4 * q0 * q0 * q1 -
+        2 * q0 * ay -
+        4 * q1 +
+        8 * q1 * q1 * q1 +
+        8 * q1 * q2 * q2 +
+        4 * q1 * az;
+      let s2 =
+        4 * q0 * q0 * q2 +
+        2 * q0 * ax +
+        4 * q2 * q3 * q3 -
+        2 * q3 * ay -
+        4 * q2 +
+        8 * q2 * q1 * q1 +
+        8 * q2 * q2 * q2 +
+        4 * q2 * az;
+      let s3 = 4 * q1 * q1 * q3 - 2 * q1 * ax + 4 * q2 * q2 * q3 - 2 * q2 * ay;
+      const step = Math.hypot(s0, s1, s2, s3);
+      if (step > 0) {
+        dq0 -= (this.beta * s0) / step;
+        dq1 -= (this.beta * s1) / step;
+        dq2 -= (this.beta * s2) / step;
+        dq3 -= (this.beta * s3) / step;
+      }
+    }
+    const q = [
+      q0 + dq0 / SAMPLE_RATE,
+      q1 + dq1 / SAMPLE_RATE,
+      q2 + dq2 / SAMPLE_RATE,
+      q3 + dq3 / SAMPLE_RATE,
+    ];
+    const length = Math.hypot(...q);
+    this.#quaternion = q.map((value) => value / length);
+  }
+
+  /**
+   * Starts, extends or ends the motion artifact.
+   *
+   * @param {boolean} still - Whether the sample is free of motion.
+   * @param {number} time - The timestamp of the sample.
+   * @return {void} This function does not return a value.
+   */
+  #trackArtifact(still, time) {
+    if (!still) {
+      if (!this.#moving) {
+        this.#moving = { start: time, last: this.#position };
+      }
+      this.#moving.last = this.#position;
+    } else if (
+      this.#moving &&
+      this.#position - this.#moving.last >= this.artifact.hold * SAMPLE_RATE
+    ) {
+      this.#endArtifact(time);
+    }
+  }
+
+  /**
+   * Ends the motion artifact in progress, keeps it and dispatches it.
+   *
+   * @param {number} end - The end of the artifact.
+   * @return {void} This function does not return a value.
+   */
+  #endArtifact(end) {
+    const artifact = { start: this.#moving.start, end };
+    this.#moving = null;
+    this.#artifacts.push(artifact);
+    this.#artifacts = this.#artifacts.filter(
+      (kept) => kept.end >= end - ARTIFACT_HISTORY * 1000
+    );
+    this.#emit("motionartifact", artifact);
+  }
+
+  /**
+   * Advances the detection of a nod or shake: a swing of the rotation rate about the axis of the gesture
+   * past the threshold, followed within the window by a swing the other way. Further swings are
+   * part of the same gesture until the rotation stays below the threshold for the window.
+   *
+   * @param {string} gesture - "nod" or "shake".
+   * @param {number} rate - The rotation rate about the axis of the gesture in deg/s.
+   * @param {number} other - The rotation rate about the other horizontal axis in deg/s.
+   * @param {number} time - The timestamp of the sample.
+   * @return {void} This function does not return a value.
+   */
+  #detectSwing(gesture, rate, other, time) {
+    const { rate: threshold, window } = this[gesture];
+    const swing = this.#swings[gesture];
+    if (swing && this.#position - swing.position > window * SAMPLE_RATE) {
+      this.#swings[gesture] = null;
+    }
+    // The rotation has to be mostly about the axis of the gesture, so a nod is not a shake
+    if (Math.abs(rate) < threshold || Math.abs(rate) < 2 * Math.abs(other)) {
+      return;
+    }
+    const sign = Math.sign(rate);
+    const current = this.#swings[gesture];
+    if (current && current.done) {
+      // The swings back and forth of one gesture, or of a series of them, are reported once
+      current.position = this.#position;
+      return;
+    }
+    if (!current || current.sign === sign) {
+      this.#swings[gesture] = {
+        sign,
+        position: this.#position,
+        peak: Math.max(Math.abs(rate), current ? current.peak : 0),
+      };
+      return;
+    }
+    this.#swings[gesture] = { done: true, position: this.#position };
+    this.#emit(gesture, { time, rate: Math.max(current.peak, Math.abs(rate)) });
+  }
+
+  /**
+   * Advances the detection of a tilt from the roll of the orientation.
+   *
+   * @param {number} time - The timestamp of the sample.
+   * @return {void} This function does not return a value.
+   */
+  #detectTilt(time) {
+    const { roll } = this.#angles();
+    const { angle, hold } = this.tilt;
+    const tilt = this.#tilt;
+    if (Math.abs(roll) < angle / 2) {
+      tilt.since = null;
+      tilt.reported = false;
+    } else if (Math.abs(roll) < angle || tilt.reported) {
+      tilt.since = null;
+    } else if (tilt.since === null) {
+      tilt.since = this.#position;
+    } else if (this.#position - tilt.since >= hold * SAMPLE_RATE) {
+      tilt.reported = true;
+      this.#emit("tilt", {
+        time,
+        direction: roll > 0 ? "right" : "left",
+        angle: roll,
+      });
+    }
+  }
+
+  /**
+   * Dispatches an event.
+   *
+   * @param {string} type - The type of the event.
+   * @param {Object} detail - The payload of the event.
+   * @return {void} This function does not return a value.
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
@@ -1,34 +1,58 @@
-import { MuseCircularBuffer } from "./CircularBuffer";
+import { MuseCircularBuffer } from "./CircularBuffer.js";
+import { createChannelFilters } from "./filters.js";
+import {
+  CHARACTERISTICS,
+  EEG_CHANNELS,
+  SAMPLE_RATES,
+  SCALES,
+  currentTime,
+  resolveLayout,
+} from "./protocol.js";
+import { MockTransport } from "./transports/MockTransport.js";
+import { WebBluetoothTransport } from "./transports/WebBluetoothTransport.js";
 
 /**
  * An abstract base class for interfaces that connect to a Muse headband.
- * Subclasses can implement any of the following abstract methods:
- * - batteryData       - called when an event with battery data is received (use eventBatteryData to get it)
- * - accelerometerData - called when an event with accelerometer data is received (use eventAccelerometerData to get it)
- * - gyroscopeData     - called when an event with gyroscope data is received (use eventGyroscopeData to get it)
- * - controlData       - called when an event with control data is received (use eventControlData to get it)
- * - eegData           - called when an event with EEG data is received (use eventEegData to get it)
- * - ppgData           - called when an event with PPG data is received (use eventPpgData to get it)
+ *
+ * MuseBase is an EventTarget and dispatches a CustomEvent for every decoded
+ * notification. The decoded payload is available as `event.detail`:
+ * - eeg           - { channel, samples, raw, sequence, dropped, reordered, timestamps } with samples in
+ *                   microvolts, raw 12-bit values and an estimated Unix timestamp in milliseconds per sample
+ * - ppg           - { channel, samples, sequence, dropped, reordered, timestamps } with unsigned 24-bit samples
+ * - packetloss    - { sensor, channel, sequence, dropped, total } when EEG or PPG packets were lost
+ * - accelerometer - { samples } as a triple of x, y and z sample arrays in g
+ * - gyroscope     - { samples } as a triple of x, y and z sample arrays in degrees per second
+ * - battery       - { level } as a number between 0 and 100
+ * - control       - { info, command } for every complete JSON reply on the control channel
+ * - statechange   - { state, previousState }
+ * - reconnecting  - { attempt, maxAttempts, delay } before every automatic reconnection attempt
+ * - reconnected   - { attempts, gap: { start, end, duration } } once streaming resumed after a reconnection
+ * - disconnected  - {}
+ * - ended         - {} when mock playback reached the end of the data without looping
+ * - marker        - { time, label, metadata } for every marker added with `mark`
+ *
+ * For backwards compatibility, subclasses can still implement any of the following abstract methods.
+ * They are called with the dispatched event by a listener that the constructor registers, so before
+ * the listeners registered afterwards. The event* decoders accept these events as well as raw notifications.
+ * - batteryData       - called for every `battery` event (use eventBatteryData to get the level)
+ * - accelerometerData - called for every `accelerometer` event (use eventAccelerometerData to get the samples)
+ * - gyroscopeData     - called for every `gyroscope` event (use eventGyroscopeData to get the samples)
+ * - controlData       - called for every `control` event (use eventControlData to get the reply)
+ * - eegData           - called for every `eeg` event with its channel (use eventEEGData to get the samples)
+ * - ppgData           - called for every `ppg` event with its channel (use eventPPGData to get the samples)
  * - disconnected      - called when the Muse headband is disconnected
  */
-export class MuseBase {
-  #SERVICE = 0xfe8d;
-  #CONTROL_CHARACTERISTIC = "273e0001-4c4d-454d-96be-f03bac821358";
-  #BATTERY_CHARACTERISTIC = "273e000b-4c4d-454d-96be-f03bac821358";
-  #GYROSCOPE_CHARACTERISTIC = "273e0009-4c4d-454d-96be-f03bac821358";
-  #ACCELEROMETER_CHARACTERISTIC = "273e000a-4c4d-454d-96be-f03bac821358";
-  #PPG1_CHARACTERISTIC = "273e000f-4c4d-454d-96be-f03bac821358";
-  #PPG2_CHARACTERISTIC = "273e0010-4c4d-454d-96be-f03bac821358";
-  #PPG3_CHARACTERISTIC = "273e0011-4c4d-454d-96be-f03bac821358";
-  #EEG1_CHARACTERISTIC = "273e0003-4c4d-454d-96be-f03bac821358";
-  #EEG2_CHARACTERISTIC = "273e0004-4c4d-454d-96be-f03bac821358";
-  #EEG3_CHARACTERISTIC = "273e0005-4c4d-454d-96be-f03bac821358";
-  #EEG4_CHARACTERISTIC = "273e0006-4c4d-454d-96be-f03bac821358";
-  #EEG5_CHARACTERISTIC = "273e0007-4c4d-454d-96be-f03bac821358";
+export class MuseBase extends EventTarget {
   #state = 0;
-  #dev = null;
+  #session = 0;
   #controlChar = null;
   #infoFragment = "";
+  #controlFragment = "";
+  #reconnecting = false;
+  #sequences = new Map();
+  #droppedPackets = 0;
+  #layout = null;
+  #pendingReplies = [];
 
   /**
    * Constructs a new interface for connecting to a Muse headband.
@@ -38,8 +62,22 @@ export class MuseBase {
    * @param {Object} options - Configuration options
    * @param {boolean} [options.mock=false] - Enable mock mode to use pre-recorded data instead of real device
    * @param {string} [options.mockDataPath] - Path to mock data CSV file (defaults to assets/resting-state.csv)
+   * @param {Object} [options.mockRecording] - A recording returned by parseRecording to play back instead of the CSV file
+   * @param {{next: Function, reset: Function}} [options.mockSource] - A mock source such as SyntheticEEG to stream
+   *                                                                 instead of the mock data CSV file
+   * @param {number} [options.mockSpeed=1] - Mock playback speed as a multiple of real time, Infinity for as fast as possible
+   * @param {boolean} [options.mockLoop=true] - Start mock playback over at the end of the data instead of ending it
+   * @param {MuseTransport} [options.transport] - The transport used to access the headband. Defaults to a
+   *                                              MockTransport in mock mode and a WebBluetoothTransport otherwise.
+   * @param {boolean|Object} [options.reconnect=false] - Automatically reconnect after the GATT server disconnects.
+   *                                                   Pass `true` for the defaults or an object to configure the backoff.
+   * @param {number} [options.reconnect.maxAttempts=5] - Number of attempts before giving up
+   * @param {number} [options.reconnect.initialDelay=500] - Delay in milliseconds before the first attempt
+   * @param {number} [options.reconnect.maxDelay=10000] - Upper bound in milliseconds for the delay between attempts
+   * @param {number} [options.reconnect.factor=2] - Factor by which the delay grows after each failed attempt
    */
   constructor(options = {}) {
+    super();
     if (new.target === MuseBase) {
       throw new TypeError("Cannot construct MuseBase instances directly");
     }
@@ -47,9 +85,40 @@ export class MuseBase {
     this.mockDataPath =
       options.mockDataPath ||
       new URL("../../assets/resting-state.csv", import.meta.url).href;
-    this.mockDataIndex = 0;
-    this.mockInterval = null;
-    this.mockData = null;
+    this.mockRecording = options.mockRecording || null;
+    this.mockSource = options.mockSource || null;
+    this.transport =
+      options.transport ||
+      (this.mock
+        ? new MockTransport({
+            dataPath: this.mockDataPath,
+            recording: this.mockRecording,
+            source: this.mockSource,
+            speed: options.mockSpeed,
+            loop: options.mockLoop,
+          })
+        : new WebBluetoothTransport());
+    this.transport.addEventListener("disconnected", () =>
+      this.#handleLinkLost()
+    );
+    this.transport.addEventListener("ended", () => this.#emit("ended", {}));
+    this.reconnect = options.reconnect
+      ? {
+          maxAttempts: 5,
+          initialDelay: 500,
+          maxDelay: 10000,
+          factor: 2,
+          ...(options.reconnect === true ? {} : options.reconnect),
+        }
+      : null;
+    this.subscribe({
+      battery: (event) => this.batteryData(event),
+      accelerometer: (event) => this.accelerometerData(event),
+      gyroscope: (event) => this.gyroscopeData(event),
+      control: (event) => this.controlData(event),
+      eeg: (event) => this.eegData(event.detail.channel, event),
+      ppg: (event) => this.ppgData(event.detail.channel, event),
+    });
   }
 
   /**
@@ -61,11 +130,102 @@ export class MuseBase {
     return this.#state;
   }
 
+  /**
+   * The total number of EEG and PPG packets that were lost since connecting,
+   * as detected from gaps in the packet sequence numbers.
+   *
+   * @type {number}
+   */
+  get droppedPackets() {
+    return this.#droppedPackets;
+  }
+
+  /**
+   * The channel layout of the current connection: the preset, the names of the subscribed
+   * EEG and PPG channels, and whether the accelerometer, gyroscope and battery are subscribed.
+   * Null before the first connection.
+   *
+   * @type {{preset: string, eeg: string[], ppg: string[], accelerometer: boolean, gyroscope: boolean, battery: boolean}|null}
+   */
+  get layout() {
+    return this.#layout;
+  }
+
+  /**
+   * The playback controller in mock mode, with `pause()`, `resume()`, `seek(seconds)`, `speed`, `loop`,
+   * `paused`, `position` and `duration`. Null when connected to a real headband.
+   *
+   * @type {MockTransport|null}
+   */
+  get playback() {
+    return this.transport instanceof MockTransport ? this.transport : null;
+  }
+
+  /**
+   * Updates the state of the headband and dispatches a `statechange` event if it changed.
+   *
+   * @param {number} state - The new state.
+   * @return {void} This function does not return a value.
+   */
+  #setState(state) {
+    const previousState = this.#state;
+    if (previousState === state) {
+      return;
+    }
+    this.#state = state;
+    this.#emit("statechange", { state, previousState });
+  }
+
+  /**
+   * Dispatches a CustomEvent of the given type with the given payload.
+   *
+   * @param {string} type - The event type.
+   * @param {object} detail - The decoded payload, available as `event.detail`.
+   * @return {void} This function does not return a value.
+   */
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Registers several event listeners at once.
+   *
+   * @param {Object<string, Function>} listeners - A map from event type to listener,
+   *                                               e.g. `{ eeg: onEEG, battery: onBattery }`.
+   * @return {Function} A function that removes all of the registered listeners.
+   */
+  subscribe(listeners) {
+    const entries = Object.entries(listeners);
+    for (const [type, listener] of entries) {
+      this.addEventListener(type, listener);
+    }
+    return () => {
+      for (const [type, listener] of entries) {
+        this.removeEventListener(type, listener);
+      }
+    };
+  }
+
+  /**
+   * Adds a marker, e.g. "stimulus shown", and dispatches it as a `marker` event.
+   * The marker is timestamped on the clock of the sample timestamps with sub-millisecond resolution,
+   * so it can be placed between the samples of every stream. Recorders add it to their session.
+   *
+   * @param {string} label - The label of the marker.
+   * @param {object} [metadata={}] - Additional data stored with the marker.
+   * @return {{time: number, label: string, metadata: object}} The marker, with its Unix timestamp in milliseconds.
+   */
+  mark(label, metadata = {}) {
+    const marker = { time: currentTime(), label, metadata };
+    this.#emit("marker", marker);
+    return marker;
+  }
+
   /**
    * Processes the battery level data from the given event.
    *
    * @abstract
-   * @param {Event} event - The event containing the battery data.
+   * @param {Event} event - The `battery` event.
    * @return {void} This function does not return a value.
    */
   batteryData(event) {}
@@ -73,7 +233,7 @@ export class MuseBase {
    * Processes the accelerometer data from the given event.
    *
    * @abstract
-   * @param {Event} event - The event containing the accelerometer data.
+   * @param {Event} event - The `accelerometer` event.
    * @return {void} This function does not return a value.
    */
   accelerometerData(event) {}
@@ -81,7 +241,7 @@ export class MuseBase {
    * Processes the gyroscope data from the given event.
    *
    * @abstract
-   * @param {Event} event - The event containing the gyroscope data.
+   * @param {Event} event - The `gyroscope` event.
    * @return {void} This function does not return a value.
    */
   gyroscopeData(event) {}
@@ -89,7 +249,7 @@ export class MuseBase {
    * A function that processes control data from the given event.
    *
    * @abstract
-   * @param {Event} event - The event containing the control data.
+   * @param {Event} event - The `control` event, one per reply.
    * @return {void} This function does not return a value.
    */
   controlData(event) {}
@@ -98,7 +258,7 @@ export class MuseBase {
    *
    * @abstract
    * @param {number} n - The index of the EEG channel.
-   * @param {Event} event - The event containing the EEG data.
+   * @param {Event} event - The `eeg` event.
    * @return {void} This function does not return a value.
    */
   eegData(n, event) {}
@@ -106,8 +266,8 @@ export class MuseBase {
    * Processes PPG data from the given event.
    *
    * @abstract
-   * @param {number} n - The index of the PPG circular buffer to write to.
-   * @param {Event} event - The event containing the PPG data.
+   * @param {number} n - The index of the PPG channel.
+   * @param {Event} event - The `ppg` event.
    * @return {void} This function does not return a value.
    */
   ppgData(n, event) {}
@@ -180,13 +340,16 @@ export class MuseBase {
   /**
    * Returns the battery level from a given event.
    *
-   * @param {object} event - The event containing the battery data.
+   * @param {object} event - The raw notification or the `battery` event.
    * @return {number} A number between 0 and 100.
    */
   eventBatteryData(event) {
+    if (event.detail) {
+      return event.detail.level;
+    }
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
-    return data.getUint16(2) / 512;
+    return data.getUint16(2) * SCALES.battery;
   }
 
   /**
@@ -208,12 +371,15 @@ export class MuseBase {
   /**
    * Returns the accelerometer data from a given event.
    *
-   * @param {object} event - The event containing the accelerometer data.
-   * @return {[number[], number[], number[]]} An triple of accelerometer sample arrays,
-   *                                          each sample a number between 0 and 1.
+   * @param {object} event - The raw notification or the `accelerometer` event.
+   * @return {[number[], number[], number[]]} An triple of accelerometer sample arrays along x, y and z,
+   *                                          each sample in g.
    */
   eventAccelerometerData(event) {
-    const scale = 0.0000610352; // 1 / 2^14
+    if (event.detail) {
+      return event.detail.samples;
+    }
+    const scale = SCALES.accelerometer; // 1 / 2^14
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
     let accelerometer = [[], [], []];
@@ -229,12 +395,15 @@ export class MuseBase {
   /**
    * Returns the gyroscope data from a given event.
    *
-   * @param {object} event - The event containing the gyroscope data.
-   * @return {[number[], number[], number[]]} An triple of gyroscope sample arrays,
-   *                                          each sample a number between 0 and 1.
+   * @param {object} event - The raw notification or the `gyroscope` event.
+   * @return {[number[], number[], number[]]} An triple of gyroscope sample arrays about x, y and z,
+   *                                          each sample in degrees per second.
    */
   eventGyroscopeData(event) {
-    const scale = 0.0074768; // 1 / 2^7
+    if (event.detail) {
+      return event.detail.samples;
+    }
+    const scale = SCALES.gyroscope;
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
     let gyroscope = [[], [], []];
@@ -248,38 +417,79 @@ export class MuseBase {
   }
 
   /**
-   * Returns the control data from a given event.
+   * Returns the control data from a given event. Raw notifications can carry part of a reply,
+   * which is kept until the notification that completes it.
    *
-   * @param {object} event - The event containing the control data.
+   * @param {object} event - The raw notification or the `control` event.
    * @return {object} A dictionary of control data values.
    */
   eventControlData(event) {
+    if (event.detail) {
+      return { ...event.detail.info };
+    }
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
     const buf = new Uint8Array(data.buffer);
     const str = this.#decodeInfo(buf);
+    const { fragment, replies } = this.#assembleReplies(
+      this.#infoFragment,
+      str
+    );
+    this.#infoFragment = fragment;
     let info = {};
+    for (const tmp of replies) {
+      for (const key in tmp) {
+        info[key] = tmp[key];
+      }
+    }
+    return info;
+  }
+
+  /**
+   * Appends decoded control characters to a pending fragment and extracts every completed JSON reply.
+   *
+   * @param {string} fragment - The incomplete reply left over from previous notifications.
+   * @param {string} str - The newly decoded characters.
+   * @return {{fragment: string, replies: object[]}} The remaining fragment and the completed replies.
+   */
+  #assembleReplies(fragment, str) {
+    const replies = [];
     for (let i = 0; i < str.length; i++) {
       const c = str[i];
-      this.#infoFragment = this.#infoFragment + c;
+      fragment = fragment + c;
       if (c === "}") {
-        const tmp = JSON.parse(this.#infoFragment);
-        this.#infoFragment = "";
-        for (const key in tmp) {
-          info[key] = tmp[key];
-        }
+        replies.push(JSON.parse(fragment));
+        fragment = "";
       }
     }
-    return info;
+    return { fragment, replies };
+  }
+
+  /**
+   * Returns the packet sequence number from a given EEG or PPG event.
+   *
+   * @param {object} event - The raw notification or the `eeg` or `ppg` event.
+   * @return {number} The 16-bit packet index, which wraps around after 0xffff.
+   */
+  eventSequenceNumber(event) {
+    if (event.detail) {
+      return event.detail.sequence;
+    }
+    let data = event.target.value;
+    data = data.buffer ? data : new DataView(data);
+    return data.getUint16(0);
   }
 
   /**
    * Returns the EEG data from a given event.
    *
-   * @param {object} event - The event containing the EEG data.
+   * @param {object} event - The raw notification or the `eeg` event.
    * @return {number[]} An array of samples, each a number between 0 and 2^12.
    */
   eventEEGData(event) {
+    if (event.detail) {
+      return event.detail.raw;
+    }
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
     return this.#decodeUnsigned12BitData(
@@ -290,10 +500,13 @@ export class MuseBase {
   /**
    * Returns the PPG data from a given event.
    *
-   * @param {object} event - The event containing the PPG data.
+   * @param {object} event - The raw notification or the `ppg` event.
    * @return {number[]} An array of samples, each a number between 0 and 2^24.
    */
   eventPPGData(event) {
+    if (event.detail) {
+      return event.detail.samples;
+    }
     let data = event.target.value;
     data = data.buffer ? data : new DataView(data);
     return this.#decodeUnsigned24BitData(
@@ -302,13 +515,306 @@ export class MuseBase {
   }
 
   /**
-   * Asynchronously sends a command to the control character.
+   * Handles a battery notification by dispatching a `battery` event.
+   *
+   * @param {Event} event - The event containing the battery data.
+   * @return {void} This function does not return a value.
+   */
+  #handleBattery(event) {
+    this.#emit("battery", { level: this.eventBatteryData(event) });
+  }
+  /**
+   * Handles an accelerometer notification by dispatching an `accelerometer` event.
+   *
+   * @param {Event} event - The event containing the accelerometer data.
+   * @return {void} This function does not return a value.
+   */
+  #handleAccelerometer(event) {
+    this.#emit("accelerometer", {
+      samples: this.eventAccelerometerData(event),
+    });
+  }
+  /**
+   * Handles a gyroscope notification by dispatching a `gyroscope` event.
+   *
+   * @param {Event} event - The event containing the gyroscope data.
+   * @return {void} This function does not return a value.
+   */
+  #handleGyroscope(event) {
+    this.#emit("gyroscope", { samples: this.eventGyroscopeData(event) });
+  }
+  /**
+   * Handles a control notification by dispatching a `control` event for every JSON reply that has been
+   * completed by this notification.
+   *
+   * @param {Event} event - The event containing the control data.
+   * @return {void} This function does not return a value.
+   */
+  #handleControl(event) {
+    let data = event.target.value;
+    data = data.buffer ? data : new DataView(data);
+    const str = this.#decodeInfo(new Uint8Array(data.buffer));
+    const { fragment, replies } = this.#assembleReplies(
+      this.#controlFragment,
+      str
+    );
+    this.#controlFragment = fragment;
+    for (const info of replies) {
+      const pending = this.#pendingReplies.shift();
+      if (pending) {
+        clearTimeout(pending.timer);
+        pending.resolve(info);
+      }
+      this.#emit("control", { info, command: pending ? pending.cmd : null });
+    }
+  }
+  /**
+   * Handles an EEG notification by dispatching an `eeg` event.
+   *
+   * @param {number} n - The index of the EEG channel.
+   * @param {Event} event - The event containing the EEG data.
+   * @return {void} This function does not return a value.
+   */
+  #handleEEG(n, event) {
+    const raw = this.eventEEGData(event);
+    const packet = this.#trackSequence(
+      "eeg",
+      n,
+      this.eventSequenceNumber(event),
+      raw.length,
+      SAMPLE_RATES.eeg
+    );
+    this.#emit("eeg", {
+      channel: n,
+      samples: raw.map(function (x) {
+        return SCALES.eeg * (x - 0x800);
+      }),
+      raw,
+      ...packet,
+    });
+  }
+  /**
+   * Handles a PPG notification by dispatching a `ppg` event.
+   *
+   * @param {number} n - The index of the PPG channel.
+   * @param {Event} event - The event containing the PPG data.
+   * @return {void} This function does not return a value.
+   */
+  #handlePPG(n, event) {
+    const samples = this.eventPPGData(event);
+    const packet = this.#trackSequence(
+      "ppg",
+      n,
+      this.eventSequenceNumber(event),
+      samples.length,
+      SAMPLE_RATES.ppg
+    );
+    this.#emit("ppg", { channel: n, samples, ...packet });
+  }
+
+  /**
+   * Tracks the sequence numbers of a stream of EEG or PPG packets. Detects lost packets from gaps
+   * in the sequence, including wraparound after 0xffff, and estimates a timestamp for every sample
+   * from the packet index and the nominal sample rate.
+   * Lost packets are counted and reported through a `packetloss` event.
+   *
+   * @param {string} sensor - The sensor the packet belongs to, either "eeg" or "ppg".
+   * @param {number} channel - The channel index of the packet.
+   * @param {number} sequence - The 16-bit sequence number of the packet.
+   * @param {number} length - The number of samples in the packet.
+   * @param {number} sampleRate - The nominal sample rate of the sensor in Hz.
+   * @return {{sequence: number, dropped: number, reordered: boolean, timestamps: number[]}}
+   *         The sequence number, the number of packets lost right before this one,
+   *         whether the packet arrived late, and the estimated timestamp of every sample.
+   */
+  #trackSequence(sensor, channel, sequence, length, sampleRate) {
+    const key = `${sensor}${channel}`;
+    const period = 1000 / sampleRate;
+    const now = currentTime();
+    let stream = this.#sequences.get(key);
+    let index = 0;
+    let dropped = 0;
+    let reordered = false;
+    if (!stream) {
+      // The notification arrives once the last sample of the packet was acquired
+      stream = { sequence, index: 0, start: now - length * period };
+      this.#sequences.set(key, stream);
+    } else {
+      const delta = (sequence - stream.sequence) & 0xffff;
+      if (delta === 0 || delta >= 0x8000) {
+        // A duplicate or a packet that arrived after a later one
+        reordered = true;
+        index = stream.index - ((stream.sequence - sequence) & 0xffff);
+      } else {
+        dropped = delta - 1;
+        stream.sequence = sequence;
+        stream.index += delta;
+        index = stream.index;
+      }
+    }
+    // Samples can't have been acquired in the future, so re-anchor when the device clock runs ahead
+    const end = stream.start + (index + 1) * length * period;
+    if (end > now) {
+      stream.start -= end - now;
+    }
+    const timestamps = [];
+    for (let i = 0; i < length; i++) {
+      timestamps.push(stream.start + (index * length + i) * period);
+    }
+    if (dropped > 0) {
+      this.#droppedPackets += dropped;
+      this.#emit("packetloss", {
+        sensor,
+        channel,
+        sequence,
+        dropped,
+        total: this.#droppedPackets,
+      });
+    }
+    return { sequence, dropped, reordered, timestamps };
+  }
+  /**
+   * Handles the loss of the connection by calling the `disconnected` hook and dispatching a `disconnected` event.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #handleDisconnected() {
+    this.disconnected();
+    this.#emit("disconnected", {});
+  }
+
+  /**
+   * Registers a pending reply for a command. The headband answers every command with a JSON reply
+   * on the control channel, in the order the commands were sent, so replies are matched first-in, first-out.
+   *
+   * @param {string} cmd - The command whose reply is expected.
+   * @param {number} timeout - Time in milliseconds to wait for the reply.
+   * @return {{reply: Promise<object>, cancel: Function}} The reply, and a function that rejects it and
+   *                                                     stops waiting for it.
+   */
+  #expectReply(cmd, timeout) {
+    let pending = null;
+    const cancel = (error) => {
+      const index = this.#pendingReplies.indexOf(pending);
+      if (index !== -1) {
+        this.#pendingReplies.splice(index, 1);
+      }
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    };
+    const reply = new Promise((resolve, reject) => {
+      pending = { cmd, resolve, reject, timer: null };
+    });
+    pending.timer = setTimeout(
+      () =>
+        cancel(new Error(`No reply to command "${cmd}" within ${timeout} ms`)),
+      timeout
+    );
+    this.#pendingReplies.push(pending);
+    return { reply, cancel };
+  }
+
+  /**
+   * Rejects all replies that are still pending, e.g. because the connection was lost.
+   *
+   * @param {string} reason - The reason for rejecting the replies.
+   * @return {void} This function does not return a value.
+   */
+  #rejectPendingReplies(reason) {
+    for (const pending of this.#pendingReplies.splice(0)) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+  }
+
+  /**
+   * Sends a command to the headband and waits for its reply on the control channel.
+   *
+   * @param {string} cmd - The command to send, e.g. "v1" or "s".
+   * @param {Object} [options] - Command options
+   * @param {number} [options.timeout=2000] - Time in milliseconds to wait for the reply
+   * @return {Promise<object>} A promise that resolves with the parsed JSON reply. The reply's `rc`
+   *                           field holds the return code of the command, 0 on success.
+   * @throws {Error} If the headband is not connected, or no reply arrives within the timeout.
+   */
+  async sendCommand(cmd, options = {}) {
+    if (!this.#controlChar) {
+      throw new Error(`Cannot send command "${cmd}": not connected`);
+    }
+    const { reply, cancel } = this.#expectReply(cmd, options.timeout || 2000);
+    try {
+      await this.#controlChar.write(this.#encodeCommand(cmd));
+    } catch (error) {
+      cancel(error);
+    }
+    return reply;
+  }
+
+  /**
+   * Requests the version information of the headband with the `v1` command.
+   * The serial number is taken from the status reply if the version reply does not contain it.
+   *
+   * @param {Object} [options] - Command options, see sendCommand
+   * @return {Promise<{firmware: string, hardware: string, bootloader: string, buildNumber: number,
+   *                   protocol: number, model: string, type: string, serial: string, raw: object}>}
+   *         A promise that resolves with the device information and the raw reply.
+   */
+  async getDeviceInfo(options = {}) {
+    const raw = await this.sendCommand("v1", options);
+    let serial = raw["sn"];
+    if (serial === undefined) {
+      serial = (await this.getStatus(options)).serial;
+    }
+    return {
+      firmware: raw["fw"],
+      hardware: raw["hw"],
+      bootloader: raw["bl"],
+      buildNumber: raw["bn"],
+      protocol: raw["pv"],
+      model: raw["sp"],
+      type: raw["tp"],
+      serial,
+      raw,
+    };
+  }
+
+  /**
+   * Requests the status of the headband with the `s` command.
+   *
+   * @param {Object} [options] - Command options, see sendCommand
+   * @return {Promise<{name: string, serial: string, macAddress: string, battery: number, preset: number,
+   *                   sensorState: number, raw: object}>}
+   *         A promise that resolves with the status and the raw reply.
+   */
+  async getStatus(options = {}) {
+    const raw = await this.sendCommand("s", options);
+    return {
+      name: raw["hn"],
+      serial: raw["sn"],
+      macAddress: raw["ma"],
+      battery: raw["bp"],
+      preset: raw["ps"],
+      sensorState: raw["ts"],
+      raw,
+    };
+  }
+
+  /**
+   * Asynchronously sends a command to the control character without waiting for its reply.
+   * The reply is still expected, so that the replies of later commands are matched correctly.
    *
    * @param {string} cmd - The command to send.
    * @return {Promise<void>} A promise that resolves when the command has been sent.
    */
   async #sendCommand(cmd) {
-    await this.#controlChar["writeValue"](this.#encodeCommand(cmd));
+    const { reply, cancel } = this.#expectReply(cmd, 2000);
+    reply.catch(() => {});
+    try {
+      await this.#controlChar.write(this.#encodeCommand(cmd));
+    } catch (error) {
+      cancel(error);
+      throw error;
+    }
   }
   /**
    * Pauses the operation by sending a command.
@@ -327,338 +833,246 @@ export class MuseBase {
     await this.#sendCommand("d");
   }
   /**
-   * Starts the process by pausing, sending a command to set the priority to 50,
+   * Starts the process by pausing, sending a command to select the preset of the current layout,
    * sending a command to start, and resuming.
    *
    * @return {Promise<void>} A promise that resolves when the process is started.
    */
   async #start() {
     await this.#pause();
-    await this.#sendCommand("p50");
+    await this.#sendCommand(this.#layout.preset);
     await this.#sendCommand("s");
     await this.#resume();
   }
   /**
-   * Disconnects from the device by calling the `disconnect` method on the `gatt` object of the `dev` property.
-   * In mock mode, stops the data streaming.
-   * Sets the `dev` property to `null` and the `state` property to `0`.
+   * Disconnects from the device through the transport, which stops the data streaming in mock mode.
+   * Sets the `state` property to `0` right away.
    *
-   * @return {void} This function does not return a value.
+   * @return {Promise<void>} A promise that resolves once the transport closed the connection,
+   *                         or rejects if closing it failed.
    */
   disconnect() {
-    if (this.mock) {
-      this.#stopMockDataStream();
-    }
-    if (this.#dev) this.#dev["gatt"]["disconnect"]();
-    this.#dev = null;
-    this.#state = 0;
-    this.disconnected();
+    this.#session++;
+    this.#controlChar = null;
+    this.#rejectPendingReplies("Disconnected");
+    this.#setState(0);
+    const closed = Promise.resolve(this.transport.disconnect());
+    this.#handleDisconnected();
+    return closed;
   }
   /**
-   * Asynchronously connects to a characteristic in a BLE service and sets up a hook for characteristic value changes.
+   * Closes the connection of the transport after a failure, when nobody waits for the result.
    *
-   * @param {Object} service - The BLE service to connect to.
-   * @param {string} cid - The UUID of the characteristic to connect to.
-   * @param {Function} hook - The function to call when the characteristic value changes.
-   * @return {Promise<Object>} A promise that resolves to the connected characteristic.
+   * @return {void} This function does not return a value.
    */
-  async #connectChar(service, cid, hook) {
-    const c = await service["getCharacteristic"](cid);
-    c["oncharacteristicvaluechanged"] = hook;
-    c["startNotifications"]();
-    return c;
+  #abandonTransport() {
+    // The connection is given up anyway, so a failure to close it is not worth reporting
+    Promise.resolve(this.transport.disconnect()).catch(() => {});
   }
   /**
-   * Loads and parses the mock CSV data file.
+   * Asynchronously subscribes to notifications of a characteristic.
    *
-   * @return {Promise<Array>} A promise that resolves to parsed CSV data.
+   * @param {string} uuid - The UUID of the characteristic to connect to.
+   * @param {Function} hook - The function to call with an event for every notification.
+   * @return {Promise<Object>} A promise that resolves to the connected characteristic.
    */
-  async #loadMockData() {
-    try {
-      const response = await fetch(this.mockDataPath);
-      const text = await response.text();
-      const lines = text.trim().split("\n");
-
-      // Skip header line and parse CSV
-      const data = [];
-      for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(",");
-        if (values.length >= 5) {
-          data.push({
-            timestamp: parseFloat(values[0]),
-            eeg: [
-              parseFloat(values[1]), // TP9 (left ear)
-              parseFloat(values[2]), // AF7 (left forehead)
-              parseFloat(values[3]), // AF8 (right forehead)
-              parseFloat(values[4]), // TP10 (right ear)
-            ],
-          });
-        }
-      }
-      return data;
-    } catch (error) {
-      console.error("Failed to load mock data:", error);
-      throw error;
-    }
+  async #connectChar(uuid, hook) {
+    const c = await this.transport.getCharacteristic(uuid);
+    await c.startNotifications(function (value) {
+      hook({ target: { value } });
+    });
+    return c;
   }
 
   /**
-   * Starts the mock data streaming.
+   * Asynchronously connects to a headband through the transport and sets up characteristic value change hooks.
+   * In mock mode, loads pre-recorded data instead of connecting to a real device.
    *
-   * @return {void}
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.preset="p50"] - The device preset to select, one of the keys of PRESETS
+   * @param {Object} [options.sensors] - The sensors to subscribe to (eeg, aux, ppg, accelerometer,
+   *                                     gyroscope, battery), all enabled by default
+   * @return {Promise<Object|undefined>} A promise that resolves with the effective channel layout when
+   *                                     the connection is established, or undefined if no device was selected.
+   * @throws {TypeError} If the preset is unknown.
+   * @throws {Error} If the connection fails at any step.
    */
-  #startMockDataStream() {
-    if (!this.mockData || this.mockData.length === 0) {
-      console.error("No mock data available");
+  async connect(options = {}) {
+    if (this.#state !== 0) {
       return;
     }
+    this.#layout = resolveLayout(options.preset || "p50", options.sensors);
+    const session = ++this.#session;
+    this.#setState(1);
+    this.#sequences.clear();
+    this.#droppedPackets = 0;
 
-    this.mockDataIndex = 0;
-    const that = this;
-
-    // Function to feed the next data point
-    const feedNextSample = () => {
-      if (!that.mock || that.#state !== 2) {
+    try {
+      if (!(await this.transport.requestDevice())) {
+        this.#setState(0);
         return;
       }
-
-      const currentSample = that.mockData[that.mockDataIndex];
-      const nextIndex = (that.mockDataIndex + 1) % that.mockData.length;
-      const nextSample = that.mockData[nextIndex];
-
-      // Calculate delay to next sample based on timestamps
-      let delay = 4; // Default ~250Hz if timestamps are missing
-      if (currentSample.timestamp && nextSample.timestamp) {
-        delay = nextSample.timestamp - currentSample.timestamp;
-        // Wrap around case
-        if (delay < 0) {
-          delay = 4; // Default delay when looping
-        }
-      }
-
-      // Feed EEG data to each channel
-      for (let i = 0; i < 4; i++) {
-        const mockEvent = {
-          target: {
-            value: that.#createMockEEGData(currentSample.eeg[i]),
-          },
-        };
-        that.eegData(i, mockEvent);
+      await this.transport.connect();
+      await this.#setup();
+    } catch (error) {
+      if (session === this.#session) {
+        this.#abandonTransport();
+        this.#controlChar = null;
+        this.#rejectPendingReplies("Disconnected");
+        this.#setState(0);
       }
-
-      // Move to next sample
-      that.mockDataIndex = nextIndex;
-
-      // Schedule next sample
-      that.mockInterval = setTimeout(feedNextSample, delay);
-    };
-
-    // Start feeding data
-    feedNextSample();
+      throw error;
+    }
+    if (session !== this.#session) {
+      // disconnect() was called while connecting
+      return;
+    }
+    this.#setState(2);
+    return this.#layout;
   }
 
   /**
-   * Creates mock EEG data in the format expected by eventEEGData.
+   * Subscribes to the control characteristic and the characteristics of the current layout
+   * and starts streaming. Used both for the initial connection and after a successful reconnection.
    *
-   * @param {number} value - The EEG value to encode.
-   * @return {DataView} A DataView containing the mock EEG data.
+   * @return {Promise<void>} A promise that resolves when the headband is streaming.
    */
-  #createMockEEGData(value) {
-    // The eventEEGData method expects 12-bit unsigned data
-    // Convert from scaled value back to 12-bit: value = 0.48828125 * (x - 0x800)
-    // Therefore: x = (value / 0.48828125) + 0x800
-    const unsigned12bit = Math.max(
-      0,
-      Math.min(0xfff, Math.round(value / 0.48828125 + 0x800))
+  async #setup() {
+    // Sequence numbers restart with the stream, so start tracking them afresh
+    this.#sequences.clear();
+    this.#controlFragment = "";
+    this.#controlChar = await this.#connectChar(
+      CHARACTERISTICS.control,
+      (event) => this.#handleControl(event)
     );
-
-    // Pack into bytes (12 samples = 18 bytes, we'll create 1 sample for simplicity)
-    // Format: each 12-bit sample takes 1.5 bytes
-    // For 12 samples: 18 bytes of data + 2 bytes header
-    const buffer = new ArrayBuffer(20);
-    const view = new DataView(buffer);
-    const uint8 = new Uint8Array(buffer);
-
-    // Pack 12 identical samples (as the real device sends 12 samples per packet)
-    for (let i = 0; i < 12; i++) {
-      const byteOffset = 2 + Math.floor(i * 1.5);
-      if (i % 2 === 0) {
-        uint8[byteOffset] = (unsigned12bit >> 4) & 0xff;
-        uint8[byteOffset + 1] =
-          ((unsigned12bit & 0x0f) << 4) | ((unsigned12bit >> 8) & 0x0f);
-      } else {
-        uint8[byteOffset] =
-          (uint8[byteOffset] & 0xf0) | ((unsigned12bit >> 8) & 0x0f);
-        uint8[byteOffset + 1] = unsigned12bit & 0xff;
-      }
+    const { eeg, ppg, accelerometer, gyroscope, battery } = this.#layout;
+    if (battery) {
+      await this.#connectChar(CHARACTERISTICS.battery, (event) =>
+        this.#handleBattery(event)
+      );
     }
-
-    return view;
+    if (gyroscope) {
+      await this.#connectChar(CHARACTERISTICS.gyroscope, (event) =>
+        this.#handleGyroscope(event)
+      );
+    }
+    if (accelerometer) {
+      await this.#connectChar(CHARACTERISTICS.accelerometer, (event) =>
+        this.#handleAccelerometer(event)
+      );
+    }
+    for (let n = 0; n < ppg.length; n++) {
+      await this.#connectChar(CHARACTERISTICS.ppg[n], (event) =>
+        this.#handlePPG(n, event)
+      );
+    }
+    for (let n = 0; n < eeg.length; n++) {
+      await this.#connectChar(CHARACTERISTICS.eeg[n], (event) =>
+        this.#handleEEG(n, event)
+      );
+    }
+    await this.#start();
+    await this.#sendCommand("v1");
   }
 
   /**
-   * Stops the mock data streaming.
+   * Handles the loss of the connection reported by the transport. Starts reconnecting if enabled,
+   * otherwise disconnects.
    *
-   * @return {void}
+   * @return {void} This function does not return a value.
    */
-  #stopMockDataStream() {
-    if (this.mockInterval) {
-      clearTimeout(this.mockInterval);
-      this.mockInterval = null;
+  #handleLinkLost() {
+    if (this.#state === 0 || this.#reconnecting) {
+      return;
     }
+    this.#controlChar = null;
+    this.#rejectPendingReplies("Disconnected");
+    if (this.reconnect && this.#state === 2) {
+      this.#reconnect();
+      return;
+    }
+    this.#session++;
+    this.#setState(0);
+    this.#handleDisconnected();
   }
 
   /**
-   * Asynchronously connects to a BLE device and sets up characteristic value change hooks.
-   * In mock mode, loads pre-recorded data instead of connecting to a real device.
+   * Retries connecting to the same device with exponential backoff, dispatching a `reconnecting`
+   * event before every attempt and a `reconnected` event describing the gap once streaming resumed.
+   * Gives up after `reconnect.maxAttempts` failed attempts and disconnects.
+   * Buffers are left untouched so data from before the gap is kept.
    *
-   * @return {Promise<void>} A promise that resolves when the connection is established.
-   * @throws {Error} If the connection fails at any step.
+   * @return {Promise<void>} A promise that resolves when reconnected or when giving up.
    */
-  async connect() {
-    if (this.#dev || this.#state !== 0) {
-      return;
-    }
-    this.#state = 1;
-
-    // Mock mode: load CSV data and simulate streaming
-    if (this.mock) {
-      try {
-        console.log("Connecting in mock mode...");
-        this.mockData = await this.#loadMockData();
-        console.log(`Loaded ${this.mockData.length} samples from mock data`);
-        this.#state = 2;
-        this.#startMockDataStream();
+  async #reconnect() {
+    const { maxAttempts, initialDelay, maxDelay, factor } = this.reconnect;
+    const session = this.#session;
+    const start = currentTime();
+    this.#reconnecting = true;
+    this.#setState(1);
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const delay = Math.min(
+          initialDelay * Math.pow(factor, attempt - 1),
+          maxDelay
+        );
+        this.#emit("reconnecting", { attempt, maxAttempts, delay });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (session !== this.#session) {
+          // disconnect() was called while waiting
+          return;
+        }
+        try {
+          await this.transport.connect();
+          await this.#setup();
+        } catch (error) {
+          continue;
+        }
+        if (session !== this.#session) {
+          return;
+        }
+        const end = currentTime();
+        this.#setState(2);
+        this.#emit("reconnected", {
+          attempts: attempt,
+          gap: { start, end, duration: end - start },
+        });
         return;
-      } catch (error) {
-        console.error("Failed to connect in mock mode:", error);
-        this.#state = 0;
-        throw error;
       }
+      this.#session++;
+      this.#abandonTransport();
+      this.#controlChar = null;
+      this.#rejectPendingReplies("Disconnected");
+      this.#setState(0);
+      this.#handleDisconnected();
+    } finally {
+      this.#reconnecting = false;
     }
-
-    // Real device connection
-    try {
-      this.#dev = await navigator["bluetooth"]["requestDevice"]({
-        filters: [{ services: [this.#SERVICE] }],
-      });
-    } catch (error) {
-      this.#dev = null;
-      this.#state = 0;
-      return;
-    }
-    let gatt = undefined;
-    try {
-      gatt = await this.#dev["gatt"]["connect"]();
-    } catch (error) {
-      this.#dev = null;
-      this.#state = 0;
-      return;
-    }
-    const service = await gatt["getPrimaryService"](this.#SERVICE);
-    const that = this;
-    this.#dev.addEventListener("gattserverdisconnected", function () {
-      this.#dev = null;
-      this.#state = 0;
-      that.disconnected();
-    });
-    this.#controlChar = await this.#connectChar(
-      service,
-      this.#CONTROL_CHARACTERISTIC,
-      function (event) {
-        that.controlData(event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#BATTERY_CHARACTERISTIC,
-      function (event) {
-        that.batteryData(event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#GYROSCOPE_CHARACTERISTIC,
-      function (event) {
-        that.gyroscopeData(event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#ACCELEROMETER_CHARACTERISTIC,
-      function (event) {
-        that.accelerometerData(event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#PPG1_CHARACTERISTIC,
-      function (event) {
-        that.ppgData(0, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#PPG2_CHARACTERISTIC,
-      function (event) {
-        that.ppgData(1, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#PPG3_CHARACTERISTIC,
-      function (event) {
-        that.ppgData(2, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#EEG1_CHARACTERISTIC,
-      function (event) {
-        that.eegData(0, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#EEG2_CHARACTERISTIC,
-      function (event) {
-        that.eegData(1, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#EEG3_CHARACTERISTIC,
-      function (event) {
-        that.eegData(2, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#EEG4_CHARACTERISTIC,
-      function (event) {
-        that.eegData(3, event);
-      }
-    );
-    await this.#connectChar(
-      service,
-      this.#EEG5_CHARACTERISTIC,
-      function (event) {
-        that.eegData(4, event);
-      }
-    );
-    await this.#start();
-    await this.#sendCommand("v1");
-    this.#state = 2;
   }
 }
 
 /**
- * An interface for connecting with a Muse headband based on circular buffers of size 256.
+ * An interface for connecting with a Muse headband based on circular buffers (of size 256 by default).
+ * The buffers are filled by the `batteryData`, `accelerometerData`, `gyroscopeData`, `controlData`,
+ * `eegData` and `ppgData` hooks, which MuseBase calls with every dispatched event, so subclasses that
+ * override a hook must call it with `super` to keep its buffer filled.
  * Note: EEG data is mapped into the range [-1000, 1000).
+ * The EEG can be filtered on its way into the buffers with `eegFilters`, see createFilterChain;
+ * the `eeg` events keep the unfiltered samples.
+ *
+ * @example
+ * const muse = new Muse({
+ *   eegFilters: [
+ *     { type: "bandpass", low: 1, high: 40 },
+ *     { type: "notch", frequency: 50 },
+ *   ],
+ * });
  *
  * @extends MuseBase
  */
 export class Muse extends MuseBase {
+  #eegFilters;
+
   /**
    * Constructs a new instance of the Muse class.
    *
@@ -666,76 +1080,98 @@ export class Muse extends MuseBase {
    * @param {Object} options - Configuration options
    * @param {boolean} [options.mock=false] - Enable mock mode to use pre-recorded data instead of real device
    * @param {string} [options.mockDataPath] - Path to mock data CSV file (defaults to assets/resting-state.csv)
+   * @param {Object} [options.mockRecording] - A recording returned by parseRecording to play back instead of the CSV file
+   * @param {{next: Function, reset: Function}} [options.mockSource] - A mock source such as SyntheticEEG to stream
+   *                                                                 instead of the mock data CSV file
+   * @param {number} [options.mockSpeed=1] - Mock playback speed as a multiple of real time, Infinity for as fast as possible
+   * @param {boolean} [options.mockLoop=true] - Start mock playback over at the end of the data instead of ending it
+   * @param {boolean|Object} [options.reconnect=false] - Automatically reconnect after the GATT server disconnects
+   * @param {number} [options.bufferSize=256] - Capacity of each circular buffer in samples
+   * @param {string} [options.bufferMode="drop"] - "drop" to discard the new sample when a buffer is full,
+   *                                               "overwrite" to discard the oldest sample
+   * @param {Function} [options.bufferStorage=Float64Array] - Sample storage of the buffers: Float64Array, Float32Array or Array
+   * @param {Object[]|Object<string, Object[]>} [options.eegFilters] - Filters applied to the EEG before it is written
+   *                                                                  to the buffers, see setEEGFilters
    */
   constructor(options = {}) {
     super(options);
-    const BUFFER_SIZE = 256;
+    const bufferSize = options.bufferSize || 256;
+    const bufferOptions = {
+      mode: options.bufferMode,
+      storage: options.bufferStorage,
+    };
+    const buffers = (n) =>
+      Array.from(
+        { length: n },
+        () => new MuseCircularBuffer(bufferSize, bufferOptions)
+      );
     this.batteryLevel = null;
     this.info = {};
-    this.eeg = [
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-    ];
-    this.ppg = [
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-    ];
-    this.accelerometer = [
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-    ];
-    this.gyroscope = [
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-      new MuseCircularBuffer(BUFFER_SIZE),
-    ];
+    this.eeg = buffers(5);
+    this.ppg = buffers(3);
+    this.accelerometer = buffers(3);
+    this.gyroscope = buffers(3);
+    this.#eegFilters = createChannelFilters(
+      options.eegFilters || null,
+      EEG_CHANNELS
+    );
   }
   /**
-   * Updates the battery level based on the received event.
+   * Replaces the filters applied to the EEG before it is written to the buffers. The filters start
+   * with a fresh state, and the samples already in the buffers are left as they are.
    *
-   * @param {Event} event - The event containing the battery data.
+   * @example
+   * // Remove drift and 60 Hz mains interference with its first harmonic on every channel
+   * muse.setEEGFilters([
+   *   { type: "highpass", frequency: 0.5, order: 2 },
+   *   { type: "notch", frequency: 60, harmonics: 2 },
+   * ]);
+   * // Filter the frontal channels only
+   * muse.setEEGFilters({ AF7: frontal, AF8: frontal });
+   * // Stop filtering
+   * muse.setEEGFilters(null);
+   *
+   * @param {Object[]|Object<string, Object[]>|null} spec - The filters of every channel as for createFilterChain,
+   *                                                        an object with the filters of each channel by name,
+   *                                                        or null for no filtering.
+   * @return {void} This function does not return a value.
+   * @throws {TypeError} If a filter type is unknown.
+   * @throws {RangeError} If a frequency or order is out of range.
+   */
+  setEEGFilters(spec) {
+    this.#eegFilters = createChannelFilters(spec, EEG_CHANNELS);
+  }
+  /**
+   * Updates the battery level.
+   *
+   * @param {Event} event - The `battery` event, or a raw battery notification.
    * @return {void} This function does not return a value.
    */
   batteryData(event) {
     this.batteryLevel = this.eventBatteryData(event);
   }
   /**
-   * Processes the accelerometer data from the given event.
+   * Writes the accelerometer samples to the accelerometer circular buffers.
    *
-   * @param {Event} event - The event containing the accelerometer data.
+   * @param {Event} event - The `accelerometer` event, or a raw accelerometer notification.
    * @return {void} This function does not return a value.
    */
   accelerometerData(event) {
-    const vals = this.eventAccelerometerData(event);
-    for (let i = 0; i < 3; i++) {
-      this.accelerometer[0].write(vals[0][i]);
-      this.accelerometer[1].write(vals[1][i]);
-      this.accelerometer[2].write(vals[2][i]);
-    }
+    this.#writeMotion(this.accelerometer, this.eventAccelerometerData(event));
   }
   /**
-   * Processes the gyroscope data from the given event.
+   * Writes the gyroscope samples to the gyroscope circular buffers.
    *
-   * @param {Event} event - The event containing the gyroscope data.
+   * @param {Event} event - The `gyroscope` event, or a raw gyroscope notification.
    * @return {void} This function does not return a value.
    */
   gyroscopeData(event) {
-    const vals = this.eventAccelerometerData(event);
-    for (let i = 0; i < 3; i++) {
-      this.gyroscope[0].write(vals[0][i]);
-      this.gyroscope[1].write(vals[1][i]);
-      this.gyroscope[2].write(vals[2][i]);
-    }
+    this.#writeMotion(this.gyroscope, this.eventGyroscopeData(event));
   }
   /**
-   * A function that processes control data from the given event.
+   * Merges the control reply into `info`.
    *
-   * @param {Event} event - The event containing the control data.
+   * @param {Event} event - The `control` event, or a raw control notification.
    * @return {void} This function does not return a value.
    */
   controlData(event) {
@@ -745,33 +1181,54 @@ export class Muse extends MuseBase {
     }
   }
   /**
-   * Processes EEG data from the given event, scales it to the range [-1000, 1000),
-   * and writes it to the corresponding PPG circular buffer.
+   * Writes the EEG samples, scaled to the range [-1000, 1000), to the corresponding EEG circular buffer,
+   * through the filters of the channel if it has any. The samples of a raw notification are written
+   * with the time of the call, as it carries no timestamps.
    *
    * @param {number} n - The index of the EEG channel.
-   * @param {Event} event - The event containing the EEG data.
+   * @param {Event} event - The `eeg` event, or a raw EEG notification.
    * @return {void} This function does not return a value.
    */
   eegData(n, event) {
-    let samples = this.eventEEGData(event);
-    samples = samples.map(function (x) {
-      return 0.48828125 * (x - 0x800);
-    });
+    const { samples, timestamps } = event.detail || {
+      samples: this.eventEEGData(event).map((x) => SCALES.eeg * (x - 0x800)),
+      timestamps: [],
+    };
+    const filter = this.#eegFilters[n];
     for (let i = 0; i < samples.length; i++) {
-      this.eeg[n].write(samples[i]);
+      const sample = filter ? filter.step(samples[i]) : samples[i];
+      this.eeg[n].write(sample, timestamps[i]);
     }
   }
   /**
-   * Processes PPG data received from the event and writes it to the corresponding PPG circular buffer.
+   * Writes the PPG samples to the corresponding PPG circular buffer. The samples of a raw notification
+   * are written with the time of the call, as it carries no timestamps.
    *
-   * @param {number} n - The index of the PPG circular buffer to write to.
-   * @param {Event} event - The event containing the PPG data.
+   * @param {number} n - The index of the PPG channel.
+   * @param {Event} event - The `ppg` event, or a raw PPG notification.
    * @return {void} This function does not return a value.
    */
   ppgData(n, event) {
-    const samples = this.eventPPGData(event);
+    const { samples, timestamps } = event.detail || {
+      samples: this.eventPPGData(event),
+      timestamps: [],
+    };
     for (let i = 0; i < samples.length; i++) {
-      this.ppg[n].write(samples[i]);
+      this.ppg[n].write(samples[i], timestamps[i]);
+    }
+  }
+  /**
+   * Writes the three samples of every axis of an accelerometer or gyroscope event to their circular buffers.
+   *
+   * @param {MuseCircularBuffer[]} buffers - The buffers of the x, y and z axes.
+   * @param {number[][]} vals - The samples of every axis.
+   * @return {void} This function does not return a value.
+   */
+  #writeMotion(buffers, vals) {
+    for (let i = 0; i < 3; i++) {
+      buffers[0].write(vals[0][i]);
+      buffers[1].write(vals[1][i]);
+      buffers[2].write(vals[2][i]);
     }
   }
 }
@@ -782,16 +1239,17 @@ export class Muse extends MuseBase {
  * @param {Object} options - Configuration options
  * @param {boolean} [options.mock=false] - Enable mock mode to use pre-recorded data instead of real device
  * @param {string} [options.mockDataPath] - Path to mock data CSV file (defaults to assets/resting-state.csv)
+ * @param {Object} [options.mockRecording] - A recording returned by parseRecording to play back instead of the CSV file
+ * @param {{next: Function, reset: Function}} [options.mockSource] - A mock source such as SyntheticEEG to stream
+ *                                                               instead of the mock data CSV file
+ * @param {string} [options.preset="p50"] - The device preset to select
+ * @param {Object} [options.sensors] - The sensors to subscribe to, all enabled by default
+ * @param {Object[]|Object<string, Object[]>} [options.eegFilters] - Filters applied to the EEG before it is written
+ *                                                                  to the buffers, see Muse#setEEGFilters
  * @return {Muse} The connected Muse object.
  */
 export const connectMuse = async (options = {}) => {
   const muse = new Muse(options);
-  if (options.mock) {
-    console.log("Attempting to connect to Muse in mock mode...");
-  } else {
-    console.log("Attempting to connect to Muse...");
-  }
-  await muse.connect();
-  console.log("Muse connected:", muse);
+  await muse.connect({ preset: options.preset, sensors: options.sensors });
   return muse;
 };
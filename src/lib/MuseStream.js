@@ -0,0 +1,114 @@
+/**
+ * An abstract base class for the live analyses of a Muse, such as BandPowerStream or HeartRateMonitor.
+ * While active, a stream listens to the events of its device and dispatches its results as events
+ * of its own, the last of which is kept as `latest`. Streams are driven by the samples, not a timer,
+ * so they keep pace with mock playback at any speed.
+ *
+ * Subclasses must implement the following method:
+ * - listeners - returns the listeners registered on the device by start, as for MuseBase#subscribe
+ *
+ * They may override reset to clear their state when started, and dispatch their results with publish.
+ */
+export class MuseStream extends EventTarget {
+  #muse;
+  #unsubscribe = null;
+  #latest = null;
+
+  /**
+   * Constructs a new stream.
+   *
+   * @abstract
+   * @constructor
+   * @param {MuseBase} muse - The device whose data is analyzed.
+   */
+  constructor(muse) {
+    super();
+    if (new.target === MuseStream) {
+      throw new TypeError("Cannot construct MuseStream instances directly");
+    }
+    this.#muse = muse;
+  }
+
+  /**
+   * The device whose data is analyzed.
+   *
+   * @type {MuseBase}
+   */
+  get muse() {
+    return this.#muse;
+  }
+
+  /**
+   * Whether the stream is running.
+   *
+   * @type {boolean}
+   */
+  get active() {
+    return this.#unsubscribe !== null;
+  }
+
+  /**
+   * The detail of the last event dispatched with publish since the stream was started, or null.
+   *
+   * @type {Object|null}
+   */
+  get latest() {
+    return this.#latest;
+  }
+
+  /**
+   * Starts the stream: clears its state and registers its listeners on the device.
+   * Does nothing if the stream is already running.
+   *
+   * @return {void} This function does not return a value.
+   */
+  start() {
+    if (this.active) {
+      return;
+    }
+    this.#latest = null;
+    this.reset();
+    this.#unsubscribe = this.#muse.subscribe(this.listeners());
+  }
+
+  /**
+   * Stops the stream by removing its listeners from the device.
+   *
+   * @return {void} This function does not return a value.
+   */
+  stop() {
+    if (this.active) {
+      this.#unsubscribe();
+      this.#unsubscribe = null;
+    }
+  }
+
+  /**
+   * Returns the listeners to register on the device while the stream is running.
+   *
+   * @abstract
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    throw new Error("listeners is not implemented");
+  }
+
+  /**
+   * Clears the state of the stream. Called by start before the listeners are registered.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {}
+
+  /**
+   * Keeps a result as `latest` and dispatches it. Called by subclasses.
+   *
+   * @param {string} type - The type of the event.
+   * @param {Object} detail - The result, dispatched as `event.detail`.
+   * @return {void} This function does not return a value.
+   */
+  publish(type, detail) {
+    this.#latest = detail;
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
@@ -0,0 +1,469 @@
+import {
+  EEG_CHANNELS,
+  PPG_CHANNELS,
+  SAMPLE_RATES,
+  currentTime,
+} from "./protocol.js";
+
+/**
+ * Samples of one or more channels with their timestamps, stored in fixed-size typed-array chunks
+ * so that a long recording neither grows one huge array nor keeps an object per sample.
+ */
+class SampleChunks {
+  /**
+   * Constructs an empty store.
+   *
+   * @param {number} channels - The number of channels.
+   * @param {number} chunkSize - The number of samples per chunk.
+   */
+  constructor(channels, chunkSize) {
+    this.channels = channels;
+    this.chunkSize = chunkSize;
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Appends a sample of every channel.
+   *
+   * @param {number} timestamp - The Unix timestamp of the sample in milliseconds.
+   * @param {number[]} values - The values of the channels.
+   * @return {void} This function does not return a value.
+   */
+  push(timestamp, values) {
+    let chunk = this.chunks[this.chunks.length - 1];
+    if (!chunk || chunk.length === this.chunkSize) {
+      chunk = {
+        length: 0,
+        timestamps: new Float64Array(this.chunkSize),
+        values: Array.from(
+          { length: this.channels },
+          () => new Float32Array(this.chunkSize)
+        ),
+      };
+      this.chunks.push(chunk);
+    }
+    chunk.timestamps[chunk.length] = timestamp;
+    for (let c = 0; c < this.channels; c++) {
+      chunk.values[c][chunk.length] = values[c];
+    }
+    chunk.length++;
+    this.length++;
+  }
+
+  /**
+   * Discards the full chunks whose samples are all older than the given time.
+   *
+   * @param {number} time - The Unix timestamp in milliseconds.
+   * @return {void} This function does not return a value.
+   */
+  discardBefore(time) {
+    while (
+      this.chunks.length > 1 &&
+      this.chunks[0].timestamps[this.chunkSize - 1] < time
+    ) {
+      this.chunks.shift();
+      this.length -= this.chunkSize;
+    }
+  }
+
+  /**
+   * Copies the samples into one array per channel.
+   *
+   * @return {{timestamps: Float64Array, values: Float32Array[]}} The timestamps and the values of every channel.
+   */
+  toArrays() {
+    const timestamps = new Float64Array(this.length);
+    const values = Array.from(
+      { length: this.channels },
+      () => new Float32Array(this.length)
+    );
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      timestamps.set(chunk.timestamps.subarray(0, chunk.length), offset);
+      for (let c = 0; c < this.channels; c++) {
+        values[c].set(chunk.values[c].subarray(0, chunk.length), offset);
+      }
+      offset += chunk.length;
+    }
+    return { timestamps, values };
+  }
+}
+
+/**
+ * Records the data of a Muse into a session: EEG, PPG, accelerometer and gyroscope samples with
+ * their timestamps, markers, and the metadata of the device. Any number of recorders can be bound
+ * to the same or different devices.
+ *
+ * Samples are stored in typed-array chunks. A recording stops by itself after `maxDuration` seconds,
+ * or, in rolling mode, keeps only the last `maxDuration` seconds, so memory stays bounded.
+ *
+ * The recorder dispatches a `start`, `pause`, `resume` and `stop` event when its state changes.
+ * The `stop` event carries the session as `event.detail.session`.
+ *
+ * @example
+ * const recorder = new Recorder(muse, { maxDuration: 600 });
+ * recorder.start();
+ * recorder.mark("eyes closed");
+ * // ...
+ * const session = recorder.stop();
+ * const [tp9, af7] = session.streams.eeg.data;
+ */
+export class Recorder extends EventTarget {
+  #muse;
+  #state = "inactive";
+  #series = null;
+  #markers = [];
+  #pauses = [];
+  #gaps = [];
+  #startTime = null;
+  #pausedAt = null;
+  #pausedTime = 0;
+  #unsubscribe = null;
+  #session = null;
+
+  /**
+   * Constructs a new recorder for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device to record.
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.sensors] - The sensors to record: `eeg`, `ppg`, `accelerometer` and `gyroscope`,
+   *                                     all enabled by default. Markers are always recorded.
+   * @param {number} [options.maxDuration=3600] - Maximum duration of the recording in seconds, excluding pauses
+   * @param {boolean} [options.rolling=false] - Keep recording past `maxDuration` and discard the oldest samples,
+   *                                            instead of stopping
+   * @param {number} [options.chunkSize=4096] - Number of samples per storage chunk
+   */
+  constructor(muse, options = {}) {
+    super();
+    this.#muse = muse;
+    this.sensors = {
+      eeg: true,
+      ppg: true,
+      accelerometer: true,
+      gyroscope: true,
+      ...options.sensors,
+    };
+    this.maxDuration =
+      options.maxDuration === undefined ? 3600 : options.maxDuration;
+    this.rolling = options.rolling || false;
+    this.chunkSize = options.chunkSize || 4096;
+  }
+
+  /**
+   * The state of the recorder.
+   *
+   * @type {string} "inactive", "recording" or "paused".
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * The recorded duration in seconds, excluding pauses.
+   *
+   * @type {number}
+   */
+  get duration() {
+    if (this.#startTime === null) {
+      return 0;
+    }
+    const end = this.#session ? this.#session.endTime : currentTime();
+    const paused = this.#pausedAt === null ? 0 : end - this.#pausedAt;
+    return (end - this.#startTime - this.#pausedTime - paused) / 1000;
+  }
+
+  /**
+   * The session of the last stopped recording, or null.
+   *
+   * @type {Object|null}
+   */
+  get session() {
+    return this.#session;
+  }
+
+  /**
+   * Starts a new recording. The data of a previous recording is discarded.
+   *
+   * @return {void} This function does not return a value.
+   * @throws {Error} If the recorder is already recording.
+   */
+  start() {
+    if (this.#state !== "inactive") {
+      throw new Error("The recorder is already recording");
+    }
+    this.#series = new Map();
+    this.#markers = [];
+    this.#pauses = [];
+    this.#gaps = [];
+    this.#startTime = currentTime();
+    this.#pausedAt = null;
+    this.#pausedTime = 0;
+    this.#session = null;
+    const listeners = {
+      reconnected: (event) => this.#gaps.push(event.detail.gap),
+      marker: (event) => this.#markers.push({ ...event.detail }),
+    };
+    for (const sensor of ["eeg", "ppg"]) {
+      if (this.sensors[sensor]) {
+        listeners[sensor] = (event) => this.#onPacket(sensor, event.detail);
+      }
+    }
+    for (const sensor of ["accelerometer", "gyroscope"]) {
+      if (this.sensors[sensor]) {
+        listeners[sensor] = (event) => this.#onMotion(sensor, event.detail);
+      }
+    }
+    this.#unsubscribe = this.#muse.subscribe(listeners);
+    this.#setState("recording");
+  }
+
+  /**
+   * Pauses the recording. Samples are ignored until `resume` is called, and the pause is listed in the session.
+   *
+   * @return {void} This function does not return a value.
+   */
+  pause() {
+    if (this.#state === "recording") {
+      this.#pausedAt = currentTime();
+      this.#setState("paused");
+    }
+  }
+
+  /**
+   * Resumes a paused recording.
+   *
+   * @return {void} This function does not return a value.
+   */
+  resume() {
+    if (this.#state === "paused") {
+      const now = currentTime();
+      this.#pauses.push({ start: this.#pausedAt, end: now });
+      this.#pausedTime += now - this.#pausedAt;
+      this.#pausedAt = null;
+      this.#setState("recording");
+    }
+  }
+
+  /**
+   * Adds a marker at the current time with `mark` of the device, so it is also dispatched as a `marker` event
+   * and added to the other recorders of the device.
+   *
+   * @param {string} label - The label of the marker, e.g. "stimulus shown".
+   * @param {object} [metadata={}] - Additional data stored with the marker.
+   * @return {{time: number, label: string, metadata: object}} The marker, with its Unix timestamp in milliseconds.
+   * @throws {Error} If the recorder is not recording.
+   */
+  mark(label, metadata = {}) {
+    if (this.#state === "inactive") {
+      throw new Error("The recorder is not recording");
+    }
+    return this.#muse.mark(label, metadata);
+  }
+
+  /**
+   * Stops the recording and builds its session. Calling it again returns the same session.
+   *
+   * @return {Object|null} The session, as described in the documentation, or null if nothing was recorded.
+   */
+  stop() {
+    if (this.#state === "inactive") {
+      return this.#session;
+    }
+    const endTime = currentTime();
+    if (this.#pausedAt !== null) {
+      this.#pauses.push({ start: this.#pausedAt, end: endTime });
+    }
+    this.#unsubscribe();
+    this.#unsubscribe = null;
+
+    const streams = {};
+    for (const sensor of ["eeg", "ppg", "accelerometer", "gyroscope"]) {
+      const stream = this.#buildStream(sensor);
+      if (stream) {
+        streams[sensor] = stream;
+      }
+    }
+    // Map the markers, which are in time order, onto the first EEG sample at or after them
+    const timestamps = streams.eeg ? streams.eeg.timestamps : [];
+    let index = 0;
+    for (const marker of this.#markers) {
+      while (index < timestamps.length && timestamps[index] < marker.time) {
+        index++;
+      }
+      marker.sample = index < timestamps.length ? index : null;
+    }
+    const muse = this.#muse;
+    this.#session = {
+      startTime: this.#startTime,
+      endTime,
+      duration: 0,
+      device: { ...muse.info },
+      layout: muse.layout,
+      streams,
+      markers: this.#markers,
+      pauses: this.#pauses,
+      gaps: this.#gaps,
+    };
+    this.#series = null;
+    this.#session.duration = this.duration;
+    this.#setState("inactive", { session: this.#session });
+    return this.#session;
+  }
+
+  /**
+   * Updates the state and dispatches the corresponding event.
+   *
+   * @param {string} state - The new state.
+   * @param {object} [detail={}] - The payload of the event.
+   * @return {void} This function does not return a value.
+   */
+  #setState(state, detail = {}) {
+    const previous = this.#state;
+    this.#state = state;
+    let type = state === "recording" ? "start" : "stop";
+    if (state === "paused") {
+      type = "pause";
+    } else if (state === "recording" && previous === "paused") {
+      type = "resume";
+    }
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Returns the store of a series, creating it on first use.
+   *
+   * @param {string} key - The key of the series, e.g. "eeg2" or "gyroscope".
+   * @param {number} channels - The number of channels of the series.
+   * @return {SampleChunks} The store.
+   */
+  #store(key, channels) {
+    let store = this.#series.get(key);
+    if (!store) {
+      store = new SampleChunks(channels, this.chunkSize);
+      this.#series.set(key, store);
+    }
+    return store;
+  }
+
+  /**
+   * Records an EEG or PPG packet of one channel. Lost packets are filled with NaN samples,
+   * so the channels stay aligned; packets that arrive late are ignored.
+   *
+   * @param {string} sensor - "eeg" or "ppg".
+   * @param {object} detail - The payload of the `eeg` or `ppg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket(sensor, { channel, samples, dropped, reordered, timestamps }) {
+    if (this.#state !== "recording" || reordered) {
+      return;
+    }
+    const store = this.#store(`${sensor}${channel}`, 1);
+    if (store.length > 0 && dropped > 0) {
+      const period = 1000 / SAMPLE_RATES[sensor];
+      const missing = dropped * samples.length;
+      for (let i = missing; i > 0; i--) {
+        store.push(timestamps[0] - i * period, [NaN]);
+      }
+    }
+    for (let i = 0; i < samples.length; i++) {
+      store.push(timestamps[i], [samples[i]]);
+    }
+    this.#limit(store);
+  }
+
+  /**
+   * Records an accelerometer or gyroscope packet. These packets have no timestamps,
+   * so the samples are spaced at the nominal rate up to the time of arrival.
+   *
+   * @param {string} sensor - "accelerometer" or "gyroscope".
+   * @param {object} detail - The payload of the `accelerometer` or `gyroscope` event.
+   * @return {void} This function does not return a value.
+   */
+  #onMotion(sensor, { samples }) {
+    if (this.#state !== "recording") {
+      return;
+    }
+    const store = this.#store(sensor, 3);
+    const period = 1000 / SAMPLE_RATES[sensor];
+    const now = currentTime();
+    const length = samples[0].length;
+    for (let i = 0; i < length; i++) {
+      store.push(now - (length - 1 - i) * period, [
+        samples[0][i],
+        samples[1][i],
+        samples[2][i],
+      ]);
+    }
+    this.#limit(store);
+  }
+
+  /**
+   * Enforces the maximum duration after samples were added to a store.
+   *
+   * @param {SampleChunks} store - The store the samples were added to.
+   * @return {void} This function does not return a value.
+   */
+  #limit(store) {
+    if (this.rolling) {
+      store.discardBefore(currentTime() - this.maxDuration * 1000);
+    } else if (this.duration >= this.maxDuration) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Builds the stream of a sensor for the session. The channels of EEG and PPG are recorded separately,
+   * so they are aligned on their timestamps and cut to a common length.
+   *
+   * @param {string} sensor - The sensor.
+   * @return {{channels: string[], sampleRate: number, timestamps: Float64Array, data: Float32Array[]}|null}
+   *         The stream, or null if the sensor has no samples.
+   */
+  #buildStream(sensor) {
+    const sampleRate = SAMPLE_RATES[sensor];
+    if (sensor === "accelerometer" || sensor === "gyroscope") {
+      const store = this.#series.get(sensor);
+      if (!store || store.length === 0) {
+        return null;
+      }
+      const { timestamps, values } = store.toArrays();
+      return {
+        channels: ["x", "y", "z"],
+        sampleRate,
+        timestamps,
+        data: values,
+      };
+    }
+
+    const names = sensor === "eeg" ? EEG_CHANNELS : PPG_CHANNELS;
+    const recorded = [];
+    names.forEach((name, channel) => {
+      const store = this.#series.get(`${sensor}${channel}`);
+      if (store && store.length > 0) {
+        recorded.push({ name, ...store.toArrays() });
+      }
+    });
+    if (recorded.length === 0) {
+      return null;
+    }
+    // Start at the first sample that every channel has, allowing for half a period of jitter
+    const period = 1000 / sampleRate;
+    const start = Math.max(...recorded.map((r) => r.timestamps[0]));
+    const offsets = recorded.map((r) =>
+      r.timestamps.findIndex((timestamp) => timestamp >= start - period / 2)
+    );
+    const length = Math.min(
+      ...recorded.map((r, i) => r.timestamps.length - offsets[i])
+    );
+    return {
+      channels: recorded.map((r) => r.name),
+      sampleRate,
+      timestamps: recorded[0].timestamps.slice(offsets[0], offsets[0] + length),
+      data: recorded.map((r, i) =>
+        r.values[0].slice(offsets[i], offsets[i] + length)
+      ),
+    };
+  }
+}
@@ -0,0 +1,242 @@
+import { createFilterChain } from "./filters.js";
+import { fillGaps } from "./gaps.js";
+import { MuseStream } from "./MuseStream.js";
+import { EEG_CHANNELS, SAMPLE_RATES } from "./protocol.js";
+import { SlidingWindow } from "./SlidingWindow.js";
+import { bandPower, welch } from "./spectrum.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.eeg;
+
+// The rails of the 12-bit EEG samples
+const RAILS = [0, 0xfff];
+
+/**
+ * The limits of every metric, as `[good, bad]`: a channel scores 1 on a metric up to the first value,
+ * 0 from the second, and linearly in between.
+ * - std        - standard deviation above 1 Hz in µV; a loose electrode picks up large artifacts
+ * - lineNoise  - share of the power above 1 Hz around 50 or 60 Hz; an electrode off the skin is an antenna
+ * - flat       - share of samples equal to the previous one; a disconnected input stops moving
+ * - saturation - share of samples at the rails
+ */
+const LIMITS = {
+  std: [50, 200],
+  lineNoise: [0.1, 0.5],
+  flat: [0.2, 0.5],
+  saturation: [0, 0.05],
+};
+
+/**
+ * Returns the score of a metric between its limits.
+ *
+ * @param {number} value - The value of the metric.
+ * @param {number[]} limits - The `[good, bad]` limits of the metric.
+ * @return {number} The score in [0, 1].
+ */
+const score = (value, [good, bad]) =>
+  Math.min(1, Math.max(0, (bad - value) / (bad - good)));
+
+/**
+ * Returns the status of a score, named after the levels of the Muse headband's "horseshoe" indicator.
+ *
+ * @param {number} value - The score in [0, 1].
+ * @return {string} "good", "medium" or "bad".
+ */
+const status = (value) => {
+  if (value >= 0.75) {
+    return "good";
+  }
+  return value >= 0.4 ? "medium" : "bad";
+};
+
+/**
+ * Rates the contact of every EEG electrode of a Muse continuously, like the headband's "horseshoe" indicator,
+ * e.g. to check the fit before starting a recording. Every `hop` seconds of EEG, the last `window` seconds of
+ * every channel are rated on four metrics, each scored from 1 (good) to 0 (bad), see LIMITS:
+ * - std        - the standard deviation above 1 Hz, in µV
+ * - lineNoise  - the share of the power above 1 Hz within 2 Hz of 50 or 60 Hz
+ * - flat       - the share of samples equal to the previous one
+ * - saturation - the share of samples at the 0 and 0xFFF rails
+ *
+ * The score of a channel is its lowest metric score, so a single failure marks the electrode.
+ * The result is dispatched as a `quality` event whose `event.detail` is
+ * `{ time, channels, scores, status, metrics }`:
+ * - time     - the Unix timestamp in milliseconds of the last sample of the window
+ * - channels - the names of the channels: "TP9", "AF7", "AF8" and "TP10", without AUX
+ * - scores   - the score of every channel in [0, 1]
+ * - status   - the status of every channel: "good" from 0.75, "medium" from 0.4, "bad" below
+ * - metrics  - the `{ std, lineNoise, flat, saturation }` of every channel
+ *
+ * @example
+ * const quality = new SignalQuality(muse);
+ * quality.addEventListener("quality", (event) => {
+ *   const { channels, status } = event.detail;
+ *   startButton.disabled = status.some((s) => s === "bad");
+ * });
+ * quality.start();
+ */
+export class SignalQuality extends MuseStream {
+  #channels = null;
+  #filters = [];
+  #windows = null;
+
+  /**
+   * Constructs a new signal-quality monitor for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose EEG is rated.
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.window=2] - Duration of the rated window in seconds
+   * @param {number} [options.hop=0.5] - Seconds of EEG between two results
+   * @throws {RangeError} If the window is shorter than a second or the hop is not positive.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.window = options.window === undefined ? 2 : options.window;
+    this.hop = options.hop === undefined ? 0.5 : options.hop;
+    if (!(this.window >= 1 && this.hop > 0)) {
+      throw new RangeError(
+        `The window must be at least 1 second and the hop positive, got ${this.window} and ${this.hop}`
+      );
+    }
+  }
+
+  /**
+   * Listens to the EEG. The first result follows once a full window was received.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return { eeg: (event) => this.#onPacket(event.detail) };
+  }
+
+  /**
+   * Discards the window and the state of the filters.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#channels = null;
+  }
+
+  /**
+   * Adds the samples of an EEG packet to the window of its channel, and rates the channels
+   * once every channel received the next hop of samples.
+   *
+   * @param {object} detail - The payload of the `eeg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket({ channel, samples, raw, dropped, reordered, timestamps }) {
+    if (!this.#channels) {
+      this.#setup();
+    }
+    if (reordered || channel >= this.#channels.length) {
+      return;
+    }
+    const filter = this.#filters[channel];
+    const fields = [
+      samples.map((sample) => filter.step(sample)),
+      raw || samples.map(() => NaN),
+    ];
+    const time = timestamps[timestamps.length - 1];
+    if (this.#windows.push(channel, fields, dropped, time)) {
+      this.#emit();
+    }
+  }
+
+  /**
+   * Sets up the windows and filters of the EEG channels of the current layout, without the auxiliary channel.
+   * The windows hold the samples above 1 Hz in µV and the raw 12-bit samples.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #setup() {
+    const layout = this.muse.layout;
+    this.#channels = (layout ? layout.eeg : EEG_CHANNELS).slice(0, 4);
+    this.#windows = new SlidingWindow(this.#channels.length, {
+      length: Math.round(this.window * SAMPLE_RATE),
+      hop: Math.max(1, Math.round(this.hop * SAMPLE_RATE)),
+      slack: SAMPLE_RATE,
+      fields: 2,
+    });
+    this.#filters = this.#channels.map(() =>
+      createFilterChain([{ type: "highpass", frequency: 1, order: 2 }])
+    );
+  }
+
+  /**
+   * Rates the last complete windows and dispatches the result.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #emit() {
+    const metrics = this.#channels.map((channel, c) =>
+      this.#rate(this.#windows.window(c, 0), this.#windows.window(c, 1))
+    );
+    const scores = metrics.map((metric) =>
+      Math.min(
+        ...Object.entries(LIMITS).map(([name, limits]) =>
+          isNaN(metric[name]) ? 1 : score(metric[name], limits)
+        )
+      )
+    );
+    this.publish("quality", {
+      time: this.#windows.time,
+      channels: this.#channels,
+      scores,
+      status: scores.map(status),
+      metrics,
+    });
+  }
+
+  /**
+   * Computes the metrics of the window of a channel. Lost samples are left out of the flat and
+   * saturation shares, and interpolated for the standard deviation and spectrum, see fillGaps.
+   *
+   * @param {Float64Array} values - The samples above 1 Hz in µV, possibly with NaN.
+   * @param {Float64Array} codes - The raw 12-bit samples, possibly with NaN.
+   * @return {{std: number, lineNoise: number, flat: number, saturation: number}} The metrics, NaN if
+   *         the window has no samples.
+   */
+  #rate(values, codes) {
+    let repeated = 0;
+    let saturated = 0;
+    let counted = 0;
+    for (let i = 0; i < codes.length; i++) {
+      if (isNaN(codes[i])) {
+        continue;
+      }
+      counted++;
+      if (RAILS.includes(codes[i])) {
+        saturated++;
+      }
+      if (i > 0 && codes[i] === codes[i - 1]) {
+        repeated++;
+      }
+    }
+
+    const samples = fillGaps(values);
+    if (!samples) {
+      return { std: NaN, lineNoise: NaN, flat: NaN, saturation: NaN };
+    }
+    let mean = 0;
+    for (const value of samples) {
+      mean += value / samples.length;
+    }
+    let variance = 0;
+    for (const value of samples) {
+      variance += (value - mean) ** 2 / samples.length;
+    }
+    const spectrum = welch(samples, { sampleRate: SAMPLE_RATE });
+    const total = bandPower(spectrum, 1, SAMPLE_RATE / 2);
+    const line = Math.max(
+      bandPower(spectrum, 48, 52),
+      bandPower(spectrum, 58, 62)
+    );
+    return {
+      std: Math.sqrt(variance),
+      lineNoise: total > 0 ? line / total : 0,
+      flat: counted > 1 ? repeated / (counted - 1) : NaN,
+      saturation: counted > 0 ? saturated / counted : NaN,
+    };
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * A sliding window over the samples of several channels that arrive in separate packets, as the EEG
+ * channels of a Muse do. Every channel is kept in a ring buffer, and a window is complete every `hop`
+ * samples once every channel received them, so the windows of all channels end at the same sample.
+ * Every sample can hold several fields, e.g. a filtered and a raw value.
+ *
+ * @example
+ * const windows = new SlidingWindow(4, { length: 512, hop: 64, slack: 256 });
+ * // For every EEG packet
+ * if (windows.push(channel, [samples], dropped, timestamps[timestamps.length - 1])) {
+ *   const tp9 = windows.window(0);
+ * }
+ */
+export class SlidingWindow {
+  #buffers = [];
+  #counts = [];
+  #timestamps = [];
+  #next = 0;
+  #end = 0;
+
+  /**
+   * Constructs a new sliding window.
+   *
+   * @constructor
+   * @param {number} channels - The number of channels.
+   * @param {Object} options - Configuration options
+   * @param {number} options.length - The number of samples of a window
+   * @param {number} options.hop - The number of samples between two windows
+   * @param {number} [options.slack=0] - The number of samples kept beyond the window, for the channels
+   *                                     whose packets arrive before the others
+   * @param {number} [options.fields=1] - The number of values of every sample
+   * @throws {RangeError} If the length or hop is not a positive integer.
+   */
+  constructor(channels, options) {
+    const { length, hop, slack = 0, fields = 1 } = options;
+    const positive = (n) => Number.isInteger(n) && n > 0;
+    if (!(positive(length) && positive(hop))) {
+      throw new RangeError(
+        `The length and hop must be positive integers, got ${length} and ${hop}`
+      );
+    }
+    this.length = length;
+    this.hop = hop;
+    for (let c = 0; c < channels; c++) {
+      const fieldBuffers = [];
+      for (let f = 0; f < fields; f++) {
+        fieldBuffers.push(new Float64Array(length + slack));
+      }
+      this.#buffers.push(fieldBuffers);
+      this.#counts.push(0);
+      this.#timestamps.push(null);
+    }
+    this.#next = length;
+  }
+
+  /**
+   * The timestamp of the last sample every channel received.
+   *
+   * @type {number|null}
+   */
+  get time() {
+    return Math.min(...this.#timestamps);
+  }
+
+  /**
+   * Adds the samples of a packet to a channel. Samples lost before it, once the channel received
+   * a first packet, are added as NaN so that the channels stay aligned.
+   *
+   * @param {number} channel - The index of the channel.
+   * @param {ArrayLike<number>[]} fields - The samples of the packet, one array per field.
+   * @param {number} dropped - The number of packets lost before this one.
+   * @param {number} time - The timestamp of the last sample of the packet.
+   * @return {boolean} Whether a new window is complete, see window.
+   */
+  push(channel, fields, dropped, time) {
+    const buffers = this.#buffers[channel];
+    const count = fields[0].length;
+    const add = (index) => {
+      const slot = this.#counts[channel] % buffers[0].length;
+      for (let f = 0; f < buffers.length; f++) {
+        buffers[f][slot] = index < 0 ? NaN : fields[f][index];
+      }
+      this.#counts[channel]++;
+    };
+    if (this.#counts[channel] > 0) {
+      for (let i = dropped * count; i > 0; i--) {
+        add(-1);
+      }
+    }
+    for (let i = 0; i < count; i++) {
+      add(i);
+    }
+    this.#timestamps[channel] = time;
+
+    const received = Math.min(...this.#counts);
+    if (received < this.#next) {
+      return false;
+    }
+    this.#end = received;
+    while (this.#next <= received) {
+      this.#next += this.hop;
+    }
+    return true;
+  }
+
+  /**
+   * Returns the last complete window of a channel.
+   *
+   * @param {number} channel - The index of the channel.
+   * @param {number} [field=0] - The index of the field.
+   * @return {Float64Array} A copy of the samples of the window, NaN where samples were lost.
+   */
+  window(channel, field = 0) {
+    const buffer = this.#buffers[channel][field];
+    const window = new Float64Array(this.length);
+    for (let i = 0; i < window.length; i++) {
+      window[i] = buffer[(this.#end - window.length + i) % buffer.length];
+    }
+    return window;
+  }
+}
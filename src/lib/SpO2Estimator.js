@@ -0,0 +1,276 @@
+import { HeartRateMonitor } from "./HeartRateMonitor.js";
+import { MuseStream } from "./MuseStream.js";
+import { PPG_CHANNELS, SAMPLE_RATES } from "./protocol.js";
+import { median } from "./statistics.js";
+
+// The indices of the red and infrared PPG channels
+const RED = PPG_CHANNELS.indexOf("red");
+const INFRARED = PPG_CHANNELS.indexOf("infrared");
+
+// Seconds of red and infrared samples kept, enough for the longest accepted beat and the delay of its detection
+const HISTORY = 4;
+
+/**
+ * The default calibration curve, SpO2 = 110 - 25 R, as the coefficients of a polynomial in R from the
+ * constant term up. It is the usual empirical line of transmissive pulse oximeters; the true curve of the
+ * forehead sensor of a Muse is not published, so the absolute values are only indicative.
+ */
+export const DEFAULT_CALIBRATION = [110, -25];
+
+/**
+ * Computes the pulsatile (AC) and steady (DC) components of one cardiac cycle. The baseline is removed
+ * as the line through the first and last sample, so slow drift does not count as pulsation.
+ *
+ * @param {number[]} samples - The samples of the cycle, from one systolic peak to the next.
+ * @return {{ac: number, dc: number}} The peak-to-peak amplitude and the mean of the cycle.
+ */
+const components = (samples) => {
+  const n = samples.length;
+  const first = samples[0];
+  const slope = (samples[n - 1] - first) / (n - 1);
+  let min = Infinity;
+  let max = -Infinity;
+  let dc = 0;
+  for (let i = 0; i < n; i++) {
+    const detrended = samples[i] - first - slope * i;
+    min = Math.min(min, detrended);
+    max = Math.max(max, detrended);
+    dc += samples[i] / n;
+  }
+  return { ac: max - min, dc };
+};
+
+/**
+ * Estimates the blood oxygen saturation (SpO2) of the wearer of a Muse 2 or Muse S from the red and
+ * infrared PPG channels, with the ratio of ratios
+ * `R = (AC red / DC red) / (AC infrared / DC infrared)`
+ * mapped to SpO2 through a calibration curve. The AC and DC components are computed over every cardiac
+ * cycle, between the beats found by a HeartRateMonitor on the infrared channel, and R is the median over
+ * the last `beats` cycles. The result is a trend rather than a clinical measurement.
+ *
+ * Every beat with a complete cycle is dispatched as an `spo2` event whose `event.detail` is
+ * `{ time, spo2, ratio, perfusion, beats, quality }`:
+ * - time      - the Unix timestamp in milliseconds of the beat that ended the last cycle
+ * - spo2      - the saturation in percent, at most 100
+ * - ratio     - the median ratio of ratios R
+ * - perfusion - the perfusion index of the infrared channel, AC / DC in percent
+ * - beats     - the number of cycles R is the median of
+ * - quality   - "good", "medium" or "bad":
+ *               bad while fewer than 3 cycles were measured, the heart-rate confidence is below 0.4, or the
+ *               saturation is below 70 % or above 100 % before it is capped; medium while the heart-rate
+ *               confidence is below 0.7 or the ratios of the cycles deviate from their median by more
+ *               than 10 % on average; good otherwise
+ *
+ * @example
+ * const oximeter = new SpO2Estimator(muse);
+ * oximeter.addEventListener("spo2", (event) => {
+ *   const { time, spo2, quality } = event.detail;
+ *   if (quality !== "bad") {
+ *     trend.push({ time, spo2 });
+ *   }
+ * });
+ * oximeter.start();
+ */
+export class SpO2Estimator extends MuseStream {
+  #monitor;
+  #samples = [];
+  #pending = [];
+  #cycles = [];
+
+  /**
+   * Constructs a new SpO2 estimator for a Muse.
+   *
+   * @constructor
+   * @param {MuseBase} muse - The device whose PPG is analyzed.
+   * @param {Object} [options] - Configuration options
+   * @param {number[]|Function} [options.calibration=DEFAULT_CALIBRATION] - The calibration curve, as the
+   *        coefficients of a polynomial in R from the constant term up, or a function from R to SpO2 in percent
+   * @param {number} [options.beats=8] - The number of cardiac cycles R is the median of
+   * @param {boolean} [options.invert=true] - Whether the pulse lowers the signal, see HeartRateMonitor
+   * @throws {TypeError} If the calibration is neither an array nor a function.
+   * @throws {RangeError} If the number of beats is not a positive integer.
+   */
+  constructor(muse, options = {}) {
+    super(muse);
+    this.calibration = options.calibration || DEFAULT_CALIBRATION;
+    this.beats = options.beats === undefined ? 8 : options.beats;
+    if (
+      !Array.isArray(this.calibration) &&
+      typeof this.calibration !== "function"
+    ) {
+      throw new TypeError(
+        "The calibration must be an array of coefficients or a function"
+      );
+    }
+    if (!(Number.isInteger(this.beats) && this.beats > 0)) {
+      throw new RangeError(
+        `The number of beats must be a positive integer, got ${this.beats}`
+      );
+    }
+    this.#monitor = new HeartRateMonitor(muse, {
+      channel: "infrared",
+      invert: options.invert,
+    });
+    this.#monitor.addEventListener("heartrate", (event) =>
+      this.#onBeat(event.detail)
+    );
+  }
+
+  /**
+   * Maps a ratio of ratios to a saturation with the calibration curve.
+   *
+   * @param {number} ratio - The ratio of ratios R.
+   * @return {number} The saturation in percent, not capped.
+   */
+  saturation(ratio) {
+    if (typeof this.calibration === "function") {
+      return this.calibration(ratio);
+    }
+    return this.calibration.reduce(
+      (sum, coefficient, power) => sum + coefficient * ratio ** power,
+      0
+    );
+  }
+
+  /**
+   * Starts estimating, along with the heart-rate monitor that finds the beats.
+   * The first estimate follows the second beat.
+   *
+   * @return {void} This function does not return a value.
+   */
+  start() {
+    super.start();
+    this.#monitor.start();
+  }
+
+  /**
+   * Stops estimating, along with the heart-rate monitor.
+   *
+   * @return {void} This function does not return a value.
+   */
+  stop() {
+    this.#monitor.stop();
+    super.stop();
+  }
+
+  /**
+   * Listens to the PPG.
+   *
+   * @return {Object<string, function(CustomEvent): void>} The listeners, keyed by event type.
+   */
+  listeners() {
+    return { ppg: (event) => this.#onPacket(event.detail) };
+  }
+
+  /**
+   * Discards the samples and the cycles.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.#samples = PPG_CHANNELS.map(() => []);
+    this.#pending = [];
+    this.#cycles = [];
+  }
+
+  /**
+   * Keeps the recent samples of the red and infrared channels, and measures the cycles
+   * whose samples both channels received.
+   *
+   * @param {object} detail - The payload of the `ppg` event.
+   * @return {void} This function does not return a value.
+   */
+  #onPacket({ channel, samples, reordered, timestamps }) {
+    if (reordered || (channel !== RED && channel !== INFRARED)) {
+      return;
+    }
+    const history = this.#samples[channel];
+    for (let i = 0; i < samples.length; i++) {
+      history.push({ value: samples[i], time: timestamps[i] });
+    }
+    history.splice(0, history.length - HISTORY * SAMPLE_RATES.ppg);
+    this.#measure();
+  }
+
+  /**
+   * Queues the cycle that ended with a beat.
+   *
+   * @param {object} detail - The payload of the `heartrate` event of the HeartRateMonitor.
+   * @return {void} This function does not return a value.
+   */
+  #onBeat({ time, ibi, confidence }) {
+    if (!isNaN(ibi)) {
+      this.#pending.push({ start: time - ibi, end: time, confidence });
+    }
+  }
+
+  /**
+   * Measures the queued cycles whose samples both channels received, and dispatches the estimate.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #measure() {
+    const red = this.#samples[RED];
+    const infrared = this.#samples[INFRARED];
+    if (red.length === 0 || infrared.length === 0) {
+      return;
+    }
+    const received = Math.min(
+      red[red.length - 1].time,
+      infrared[infrared.length - 1].time
+    );
+    while (this.#pending.length > 0 && this.#pending[0].end <= received) {
+      const { start, end, confidence } = this.#pending.shift();
+      const within = (sample) => sample.time >= start && sample.time <= end;
+      const cycle = [red, infrared].map((history) =>
+        history.filter(within).map((sample) => sample.value)
+      );
+      // A cycle with missing samples, e.g. a lost packet in one channel, is skipped
+      const expected = ((end - start) * SAMPLE_RATES.ppg) / 1000;
+      if (cycle.some((values) => values.length < expected - 2)) {
+        continue;
+      }
+      const [r, ir] = cycle.map(components);
+      if (!(r.dc > 0 && ir.dc > 0 && ir.ac > 0)) {
+        continue;
+      }
+      this.#cycles.push({
+        ratio: r.ac / r.dc / (ir.ac / ir.dc),
+        perfusion: (100 * ir.ac) / ir.dc,
+      });
+      this.#cycles.splice(0, this.#cycles.length - this.beats);
+      this.#emit(end, confidence);
+    }
+  }
+
+  /**
+   * Dispatches the estimate of the last cycles.
+   *
+   * @param {number} time - The timestamp of the beat that ended the last cycle.
+   * @param {number} confidence - The confidence of the HeartRateMonitor at that beat.
+   * @return {void} This function does not return a value.
+   */
+  #emit(time, confidence) {
+    const cycles = this.#cycles;
+    const ratio = median(cycles.map((cycle) => cycle.ratio));
+    const spread =
+      cycles.reduce((sum, cycle) => sum + Math.abs(cycle.ratio - ratio), 0) /
+      cycles.length /
+      ratio;
+    const spo2 = this.saturation(ratio);
+    let quality = "good";
+    if (cycles.length < 3 || confidence < 0.4 || !(spo2 >= 70 && spo2 <= 100)) {
+      quality = "bad";
+    } else if (confidence < 0.7 || spread > 0.1) {
+      quality = "medium";
+    }
+    this.publish("spo2", {
+      time,
+      spo2: Math.min(100, spo2),
+      ratio,
+      perfusion: median(cycles.map((cycle) => cycle.perfusion)),
+      beats: cycles.length,
+      quality,
+    });
+  }
+}
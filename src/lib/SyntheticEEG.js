@@ -0,0 +1,494 @@
+import { EEG_CHANNELS, SAMPLE_RATES } from "./protocol.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.eeg;
+
+/**
+ * The default state of every signal component. Amplitudes are in microvolts,
+ * frequencies in Hz, durations and intervals in seconds, and rates in events per minute.
+ */
+const DEFAULTS = {
+  noise: { amplitude: 10 },
+  alpha: { frequency: 10, amplitude: 20, burstDuration: 2, burstInterval: 2 },
+  blinks: { rate: 0, amplitude: 150, duration: 0.3 },
+  jawClench: { rate: 0, amplitude: 30, duration: 1 },
+  lineNoise: { frequency: 50, amplitude: 0 },
+  pops: { rate: 0, amplitude: 200 },
+};
+
+/**
+ * The relative amplitude of the spatially distributed components on TP9, AF7, AF8 and TP10.
+ * Alpha is strongest behind the ears, blinks are only picked up by the forehead electrodes,
+ * and jaw-clench EMG is strongest at the temporal electrodes.
+ */
+const WEIGHTS = {
+  alpha: [1, 0.4, 0.4, 1],
+  blink: [0, 1, 1, 0],
+  clench: [1, 0.6, 0.6, 1],
+};
+
+/**
+ * The coefficients of Paul Kellet's pink noise filter, and the gain that brings its output
+ * to unit RMS for unit-variance white noise input.
+ */
+const PINK = [
+  [0.99886, 0.0555179],
+  [0.99332, 0.0750759],
+  [0.969, 0.153852],
+  [0.8665, 0.3104856],
+  [0.55, 0.5329522],
+  [-0.7616, -0.016898],
+];
+const PINK_GAIN = 0.331;
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32) with uniform output in [0, 1).
+ *
+ * @param {number} seed - The seed, used as an unsigned 32-bit integer.
+ * @return {Function} The generator.
+ */
+const mulberry32 = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Returns the Hann window at the relative position x in [0, 1].
+ *
+ * @param {number} x - The position within the window.
+ * @return {number} The window value, 0 at both ends and 1 in the middle.
+ */
+const hann = (x) => Math.sin(Math.PI * x) ** 2;
+
+/**
+ * A procedural EEG source for the four Muse EEG channels at 256 Hz, for use as a mock data source
+ * and as ground truth in tests. The signal is the sum of
+ * - noise     - 1/f background noise on every channel
+ * - alpha     - bursts of a sinusoidal rhythm, waxing and waning with a Hann envelope
+ * - blinks    - positive deflections on AF7 and AF8
+ * - jawClench - bursts of broadband EMG, strongest on TP9 and TP10
+ * - lineNoise - a 50 or 60 Hz sinusoid on every channel
+ * - pops      - sudden steps with an exponential recovery on a single channel
+ *
+ * The output only depends on the seed, the options and the calls made on the instance,
+ * so the same configuration always produces the same signal. Every artifact and alpha burst
+ * is logged in `events` as it starts.
+ *
+ * @example
+ * const source = new SyntheticEEG({
+ *   seed: 42,
+ *   alpha: { frequency: 10, amplitude: 30, burstInterval: 0 },
+ *   script: [
+ *     { at: 5, event: "blink" },
+ *     { at: 10, set: { alpha: { amplitude: 0 }, jawClench: { rate: 6 } } },
+ *   ],
+ * });
+ * const muse = new Muse({ mock: true, mockSource: source });
+ */
+export class SyntheticEEG {
+  #options;
+  #random;
+  #spare;
+  #pink;
+  #emg;
+  #transients;
+  #burst;
+  #alphaPhase;
+  #linePhase;
+  #script;
+  #scriptIndex;
+
+  /**
+   * Constructs a new synthetic EEG source.
+   *
+   * @constructor
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.seed=1] - The seed of the pseudo-random number generator
+   * @param {Object} [options.noise] - 1/f background noise: `{ amplitude }`, the RMS in microvolts (10)
+   * @param {Object} [options.alpha] - Alpha bursts: `{ frequency, amplitude, burstDuration, burstInterval }`,
+   *                                   (10 Hz, 20 µV peak, 2 s, 2 s). The duration and interval are averages;
+   *                                   an interval of 0 gives a continuous rhythm.
+   * @param {Object} [options.blinks] - Random eye blinks: `{ rate, amplitude, duration }` (0/min, 150 µV, 0.3 s)
+   * @param {Object} [options.jawClench] - Random jaw clenches: `{ rate, amplitude, duration }`,
+   *                                       with the amplitude as the RMS of the EMG (0/min, 30 µV, 1 s)
+   * @param {Object} [options.lineNoise] - Line noise: `{ frequency, amplitude }` (50 Hz, 0 µV peak)
+   * @param {Object} [options.pops] - Random electrode pops: `{ rate, amplitude }` (0/min, 200 µV)
+   * @param {Object[]} [options.script] - Changes over time, each with the time `at` in seconds and either
+   *                                      `set`, an object of component changes as passed to `set()`,
+   *                                      or `event`, one of "blink", "clench" or "pop" with the
+   *                                      optional `duration` and `channel` of the event.
+   * @throws {TypeError} If an option names an unknown component or a script entry an unknown event.
+   */
+  constructor(options = {}) {
+    for (const entry of options.script || []) {
+      if (entry.event && !["blink", "clench", "pop"].includes(entry.event)) {
+        throw new TypeError(`Unknown synthetic EEG event: ${entry.event}`);
+      }
+    }
+    this.#options = options;
+    this.reset();
+  }
+
+  /**
+   * The sample rate of the generated signal in Hz.
+   *
+   * @type {number}
+   */
+  get sampleRate() {
+    return SAMPLE_RATE;
+  }
+
+  /**
+   * The time of the next sample in seconds since the start of the signal.
+   *
+   * @type {number}
+   */
+  get time() {
+    return this.index / SAMPLE_RATE;
+  }
+
+  /**
+   * Restarts the signal from the beginning, with the initial state and seed.
+   * The signal generated after a reset is identical to the one generated after construction.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    const options = this.#options;
+    this.seed = options.seed === undefined ? 1 : options.seed;
+    this.state = {};
+    for (const component in DEFAULTS) {
+      this.state[component] = { ...DEFAULTS[component] };
+    }
+    this.set(options);
+    this.index = 0;
+    this.events = [];
+    this.#random = mulberry32(this.seed);
+    this.#spare = null;
+    this.#pink = Array.from({ length: 4 }, () => new Float64Array(7));
+    this.#emg = new Float64Array(4);
+    this.#transients = [];
+    this.#burst = { start: 0, end: 0, logged: true };
+    this.#alphaPhase = 0;
+    this.#linePhase = 0;
+    this.#script = (options.script || []).slice().sort((a, b) => a.at - b.at);
+    this.#scriptIndex = 0;
+  }
+
+  /**
+   * Changes the state of one or more signal components, from the next sample on.
+   *
+   * @example
+   * source.set({ alpha: { amplitude: 40 }, lineNoise: { frequency: 60, amplitude: 5 } });
+   *
+   * @param {Object} changes - The changed properties by component, e.g. `{ alpha: { amplitude: 40 } }`.
+   *                           Options that are not components, such as `seed` and `script`, are ignored.
+   * @return {void} This function does not return a value.
+   * @throws {TypeError} If a change names an unknown component.
+   */
+  set(changes) {
+    for (const component in changes) {
+      if (component in DEFAULTS) {
+        Object.assign(this.state[component], changes[component]);
+      } else if (!["seed", "script"].includes(component)) {
+        throw new TypeError(`Unknown synthetic EEG component: ${component}`);
+      }
+    }
+  }
+
+  /**
+   * Starts an eye blink at the next sample.
+   *
+   * @param {number} [duration=state.blinks.duration] - The duration of the blink in seconds.
+   * @return {void} This function does not return a value.
+   */
+  blink(duration = this.state.blinks.duration) {
+    this.#start("blink", {
+      duration,
+      amplitude: this.state.blinks.amplitude,
+      weights: WEIGHTS.blink,
+    });
+  }
+
+  /**
+   * Starts a jaw clench at the next sample.
+   *
+   * @param {number} [duration=state.jawClench.duration] - The duration of the clench in seconds.
+   * @return {void} This function does not return a value.
+   */
+  clench(duration = this.state.jawClench.duration) {
+    this.#start("clench", {
+      duration,
+      amplitude: this.state.jawClench.amplitude,
+      weights: WEIGHTS.clench,
+    });
+  }
+
+  /**
+   * Starts an electrode pop at the next sample.
+   *
+   * @param {number} [channel] - The index of the channel, from 0 (TP9) to 3 (TP10). Random by default.
+   * @return {void} This function does not return a value.
+   */
+  pop(channel = Math.floor(this.#random() * 4)) {
+    const weights = [0, 0, 0, 0];
+    weights[channel] = this.#random() < 0.5 ? -1 : 1;
+    this.#start("pop", {
+      duration: 0.5,
+      amplitude: this.state.pops.amplitude,
+      weights,
+    });
+  }
+
+  /**
+   * Generates the next sample of every channel, as a row in the format of the mock data.
+   *
+   * @return {{timestamp: number, eeg: number[], ppg: null, accelerometer: null, gyroscope: null, battery: null}}
+   *         The time of the sample in milliseconds since the start of the signal, and the samples of
+   *         TP9, AF7, AF8 and TP10 in microvolts.
+   */
+  next() {
+    this.#runScript();
+    this.#startRandomArtifacts();
+
+    const state = this.state;
+    const alpha =
+      state.alpha.amplitude *
+      this.#alphaEnvelope() *
+      Math.sin(this.#alphaPhase);
+    const line = state.lineNoise.amplitude * Math.sin(this.#linePhase);
+    const eeg = [];
+    for (let channel = 0; channel < 4; channel++) {
+      eeg.push(
+        state.noise.amplitude * this.#pinkNoise(channel) +
+          alpha * WEIGHTS.alpha[channel] +
+          line
+      );
+    }
+    this.#addTransients(eeg);
+
+    const row = {
+      timestamp: (this.index * 1000) / SAMPLE_RATE,
+      eeg,
+      ppg: null,
+      accelerometer: null,
+      gyroscope: null,
+      battery: null,
+    };
+    this.#alphaPhase =
+      (this.#alphaPhase + (2 * Math.PI * state.alpha.frequency) / SAMPLE_RATE) %
+      (2 * Math.PI);
+    this.#linePhase =
+      (this.#linePhase +
+        (2 * Math.PI * state.lineNoise.frequency) / SAMPLE_RATE) %
+      (2 * Math.PI);
+    this.index++;
+    return row;
+  }
+
+  /**
+   * Generates the given duration of signal at once, e.g. as the input of a test.
+   *
+   * @param {number} seconds - The duration to generate in seconds.
+   * @return {{eeg: Float64Array[], timestamps: Float64Array}} The samples of TP9, AF7, AF8 and TP10
+   *         in microvolts and their times in milliseconds since the start of the signal.
+   */
+  generate(seconds) {
+    const length = Math.round(seconds * SAMPLE_RATE);
+    const eeg = Array.from({ length: 4 }, () => new Float64Array(length));
+    const timestamps = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      const row = this.next();
+      timestamps[i] = row.timestamp;
+      for (let channel = 0; channel < 4; channel++) {
+        eeg[channel][i] = row.eeg[channel];
+      }
+    }
+    return { eeg, timestamps };
+  }
+
+  /**
+   * Applies the script entries that are due at the current sample.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #runScript() {
+    const script = this.#script;
+    while (
+      this.#scriptIndex < script.length &&
+      script[this.#scriptIndex].at * SAMPLE_RATE <= this.index
+    ) {
+      const entry = script[this.#scriptIndex++];
+      if (entry.set) {
+        this.set(entry.set);
+      }
+      if (entry.event === "blink") {
+        this.blink(entry.duration);
+      } else if (entry.event === "clench") {
+        this.clench(entry.duration);
+      } else if (entry.event === "pop") {
+        this.pop(entry.channel);
+      }
+    }
+  }
+
+  /**
+   * Starts the random artifacts of the current sample, each with a probability given by its rate.
+   *
+   * @return {void} This function does not return a value.
+   */
+  #startRandomArtifacts() {
+    const chance = (rate) => this.#random() < rate / 60 / SAMPLE_RATE;
+    if (chance(this.state.blinks.rate)) {
+      this.blink();
+    }
+    if (chance(this.state.jawClench.rate)) {
+      this.clench();
+    }
+    if (chance(this.state.pops.rate)) {
+      this.pop();
+    }
+  }
+
+  /**
+   * Starts a transient artifact at the current sample and logs it in `events`.
+   *
+   * @param {string} type - "blink", "clench" or "pop".
+   * @param {Object} transient - The `duration` in seconds, the `amplitude` and the channel `weights`.
+   * @return {void} This function does not return a value.
+   */
+  #start(type, { duration, amplitude, weights }) {
+    const length = Math.max(1, Math.round(duration * SAMPLE_RATE));
+    this.#transients.push({
+      type,
+      start: this.index,
+      length,
+      amplitude,
+      weights,
+    });
+    this.events.push({
+      type,
+      time: this.time,
+      duration: length / SAMPLE_RATE,
+      channels: EEG_CHANNELS.filter((name, i) => i < 4 && weights[i] !== 0),
+    });
+  }
+
+  /**
+   * Adds the active transient artifacts to the samples of the current sample, and drops finished ones.
+   *
+   * @param {number[]} eeg - The samples of the four channels.
+   * @return {void} This function does not return a value.
+   */
+  #addTransients(eeg) {
+    // High-pass filtered white noise as EMG, with unit RMS
+    const emg = [];
+    for (let channel = 0; channel < 4; channel++) {
+      const white = this.#gaussian();
+      emg.push((white - this.#emg[channel]) / Math.SQRT2);
+      this.#emg[channel] = white;
+    }
+    for (const transient of this.#transients) {
+      const k = this.index - transient.start;
+      const x = k / transient.length;
+      for (let channel = 0; channel < 4; channel++) {
+        const weight = transient.weights[channel];
+        if (weight === 0) {
+          continue;
+        }
+        let value;
+        if (transient.type === "blink") {
+          value = hann(x);
+        } else if (transient.type === "clench") {
+          // Flat envelope with 50 ms ramps
+          const ramp = 0.05 * SAMPLE_RATE;
+          value = Math.min(1, k / ramp, (transient.length - k) / ramp);
+          value *= emg[channel];
+        } else {
+          // Step with an exponential recovery with a time constant of 100 ms
+          value = Math.exp(-k / (0.1 * SAMPLE_RATE));
+        }
+        eeg[channel] += transient.amplitude * weight * value;
+      }
+    }
+    this.#transients = this.#transients.filter(
+      (transient) => this.index - transient.start + 1 < transient.length
+    );
+  }
+
+  /**
+   * Returns the alpha envelope of the current sample, scheduling the next burst when one ends.
+   *
+   * @return {number} The envelope in [0, 1].
+   */
+  #alphaEnvelope() {
+    const { burstDuration, burstInterval } = this.state.alpha;
+    if (burstInterval <= 0) {
+      return 1;
+    }
+    const burst = this.#burst;
+    if (this.index >= burst.end) {
+      // Durations and intervals vary uniformly between half and one and a half times their average
+      const gap = burstInterval * (0.5 + this.#random());
+      const duration = burstDuration * (0.5 + this.#random());
+      burst.start = this.index + Math.round(gap * SAMPLE_RATE);
+      burst.end = burst.start + Math.max(1, Math.round(duration * SAMPLE_RATE));
+      burst.logged = false;
+    }
+    if (this.index < burst.start) {
+      return 0;
+    }
+    if (!burst.logged && this.state.alpha.amplitude !== 0) {
+      burst.logged = true;
+      this.events.push({
+        type: "alpha",
+        time: this.time,
+        duration: (burst.end - burst.start) / SAMPLE_RATE,
+        channels: EEG_CHANNELS.slice(0, 4),
+      });
+    }
+    return hann((this.index - burst.start) / (burst.end - burst.start));
+  }
+
+  /**
+   * Returns the next sample of the 1/f noise of a channel, with unit RMS.
+   *
+   * @param {number} channel - The index of the channel.
+   * @return {number} The noise sample.
+   */
+  #pinkNoise(channel) {
+    const b = this.#pink[channel];
+    const white = this.#gaussian();
+    let sum = 0;
+    for (let i = 0; i < PINK.length; i++) {
+      b[i] = PINK[i][0] * b[i] + white * PINK[i][1];
+      sum += b[i];
+    }
+    const pink = sum + b[6] + white * 0.5362;
+    b[6] = white * 0.115926;
+    return pink * PINK_GAIN;
+  }
+
+  /**
+   * Returns a normally distributed pseudo-random number (Box-Muller transform).
+   *
+   * @return {number} The number, with mean 0 and variance 1.
+   */
+  #gaussian() {
+    if (this.#spare !== null) {
+      const spare = this.#spare;
+      this.#spare = null;
+      return spare;
+    }
+    const u = 1 - this.#random();
+    const v = this.#random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    this.#spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  }
+}
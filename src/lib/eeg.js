@@ -1,119 +1,91 @@
-// src/services/eeg.js
-
-const SAMPLE_RATE = 256; // Assuming 256Hz sample rate
-const WINDOW_SIZE = 3 * SAMPLE_RATE; // 3 seconds of data
+import { fillGaps } from "./gaps.js";
+import { computeMetrics } from "./metrics.js";
+import { Recorder } from "./Recorder.js";
+import { SAMPLE_RATES } from "./protocol.js";
+import { BANDS, bandPower, welch } from "./spectrum.js";
+
+const SAMPLE_RATE = SAMPLE_RATES.eeg; // The rate of live and recorded data, and of recordings without their own
+const WINDOW_DURATION = 3; // Seconds of data analyzed
+const WINDOW_SIZE = WINDOW_DURATION * SAMPLE_RATE;
 const CHANNELS = 4;
 
-let recordingBuffer = [];
-let isRecording = false;
-let recordingStartTime = null;
-
-// Sanitize and interpolate data
-function sanitizeAndInterpolate(data) {
-  const validData = data.filter(
-    (val) => val !== null && !isNaN(val) && typeof val === "number"
-  );
-  if (validData.length === 0) return new Array(data.length).fill(0);
-
-  let lastValidValue = validData[0];
-  return data.map((val) => {
-    if (val !== null && !isNaN(val) && typeof val === "number") {
-      lastValidValue = val;
-      return val;
-    }
-    return lastValidValue;
-  });
-}
-
-// Calculate power spectrum using periodogram method
-function calculatePowerSpectrum(data) {
-  const n = data.length;
-  const spectrum = new Array(n / 2).fill(0);
-
-  for (let k = 0; k < n / 2; k++) {
-    let real = 0;
-    let imag = 0;
-    for (let t = 0; t < n; t++) {
-      const angle = (2 * Math.PI * t * k) / n;
-      real += data[t] * Math.cos(angle);
-      imag -= data[t] * Math.sin(angle);
-    }
-    spectrum[k] = (real * real + imag * imag) / n;
-  }
+// The device of the pipeline and the recorder of startRecording, for the legacy recording functions
+let pipelineMuse = null;
+let legacyRecorder = null;
 
-  return spectrum;
-}
-
-// Define frequency bands
-const bands = {
-  delta: [0.5, 4],
-  theta: [4, 8],
-  alpha: [8, 13],
-  beta: [13, 30],
-  gamma: [30, 100],
-};
-
-// Calculate power by band
-function powerByBand(powerSpectrumData) {
+// Calculate power by band, integrating the power spectral density over the frequencies of each band
+function powerByBand(spectrum) {
   const result = {};
-  const freqResolution = SAMPLE_RATE / WINDOW_SIZE;
-
-  for (const [band, [low, high]] of Object.entries(bands)) {
-    const lowIndex = Math.max(1, Math.floor(low / freqResolution));
-    const highIndex = Math.min(
-      powerSpectrumData.length - 1,
-      Math.ceil(high / freqResolution)
-    );
-    result[band] = powerSpectrumData
-      .slice(lowIndex, highIndex)
-      .reduce((a, b) => a + b, 0);
+  for (const [band, [low, high]] of Object.entries(BANDS)) {
+    result[band] = bandPower(spectrum, low, high);
   }
-
   return result;
 }
 
 /**
  * Sets up a pipeline to continuously fetch EEG data from a Muse device and update the raw EEG data state.
+ * The device also becomes the one recorded by startRecording.
  *
  * @param {Object} muse - The Muse device object.
  * @param {Function} setRawEEG - A function to set the raw EEG data state.
  * @return {Function} A function to stop the pipeline by clearing the interval subscription.
  */
 export const setupPipeline = (muse, setRawEEG) => {
+  pipelineMuse = muse;
   const subscription = setInterval(() => {
     const eegData = muse.eeg.slice(0, CHANNELS).map((buffer) => buffer.read());
     setRawEEG(eegData);
-
-    if (isRecording) {
-      recordingBuffer.push(eegData);
-    }
   }, 1000 / SAMPLE_RATE);
 
-  return () => clearInterval(subscription);
+  return () => {
+    clearInterval(subscription);
+    if (pipelineMuse === muse) {
+      pipelineMuse = null;
+    }
+  };
 };
 
 /**
- * Initiates the recording process by clearing the recording buffer, setting the recording flag to true, and capturing the start time.
+ * Starts recording the EEG data of a device with a Recorder.
  *
+ * @deprecated Use a Recorder, which can record several devices and sensors at once.
+ * @param {Object} [muse] - The Muse device object, the device of the pipeline by default.
  * @return {void} No return value
+ * @throws {Error} If no device is given and no pipeline is set up.
  */
-export const startRecording = () => {
-  console.log("Starting recording");
-  recordingBuffer = [];
-  isRecording = true;
-  recordingStartTime = Date.now();
+export const startRecording = (muse = pipelineMuse) => {
+  if (!muse) {
+    throw new Error("No device to record. Set up the pipeline first.");
+  }
+  if (legacyRecorder) {
+    legacyRecorder.stop();
+  }
+  legacyRecorder = new Recorder(muse, {
+    sensors: { ppg: false, accelerometer: false, gyroscope: false },
+  });
+  legacyRecorder.start();
 };
 
 /**
- * Stops the recording process, calculates the recording duration, checks if enough data is recorded,
- * and processes the recorded data.
+ * Stops the recording started by startRecording, checks if enough data is recorded,
+ * and processes the last 3 seconds of the recorded EEG data.
  *
- * @return {object | null} The processed recorded data or null if conditions are not met.
+ * @deprecated Use a Recorder, and analyzeRecording on its session.
+ * @return {object | null} The processed recorded data, including the `gaps` caused by reconnections during
+ *                         the recording as `{ startIndex, endIndex, start, end, duration }`, or null if conditions
+ *                         are not met.
  */
 export const stopRecording = () => {
-  isRecording = false;
-
-  const recordingDuration = (Date.now() - recordingStartTime) / 1000; // duration in seconds
+  const session = legacyRecorder && legacyRecorder.stop();
+  legacyRecorder = null;
+  const eeg = session && session.streams.eeg;
+  const length = eeg ? eeg.timestamps.length : 0;
+
+  // Transpose the last window of the session to one array of channel values per sample
+  let recordingBuffer = [];
+  for (let i = Math.max(0, length - WINDOW_SIZE); i < length; i++) {
+    recordingBuffer.push(eeg.data.slice(0, CHANNELS).map((data) => data[i]));
+  }
   if (
     recordingBuffer.length < WINDOW_SIZE &&
     recordingBuffer.length > WINDOW_SIZE / 2
@@ -124,36 +96,99 @@ export const stopRecording = () => {
       )
     );
   }
-  if (recordingDuration < 3 || recordingBuffer.length < WINDOW_SIZE) {
-    console.log(
-      "Not enough data recorded. Please record for at least 3 seconds."
-    );
-    // console.log("Recorded data:", recordingBuffer);
+  if (
+    !session ||
+    session.duration < 3 ||
+    recordingBuffer.length < WINDOW_SIZE
+  ) {
     return null;
   }
 
-  return processRecordedData(recordingBuffer);
+  // Locate the reconnection gaps in the recorded samples
+  const indexOf = (time) => {
+    const index = eeg.timestamps.findIndex((timestamp) => timestamp >= time);
+    return index === -1 ? length : index;
+  };
+  const gaps = session.gaps.map((gap) => ({
+    startIndex: indexOf(gap.start),
+    endIndex: indexOf(gap.end),
+    ...gap,
+  }));
+
+  const result = processRecordedData(recordingBuffer, {
+    sampleRate: eeg.sampleRate,
+  });
+  return result && { ...result, gaps };
 };
 
 /**
- * Processes the recorded data buffer to extract sanitized data, power spectra, power by band, and alpha band power.
+ * Processes an imported recording or the session of a Recorder like a recording made with
+ * startRecording and stopRecording, using the last 3 seconds of the selected part. The spectra use the
+ * sample rate of the recording, and samples lost in transmission are interpolated.
+ *
+ * @param {Object} recording - A recording returned by parseRecording, or a session returned by Recorder.stop.
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.start=0] - Start of the analyzed part in seconds since the start of the recording
+ * @param {number} [options.end] - End of the analyzed part in seconds, the end of the recording by default
+ * @param {number} [options.segmentLength] - Samples per segment of the Welch power spectral density,
+ *                                           one second of samples by default
+ * @param {number} [options.overlap=0.5] - Overlap of the segments, as a fraction of the segment length
+ * @param {string} [options.window="hann"] - Window of the segments, one of the keys of WINDOWS in spectrum.js
+ * @return {object | null} The processed data, as returned by stopRecording without `gaps`,
+ *                         or null if the part is shorter than 3 seconds.
+ */
+export const analyzeRecording = (recording, options = {}) => {
+  const start = (options.start || 0) * 1000;
+  const end = options.end === undefined ? Infinity : options.end * 1000;
+  const selected = (timestamp) => timestamp >= start && timestamp < end;
+  let dataBuffer = [];
+  let sampleRate = recording.sampleRate;
+  if (recording.streams) {
+    // Sessions have Unix timestamps and one array per channel
+    const eeg = recording.streams.eeg;
+    sampleRate = eeg ? eeg.sampleRate : SAMPLE_RATE;
+    const length = eeg ? eeg.timestamps.length : 0;
+    for (let i = 0; i < length; i++) {
+      if (selected(eeg.timestamps[i] - recording.startTime)) {
+        dataBuffer.push(eeg.data.slice(0, CHANNELS).map((data) => data[i]));
+      }
+    }
+  } else {
+    dataBuffer = recording.rows
+      .filter((row) => selected(row.timestamp))
+      .map((row) => row.eeg.slice(0, CHANNELS));
+  }
+  return processRecordedData(dataBuffer, {
+    sampleRate,
+    segmentLength: options.segmentLength,
+    overlap: options.overlap,
+    window: options.window,
+  });
+};
+
+/**
+ * Processes the recorded data buffer to extract sanitized data, power spectra, power by band, alpha band power,
+ * and neurofeedback metrics. The power spectra are Welch power spectral densities in µV²/Hz, the band powers their
+ * integrals in µV², and the metrics those returned by computeMetrics.
  *
  * @param {Array<Array<number>>} dataBuffer - The recorded data buffer containing EEG data samples.
- * @return {object | null} An object containing sanitized data, power spectra, power by band, and alpha band power, or null if an error occurs during processing.
+ * @param {Object} [options] - Processing options
+ * @param {number} [options.sampleRate=256] - The sample rate of the data in Hz, which sets the size of the window
+ * @param {number} [options.segmentLength] - Samples per segment of the Welch estimate, one second by default
+ * @param {number} [options.overlap] - Overlap of the segments of the Welch estimate, see welch
+ * @param {string} [options.window] - Window of the segments of the Welch estimate, see welch
+ * @return {object | null} An object containing sanitized data, power spectra with their frequencies, power by band,
+ *                         alpha band power and metrics, or null if an error occurs during processing.
  */
-const processRecordedData = (dataBuffer) => {
-  if (dataBuffer.length < WINDOW_SIZE) {
-    console.log(
-      "Not enough data to process. Needed: " +
-        WINDOW_SIZE +
-        ", Got: " +
-        dataBuffer.length
-    );
+const processRecordedData = (dataBuffer, options = {}) => {
+  const sampleRate = options.sampleRate || SAMPLE_RATE;
+  const windowSize = Math.round(WINDOW_DURATION * sampleRate);
+  if (dataBuffer.length < windowSize) {
     return null;
   }
 
-  // Use the last WINDOW_SIZE samples
-  const windowData = dataBuffer.slice(-WINDOW_SIZE);
+  // Use the last windowSize samples
+  const windowData = dataBuffer.slice(-windowSize);
 
   try {
     // Transpose the data to group by channel
@@ -166,27 +201,39 @@ const processRecordedData = (dataBuffer) => {
       });
     });
 
-    // Sanitize and interpolate data for each channel
-    const sanitizedData = channelData.map(sanitizeAndInterpolate);
+    // Interpolate over the invalid samples of each channel, such as those of lost packets
+    const sanitizedData = channelData.map(
+      (channel) => fillGaps(channel) || channel.map(() => 0)
+    );
 
-    // Compute power spectra for each channel
-    const spectraData = sanitizedData.map(calculatePowerSpectrum);
+    // Compute power spectral densities for each channel
+    const spectra = sanitizedData.map((channel) =>
+      welch(channel, {
+        sampleRate,
+        segmentLength: options.segmentLength || Math.round(sampleRate),
+        overlap: options.overlap,
+        window: options.window,
+      })
+    );
 
     // Compute power by band for each channel
-    const powerData = spectraData.map(powerByBand);
+    const powerData = spectra.map(powerByBand);
 
     // Extract alpha band power for each channel
     const alphaData = powerData.map((pd) => pd.alpha);
 
+    // Derive the neurofeedback metrics of the window
+    const metrics = computeMetrics(powerData);
+
     return {
       rawEEG: sanitizedData.map((channel) => channel[channel.length - 1]), // Latest sample
-      spectraData,
+      spectraData: spectra.map((spectrum) => Array.from(spectrum.psd)),
+      frequencies: Array.from(spectra[0].frequencies),
       powerData,
       alphaData,
+      metrics,
     };
   } catch (error) {
-    console.error("Error processing EEG data:", error);
-    console.error("Problematic data:", dataBuffer);
     return null;
   }
 };
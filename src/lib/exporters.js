@@ -0,0 +1,955 @@
+/**
+ * The sensors of a session in the order they are exported.
+ */
+const STREAMS = ["eeg", "ppg", "accelerometer", "gyroscope"];
+
+/**
+ * How the signals of each sensor are described in EDF and BDF files:
+ * - prefix    - the prefix of the signal labels, e.g. "EEG TP9"
+ * - dimension - the physical unit of the samples
+ * - range     - the physical range of the headband's sensor, or null to use the range of the data
+ */
+const SIGNALS = {
+  eeg: { prefix: "EEG", dimension: "uV", range: [-1000, 1000] },
+  ppg: { prefix: "PPG", dimension: "", range: null },
+  accelerometer: { prefix: "Acc", dimension: "g", range: [-2, 2] },
+  gyroscope: { prefix: "Gyro", dimension: "deg/s", range: [-245, 245] },
+};
+
+/**
+ * The headers of the CSV columns of the sensors other than EEG, one per channel.
+ */
+const CSV_COLUMNS = {
+  ppg: (channel) => `PPG ${channel}`,
+  accelerometer: (channel) => `Accelerometer ${channel.toUpperCase()}`,
+  gyroscope: (channel) => `Gyroscope ${channel.toUpperCase()}`,
+};
+
+const MONTHS = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+const MIME_TYPES = {
+  edf: "application/octet-stream",
+  bdf: "application/octet-stream",
+  csv: "text/csv",
+  xdf: "application/octet-stream",
+};
+
+/**
+ * How the streams of each sensor are described in XDF files: the stream type and the unit of the channels.
+ */
+const XDF_STREAMS = {
+  eeg: { type: "EEG", unit: "microvolts" },
+  ppg: { type: "PPG", unit: "raw" },
+  accelerometer: { type: "Accelerometer", unit: "g" },
+  gyroscope: { type: "Gyroscope", unit: "degrees/s" },
+};
+
+/**
+ * The tags of the chunks of an XDF file.
+ */
+const XDF_TAGS = {
+  fileHeader: 1,
+  streamHeader: 2,
+  samples: 3,
+  clockOffset: 4,
+  boundary: 5,
+  streamFooter: 6,
+};
+
+/**
+ * The content of the boundary chunks of an XDF file, which let readers resume after corrupted data.
+ */
+const XDF_BOUNDARY = [
+  0x43, 0xa5, 0x46, 0xdc, 0xcb, 0xf5, 0x41, 0x0f, 0xb3, 0x0e, 0xd5, 0x46, 0x73,
+  0x83, 0xcb, 0xe4,
+];
+
+/**
+ * Returns the streams of a session that have samples, in export order.
+ *
+ * @param {Object} session - The session of a Recorder.
+ * @return {Array<{sensor: string, stream: Object}>} The streams and their sensors.
+ */
+const streamsOf = (session) =>
+  STREAMS.filter(
+    (sensor) =>
+      session.streams[sensor] && session.streams[sensor].timestamps.length > 0
+  ).map((sensor) => ({ sensor, stream: session.streams[sensor] }));
+
+/**
+ * Returns the time the export of a session starts at: the start of the recording,
+ * or the first sample if a packet was timestamped before it.
+ *
+ * @param {Object} session - The session of a Recorder.
+ * @return {number} The Unix timestamp in milliseconds.
+ */
+const startOf = (session) =>
+  Math.min(
+    session.startTime,
+    ...streamsOf(session).map(({ stream }) => stream.timestamps[0])
+  );
+
+/**
+ * Pads or cuts a header field to its width. Characters outside of printable ASCII are replaced
+ * by "_", as EDF headers only allow those.
+ *
+ * @param {*} value - The value of the field.
+ * @param {number} width - The width of the field in characters.
+ * @return {string} The field.
+ */
+const field = (value, width) =>
+  String(value)
+    .replace(/[^\x20-\x7e]/g, "_")
+    .slice(0, width)
+    .padEnd(width);
+
+/**
+ * Formats a number to fit a header field of 8 characters, reducing its precision if needed.
+ *
+ * @param {number} value - The number.
+ * @return {string} The formatted number.
+ */
+const formatNumber = (value) => {
+  let text = String(value);
+  for (let precision = 8; text.length > 8 && precision > 0; precision--) {
+    text = String(Number(value.toPrecision(precision)));
+  }
+  return text;
+};
+
+/**
+ * Formats a time in seconds for a time-stamped annotation list, without exponent.
+ *
+ * @param {number} seconds - The time in seconds.
+ * @return {string} The time, with its sign.
+ */
+const formatOnset = (seconds) =>
+  `${seconds < 0 ? "-" : "+"}${String(Number(Math.abs(seconds).toFixed(6)))}`;
+
+/**
+ * Formats a date as an EDF+ subfield, e.g. "02-MAR-2002".
+ *
+ * @param {Date} date - The date, read in local time.
+ * @return {string} The date.
+ */
+const formatDate = (date) =>
+  `${String(date.getDate()).padStart(2, "0")}-${
+    MONTHS[date.getMonth()]
+  }-${date.getFullYear()}`;
+
+/**
+ * Formats an EDF+ subfield of the patient or recording identification: spaces become "_",
+ * and a missing value is "X".
+ *
+ * @param {*} [value] - The value.
+ * @return {string} The subfield.
+ */
+const subfield = (value) =>
+  value === undefined || value === null || value === ""
+    ? "X"
+    : String(value).replace(/\s+/g, "_");
+
+/**
+ * Computes the position of every sample on the sample grid of the export. Samples follow each other
+ * on the grid, and jump to the position of their timestamp when they are more than a quarter of
+ * a second away from it, e.g. after a pause. The timestamps of motion samples are taken at arrival,
+ * so this keeps their jitter from leaving holes in the signal.
+ *
+ * @param {Float64Array} timestamps - The timestamps of the samples in milliseconds.
+ * @param {number} start - The Unix timestamp in milliseconds of the first position.
+ * @param {number} sampleRate - The sample rate of the grid in Hz.
+ * @return {Int32Array} The position of every sample.
+ */
+const samplePositions = (timestamps, start, sampleRate) => {
+  const positions = new Int32Array(timestamps.length);
+  const tolerance = sampleRate / 4;
+  let position = -Infinity;
+  for (let i = 0; i < timestamps.length; i++) {
+    const exact = ((timestamps[i] - start) * sampleRate) / 1000;
+    position =
+      Math.abs(exact - position - 1) > tolerance
+        ? Math.round(exact)
+        : position + 1;
+    positions[i] = position;
+  }
+  return positions;
+};
+
+/**
+ * Finds the first of sorted times at or after a time.
+ *
+ * @param {Float64Array} times - The times, in ascending order.
+ * @param {number} time - The time to look for.
+ * @return {number} The index of the first time at or after `time`, or the length of `times` if there is none.
+ */
+const search = (times, time) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (times[middle] < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Returns the physical range of a PPG channel from its samples.
+ *
+ * @param {Float32Array} values - The samples, possibly with NaN for lost samples.
+ * @return {number[]} The minimum and maximum, rounded outwards to integers.
+ */
+const dataRange = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (!isNaN(value)) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  }
+  if (min === Infinity) {
+    return [0, 1];
+  }
+  min = Math.floor(min);
+  max = Math.ceil(max);
+  return [min, max > min ? max : min + 1];
+};
+
+/**
+ * Encodes a session as EDF+ or BDF+. Every data record holds one second of every channel
+ * and an annotation signal with the markers, the pauses and the reconnection gaps.
+ *
+ * @param {Object} session - The session of a Recorder.
+ * @param {Object} options - Export options, as for toEDF
+ * @param {boolean} bdf - Write 24-bit BDF+ instead of 16-bit EDF+.
+ * @return {Uint8Array} The content of the file.
+ * @throws {Error} If the session has no samples.
+ */
+const encodeEDF = (session, options, bdf) => {
+  const recorded = streamsOf(session);
+  if (recorded.length === 0) {
+    throw new Error("The session has no samples to export");
+  }
+  const bytes = bdf ? 3 : 2;
+  const digitalMax = bdf ? 8388607 : 32767;
+  const digitalMin = -digitalMax - 1;
+  const start = startOf(session);
+  const end = Math.max(
+    ...recorded.map(
+      ({ stream }) =>
+        stream.timestamps[stream.timestamps.length - 1] +
+        1000 / stream.sampleRate
+    )
+  );
+  const records = Math.max(1, Math.ceil((end - start) / 1000));
+  // The header only has whole seconds, the first annotation holds the fraction
+  const headerTime = Math.floor(start / 1000) * 1000;
+
+  const signals = [];
+  for (const { sensor, stream } of recorded) {
+    const samples = Math.round(stream.sampleRate);
+    const positions = samplePositions(stream.timestamps, start, samples);
+    stream.channels.forEach((channel, c) => {
+      const range = SIGNALS[sensor].range || dataRange(stream.data[c]);
+      const physicalMin = formatNumber(range[0]);
+      const physicalMax = formatNumber(range[1]);
+      const values = new Float64Array(samples * records).fill(NaN);
+      positions.forEach((position, i) => {
+        if (position >= 0 && position < values.length) {
+          values[position] = stream.data[c][i];
+        }
+      });
+      signals.push({
+        label: `${SIGNALS[sensor].prefix} ${
+          sensor === "eeg" || sensor === "ppg" ? channel : channel.toUpperCase()
+        }`,
+        dimension: SIGNALS[sensor].dimension,
+        physicalMin,
+        physicalMax,
+        samples,
+        values,
+      });
+    });
+  }
+
+  const encoder = new TextEncoder();
+  const clean = (text) => String(text).replace(/[\x00-\x1f]/g, " ");
+  const lists = Array.from({ length: records }, (_, record) => [
+    `${formatOnset((start - headerTime) / 1000 + record)}\x14\x14\x00`,
+  ]);
+  const events = [
+    ...session.markers.map((marker) => ({
+      time: marker.time,
+      text: marker.label,
+    })),
+    ...session.pauses.map((pause) => ({
+      time: pause.start,
+      text: "Recording paused",
+      duration: pause.end - pause.start,
+    })),
+    ...session.gaps.map((gap) => ({
+      time: gap.start,
+      text: "Connection lost",
+      duration: gap.end - gap.start,
+    })),
+  ].sort((a, b) => a.time - b.time);
+  for (const { time, text, duration } of events) {
+    const record = Math.min(
+      records - 1,
+      Math.max(0, Math.floor((time - start) / 1000))
+    );
+    const length =
+      duration === undefined
+        ? ""
+        : `\x15${String(Number((duration / 1000).toFixed(6)))}`;
+    lists[record].push(
+      `${formatOnset((time - headerTime) / 1000)}${length}\x14${clean(
+        text
+      )}\x14\x00`
+    );
+  }
+  const annotations = lists.map((list) => encoder.encode(list.join("")));
+  const annotationBytes = Math.max(...annotations.map((a) => a.length));
+  signals.push({
+    label: bdf ? "BDF Annotations" : "EDF Annotations",
+    dimension: "",
+    physicalMin: "-1",
+    physicalMax: "1",
+    samples: Math.ceil(annotationBytes / bytes),
+    values: null,
+  });
+
+  const date = new Date(headerTime);
+  const two = (n) => String(n).padStart(2, "0");
+  const patient = options.patient || {};
+  const device = session.device || {};
+  const headerBytes = 256 * (signals.length + 1);
+  const header = [
+    field(bdf ? "\xffBIOSEMI" : "0", 8),
+    field(
+      [
+        subfield(patient.code),
+        subfield(patient.sex),
+        patient.birthdate ? formatDate(patient.birthdate) : "X",
+        subfield(patient.name),
+      ].join(" "),
+      80
+    ),
+    field(
+      [
+        "Startdate",
+        formatDate(date),
+        subfield(options.admincode),
+        subfield(options.technician),
+        subfield(device.hn || "Muse"),
+      ].join(" "),
+      80
+    ),
+    field(
+      `${two(date.getDate())}.${two(date.getMonth() + 1)}.${two(
+        date.getFullYear() % 100
+      )}`,
+      8
+    ),
+    field(
+      `${two(date.getHours())}.${two(date.getMinutes())}.${two(
+        date.getSeconds()
+      )}`,
+      8
+    ),
+    field(headerBytes, 8),
+    field(bdf ? "BDF+C" : "EDF+C", 44),
+    field(records, 8),
+    field(1, 8),
+    field(signals.length, 4),
+  ];
+  const columns = [
+    [(s) => s.label, 16],
+    [() => "", 80],
+    [(s) => s.dimension, 8],
+    [(s) => s.physicalMin, 8],
+    [(s) => s.physicalMax, 8],
+    [() => digitalMin, 8],
+    [() => digitalMax, 8],
+    [() => "", 80],
+    [(s) => s.samples, 8],
+    [() => "", 32],
+  ];
+  for (const [value, width] of columns) {
+    for (const signal of signals) {
+      header.push(field(value(signal), width));
+    }
+  }
+
+  const recordBytes = signals.reduce((sum, s) => sum + s.samples * bytes, 0);
+  const output = new Uint8Array(headerBytes + records * recordBytes);
+  const text = header.join("");
+  for (let i = 0; i < text.length; i++) {
+    // The BIOSEMI identification byte is the only one outside of ASCII
+    output[i] = i === 0 && bdf ? 0xff : text.charCodeAt(i);
+  }
+  let offset = headerBytes;
+  for (let record = 0; record < records; record++) {
+    for (const signal of signals) {
+      if (!signal.values) {
+        output.set(annotations[record], offset);
+        offset += signal.samples * bytes;
+        continue;
+      }
+      const physicalMin = Number(signal.physicalMin);
+      const gain =
+        (digitalMax - digitalMin) / (Number(signal.physicalMax) - physicalMin);
+      for (let i = 0; i < signal.samples; i++) {
+        let value = signal.values[record * signal.samples + i];
+        // Missing samples are written as 0, or the closest value in range
+        value = Math.round(
+          ((isNaN(value) ? 0 : value) - physicalMin) * gain + digitalMin
+        );
+        value = Math.min(digitalMax, Math.max(digitalMin, value));
+        for (let b = 0; b < bytes; b++) {
+          output[offset++] = (value >> (8 * b)) & 0xff;
+        }
+      }
+    }
+  }
+  return output;
+};
+
+/**
+ * Exports the session of a Recorder as an EDF+ file with 16-bit samples, as read by EDFbrowser and MNE.
+ * Every channel of every stream becomes a signal: EEG in µV, PPG in raw counts, accelerometer in g
+ * and gyroscope in degrees per second. The markers become annotations, as do the pauses
+ * ("Recording paused") and reconnection gaps ("Connection lost") with their duration.
+ *
+ * Samples are placed on the grid of their sample rate by their timestamps, starting with the first
+ * sample. Samples missing because of pauses, gaps or lost packets are written as 0, or the closest
+ * value in the range of the signal.
+ *
+ * @example
+ * const bytes = toEDF(recorder.stop(), { patient: { code: "P-042" } });
+ *
+ * @param {Object} session - The session returned by `Recorder.stop`.
+ * @param {Object} [options] - Export options
+ * @param {Object} [options.patient] - The patient: `code`, `sex` ("M" or "F"), `birthdate` (a Date) and `name`
+ * @param {string} [options.admincode] - The code of the investigation, e.g. the study
+ * @param {string} [options.technician] - The person responsible for the recording
+ * @return {Uint8Array} The content of the file.
+ * @throws {Error} If the session has no samples.
+ */
+export const toEDF = (session, options = {}) =>
+  encodeEDF(session, options, false);
+
+/**
+ * Exports the session of a Recorder as a BDF+ file with 24-bit samples. It holds the same signals and
+ * annotations as the EDF+ file of toEDF, with 256 times the resolution.
+ *
+ * @param {Object} session - The session returned by `Recorder.stop`.
+ * @param {Object} [options] - Export options, as for toEDF
+ * @return {Uint8Array} The content of the file.
+ * @throws {Error} If the session has no samples.
+ */
+export const toBDF = (session, options = {}) =>
+  encodeEDF(session, options, true);
+
+/**
+ * Exports the session of a Recorder as CSV in the web-muse mock data format, so it can be imported
+ * with parseRecording and played back in mock mode. The columns are:
+ * - "Timestamp (ms)" - the time since the start of the recording in milliseconds
+ * - the EEG channels in µV, e.g. "TP9"
+ * - "PPG ambient", "PPG infrared", "PPG red" in raw counts
+ * - "Accelerometer X", "Accelerometer Y", "Accelerometer Z" in g
+ * - "Gyroscope X", "Gyroscope Y", "Gyroscope Z" in degrees per second
+ * - "Marker" - the labels of the markers
+ *
+ * There is one row per EEG sample. The samples of the other sensors and the markers are written
+ * on the first row at or after their time, and their cells are empty in the other rows. Samples
+ * with no EEG sample close after them, e.g. after the last one, get rows of their own without EEG.
+ * Lost samples are empty cells.
+ *
+ * @param {Object} session - The session returned by `Recorder.stop`.
+ * @return {Uint8Array} The content of the file, encoded as UTF-8.
+ * @throws {Error} If the session has no samples.
+ */
+export const toCSV = (session) => {
+  const recorded = streamsOf(session);
+  if (recorded.length === 0) {
+    throw new Error("The session has no samples to export");
+  }
+  const start = startOf(session);
+  // One row per EEG sample, and per distinct time of the other samples that are not followed
+  // by an EEG sample within one period, e.g. before or after the EEG
+  const eeg = recorded[0].sensor === "eeg" ? recorded[0].stream : null;
+  const own = [];
+  for (const { stream } of recorded) {
+    for (const time of stream.timestamps) {
+      const next = eeg ? search(eeg.timestamps, time) : 0;
+      if (
+        !eeg ||
+        next === eeg.timestamps.length ||
+        eeg.timestamps[next] - time >= 1000 / eeg.sampleRate
+      ) {
+        own.push(time);
+      }
+    }
+  }
+  const all = new Float64Array(own.length + (eeg ? eeg.timestamps.length : 0));
+  all.set(own);
+  if (eeg) {
+    all.set(eeg.timestamps, own.length);
+  }
+  all.sort();
+  const times = all.filter((time, i) => i === 0 || time !== all[i - 1]);
+  const rowOf = (time) => Math.min(times.length - 1, search(times, time));
+
+  const header = ["Timestamp (ms)"];
+  const columns = [];
+  for (const { sensor, stream } of recorded) {
+    const rows = new Int32Array(times.length).fill(-1);
+    stream.timestamps.forEach((time, i) => (rows[rowOf(time)] = i));
+    stream.channels.forEach((channel, c) => {
+      header.push(sensor === "eeg" ? channel : CSV_COLUMNS[sensor](channel));
+      columns.push({ rows, values: stream.data[c] });
+    });
+  }
+  header.push("Marker");
+  const markers = new Map();
+  for (const marker of session.markers) {
+    const row = rowOf(marker.time);
+    markers.set(
+      row,
+      markers.has(row) ? `${markers.get(row)}; ${marker.label}` : marker.label
+    );
+  }
+
+  const quote = (text) =>
+    /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  const lines = [header.join(",")];
+  for (let row = 0; row < times.length; row++) {
+    const cells = [String(Number((times[row] - start).toFixed(3)))];
+    for (const { rows, values } of columns) {
+      const value = rows[row] < 0 ? NaN : values[rows[row]];
+      cells.push(isNaN(value) ? "" : String(Number(value.toPrecision(8))));
+    }
+    cells.push(markers.has(row) ? quote(String(markers.get(row))) : "");
+    lines.push(cells.join(","));
+  }
+  return new TextEncoder().encode(`${lines.join("\n")}\n`);
+};
+
+/**
+ * Appends little-endian binary values to a growing buffer.
+ */
+class ByteWriter {
+  /**
+   * Constructs an empty writer.
+   */
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  /**
+   * Makes room for more bytes, doubling the buffer as needed.
+   *
+   * @param {number} count - The number of bytes to append.
+   * @return {number} The offset to write them at.
+   */
+  reserve(count) {
+    if (this.length + count > this.bytes.length) {
+      let size = this.bytes.length * 2;
+      while (size < this.length + count) {
+        size *= 2;
+      }
+      const bytes = new Uint8Array(size);
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+    const offset = this.length;
+    this.length += count;
+    return offset;
+  }
+
+  /**
+   * Appends an unsigned 8-bit integer.
+   *
+   * @param {number} value - The value.
+   * @return {void} This function does not return a value.
+   */
+  uint8(value) {
+    const offset = this.reserve(1);
+    this.view.setUint8(offset, value);
+  }
+
+  /**
+   * Appends an unsigned 16-bit integer.
+   *
+   * @param {number} value - The value.
+   * @return {void} This function does not return a value.
+   */
+  uint16(value) {
+    const offset = this.reserve(2);
+    this.view.setUint16(offset, value, true);
+  }
+
+  /**
+   * Appends an unsigned 32-bit integer.
+   *
+   * @param {number} value - The value.
+   * @return {void} This function does not return a value.
+   */
+  uint32(value) {
+    const offset = this.reserve(4);
+    this.view.setUint32(offset, value, true);
+  }
+
+  /**
+   * Appends a 32-bit float.
+   *
+   * @param {number} value - The value.
+   * @return {void} This function does not return a value.
+   */
+  float32(value) {
+    const offset = this.reserve(4);
+    this.view.setFloat32(offset, value, true);
+  }
+
+  /**
+   * Appends a 64-bit float.
+   *
+   * @param {number} value - The value.
+   * @return {void} This function does not return a value.
+   */
+  float64(value) {
+    const offset = this.reserve(8);
+    this.view.setFloat64(offset, value, true);
+  }
+
+  /**
+   * Appends bytes.
+   *
+   * @param {Uint8Array|number[]} bytes - The bytes.
+   * @return {void} This function does not return a value.
+   */
+  append(bytes) {
+    const offset = this.reserve(bytes.length);
+    this.bytes.set(bytes, offset);
+  }
+
+  /**
+   * Appends a variable-length integer as used by XDF: the number of bytes of the value (1, 4 or 8),
+   * then the value.
+   *
+   * @param {number} value - The non-negative integer.
+   * @return {void} This function does not return a value.
+   */
+  varlen(value) {
+    if (value < 0x100) {
+      this.uint8(1);
+      this.uint8(value);
+    } else if (value < 0x100000000) {
+      this.uint8(4);
+      this.uint32(value);
+    } else {
+      this.uint8(8);
+      this.uint32(value % 0x100000000);
+      this.uint32(Math.floor(value / 0x100000000));
+    }
+  }
+
+  /**
+   * Appends an XDF chunk: its length, its tag and its content.
+   *
+   * @param {number} tag - One of XDF_TAGS.
+   * @param {ByteWriter} content - The content of the chunk.
+   * @return {void} This function does not return a value.
+   */
+  chunk(tag, content) {
+    this.varlen(content.length + 2);
+    this.uint16(tag);
+    this.append(content.bytes.subarray(0, content.length));
+  }
+
+  /**
+   * Returns the bytes written so far.
+   *
+   * @return {Uint8Array} The bytes.
+   */
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Escapes the special characters of XML text.
+ *
+ * @param {*} text - The text.
+ * @return {string} The escaped text.
+ */
+const escapeXML = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      }[char])
+  );
+
+/**
+ * Serializes an object as XML elements. Arrays repeat their element, objects nest.
+ *
+ * @param {Object} elements - The elements, e.g. `{ name: "Muse EEG", desc: { ... } }`.
+ * @return {string} The XML.
+ */
+const toXML = (elements) =>
+  Object.entries(elements)
+    .map(([name, value]) =>
+      (Array.isArray(value) ? value : [value])
+        .map(
+          (item) =>
+            `<${name}>${
+              typeof item === "object" ? toXML(item) : escapeXML(item)
+            }</${name}>`
+        )
+        .join("")
+    )
+    .join("");
+
+/**
+ * Builds the content of an XDF chunk that holds an XML document, optionally preceded by a stream id.
+ *
+ * @param {Object} info - The elements of the `info` root element.
+ * @param {number} [streamId] - The id of the stream the chunk belongs to.
+ * @return {ByteWriter} The content.
+ */
+const xmlContent = (info, streamId) => {
+  const content = new ByteWriter();
+  if (streamId !== undefined) {
+    content.uint32(streamId);
+  }
+  content.append(
+    new TextEncoder().encode(`<?xml version="1.0"?><info>${toXML(info)}</info>`)
+  );
+  return content;
+};
+
+/**
+ * Exports the session of a Recorder as an XDF file, as read by pyxdf and the EEGLAB and MNE loaders
+ * of LabRecorder files. EEG, PPG, accelerometer and gyroscope become float32 streams with their
+ * nominal rate and channel labels, types and units, and the markers become a string stream.
+ *
+ * Timestamps are in seconds on the clock of the session, Unix time. All streams were timestamped
+ * on that one clock, so they are aligned as they are: clock offsets of 0 are written every 5 seconds
+ * of every stream, as LabRecorder does, so clock synchronization of readers leaves them unchanged.
+ * Samples lost in transmission stay NaN, and pauses and reconnection gaps are gaps in the timestamps.
+ *
+ * @example
+ * writeFileSync("session.xdf", toXDF(recorder.stop()));
+ *
+ * @param {Object} session - The session returned by `Recorder.stop`.
+ * @return {Uint8Array} The content of the file.
+ * @throws {Error} If the session has no samples.
+ */
+export const toXDF = (session) => {
+  const recorded = streamsOf(session);
+  if (recorded.length === 0) {
+    throw new Error("The session has no samples to export");
+  }
+  const device = session.device || {};
+  const acquisition = {
+    manufacturer: "Interaxon",
+    model: device.sp || "Muse",
+    serial_number: device.sn || "",
+    firmware: device.fw || "",
+    preset: session.layout ? session.layout.preset : "",
+  };
+  const streams = recorded.map(({ sensor, stream }, i) => ({
+    id: i + 1,
+    type: XDF_STREAMS[sensor].type,
+    channelFormat: "float32",
+    sampleRate: stream.sampleRate,
+    channels: stream.channels.map((channel) => ({
+      label: sensor === "eeg" ? channel : channel.toUpperCase(),
+      unit: XDF_STREAMS[sensor].unit,
+      type: XDF_STREAMS[sensor].type,
+    })),
+    timestamps: Array.from(stream.timestamps, (time) => time / 1000),
+    sample: (content, s) => {
+      for (const values of stream.data) {
+        content.float32(values[s]);
+      }
+    },
+  }));
+  if (session.markers.length > 0) {
+    const encoder = new TextEncoder();
+    const labels = session.markers.map((marker) =>
+      encoder.encode(String(marker.label))
+    );
+    streams.push({
+      id: streams.length + 1,
+      type: "Markers",
+      channelFormat: "string",
+      sampleRate: 0,
+      channels: [{ label: "Marker", type: "Marker" }],
+      timestamps: session.markers.map((marker) => marker.time / 1000),
+      sample: (content, s) => {
+        content.varlen(labels[s].length);
+        content.append(labels[s]);
+      },
+    });
+  }
+
+  const file = new ByteWriter();
+  file.append(new TextEncoder().encode("XDF:"));
+  file.chunk(
+    XDF_TAGS.fileHeader,
+    xmlContent({
+      version: "1.0",
+      datetime: new Date(session.startTime).toISOString(),
+    })
+  );
+  for (const stream of streams) {
+    file.chunk(
+      XDF_TAGS.streamHeader,
+      xmlContent(
+        {
+          name: `Muse ${stream.type}`,
+          type: stream.type,
+          channel_count: stream.channels.length,
+          nominal_srate: stream.sampleRate,
+          channel_format: stream.channelFormat,
+          source_id: device.sn || device.hn || "Muse",
+          created_at: stream.timestamps[0],
+          desc: { channels: { channel: stream.channels }, acquisition },
+        },
+        stream.id
+      )
+    );
+  }
+
+  // Samples in chunks of one second, interleaved in time with clock offsets and boundaries like a live recording
+  const chunks = [];
+  for (const stream of streams) {
+    const { timestamps } = stream;
+    const size = Math.max(1, Math.round(stream.sampleRate));
+    for (let first = 0; first < timestamps.length; first += size) {
+      const last = Math.min(first + size, timestamps.length);
+      chunks.push({
+        time: timestamps[first],
+        tag: XDF_TAGS.samples,
+        write: (content) => {
+          content.uint32(stream.id);
+          content.varlen(last - first);
+          for (let s = first; s < last; s++) {
+            content.uint8(8);
+            content.float64(timestamps[s]);
+            stream.sample(content, s);
+          }
+        },
+      });
+    }
+    stream.offsets = [];
+    const end = timestamps[timestamps.length - 1];
+    for (let time = timestamps[0]; time <= end; time += 5) {
+      stream.offsets.push(time);
+      chunks.push({
+        time,
+        tag: XDF_TAGS.clockOffset,
+        write: (content) => {
+          content.uint32(stream.id);
+          content.float64(time);
+          content.float64(0);
+        },
+      });
+    }
+  }
+  const times = chunks.map((chunk) => chunk.time);
+  const end = Math.max(...times);
+  for (let time = Math.min(...times) + 10; time <= end; time += 10) {
+    chunks.push({
+      time,
+      tag: XDF_TAGS.boundary,
+      write: (content) => content.append(XDF_BOUNDARY),
+    });
+  }
+  chunks.sort((a, b) => a.time - b.time);
+  for (const chunk of chunks) {
+    const content = new ByteWriter();
+    chunk.write(content);
+    file.chunk(chunk.tag, content);
+  }
+
+  for (const stream of streams) {
+    const { timestamps } = stream;
+    file.chunk(
+      XDF_TAGS.streamFooter,
+      xmlContent(
+        {
+          first_timestamp: timestamps[0],
+          last_timestamp: timestamps[timestamps.length - 1],
+          sample_count: timestamps.length,
+          clock_offsets: {
+            offset: stream.offsets.map((time) => ({ time, value: 0 })),
+          },
+        },
+        stream.id
+      )
+    );
+  }
+  return file.result();
+};
+
+const EXPORTERS = {
+  edf: toEDF,
+  bdf: toBDF,
+  csv: toCSV,
+  xdf: toXDF,
+};
+
+/**
+ * Exports the session of a Recorder as a Blob, ready to be downloaded or saved.
+ *
+ * @example
+ * const url = URL.createObjectURL(exportSession(session, "edf"));
+ *
+ * @param {Object} session - The session returned by `Recorder.stop`.
+ * @param {string} format - "edf", "bdf", "csv" or "xdf".
+ * @param {Object} [options] - Export options, as for toEDF
+ * @return {Blob} The file.
+ * @throws {TypeError} If the format is unknown.
+ * @throws {Error} If the session has no samples.
+ */
+export const exportSession = (session, format, options = {}) => {
+  if (!EXPORTERS[format]) {
+    throw new TypeError(
+      `Unknown export format "${format}", expected one of ${Object.keys(
+        EXPORTERS
+      ).join(", ")}`
+    );
+  }
+  return new Blob([EXPORTERS[format](session, options)], {
+    type: MIME_TYPES[format],
+  });
+};
@@ -0,0 +1,423 @@
+/**
+ * A second-order IIR section in transposed direct form II, normalized so that a0 is 1.
+ * A first-order section has b2 and a2 set to 0. The state carries over from one call to the next,
+ * so a signal can be filtered packet by packet.
+ */
+export class Biquad {
+  /**
+   * Constructs a section from its coefficients.
+   *
+   * @constructor
+   * @param {{b0: number, b1: number, b2: number, a1: number, a2: number}} coefficients - The normalized coefficients.
+   */
+  constructor({ b0, b1, b2, a1, a2 }) {
+    Object.assign(this, { b0, b1, b2, a1, a2 });
+    this.reset();
+  }
+
+  /**
+   * Filters one sample.
+   *
+   * @param {number} x - The input sample.
+   * @return {number} The output sample.
+   */
+  step(x) {
+    const y = this.b0 * x + this.z1;
+    this.z1 = this.b1 * x - this.a1 * y + this.z2;
+    this.z2 = this.b2 * x - this.a2 * y;
+    return y;
+  }
+
+  /**
+   * Sets the state to the steady state for a constant input, so that the output starts without a transient.
+   *
+   * @param {number} x - The constant input.
+   * @return {number} The steady-state output.
+   */
+  prime(x) {
+    const denominator = 1 + this.a1 + this.a2;
+    // A filter that blocks DC outputs 0, a filter with a pole at DC has no steady state
+    const y =
+      denominator === 0 ? 0 : ((this.b0 + this.b1 + this.b2) * x) / denominator;
+    this.z2 = this.b2 * x - this.a2 * y;
+    this.z1 = this.b1 * x - this.a1 * y + this.z2;
+    return y;
+  }
+
+  /**
+   * Clears the state.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+}
+
+/**
+ * A FIR filter with arbitrary coefficients. The last samples are kept from one call to the next.
+ */
+export class FIRFilter {
+  /**
+   * Constructs a filter from its coefficients.
+   *
+   * @constructor
+   * @param {number[]} coefficients - The impulse response, with the coefficient of the current sample first.
+   */
+  constructor(coefficients) {
+    this.coefficients = Float64Array.from(coefficients);
+    this.history = new Float64Array(this.coefficients.length);
+    this.index = 0;
+  }
+
+  /**
+   * Filters one sample.
+   *
+   * @param {number} x - The input sample.
+   * @return {number} The output sample.
+   */
+  step(x) {
+    const { coefficients, history } = this;
+    this.index = (this.index + history.length - 1) % history.length;
+    history[this.index] = x;
+    let y = 0;
+    for (let k = 0; k < coefficients.length; k++) {
+      y += coefficients[k] * history[(this.index + k) % history.length];
+    }
+    return y;
+  }
+
+  /**
+   * Fills the history with a constant input, so that the output starts without a transient.
+   *
+   * @param {number} x - The constant input.
+   * @return {number} The steady-state output.
+   */
+  prime(x) {
+    this.history.fill(x);
+    return x * this.coefficients.reduce((a, b) => a + b, 0);
+  }
+
+  /**
+   * Clears the history.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    this.history.fill(0);
+    this.index = 0;
+  }
+}
+
+/**
+ * A chain of filters applied one after the other, sample by sample. Before its first sample, and after
+ * a reset, the chain primes every filter to the steady state of that sample, so a DC offset does not
+ * cause a long transient at the start of the stream.
+ *
+ * @example
+ * const chain = createFilterChain([
+ *   { type: "bandpass", low: 1, high: 40 },
+ *   { type: "notch", frequency: 50 },
+ * ]);
+ * const filtered = chain.process(packet.samples);
+ */
+export class FilterChain {
+  /**
+   * Constructs a chain from filters.
+   *
+   * @constructor
+   * @param {Array<Biquad|FIRFilter>} [filters=[]] - The filters, in the order they are applied.
+   */
+  constructor(filters = []) {
+    this.filters = filters;
+    this.primed = false;
+  }
+
+  /**
+   * Filters one sample. NaN, e.g. for a lost sample, is passed through without touching the state.
+   *
+   * @param {number} x - The input sample.
+   * @return {number} The output sample.
+   */
+  step(x) {
+    if (isNaN(x)) {
+      return x;
+    }
+    if (!this.primed) {
+      this.primed = true;
+      let y = x;
+      for (const filter of this.filters) {
+        y = filter.prime(y);
+      }
+    }
+    let y = x;
+    for (const filter of this.filters) {
+      y = filter.step(y);
+    }
+    return y;
+  }
+
+  /**
+   * Filters consecutive samples, e.g. a packet. The state carries over to the next call.
+   *
+   * @param {ArrayLike<number>} samples - The input samples.
+   * @return {Float64Array} The output samples.
+   */
+  process(samples) {
+    const output = new Float64Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = this.step(samples[i]);
+    }
+    return output;
+  }
+
+  /**
+   * Clears the state of every filter. The next sample primes the chain again.
+   *
+   * @return {void} This function does not return a value.
+   */
+  reset() {
+    for (const filter of this.filters) {
+      filter.reset();
+    }
+    this.primed = false;
+  }
+}
+
+/**
+ * Checks that a frequency is between 0 and the Nyquist frequency.
+ *
+ * @param {number} frequency - The frequency in Hz.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @return {void} This function does not return a value.
+ * @throws {RangeError} If the frequency is out of range.
+ */
+const checkFrequency = (frequency, sampleRate) => {
+  if (!(frequency > 0 && frequency < sampleRate / 2)) {
+    throw new RangeError(
+      `The frequency must be between 0 and ${
+        sampleRate / 2
+      } Hz, got ${frequency}`
+    );
+  }
+};
+
+/**
+ * Designs a Butterworth low-pass or high-pass filter as a cascade of second-order sections,
+ * plus a first-order section for odd orders, with the bilinear transform.
+ *
+ * @param {string} type - "lowpass" or "highpass".
+ * @param {number} frequency - The -3 dB cutoff frequency in Hz.
+ * @param {number} order - The order of the filter.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @return {Biquad[]} The sections.
+ * @throws {RangeError} If the frequency is out of range or the order is not a positive integer.
+ */
+const butterworth = (type, frequency, order, sampleRate) => {
+  checkFrequency(frequency, sampleRate);
+  if (!(Number.isInteger(order) && order > 0)) {
+    throw new RangeError(`The order must be a positive integer, got ${order}`);
+  }
+  const sections = [];
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cos = Math.cos(w0);
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    // The Q of each conjugate pole pair of the analog prototype
+    const q = 1 / (2 * Math.sin((Math.PI * (2 * k + 1)) / (2 * order)));
+    const alpha = Math.sin(w0) / (2 * q);
+    const a0 = 1 + alpha;
+    const gain = type === "lowpass" ? (1 - cos) / 2 : (1 + cos) / 2;
+    sections.push(
+      new Biquad({
+        b0: gain / a0,
+        b1: ((type === "lowpass" ? 2 : -2) * gain) / a0,
+        b2: gain / a0,
+        a1: (-2 * cos) / a0,
+        a2: (1 - alpha) / a0,
+      })
+    );
+  }
+  if (order % 2 === 1) {
+    const k = Math.tan(w0 / 2);
+    const b0 = type === "lowpass" ? k / (1 + k) : 1 / (1 + k);
+    sections.push(
+      new Biquad({
+        b0,
+        b1: type === "lowpass" ? b0 : -b0,
+        b2: 0,
+        a1: (k - 1) / (k + 1),
+        a2: 0,
+      })
+    );
+  }
+  return sections;
+};
+
+/**
+ * Designs a Butterworth low-pass filter.
+ *
+ * @param {number} frequency - The -3 dB cutoff frequency in Hz.
+ * @param {number} [order=4] - The order of the filter.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {Biquad[]} The second-order sections of the filter.
+ * @throws {RangeError} If the frequency is out of range or the order is not a positive integer.
+ */
+export const butterworthLowPass = (frequency, order = 4, sampleRate = 256) =>
+  butterworth("lowpass", frequency, order, sampleRate);
+
+/**
+ * Designs a Butterworth high-pass filter, e.g. to remove the DC offset and drift of EEG.
+ *
+ * @param {number} frequency - The -3 dB cutoff frequency in Hz.
+ * @param {number} [order=4] - The order of the filter.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {Biquad[]} The second-order sections of the filter.
+ * @throws {RangeError} If the frequency is out of range or the order is not a positive integer.
+ */
+export const butterworthHighPass = (frequency, order = 4, sampleRate = 256) =>
+  butterworth("highpass", frequency, order, sampleRate);
+
+/**
+ * Designs a Butterworth band-pass filter as a Butterworth high-pass filter at the lower edge
+ * followed by a Butterworth low-pass filter at the upper edge, each of the given order.
+ *
+ * @param {number} low - The lower -3 dB frequency in Hz.
+ * @param {number} high - The upper -3 dB frequency in Hz.
+ * @param {number} [order=4] - The order of the high-pass and of the low-pass filter.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {Biquad[]} The second-order sections of the filter.
+ * @throws {RangeError} If a frequency is out of range, the lower edge is not below the upper edge,
+ *                      or the order is not a positive integer.
+ */
+export const butterworthBandPass = (low, high, order = 4, sampleRate = 256) => {
+  if (!(low < high)) {
+    throw new RangeError(
+      `The lower edge must be below the upper edge, got ${low} and ${high} Hz`
+    );
+  }
+  return [
+    ...butterworth("highpass", low, order, sampleRate),
+    ...butterworth("lowpass", high, order, sampleRate),
+  ];
+};
+
+/**
+ * Designs notch filters that remove mains interference at a frequency and its harmonics.
+ * Harmonics at or above the Nyquist frequency are left out.
+ *
+ * @param {number} frequency - The mains frequency in Hz, e.g. 50 or 60.
+ * @param {Object} [options] - Design options
+ * @param {number} [options.q=30] - The quality factor: the notch frequency divided by the -3 dB bandwidth
+ * @param {number} [options.harmonics=1] - The number of multiples of the frequency to remove, 1 for the frequency only
+ * @param {number} [options.sampleRate=256] - The sample rate in Hz
+ * @return {Biquad[]} One second-order section per notch.
+ * @throws {RangeError} If the frequency is out of range.
+ */
+export const notch = (frequency, options = {}) => {
+  const q = options.q || 30;
+  const harmonics = options.harmonics || 1;
+  const sampleRate = options.sampleRate || 256;
+  checkFrequency(frequency, sampleRate);
+  const sections = [];
+  for (let h = 1; h <= harmonics && h * frequency < sampleRate / 2; h++) {
+    const w0 = (2 * Math.PI * h * frequency) / sampleRate;
+    // The -3 dB points of this notch are w0 / q apart when alpha is the tangent of half that width
+    const alpha = Math.tan(w0 / (2 * q));
+    const a0 = 1 + alpha;
+    sections.push(
+      new Biquad({
+        b0: 1 / a0,
+        b1: (-2 * Math.cos(w0)) / a0,
+        b2: 1 / a0,
+        a1: (-2 * Math.cos(w0)) / a0,
+        a2: (1 - alpha) / a0,
+      })
+    );
+  }
+  return sections;
+};
+
+/**
+ * Creates a filter chain from a description of its filters, in the order they are applied:
+ * - `{ type: "highpass", frequency, order = 4 }` - Butterworth high-pass filter
+ * - `{ type: "lowpass", frequency, order = 4 }`  - Butterworth low-pass filter
+ * - `{ type: "bandpass", low, high, order = 4 }` - Butterworth band-pass filter
+ * - `{ type: "notch", frequency, q = 30, harmonics = 1 }` - notch filters at a frequency and its harmonics
+ * - `{ type: "fir", coefficients }` - FIR filter
+ *
+ * @example
+ * const chain = createFilterChain([
+ *   { type: "highpass", frequency: 0.5, order: 2 },
+ *   { type: "notch", frequency: 60, harmonics: 2 },
+ * ]);
+ *
+ * @param {Object[]} spec - The filters.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {FilterChain} A new chain, with its own state.
+ * @throws {TypeError} If a filter type is unknown.
+ * @throws {RangeError} If a frequency or order is out of range.
+ */
+export const createFilterChain = (spec, sampleRate = 256) => {
+  const filters = [];
+  for (const filter of spec) {
+    const order = filter.order || 4;
+    switch (filter.type) {
+      case "highpass":
+        filters.push(
+          ...butterworthHighPass(filter.frequency, order, sampleRate)
+        );
+        break;
+      case "lowpass":
+        filters.push(
+          ...butterworthLowPass(filter.frequency, order, sampleRate)
+        );
+        break;
+      case "bandpass":
+        filters.push(
+          ...butterworthBandPass(filter.low, filter.high, order, sampleRate)
+        );
+        break;
+      case "notch":
+        filters.push(
+          ...notch(filter.frequency, {
+            q: filter.q,
+            harmonics: filter.harmonics,
+            sampleRate,
+          })
+        );
+        break;
+      case "fir":
+        filters.push(new FIRFilter(filter.coefficients));
+        break;
+      default:
+        throw new TypeError(
+          `Unknown filter type "${filter.type}", expected highpass, lowpass, bandpass, notch or fir`
+        );
+    }
+  }
+  return new FilterChain(filters);
+};
+
+/**
+ * Creates one filter chain per channel, each with its own state.
+ *
+ * @example
+ * // The same filters for every channel
+ * createChannelFilters([{ type: "bandpass", low: 1, high: 40 }], ["TP9", "AF7", "AF8", "TP10"]);
+ * // Different filters per channel, and none for AUX
+ * createChannelFilters({ TP9: temporal, TP10: temporal, AF7: frontal, AF8: frontal }, EEG_CHANNELS);
+ *
+ * @param {Object[]|Object<string, Object[]>|null} spec - The filters of every channel as for createFilterChain,
+ *                                                        or an object with the filters of each channel by name.
+ * @param {string[]} channels - The names of the channels.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {Array<FilterChain|null>} The chain of every channel, null for the channels without filters.
+ * @throws {TypeError} If a filter type is unknown.
+ * @throws {RangeError} If a frequency or order is out of range.
+ */
+export const createChannelFilters = (spec, channels, sampleRate = 256) =>
+  channels.map((channel) => {
+    const filters = Array.isArray(spec) ? spec : spec && spec[channel];
+    return filters ? createFilterChain(filters, sampleRate) : null;
+  });
@@ -0,0 +1,37 @@
+/**
+ * Fills the gaps of a signal, such as the samples of lost packets, by interpolating linearly between the
+ * valid samples around each gap. Gaps at the start and end hold the first and last valid sample.
+ *
+ * @example
+ * fillGaps([NaN, 1, NaN, NaN, 4, null]); // [1, 1, 2, 3, 4, 4]
+ *
+ * @param {ArrayLike<number|null>} values - The samples, with NaN, null or undefined where they are missing.
+ *                                          Not modified.
+ * @return {number[]|null} The filled samples, or null if there is no valid sample.
+ */
+export const fillGaps = (values) => {
+  const isValid = (value) => typeof value === "number" && !isNaN(value);
+  const result = new Array(values.length);
+  let previous = -1;
+  for (let i = 0; i < values.length; i++) {
+    if (!isValid(values[i])) {
+      continue;
+    }
+    for (let j = previous + 1; j < i; j++) {
+      result[j] =
+        previous < 0
+          ? values[i]
+          : values[previous] +
+            ((values[i] - values[previous]) * (j - previous)) / (i - previous);
+    }
+    result[i] = values[i];
+    previous = i;
+  }
+  if (previous < 0) {
+    return null;
+  }
+  for (let j = previous + 1; j < values.length; j++) {
+    result[j] = values[previous];
+  }
+  return result;
+};
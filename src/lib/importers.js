@@ -0,0 +1,525 @@
+import { EEG_CHANNELS } from "./protocol.js";
+
+/**
+ * The recording formats understood by parseRecording:
+ * - web-muse     - the mock data format: a timestamp in milliseconds, the four EEG channels in microvolts
+ *                  and optional PPG, accelerometer, gyroscope and battery columns
+ * - mind-monitor - Mind Monitor CSV exports, with RAW, band-power, motion, battery and Elements columns
+ * - muse-lsl     - CSV files written by muse-lsl, with Unix timestamps in seconds and optional marker columns
+ * - muse-direct  - Muse Direct (and MuseIO) CSV exports, with one OSC message such as `/eeg` per line
+ */
+export const FORMATS = ["web-muse", "mind-monitor", "muse-lsl", "muse-direct"];
+
+/**
+ * Mind Monitor and Muse Direct store EEG as unsigned microvolts between 0 and 1682.815,
+ * so this offset is subtracted to center the samples at 0 like the decoded headband data.
+ */
+const UNSIGNED_EEG_OFFSET = 1682.815 / 2;
+
+const BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+
+/**
+ * Splits a CSV line into trimmed cells. Commas within double quotes do not split cells.
+ *
+ * @param {string} line - The line.
+ * @return {string[]} The cells, without their quotes.
+ */
+const splitLine = (line) => {
+  if (!line.includes('"')) {
+    return line.split(",").map((cell) => cell.trim());
+  }
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Parses a numeric cell.
+ *
+ * @param {string} [cell] - The cell.
+ * @return {number} The number, or NaN if the cell is missing, empty or not a number.
+ */
+const number = (cell) => (cell ? Number(cell) : NaN);
+
+/**
+ * Parses a time cell, either a Unix timestamp in seconds or a date such as "2021-03-04 12:34:56.789",
+ * which is read in local time.
+ *
+ * @param {string} cell - The cell.
+ * @return {number} The Unix timestamp in milliseconds, or NaN if the cell is not a time.
+ */
+const parseTime = (cell) => {
+  const seconds = number(cell);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  return Date.parse(cell.replace(" ", "T"));
+};
+
+/**
+ * Finds the column of every pattern in a header.
+ *
+ * @param {string[]} names - The lowercase cells of the header.
+ * @param {RegExp[]} patterns - The patterns to look for.
+ * @return {number[]|null} The column indices, or null if any of the patterns has no column.
+ */
+const findColumns = (names, patterns) => {
+  const indices = patterns.map((pattern) =>
+    names.findIndex((name) => pattern.test(name))
+  );
+  return indices.includes(-1) ? null : indices;
+};
+
+/**
+ * Reads the given columns of a line.
+ *
+ * @param {string[]} cells - The cells of the line.
+ * @param {number[]|null} indices - The column indices.
+ * @return {number[]|null} The values, or null if there are no such columns or any of the cells is empty.
+ */
+const readColumns = (cells, indices) => {
+  if (!indices) {
+    return null;
+  }
+  const values = indices.map((index) => number(cells[index]));
+  return values.some(isNaN) ? null : values;
+};
+
+/**
+ * Returns a function that passes on values only when they differ from the previous ones.
+ * Mind Monitor repeats the latest sample of slower sensors in every row, so a row only
+ * has a new sample when the values change.
+ *
+ * @return {Function} The function, which returns the values if they changed, or null.
+ */
+const changes = () => {
+  let previous = null;
+  return (values) => {
+    if (!values || (previous && values.every((v, i) => v === previous[i]))) {
+      return null;
+    }
+    previous = values;
+    return values;
+  };
+};
+
+/**
+ * Detects the format of a recording from its first lines.
+ *
+ * @param {string[]} lines - The lines of the recording.
+ * @return {string|null} One of FORMATS, or null if the format is not recognized.
+ */
+const detectFormat = (lines) => {
+  const names = splitLine(lines[0]).map((name) => name.toLowerCase());
+  if (names.includes("raw_tp9")) {
+    return "mind-monitor";
+  }
+  if (names[0] === "timestamps" && names.includes("tp9")) {
+    return "muse-lsl";
+  }
+  if (lines.slice(0, 10).some((line) => /^\//.test(splitLine(line)[1]))) {
+    return "muse-direct";
+  }
+  if (/^timestamp/.test(names[0]) && names.length >= 5) {
+    return "web-muse";
+  }
+  return null;
+};
+
+/**
+ * Parses a recording in the web-muse mock data format.
+ * Optional columns are recognized by their header (case-insensitive):
+ * - PPG           - "PPG1", "PPG2", "PPG3", or "PPG ambient", "PPG infrared", "PPG red"
+ * - accelerometer - "Accelerometer X" / "Acc X" and likewise for Y and Z, in g
+ * - gyroscope     - "Gyroscope X" / "Gyro X" and likewise for Y and Z, in degrees per second
+ * - battery       - "Battery", in percent
+ * - markers       - "Marker", the label of a marker at the time of the row
+ *
+ * @param {string[]} lines - The lines of the recording.
+ * @param {Object} recording - The recording to add the rows and events to.
+ * @return {void} This function does not return a value.
+ */
+const parseWebMuse = (lines, recording) => {
+  const names = splitLine(lines[0]).map((name) => name.toLowerCase());
+  const axes = (prefix) =>
+    findColumns(
+      names,
+      ["x", "y", "z"].map((axis) => new RegExp(`^${prefix}\\w*[ _]?${axis}\\b`))
+    );
+  const columns = {
+    eeg: [1, 2, 3, 4],
+    ppg: findColumns(names, [
+      /^ppg[ _]?(1|ambient)\b/,
+      /^ppg[ _]?(2|infrared|ir)\b/,
+      /^ppg[ _]?(3|red)\b/,
+    ]),
+    accelerometer: axes("acc"),
+    gyroscope: axes("gyro"),
+    battery: findColumns(names, [/^battery/]),
+  };
+  const marker = names.indexOf("marker");
+  recording.channels = EEG_CHANNELS.slice(0, 4);
+  for (let i = 1; i < lines.length; i++) {
+    const cells = splitLine(lines[i]);
+    const timestamp = number(cells[0]);
+    const eeg = readColumns(cells, columns.eeg);
+    if (isNaN(timestamp) || !eeg) {
+      recording.skipped.push({
+        line: i + 1,
+        reason: "missing timestamp or EEG samples",
+      });
+      continue;
+    }
+    const battery = readColumns(cells, columns.battery);
+    recording.rows.push({
+      timestamp,
+      eeg,
+      ppg: readColumns(cells, columns.ppg),
+      accelerometer: readColumns(cells, columns.accelerometer),
+      gyroscope: readColumns(cells, columns.gyroscope),
+      battery: battery && battery[0],
+    });
+    if (marker >= 0 && cells[marker]) {
+      recording.events.push({ time: timestamp / 1000, label: cells[marker] });
+    }
+  }
+};
+
+/**
+ * Parses a Mind Monitor CSV export. The RAW columns become the EEG samples, the band-power columns
+ * (e.g. "Alpha_TP9") the band powers, and the markers in the Elements column the events.
+ *
+ * @param {string[]} lines - The lines of the recording.
+ * @param {Object} recording - The recording to add the rows, band powers and events to.
+ * @return {void} This function does not return a value.
+ */
+const parseMindMonitor = (lines, recording) => {
+  const names = splitLine(lines[0]).map((name) => name.toLowerCase());
+  const perChannel = (prefix) =>
+    findColumns(
+      names,
+      EEG_CHANNELS.slice(0, 4).map(
+        (channel) => new RegExp(`^${prefix}_${channel.toLowerCase()}$`)
+      )
+    );
+  const eegColumns = perChannel("raw");
+  if (!eegColumns) {
+    throw new Error("Mind Monitor recording without RAW EEG columns");
+  }
+  const auxColumn = names.indexOf("aux_right");
+  if (auxColumn !== -1) {
+    eegColumns.push(auxColumn);
+  }
+  const bandColumns = BANDS.map(perChannel);
+  const columns = {
+    ppg: findColumns(names, [
+      /^ppg_?(1|ambient)$/,
+      /^ppg_?(2|ir)$/,
+      /^ppg_?(3|red)$/,
+    ]),
+    accelerometer: findColumns(names, [
+      /^accelerometer_x$/,
+      /^accelerometer_y$/,
+      /^accelerometer_z$/,
+    ]),
+    gyroscope: findColumns(names, [/^gyro_x$/, /^gyro_y$/, /^gyro_z$/]),
+    battery: findColumns(names, [/^battery$/]),
+  };
+  const elementsColumn = names.indexOf("elements");
+  const changed = {
+    bands: changes(),
+    ppg: changes(),
+    accelerometer: changes(),
+    gyroscope: changes(),
+    battery: changes(),
+  };
+  recording.channels = EEG_CHANNELS.slice(0, eegColumns.length);
+
+  for (let i = 1; i < lines.length; i++) {
+    const cells = splitLine(lines[i]);
+    const time = parseTime(cells[0]);
+    if (isNaN(time)) {
+      recording.skipped.push({ line: i + 1, reason: "invalid timestamp" });
+      continue;
+    }
+    if (recording.startTime === null) {
+      recording.startTime = time;
+    }
+    const timestamp = time - recording.startTime;
+    const label = elementsColumn === -1 ? "" : cells[elementsColumn] || "";
+    if (label) {
+      recording.events.push({ time: timestamp / 1000, label });
+    }
+
+    const raw = readColumns(cells, eegColumns);
+    if (!raw) {
+      // Rows with an element only have the timestamp and the Elements column
+      if (!label) {
+        recording.skipped.push({ line: i + 1, reason: "missing EEG samples" });
+      }
+      continue;
+    }
+    const powers = changed.bands(
+      bandColumns.every(Boolean) && readColumns(cells, bandColumns.flat())
+    );
+    if (powers) {
+      const bandPower = { time: timestamp / 1000 };
+      BANDS.forEach((band, b) => {
+        bandPower[band] = powers.slice(b * 4, b * 4 + 4);
+      });
+      recording.bandPowers.push(bandPower);
+    }
+    const battery = changed.battery(readColumns(cells, columns.battery));
+    recording.rows.push({
+      timestamp,
+      eeg: raw.map((value) => value - UNSIGNED_EEG_OFFSET),
+      ppg: changed.ppg(readColumns(cells, columns.ppg)),
+      accelerometer: changed.accelerometer(
+        readColumns(cells, columns.accelerometer)
+      ),
+      gyroscope: changed.gyroscope(readColumns(cells, columns.gyroscope)),
+      battery: battery && battery[0],
+    });
+  }
+};
+
+/**
+ * Parses a CSV file written by muse-lsl. Non-zero values in marker columns (e.g. "Marker0") become events.
+ *
+ * @param {string[]} lines - The lines of the recording.
+ * @param {Object} recording - The recording to add the rows and events to.
+ * @return {void} This function does not return a value.
+ */
+const parseMuseLSL = (lines, recording) => {
+  const names = splitLine(lines[0]).map((name) => name.toLowerCase());
+  const eegColumns = findColumns(
+    names,
+    EEG_CHANNELS.slice(0, 4).map((channel) => new RegExp(`^${channel}$`, "i"))
+  );
+  if (!eegColumns) {
+    throw new Error(
+      "muse-lsl recording without TP9, AF7, AF8 and TP10 columns"
+    );
+  }
+  const auxColumn = names.findIndex((name) => /aux/.test(name));
+  if (auxColumn !== -1) {
+    eegColumns.push(auxColumn);
+  }
+  const markerColumns = names
+    .map((name, index) => (/^marker/.test(name) ? index : -1))
+    .filter((index) => index !== -1);
+  recording.channels = EEG_CHANNELS.slice(0, eegColumns.length);
+
+  for (let i = 1; i < lines.length; i++) {
+    const cells = splitLine(lines[i]);
+    const time = number(cells[0]) * 1000;
+    const eeg = readColumns(cells, eegColumns);
+    if (isNaN(time) || !eeg) {
+      recording.skipped.push({
+        line: i + 1,
+        reason: "missing timestamp or EEG samples",
+      });
+      continue;
+    }
+    if (recording.startTime === null) {
+      recording.startTime = time;
+    }
+    const timestamp = time - recording.startTime;
+    for (const column of markerColumns) {
+      const marker = cells[column];
+      if (marker && marker !== "0" && Number(marker) !== 0) {
+        recording.events.push({ time: timestamp / 1000, label: marker });
+      }
+    }
+    recording.rows.push({
+      timestamp,
+      eeg,
+      ppg: null,
+      accelerometer: null,
+      gyroscope: null,
+      battery: null,
+    });
+  }
+};
+
+/**
+ * Parses a Muse Direct or MuseIO CSV export, with the time, the OSC path and the values of one message
+ * per line. EEG messages become rows, and the samples of the other sensors are added to the next row.
+ * Blink and jaw-clench elements, markers and annotations become events. Other messages are ignored.
+ *
+ * @param {string[]} lines - The lines of the recording.
+ * @param {Object} recording - The recording to add the rows and events to.
+ * @return {void} This function does not return a value.
+ */
+const parseMuseDirect = (lines, recording) => {
+  let pending = {
+    ppg: null,
+    accelerometer: null,
+    gyroscope: null,
+    battery: null,
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const cells = splitLine(lines[i]);
+    const path = cells[1] || "";
+    const time = parseTime(cells[0]);
+    if (!path.startsWith("/") || isNaN(time)) {
+      // The first line may be a header
+      if (i > 0) {
+        recording.skipped.push({ line: i + 1, reason: "not an OSC message" });
+      }
+      continue;
+    }
+    if (recording.startTime === null) {
+      recording.startTime = time;
+    }
+    const timestamp = time - recording.startTime;
+    const values = cells
+      .slice(2)
+      .filter((cell) => cell !== "")
+      .map(Number);
+    const type = path.toLowerCase();
+
+    if (/\/eeg$/.test(type)) {
+      if (!recording.channels) {
+        recording.channels = EEG_CHANNELS.slice(0, values.length > 4 ? 5 : 4);
+      }
+      const eeg = values.slice(0, recording.channels.length);
+      if (eeg.length < recording.channels.length || eeg.some(isNaN)) {
+        recording.skipped.push({ line: i + 1, reason: "missing EEG samples" });
+        continue;
+      }
+      recording.rows.push({
+        timestamp,
+        eeg: eeg.map((value) => value - UNSIGNED_EEG_OFFSET),
+        ...pending,
+      });
+      pending = {
+        ppg: null,
+        accelerometer: null,
+        gyroscope: null,
+        battery: null,
+      };
+    } else if (/\/acc(elerometer)?$/.test(type)) {
+      // MuseIO reports the acceleration in milli-g
+      const scale = values.some((value) => Math.abs(value) > 16) ? 1000 : 1;
+      pending.accelerometer = values.slice(0, 3).map((value) => value / scale);
+    } else if (/\/gyro$/.test(type)) {
+      pending.gyroscope = values.slice(0, 3);
+    } else if (/\/ppg$/.test(type)) {
+      pending.ppg = values.slice(0, 3);
+    } else if (/\/batt(ery)?$/.test(type)) {
+      // MuseIO reports the battery level in hundredths of a percent
+      pending.battery = values[0] > 100 ? values[0] / 100 : values[0];
+    } else if (/\/elements\/(blink|jaw_clench)$/.test(type)) {
+      if (values[0]) {
+        recording.events.push({ time: timestamp / 1000, label: path });
+      }
+    } else if (/marker|annotation/.test(type)) {
+      recording.events.push({
+        time: timestamp / 1000,
+        label: cells.slice(2).join(",") || path,
+      });
+    }
+  }
+};
+
+const PARSERS = {
+  "web-muse": parseWebMuse,
+  "mind-monitor": parseMindMonitor,
+  "muse-lsl": parseMuseLSL,
+  "muse-direct": parseMuseDirect,
+};
+
+/**
+ * Parses a recording exported by Mind Monitor, muse-lsl or Muse Direct, or in the web-muse mock data format.
+ * The result can be played back in mock mode with the `mockRecording` option, or analyzed with `analyzeRecording`.
+ *
+ * EEG samples are converted to microvolts centered at 0, motion samples to g and degrees per second,
+ * and the battery level to percent. Lines that cannot be parsed are listed in `skipped`.
+ *
+ * @example
+ * const recording = parseRecording(await file.text());
+ * const muse = new Muse({ mock: true, mockRecording: recording });
+ *
+ * @param {string} text - The content of the CSV file.
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.format] - One of FORMATS. Detected from the header by default.
+ * @return {{format: string, channels: string[], startTime: number|null, sampleRate: number, rows: Object[],
+ *           events: Object[], bandPowers: Object[], skipped: Object[]}} The recording:
+ *         - format     - the format of the file
+ *         - channels   - the names of the EEG channels, 4 or 5 including AUX
+ *         - startTime  - the Unix timestamp in milliseconds of the start of the recording, if the file has one
+ *         - sampleRate - the EEG sample rate in Hz, estimated from the timestamps
+ *         - rows       - one `{ timestamp, eeg, ppg, accelerometer, gyroscope, battery }` per EEG sample,
+ *                        with the timestamp in milliseconds since the start, as used by mock mode
+ *         - events     - the markers of the recording as `{ time, label }`, with the time in seconds since the start
+ *         - bandPowers - the band powers of a Mind Monitor export as `{ time, delta, theta, alpha, beta, gamma }`,
+ *                        with one value per channel
+ *         - skipped    - the lines that could not be parsed as `{ line, reason }`, with 1-based line numbers
+ * @throws {TypeError} If the format is unknown.
+ * @throws {Error} If the format cannot be detected or the file has no EEG samples or columns.
+ */
+export const parseRecording = (text, options = {}) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (options.format && !PARSERS[options.format]) {
+    throw new TypeError(
+      `Unknown recording format "${
+        options.format
+      }", expected one of ${FORMATS.join(", ")}`
+    );
+  }
+  const format = options.format || (lines.length > 0 && detectFormat(lines));
+  if (!format) {
+    throw new Error("Unrecognized recording format");
+  }
+  const recording = {
+    format,
+    channels: null,
+    startTime: null,
+    sampleRate: 256,
+    rows: [],
+    events: [],
+    bandPowers: [],
+    skipped: [],
+  };
+  PARSERS[format](lines, recording);
+  const rows = recording.rows;
+  if (rows.length === 0) {
+    throw new Error(`No EEG samples found in the ${format} recording`);
+  }
+  const duration = rows[rows.length - 1].timestamp - rows[0].timestamp;
+  if (duration > 0) {
+    recording.sampleRate = ((rows.length - 1) * 1000) / duration;
+  }
+  return recording;
+};
+
+/**
+ * Fetches and parses a recording.
+ *
+ * @param {string} path - The URL of the CSV file.
+ * @param {Object} [options] - Parsing options, as for parseRecording
+ * @return {Promise<Object>} A promise that resolves to the recording, as returned by parseRecording.
+ * @throws {Error} If the file cannot be fetched, e.g. because it does not exist.
+ */
+export const loadRecording = async (path, options = {}) => {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load the recording ${path}: ${response.status} ${response.statusText}`
+    );
+  }
+  return parseRecording(await response.text(), options);
+};
@@ -0,0 +1,149 @@
+import { EEG_CHANNELS } from "./protocol.js";
+
+/**
+ * The default references of the scores: the relaxation index (alpha / beta) and the concentration index
+ * (beta / (alpha + theta)) that score 50. They are typical of a wearer at rest with open eyes; calibrating
+ * them to the wearer, e.g. with MetricsStream.calibrate, makes the scores far more meaningful.
+ */
+export const DEFAULT_REFERENCES = { relaxation: 1, concentration: 0.5 };
+
+/**
+ * Returns the summed power of one or more bands.
+ *
+ * @param {Object<string, number>} powers - The power of every band of a channel.
+ * @param {string|string[]} bands - The name of a band, or of several bands.
+ * @return {number} The power of the bands, NaN if one is missing.
+ */
+const sum = (powers, bands) =>
+  [].concat(bands).reduce((total, band) => total + powers[band], 0);
+
+/**
+ * Adds the band powers of several channels.
+ *
+ * @param {Object<string, number>[]} powers - The power of every band of each channel.
+ * @return {Object<string, number>} The power of every band of all channels.
+ */
+const total = (powers) => {
+  const result = {};
+  for (const channel of powers) {
+    for (const [band, power] of Object.entries(channel)) {
+      result[band] = (result[band] || 0) + power;
+    }
+  }
+  return result;
+};
+
+/**
+ * Divides the power of every band of a channel by the power of all its bands.
+ *
+ * @param {Object<string, number>} powers - The power of every band, e.g. one entry of `powerData`.
+ * @return {Object<string, number>} The share of every band in [0, 1], NaN without power.
+ *
+ * @example
+ * relativePower({ theta: 2, alpha: 6, beta: 2 }); // { theta: 0.2, alpha: 0.6, beta: 0.2 }
+ */
+export const relativePower = (powers) => {
+  const all = sum(powers, Object.keys(powers));
+  return Object.fromEntries(
+    Object.entries(powers).map(([band, power]) => [
+      band,
+      all > 0 ? power / all : NaN,
+    ])
+  );
+};
+
+/**
+ * Returns the ratio of the power of some bands to the power of others.
+ *
+ * @param {Object<string, number>} powers - The power of every band of a channel.
+ * @param {string|string[]} numerator - The band, or bands, above the fraction bar.
+ * @param {string|string[]} denominator - The band, or bands, below the fraction bar.
+ * @return {number} The ratio, NaN without power in the denominator or if a band is missing.
+ *
+ * @example
+ * bandRatio(powers, "theta", "beta"); // theta/beta ratio
+ * bandRatio(powers, "beta", ["alpha", "theta"]); // engagement index
+ */
+export const bandRatio = (powers, numerator, denominator) => {
+  const below = sum(powers, denominator);
+  return below > 0 ? sum(powers, numerator) / below : NaN;
+};
+
+/**
+ * Returns the frontal alpha asymmetry, ln(alpha of AF8) - ln(alpha of AF7). Alpha power is inversely
+ * related to cortical activity, so a positive asymmetry means relatively more left-frontal activity,
+ * which is associated with approach motivation and positive affect.
+ *
+ * @param {Object<string, number>[]} powers - The power of every band of each channel.
+ * @param {string[]} [channels=EEG_CHANNELS] - The names of the channels, in the order of `powers`.
+ * @return {number} The asymmetry, NaN without both frontal channels or without alpha power in either.
+ */
+export const frontalAlphaAsymmetry = (powers, channels = EEG_CHANNELS) => {
+  const left = powers[channels.indexOf("AF7")];
+  const right = powers[channels.indexOf("AF8")];
+  if (!(left && right && left.alpha > 0 && right.alpha > 0)) {
+    return NaN;
+  }
+  return Math.log(right.alpha) - Math.log(left.alpha);
+};
+
+/**
+ * Maps a positive index to a score from 0 to 100, with a logistic curve of the logarithm of the index
+ * relative to a reference: the reference scores 50, twice it 67 and half of it 33.
+ *
+ * @param {number} value - The index, e.g. a band ratio.
+ * @param {number} reference - The index that scores 50.
+ * @return {number} The score in [0, 100], NaN if the index is NaN.
+ */
+export const normalizeScore = (value, reference) => {
+  if (isNaN(value)) {
+    return NaN;
+  }
+  return value > 0 ? (100 * value) / (value + reference) : 0;
+};
+
+/**
+ * Computes the standard neurofeedback metrics of one window of band powers:
+ * - relative      - the share of every band of each channel, see relativePower
+ * - alphaTheta    - the alpha/theta ratio of each channel
+ * - thetaBeta     - the theta/beta ratio of each channel
+ * - engagement    - the engagement index of Pope et al., beta / (alpha + theta), of each channel
+ * - asymmetry     - the frontal alpha asymmetry, see frontalAlphaAsymmetry
+ * - indices       - `{ relaxation, concentration }`: alpha / beta and beta / (alpha + theta) of the powers
+ *                   added over the channels, which weights the channels by their power
+ * - relaxation    - the relaxation index as a score from 0 to 100, see normalizeScore
+ * - concentration - the concentration index as a score from 0 to 100
+ *
+ * @param {Object<string, number>[]} powers - The power of every band of each channel, with at least the
+ *        theta, alpha and beta bands, e.g. `powerData` or the `absolute` powers of a `bandpower` event.
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.channels=EEG_CHANNELS] - The names of the channels, in the order of `powers`
+ * @param {Object} [options.references=DEFAULT_REFERENCES] - The `{ relaxation, concentration }` indices
+ *        that score 50
+ * @return {Object} The metrics.
+ *
+ * @example
+ * const { powerData } = analyzeRecording(recording);
+ * const { asymmetry, relaxation } = computeMetrics(powerData);
+ */
+export const computeMetrics = (powers, options = {}) => {
+  const references = { ...DEFAULT_REFERENCES, ...options.references };
+  const all = total(powers);
+  const indices = {
+    relaxation: bandRatio(all, "alpha", "beta"),
+    concentration: bandRatio(all, "beta", ["alpha", "theta"]),
+  };
+  return {
+    relative: powers.map(relativePower),
+    alphaTheta: powers.map((p) => bandRatio(p, "alpha", "theta")),
+    thetaBeta: powers.map((p) => bandRatio(p, "theta", "beta")),
+    engagement: powers.map((p) => bandRatio(p, "beta", ["alpha", "theta"])),
+    asymmetry: frontalAlphaAsymmetry(powers, options.channels),
+    indices,
+    relaxation: normalizeScore(indices.relaxation, references.relaxation),
+    concentration: normalizeScore(
+      indices.concentration,
+      references.concentration
+    ),
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * The UUID of the GATT service of the Muse headband.
+ */
+export const SERVICE = 0xfe8d;
+
+/**
+ * The UUIDs of the GATT characteristics of the Muse headband.
+ * The EEG and PPG characteristics are listed in channel order.
+ */
+export const CHARACTERISTICS = {
+  control: "273e0001-4c4d-454d-96be-f03bac821358",
+  battery: "273e000b-4c4d-454d-96be-f03bac821358",
+  gyroscope: "273e0009-4c4d-454d-96be-f03bac821358",
+  accelerometer: "273e000a-4c4d-454d-96be-f03bac821358",
+  ppg: [
+    "273e000f-4c4d-454d-96be-f03bac821358",
+    "273e0010-4c4d-454d-96be-f03bac821358",
+    "273e0011-4c4d-454d-96be-f03bac821358",
+  ],
+  eeg: [
+    "273e0003-4c4d-454d-96be-f03bac821358",
+    "273e0004-4c4d-454d-96be-f03bac821358",
+    "273e0005-4c4d-454d-96be-f03bac821358",
+    "273e0006-4c4d-454d-96be-f03bac821358",
+    "273e0007-4c4d-454d-96be-f03bac821358",
+  ],
+};
+
+/**
+ * Scale factors from the raw sensor values to physical units:
+ * - eeg           - microvolts per unit of the 12-bit sample, centered at 0x800
+ * - accelerometer - g per unit of the signed 16-bit sample (1 / 2^14)
+ * - gyroscope     - degrees per second per unit of the signed 16-bit sample
+ * - battery       - percent per unit of the unsigned 16-bit battery value (1 / 512)
+ */
+export const SCALES = {
+  eeg: 0.48828125,
+  accelerometer: 0.0000610352,
+  gyroscope: 0.0074768,
+  battery: 1 / 512,
+};
+
+/**
+ * The nominal sample rates of the sensors in Hz.
+ */
+export const SAMPLE_RATES = {
+  eeg: 256,
+  ppg: 64,
+  accelerometer: 52,
+  gyroscope: 52,
+};
+
+/**
+ * Returns the current time on the clock of all sample timestamps, which is consistent across modules and
+ * more precise than `Date.now()`.
+ *
+ * @return {number} A Unix timestamp in milliseconds.
+ */
+export const currentTime = () => performance.timeOrigin + performance.now();
+
+/**
+ * Names of the EEG channels in the order of the EEG characteristics.
+ * The fifth channel is the auxiliary electrode, which is only streamed by some presets.
+ */
+export const EEG_CHANNELS = ["TP9", "AF7", "AF8", "TP10", "AUX"];
+
+/**
+ * Names of the PPG channels in the order of the PPG characteristics.
+ */
+export const PPG_CHANNELS = ["ambient", "infrared", "red"];
+
+/**
+ * The known Muse presets and the data they stream.
+ * - eeg - number of EEG channels (4, or 5 including AUX)
+ * - ppg - whether the PPG channels are streamed
+ */
+export const PRESETS = {
+  p20: {
+    eeg: 5,
+    ppg: false,
+    description: "4 EEG channels and AUX, no PPG (Muse 2016 default)",
+  },
+  p21: { eeg: 4, ppg: false, description: "4 EEG channels, no PPG" },
+  p50: { eeg: 5, ppg: true, description: "4 EEG channels, AUX and PPG" },
+  p51: { eeg: 4, ppg: true, description: "4 EEG channels and PPG" },
+  p1034: {
+    eeg: 5,
+    ppg: true,
+    description: "Muse S: 4 EEG channels, AUX and PPG/fNIRS",
+  },
+  p1035: {
+    eeg: 4,
+    ppg: true,
+    description: "Muse S: 4 EEG channels and PPG/fNIRS",
+  },
+};
+
+/**
+ * Resolves the channel layout streamed with the given preset and sensor selection.
+ * A sensor is part of the layout only if it was requested and the preset streams it.
+ *
+ * @param {string} preset - One of the keys of PRESETS.
+ * @param {Object} [sensors] - The requested sensors, all enabled by default.
+ * @param {boolean} [sensors.eeg=true] - Subscribe to the EEG channels
+ * @param {boolean} [sensors.aux=true] - Subscribe to the auxiliary EEG channel
+ * @param {boolean} [sensors.ppg=true] - Subscribe to the PPG channels
+ * @param {boolean} [sensors.accelerometer=true] - Subscribe to the accelerometer
+ * @param {boolean} [sensors.gyroscope=true] - Subscribe to the gyroscope
+ * @param {boolean} [sensors.battery=true] - Subscribe to the battery level
+ * @return {{preset: string, eeg: string[], ppg: string[], accelerometer: boolean, gyroscope: boolean, battery: boolean}}
+ *         The preset, the names of the subscribed EEG and PPG channels, and which other sensors are subscribed.
+ * @throws {TypeError} If the preset is unknown.
+ */
+export const resolveLayout = (preset, sensors = {}) => {
+  const spec = PRESETS[preset];
+  if (!spec) {
+    throw new TypeError(
+      `Unknown preset "${preset}", expected one of ${Object.keys(PRESETS).join(
+        ", "
+      )}`
+    );
+  }
+  const enabled = (sensor) => sensors[sensor] !== false;
+  let eeg = [];
+  if (enabled("eeg")) {
+    eeg = EEG_CHANNELS.slice(0, enabled("aux") ? spec.eeg : 4);
+  }
+  return {
+    preset,
+    eeg,
+    ppg: spec.ppg && enabled("ppg") ? PPG_CHANNELS.slice() : [],
+    accelerometer: enabled("accelerometer"),
+    gyroscope: enabled("gyroscope"),
+    battery: enabled("battery"),
+  };
+};
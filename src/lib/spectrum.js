@@ -0,0 +1,301 @@
+/**
+ * Window functions for spectral analysis, in their periodic form, which tapers a segment
+ * of `n` samples as if it was one period of a longer signal.
+ * - hann        - 0.5 - 0.5 cos(2πi/n), the default
+ * - hamming     - 0.54 - 0.46 cos(2πi/n), which does not reach 0 at the edges
+ * - rectangular - no tapering
+ */
+export const WINDOWS = {
+  hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n),
+  hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / n),
+  rectangular: () => 1,
+};
+
+/**
+ * The EEG frequency bands in Hz, as `[low, high)`.
+ */
+export const BANDS = {
+  delta: [0.5, 4],
+  theta: [4, 8],
+  alpha: [8, 13],
+  beta: [13, 30],
+  gamma: [30, 100],
+};
+
+// The twiddle factors and bit-reversal permutations of the power-of-two sizes, and the chirps of the other sizes
+const radix2Plans = new Map();
+const bluesteinPlans = new Map();
+
+/**
+ * Returns the precomputed tables of a power-of-two FFT, computing them on first use.
+ *
+ * @param {number} n - The size of the transform, a power of two.
+ * @return {{cos: Float64Array, sin: Float64Array, reverse: Uint32Array}} The twiddle factors and the bit-reversal permutation.
+ */
+const radix2Plan = (n) => {
+  let plan = radix2Plans.get(n);
+  if (!plan) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / n);
+      sin[i] = Math.sin((2 * Math.PI * i) / n);
+    }
+    const reverse = new Uint32Array(n);
+    const bits = Math.log2(n);
+    for (let i = 0; i < n; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      reverse[i] = reversed;
+    }
+    plan = { cos, sin, reverse };
+    radix2Plans.set(n, plan);
+  }
+  return plan;
+};
+
+/**
+ * Computes the forward FFT of a power-of-two number of complex values in place,
+ * with the iterative radix-2 Cooley-Tukey algorithm.
+ *
+ * @param {Float64Array} real - The real parts.
+ * @param {Float64Array} imag - The imaginary parts.
+ * @return {void} This function does not return a value.
+ */
+const transformRadix2 = (real, imag) => {
+  const n = real.length;
+  if (n <= 1) {
+    return;
+  }
+  const { cos, sin, reverse } = radix2Plan(n);
+  for (let i = 0; i < n; i++) {
+    const j = reverse[i];
+    if (j > i) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const c = cos[k * step];
+        const s = sin[k * step];
+        const re = real[b] * c + imag[b] * s;
+        const im = imag[b] * c - real[b] * s;
+        real[b] = real[a] - re;
+        imag[b] = imag[a] - im;
+        real[a] += re;
+        imag[a] += im;
+      }
+    }
+  }
+};
+
+/**
+ * Returns the precomputed chirp of a Bluestein FFT and the transform of its conjugate, computing them on first use.
+ *
+ * @param {number} n - The size of the transform.
+ * @return {{m: number, chirpReal: Float64Array, chirpImag: Float64Array, kernelReal: Float64Array, kernelImag: Float64Array}}
+ *         The power-of-two size of the convolution, the chirp and the transform of the convolution kernel.
+ */
+const bluesteinPlan = (n) => {
+  let plan = bluesteinPlans.get(n);
+  if (!plan) {
+    let m = 1;
+    while (m < 2 * n - 1) {
+      m *= 2;
+    }
+    const chirpReal = new Float64Array(n);
+    const chirpImag = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      // k² modulo 2n keeps the angle small, and so precise, for large k
+      const angle = (Math.PI * ((k * k) % (2 * n))) / n;
+      chirpReal[k] = Math.cos(angle);
+      chirpImag[k] = -Math.sin(angle);
+    }
+    const kernelReal = new Float64Array(m);
+    const kernelImag = new Float64Array(m);
+    for (let k = 0; k < n; k++) {
+      kernelReal[k] = chirpReal[k];
+      kernelImag[k] = -chirpImag[k];
+      if (k > 0) {
+        kernelReal[m - k] = chirpReal[k];
+        kernelImag[m - k] = -chirpImag[k];
+      }
+    }
+    transformRadix2(kernelReal, kernelImag);
+    plan = { m, chirpReal, chirpImag, kernelReal, kernelImag };
+    bluesteinPlans.set(n, plan);
+  }
+  return plan;
+};
+
+/**
+ * Computes the forward FFT of any number of complex values with Bluestein's algorithm,
+ * which turns it into a convolution computed with power-of-two FFTs.
+ *
+ * @param {Float64Array} real - The real parts, replaced by those of the transform.
+ * @param {Float64Array} imag - The imaginary parts, replaced by those of the transform.
+ * @return {void} This function does not return a value.
+ */
+const transformBluestein = (real, imag) => {
+  const n = real.length;
+  const { m, chirpReal, chirpImag, kernelReal, kernelImag } = bluesteinPlan(n);
+  const re = new Float64Array(m);
+  const im = new Float64Array(m);
+  for (let k = 0; k < n; k++) {
+    re[k] = real[k] * chirpReal[k] - imag[k] * chirpImag[k];
+    im[k] = real[k] * chirpImag[k] + imag[k] * chirpReal[k];
+  }
+  transformRadix2(re, im);
+  // Multiply by the kernel and conjugate, so that the forward FFT computes the inverse
+  for (let k = 0; k < m; k++) {
+    const r = re[k] * kernelReal[k] - im[k] * kernelImag[k];
+    const i = re[k] * kernelImag[k] + im[k] * kernelReal[k];
+    re[k] = r;
+    im[k] = -i;
+  }
+  transformRadix2(re, im);
+  for (let k = 0; k < n; k++) {
+    const r = re[k] / m;
+    const i = -im[k] / m;
+    real[k] = r * chirpReal[k] - i * chirpImag[k];
+    imag[k] = r * chirpImag[k] + i * chirpReal[k];
+  }
+};
+
+/**
+ * Computes the discrete Fourier transform of complex values of any length: with the radix-2 algorithm
+ * for powers of two, and with Bluestein's algorithm otherwise, e.g. for the 768 samples of 3 seconds of EEG.
+ * The tables of each size are computed once and reused.
+ *
+ * @example
+ * const { real, imag } = fft(samples);
+ *
+ * @param {ArrayLike<number>} real - The real parts of the values.
+ * @param {ArrayLike<number>} [imag] - The imaginary parts of the values, all 0 by default.
+ * @return {{real: Float64Array, imag: Float64Array}} The transform, without normalization.
+ */
+export const fft = (real, imag) => {
+  const n = real.length;
+  const re = Float64Array.from(real);
+  const im = imag ? Float64Array.from(imag) : new Float64Array(n);
+  if ((n & (n - 1)) === 0) {
+    transformRadix2(re, im);
+  } else {
+    transformBluestein(re, im);
+  }
+  return { real: re, imag: im };
+};
+
+/**
+ * Estimates the power spectral density of a signal with Welch's method: the signal is cut into overlapping
+ * segments, each segment has its mean removed and is tapered by the window, and the periodograms of the
+ * segments are averaged. The result is one-sided, in the squared unit of the signal per Hz (µV²/Hz for EEG),
+ * and integrates to the variance of the signal.
+ *
+ * @example
+ * const { frequencies, psd } = welch(channel, { segmentLength: 512 });
+ *
+ * @param {ArrayLike<number>} data - The samples.
+ * @param {Object} [options] - Estimation options
+ * @param {number} [options.sampleRate=256] - Sample rate of the signal in Hz
+ * @param {number} [options.segmentLength=256] - Samples per segment, which sets the frequency resolution to
+ *                                               sampleRate / segmentLength. Shortened to the length of the signal
+ * @param {number} [options.overlap=0.5] - Overlap of consecutive segments, as a fraction of the segment length
+ * @param {string} [options.window="hann"] - One of the keys of WINDOWS
+ * @return {{frequencies: Float64Array, psd: Float64Array}} The frequency of every bin in Hz, from 0 to
+ *         the Nyquist frequency, and the power spectral density of every bin.
+ * @throws {TypeError} If the window is unknown.
+ * @throws {RangeError} If the signal has fewer than 2 samples or the overlap is not in [0, 1).
+ */
+export const welch = (data, options = {}) => {
+  const sampleRate = options.sampleRate || 256;
+  const overlap = options.overlap === undefined ? 0.5 : options.overlap;
+  const windowName = options.window || "hann";
+  if (!WINDOWS[windowName]) {
+    throw new TypeError(
+      `Unknown window "${windowName}", expected one of ${Object.keys(
+        WINDOWS
+      ).join(", ")}`
+    );
+  }
+  if (data.length < 2) {
+    throw new RangeError("The signal needs at least 2 samples");
+  }
+  if (!(overlap >= 0 && overlap < 1)) {
+    throw new RangeError(`The overlap must be in [0, 1), got ${overlap}`);
+  }
+  const length = Math.min(options.segmentLength || 256, data.length);
+  const step = Math.max(1, Math.round(length * (1 - overlap)));
+  const window = new Float64Array(length);
+  let windowPower = 0;
+  for (let i = 0; i < length; i++) {
+    window[i] = WINDOWS[windowName](i, length);
+    windowPower += window[i] * window[i];
+  }
+
+  const bins = Math.floor(length / 2) + 1;
+  const psd = new Float64Array(bins);
+  const segment = new Float64Array(length);
+  let segments = 0;
+  for (let start = 0; start + length <= data.length; start += step) {
+    let mean = 0;
+    for (let i = 0; i < length; i++) {
+      mean += data[start + i];
+    }
+    mean /= length;
+    for (let i = 0; i < length; i++) {
+      segment[i] = (data[start + i] - mean) * window[i];
+    }
+    const { real, imag } = fft(segment);
+    for (let k = 0; k < bins; k++) {
+      psd[k] += real[k] * real[k] + imag[k] * imag[k];
+    }
+    segments++;
+  }
+
+  const frequencies = new Float64Array(bins);
+  const scale = 1 / (sampleRate * windowPower * segments);
+  for (let k = 0; k < bins; k++) {
+    frequencies[k] = (k * sampleRate) / length;
+    // Fold the negative frequencies onto the positive ones, except for DC and Nyquist, which have no mirror
+    const mirrored = k > 0 && !(length % 2 === 0 && k === bins - 1);
+    psd[k] *= scale * (mirrored ? 2 : 1);
+  }
+  return { frequencies, psd };
+};
+
+/**
+ * Integrates a power spectral density over a frequency band. Every bin covers the frequencies within half
+ * the resolution of its own, and contributes in proportion to the part of it inside the band.
+ *
+ * @example
+ * const alpha = bandPower(welch(channel), 8, 13);
+ *
+ * @param {{frequencies: ArrayLike<number>, psd: ArrayLike<number>}} spectrum - The spectrum, as returned by welch.
+ * @param {number} low - The lower edge of the band in Hz.
+ * @param {number} high - The upper edge of the band in Hz.
+ * @return {number} The power in the band, in the squared unit of the signal (µV² for EEG).
+ */
+export const bandPower = ({ frequencies, psd }, low, high) => {
+  if (frequencies.length < 2) {
+    return 0;
+  }
+  const resolution = frequencies[1] - frequencies[0];
+  let power = 0;
+  for (let k = 0; k < frequencies.length; k++) {
+    const from = Math.max(low, frequencies[k] - resolution / 2);
+    const to = Math.min(high, frequencies[k] + resolution / 2);
+    if (to > from) {
+      power += psd[k] * (to - from);
+    }
+  }
+  return power;
+};
@@ -0,0 +1,19 @@
+/**
+ * Returns the median of some values, ignoring NaN.
+ *
+ * @example
+ * median([3, 1, NaN, 2, 10]); // 2.5
+ *
+ * @param {number[]} values - The values, not modified.
+ * @return {number} The median, NaN without values.
+ */
+export const median = (values) => {
+  const sorted = values.filter((v) => !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return NaN;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
@@ -0,0 +1,661 @@
+import { MuseTransport } from "./MuseTransport.js";
+import { CHARACTERISTICS, SAMPLE_RATES, SCALES } from "../protocol.js";
+import { loadRecording } from "../importers.js";
+
+/**
+ * A transport that plays back a recording instead of connecting to a real headband.
+ * Streaming starts when the resume command ("d") is written to the control characteristic
+ * and stops on the halt command ("h"), as on a real headband. Every command is answered
+ * with a JSON reply on the control characteristic, including fake `v1` and `s` replies.
+ *
+ * The recording is a CSV file in any of the formats understood by parseRecording, or an already
+ * parsed recording. Its rows are played back at the sample rate of the recording, e.g. 220 Hz for a
+ * recording of an older Muse, and the other sensors at their own rates. The device still timestamps the
+ * EEG at the nominal 256 Hz of the headband.
+ *
+ * Instead of a recording, the rows can come from a mock source such as SyntheticEEG,
+ * an object with a `next()` method that returns the next row and a `reset()` method
+ * that restarts it from the beginning.
+ *
+ * Playback can be paused, resumed, moved to another position and sped up. When it reaches the end
+ * of the data without looping, the transport dispatches an `ended` event.
+ *
+ * @extends MuseTransport
+ */
+export class MockTransport extends MuseTransport {
+  #listeners = new Map();
+  #sequences = new Map();
+  #preset = null;
+  #battery = null;
+  #pending = null;
+  #rows = 0;
+  #due = null;
+  #lastBattery = null;
+  #lastBatteryRow = 0;
+  #EEG_SAMPLES_PER_PACKET = 12;
+  #PACKETS_PER_BATCH = 256;
+  #speed = 1;
+  #paused = false;
+  #streaming = false;
+  #run = 0;
+  #sourceIndex = 0;
+  #sampleRate = SAMPLE_RATES.eeg;
+
+  /**
+   * Constructs a new mock transport.
+   *
+   * @constructor
+   * @param {Object} options - Configuration options
+   * @param {string} [options.dataPath] - Path to mock data CSV file (defaults to assets/resting-state.csv)
+   * @param {Object} [options.recording] - A recording returned by parseRecording to play back instead of the CSV file
+   * @param {{next: Function, reset: Function}} [options.source] - A mock source to stream instead of the CSV file
+   * @param {number} [options.speed=1] - Playback speed as a multiple of real time, Infinity for as fast as possible
+   * @param {boolean} [options.loop=true] - Start over at the end of the data instead of ending playback
+   */
+  constructor(options = {}) {
+    super();
+    this.dataPath =
+      options.dataPath ||
+      new URL("../../../assets/resting-state.csv", import.meta.url).href;
+    this.dataIndex = 0;
+    this.interval = null;
+    this.data = null;
+    this.skipped = [];
+    this.recording = options.recording || null;
+    this.source = options.source || null;
+    this.loop = options.loop !== false;
+    if (options.speed !== undefined) {
+      this.speed = options.speed;
+    }
+  }
+
+  /**
+   * Loads the mock data, unless a recording or a mock source was given, and moves playback to the start.
+   * There is no device to choose in mock mode. The lines of the mock data file that could not be parsed
+   * are listed in `skipped`, as by parseRecording.
+   *
+   * @return {Promise<boolean>} A promise that resolves with true once the data is loaded.
+   * @throws {Error} If the mock data cannot be loaded, or has no samples.
+   */
+  async requestDevice() {
+    let recording = this.recording;
+    if (!recording && !this.source) {
+      recording = await loadRecording(this.dataPath);
+      this.skipped = recording.skipped;
+    }
+    if (recording) {
+      if (recording.rows.length === 0) {
+        throw new Error("The mock recording has no samples");
+      }
+      this.data = recording.rows;
+    }
+    this.#sampleRate =
+      (this.source || recording).sampleRate || SAMPLE_RATES.eeg;
+    this.#seekTo(0);
+    return true;
+  }
+
+  /**
+   * Connects to the mock headband. Nothing to do, as the data is already loaded.
+   *
+   * @return {Promise<void>} A promise that resolves immediately.
+   */
+  async connect() {}
+
+  /**
+   * Returns a mock characteristic. Writes to the control characteristic are interpreted as commands.
+   *
+   * @param {string} uuid - The UUID of the characteristic.
+   * @return {Promise<{startNotifications: Function, write: Function}>} A promise that resolves to the characteristic.
+   */
+  async getCharacteristic(uuid) {
+    return {
+      startNotifications: async (listener) => {
+        this.#listeners.set(uuid, listener);
+      },
+      write: async (bytes) => {
+        if (uuid === CHARACTERISTICS.control) {
+          this.#command(new TextDecoder().decode(bytes.subarray(1)).trim());
+        }
+      },
+    };
+  }
+
+  /**
+   * Stops the mock data streaming.
+   *
+   * @return {void} This function does not return a value.
+   */
+  disconnect() {
+    this.#stopMockDataStream();
+    this.#listeners.clear();
+    this.#sequences.clear();
+  }
+
+  /**
+   * Whether playback is paused. Playback also pauses when it ends.
+   *
+   * @type {boolean}
+   */
+  get paused() {
+    return this.#paused;
+  }
+
+  /**
+   * The playback speed as a multiple of real time, or Infinity to send the data as fast as possible.
+   *
+   * @type {number}
+   * @throws {RangeError} If set to a value that is not a positive number.
+   */
+  get speed() {
+    return this.#speed;
+  }
+
+  set speed(speed) {
+    if (!(speed > 0)) {
+      throw new RangeError(`Playback speed must be positive, got ${speed}`);
+    }
+    this.#speed = speed;
+    if (this.#streaming && !this.#paused) {
+      this.#schedule();
+    }
+  }
+
+  /**
+   * The playback position in seconds since the start of the data.
+   *
+   * @type {number}
+   */
+  get position() {
+    return (
+      (this.source ? this.#sourceIndex : this.dataIndex) / this.#sampleRate
+    );
+  }
+
+  /**
+   * The duration of the mock data in seconds, or Infinity for a mock source.
+   *
+   * @type {number}
+   */
+  get duration() {
+    if (this.source) {
+      return Infinity;
+    }
+    return this.data ? this.data.length / this.#sampleRate : 0;
+  }
+
+  /**
+   * Pauses playback. Packets stop until `resume` is called.
+   *
+   * @return {void} This function does not return a value.
+   */
+  pause() {
+    this.#paused = true;
+    this.#unschedule();
+  }
+
+  /**
+   * Resumes playback from the current position. Does nothing once playback reached the end of the data
+   * without looping; seek to play it again.
+   *
+   * @return {void} This function does not return a value.
+   */
+  resume() {
+    if (this.#atEnd()) {
+      return;
+    }
+    this.#paused = false;
+    if (this.#streaming) {
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Moves playback to the given position. Sequence numbers keep incrementing, so a seek is not reported as packet loss.
+   *
+   * @param {number} seconds - The new position in seconds since the start of the data.
+   * @return {void} This function does not return a value.
+   * @throws {RangeError} If the position is outside of the data.
+   */
+  seek(seconds) {
+    if (!(seconds >= 0 && seconds <= this.duration)) {
+      throw new RangeError(
+        `Cannot seek to ${seconds} s, the data is ${this.duration} s long`
+      );
+    }
+    this.#seekTo(Math.round(seconds * this.#sampleRate));
+    if (this.#streaming && !this.#paused) {
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Handles a command written to the control characteristic.
+   *
+   * @param {string} cmd - The command without its length prefix and newline.
+   * @return {void} This function does not return a value.
+   */
+  #command(cmd) {
+    let reply = { rc: 0 };
+    if (cmd === "d") {
+      this.#startMockDataStream();
+    } else if (cmd === "h") {
+      this.#stopMockDataStream();
+    } else if (/^p\d+$/.test(cmd)) {
+      this.#preset = cmd;
+    } else if (cmd === "v1") {
+      reply = {
+        ap: "headset",
+        sp: "mock",
+        tp: "consumer",
+        hw: "0.0",
+        bn: 0,
+        fw: "0.0.0",
+        bl: "0.0.0",
+        pv: 1,
+        rc: 0,
+      };
+    } else if (cmd === "s") {
+      reply = {
+        hn: "Muse-MOCK",
+        sn: "0000-0000-MOCK",
+        ma: "00-00-00-00-00-00",
+        id: "00000000 00000000 00000000",
+        bp: this.#battery === null ? 100 : Math.round(this.#battery),
+        ts: 0,
+        ps: this.#preset ? parseInt(this.#preset.slice(1), 10) : 0,
+        rc: 0,
+      };
+    }
+    // Reply asynchronously, as a real headband does
+    setTimeout(() => this.#reply(reply), 0);
+  }
+
+  /**
+   * Sends a JSON reply on the control characteristic, split into notifications of at most
+   * 19 characters, each prefixed with its length.
+   *
+   * @param {object} reply - The reply to send.
+   * @return {void} This function does not return a value.
+   */
+  #reply(reply) {
+    const bytes = new TextEncoder().encode(JSON.stringify(reply));
+    for (let i = 0; i < bytes.length; i += 19) {
+      const chunk = bytes.subarray(i, i + 19);
+      const packet = new Uint8Array(20);
+      packet[0] = chunk.length;
+      packet.set(chunk, 1);
+      this.#notify(CHARACTERISTICS.control, new DataView(packet.buffer));
+    }
+  }
+
+  /**
+   * Returns the next 16-bit packet sequence number of a characteristic.
+   *
+   * @param {string} uuid - The UUID of the characteristic.
+   * @return {number} The sequence number.
+   */
+  #nextSequence(uuid) {
+    const sequence = this.#sequences.get(uuid) || 0;
+    this.#sequences.set(uuid, (sequence + 1) & 0xffff);
+    return sequence;
+  }
+
+  /**
+   * Calls the notification listener of a characteristic, if there is one.
+   *
+   * @param {string} uuid - The UUID of the characteristic.
+   * @param {DataView} value - The notified value.
+   * @return {void} This function does not return a value.
+   */
+  #notify(uuid, value) {
+    const listener = this.#listeners.get(uuid);
+    if (listener) {
+      listener(value);
+    }
+  }
+
+  /**
+   * Starts the mock data streaming from the current playback position, unless playback is paused.
+   * Does nothing before the mock data is loaded.
+   *
+   * @return {void}
+   */
+  #startMockDataStream() {
+    if (!this.source && !this.data) {
+      return;
+    }
+    this.#streaming = true;
+    if (!this.#paused) {
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Schedules the packets from the current playback position on. Every 12 consecutive rows are sent
+   * as one EEG packet per channel, at the sample rate of the data / 12 packets per second times the
+   * playback speed. Packets are scheduled against the start time rather than the previous packet,
+   * so timer delays do not accumulate. At infinite speed, packets are sent in batches as fast as possible.
+   *
+   * @return {void}
+   */
+  #schedule() {
+    this.#unschedule();
+    const run = this.#run;
+    const packetDuration =
+      (this.#EEG_SAMPLES_PER_PACKET * 1000) / this.#sampleRate / this.#speed;
+    let start = performance.now();
+    let sent = 0;
+
+    const tick = () => {
+      let due;
+      if (packetDuration === 0) {
+        due = sent + this.#PACKETS_PER_BATCH;
+      } else {
+        due = Math.floor((performance.now() - start) / packetDuration) + 1;
+        if (due - sent > 1000 / packetDuration) {
+          // More than a second behind, e.g. in a background tab: resume from now instead of bursting
+          start = performance.now() - sent * packetDuration;
+          due = sent + 1;
+        }
+      }
+      while (sent < due) {
+        this.#sendPacket();
+        sent++;
+        // A listener paused, seeked, or the data ended
+        if (run !== this.#run) {
+          return;
+        }
+      }
+      this.interval = setTimeout(
+        tick,
+        Math.max(0, start + sent * packetDuration - performance.now())
+      );
+    };
+
+    // Start feeding data once the current command has been handled
+    this.interval = setTimeout(tick, 0);
+  }
+
+  /**
+   * Cancels the scheduled packets, including the rest of a batch that is being sent.
+   *
+   * @return {void}
+   */
+  #unschedule() {
+    this.#run++;
+    if (this.interval) {
+      clearTimeout(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Moves the playback position, and forgets the partially collected packets of the other sensors.
+   *
+   * @param {number} index - The index of the next row to send.
+   * @return {void}
+   */
+  #seekTo(index) {
+    if (this.source) {
+      this.source.reset();
+      for (let i = 0; i < index; i++) {
+        this.source.next();
+      }
+      this.#sourceIndex = index;
+    } else {
+      this.dataIndex = index;
+    }
+    this.#pending = { ppg: [], accelerometer: [], gyroscope: [] };
+    this.#rows = 0;
+    this.#due = { ppg: 0, accelerometer: 0, gyroscope: 0 };
+    this.#lastBattery = null;
+    this.#lastBatteryRow = 0;
+  }
+
+  /**
+   * Sends the next EEG packet of every channel, built from the next 12 rows of the mock data,
+   * along with the packets of the other sensors that these rows complete.
+   * Without looping, playback ends instead when fewer than 12 rows are left.
+   *
+   * @return {void}
+   */
+  #sendPacket() {
+    if (this.#atEnd()) {
+      this.#unschedule();
+      this.#paused = true;
+      this.dispatchEvent(new CustomEvent("ended", { detail: {} }));
+      return;
+    }
+    const eeg = [[], [], [], []];
+    for (let n = 0; n < this.#EEG_SAMPLES_PER_PACKET; n++) {
+      const sample = this.#nextRow();
+      for (let i = 0; i < 4; i++) {
+        eeg[i].push(sample.eeg[i]);
+      }
+      this.#feedOtherSensors(sample);
+      this.#rows++;
+    }
+    for (let i = 0; i < 4; i++) {
+      this.#notify(
+        CHARACTERISTICS.eeg[i],
+        this.#createMockEEGData(
+          eeg[i],
+          this.#nextSequence(CHARACTERISTICS.eeg[i])
+        )
+      );
+    }
+  }
+
+  /**
+   * Returns whether playback reached the end of the data without looping, with fewer than 12 rows left.
+   *
+   * @return {boolean} Whether there is no packet left to send.
+   */
+  #atEnd() {
+    return (
+      !this.source &&
+      !this.loop &&
+      this.data !== null &&
+      this.dataIndex + this.#EEG_SAMPLES_PER_PACKET > this.data.length
+    );
+  }
+
+  /**
+   * Returns the next row of the mock source, or of the mock data, looping at its end.
+   *
+   * @return {object} The row.
+   */
+  #nextRow() {
+    if (this.source) {
+      this.#sourceIndex++;
+      return this.source.next();
+    }
+    if (this.dataIndex >= this.data.length) {
+      this.dataIndex = 0;
+    }
+    return this.data[this.dataIndex++];
+  }
+
+  /**
+   * Collects the PPG, accelerometer and gyroscope samples of a row until a packet is complete,
+   * and reports the battery level of the row when it changes, and at least every 10 seconds of data.
+   * PPG packets hold 6 samples, accelerometer and gyroscope packets 3 samples. Samples are only
+   * taken at the rate of their sensor, see #isDue.
+   *
+   * @param {object} sample - A row of the mock data.
+   * @return {void}
+   */
+  #feedOtherSensors(sample) {
+    const pending = this.#pending;
+    if (sample.ppg && this.#isDue("ppg")) {
+      pending.ppg.push(sample.ppg);
+      if (pending.ppg.length === 6) {
+        for (let i = 0; i < 3; i++) {
+          this.#notify(
+            CHARACTERISTICS.ppg[i],
+            this.#createMockPPGData(
+              pending.ppg.map((values) => values[i]),
+              this.#nextSequence(CHARACTERISTICS.ppg[i])
+            )
+          );
+        }
+        pending.ppg = [];
+      }
+    }
+    for (const sensor of ["accelerometer", "gyroscope"]) {
+      if (sample[sensor] && this.#isDue(sensor)) {
+        pending[sensor].push(sample[sensor]);
+        if (pending[sensor].length === 3) {
+          this.#notify(
+            CHARACTERISTICS[sensor],
+            this.#createMockMotionData(
+              pending[sensor],
+              SCALES[sensor],
+              this.#nextSequence(CHARACTERISTICS[sensor])
+            )
+          );
+          pending[sensor] = [];
+        }
+      }
+    }
+    if (sample.battery != null) {
+      this.#battery = sample.battery;
+      if (
+        sample.battery !== this.#lastBattery ||
+        this.#rows - this.#lastBatteryRow >= 10 * this.#sampleRate
+      ) {
+        this.#lastBattery = sample.battery;
+        this.#lastBatteryRow = this.#rows;
+        this.#notify(
+          CHARACTERISTICS.battery,
+          this.#createMockBatteryData(
+            sample.battery,
+            this.#nextSequence(CHARACTERISTICS.battery)
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Returns whether a row brings the next sample of a sensor, so that the sensor is played back at its
+   * own rate whether its column is filled in every row or only in the rows of its samples. A sample is
+   * due one sample period, counted in rows of the data, after the previous one; samples up to half a period
+   * early are taken too, for recordings with jittery timestamps.
+   *
+   * @param {string} sensor - "ppg", "accelerometer" or "gyroscope".
+   * @return {boolean} Whether to take the sample of the current row.
+   */
+  #isDue(sensor) {
+    const period = this.#sampleRate / SAMPLE_RATES[sensor];
+    if (this.#rows < this.#due[sensor] - period / 2) {
+      return false;
+    }
+    this.#due[sensor] = Math.max(this.#due[sensor], this.#rows) + period;
+    return true;
+  }
+
+  /**
+   * Creates mock PPG data in the format expected by eventPPGData.
+   *
+   * @param {number[]} values - The 6 unsigned 24-bit PPG samples to encode.
+   * @param {number} sequence - The 16-bit packet sequence number.
+   * @return {DataView} A DataView containing the mock PPG data.
+   */
+  #createMockPPGData(values, sequence) {
+    const view = new DataView(new ArrayBuffer(20));
+    view.setUint16(0, sequence);
+    values.forEach((value, i) => {
+      const unsigned24bit = Math.max(0, Math.min(0xffffff, Math.round(value)));
+      view.setUint8(2 + i * 3, (unsigned24bit >> 16) & 0xff);
+      view.setUint16(3 + i * 3, unsigned24bit & 0xffff);
+    });
+    return view;
+  }
+
+  /**
+   * Creates mock accelerometer or gyroscope data in the format expected by
+   * eventAccelerometerData and eventGyroscopeData.
+   *
+   * @param {number[][]} samples - The 3 samples to encode, each an [x, y, z] triple in physical units.
+   * @param {number} scale - The scale factor from the raw signed 16-bit values to physical units.
+   * @param {number} sequence - The 16-bit packet sequence number.
+   * @return {DataView} A DataView containing the mock motion data.
+   */
+  #createMockMotionData(samples, scale, sequence) {
+    const view = new DataView(new ArrayBuffer(20));
+    view.setUint16(0, sequence);
+    samples.forEach((sample, i) => {
+      sample.forEach((value, axis) => {
+        const signed16bit = Math.max(
+          -0x8000,
+          Math.min(0x7fff, Math.round(value / scale))
+        );
+        view.setInt16(2 + i * 6 + axis * 2, signed16bit);
+      });
+    });
+    return view;
+  }
+
+  /**
+   * Creates mock battery data in the format expected by eventBatteryData.
+   *
+   * @param {number} level - The battery level in percent.
+   * @param {number} sequence - The 16-bit packet sequence number.
+   * @return {DataView} A DataView containing the mock battery data.
+   */
+  #createMockBatteryData(level, sequence) {
+    const view = new DataView(new ArrayBuffer(20));
+    view.setUint16(0, sequence);
+    view.setUint16(
+      2,
+      Math.max(0, Math.min(0xffff, Math.round(level / SCALES.battery)))
+    );
+    return view;
+  }
+
+  /**
+   * Creates mock EEG data in the format expected by eventEEGData.
+   *
+   * @param {number[]} values - The 12 EEG samples to encode, in microvolts.
+   * @param {number} sequence - The 16-bit packet sequence number.
+   * @return {DataView} A DataView containing the mock EEG data.
+   */
+  #createMockEEGData(values, sequence) {
+    // The eventEEGData method expects 12-bit unsigned data
+    // Convert from scaled value back to 12-bit: value = SCALES.eeg * (x - 0x800)
+    // Therefore: x = (value / SCALES.eeg) + 0x800
+    const samples = values.map((value) =>
+      Math.max(0, Math.min(0xfff, Math.round(value / SCALES.eeg + 0x800)))
+    );
+
+    // Format: each 12-bit sample takes 1.5 bytes, so 12 samples take 18 bytes after the 2-byte header
+    const buffer = new ArrayBuffer(20);
+    const view = new DataView(buffer);
+    const uint8 = new Uint8Array(buffer);
+    view.setUint16(0, sequence);
+
+    // Every pair of samples is packed into 3 bytes: aaaaaaaa aaaabbbb bbbbbbbb
+    for (let i = 0; i < samples.length; i += 2) {
+      const byteOffset = 2 + (i / 2) * 3;
+      const a = samples[i];
+      const b = samples[i + 1];
+      uint8[byteOffset] = a >> 4;
+      uint8[byteOffset + 1] = ((a & 0x0f) << 4) | (b >> 8);
+      uint8[byteOffset + 2] = b & 0xff;
+    }
+
+    return view;
+  }
+
+  /**
+   * Stops the mock data streaming.
+   *
+   * @return {void}
+   */
+  #stopMockDataStream() {
+    this.#streaming = false;
+    this.#unschedule();
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * An abstract base class for the GATT access used by MuseBase.
+ * A transport selects a headband, connects to it, and gives access to its characteristics.
+ * It dispatches a `disconnected` event when the connection is lost without `disconnect` being called.
+ *
+ * Subclasses must implement all of the following methods:
+ * - requestDevice     - selects the headband to connect to
+ * - connect           - connects to the selected headband, also used to reconnect
+ * - getCharacteristic - returns a characteristic of the Muse service
+ * - disconnect        - closes the connection
+ *
+ * Characteristics returned by getCharacteristic have the following methods:
+ * - startNotifications(listener) - calls the listener with a DataView for every notification
+ * - write(bytes)                 - writes a Uint8Array to the characteristic
+ */
+export class MuseTransport extends EventTarget {
+  /**
+   * Constructs a new transport.
+   *
+   * @abstract
+   * @constructor
+   */
+  constructor() {
+    super();
+    if (new.target === MuseTransport) {
+      throw new TypeError("Cannot construct MuseTransport instances directly");
+    }
+  }
+
+  /**
+   * Selects the headband to connect to.
+   *
+   * @abstract
+   * @return {Promise<boolean>} A promise that resolves with true if a headband was selected,
+   *                            or false if the selection was cancelled.
+   */
+  async requestDevice() {
+    throw new Error("requestDevice is not implemented");
+  }
+
+  /**
+   * Connects to the selected headband. Called again on the same headband to reconnect.
+   *
+   * @abstract
+   * @return {Promise<void>} A promise that resolves when the connection is established.
+   */
+  async connect() {
+    throw new Error("connect is not implemented");
+  }
+
+  /**
+   * Returns a characteristic of the Muse service of the connected headband.
+   *
+   * @abstract
+   * @param {string} uuid - The UUID of the characteristic, one of CHARACTERISTICS.
+   * @return {Promise<{startNotifications: Function, write: Function}>} A promise that resolves to the characteristic.
+   */
+  async getCharacteristic(uuid) {
+    throw new Error("getCharacteristic is not implemented");
+  }
+
+  /**
+   * Closes the connection to the headband.
+   *
+   * @abstract
+   * @return {void|Promise<void>} Nothing, or a promise that settles once the connection is closed.
+   */
+  disconnect() {
+    throw new Error("disconnect is not implemented");
+  }
+
+  /**
+   * Dispatches the `disconnected` event. Called by subclasses when the connection is lost.
+   *
+   * @return {void} This function does not return a value.
+   */
+  disconnected() {
+    this.dispatchEvent(new CustomEvent("disconnected", { detail: {} }));
+  }
+}
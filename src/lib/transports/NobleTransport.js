@@ -0,0 +1,159 @@
+import { MuseTransport } from "./MuseTransport.js";
+import { SERVICE } from "../protocol.js";
+
+/**
+ * A transport that connects to a Muse headband from Node.js through a noble-compatible BLE stack,
+ * such as `@abandonware/noble`. The stack is passed in, so web-muse does not depend on it.
+ *
+ * @example
+ * import noble from "@abandonware/noble";
+ * const muse = new Muse({ transport: new NobleTransport({ noble }) });
+ * await muse.connect();
+ *
+ * @extends MuseTransport
+ */
+export class NobleTransport extends MuseTransport {
+  #peripheral = null;
+  #characteristics = new Map();
+
+  /**
+   * Constructs a new Node.js transport.
+   *
+   * @constructor
+   * @param {Object} options - Configuration options
+   * @param {Object} options.noble - The noble module
+   * @param {string} [options.name] - Only connect to the headband with this advertised name, e.g. "Muse-2D5C"
+   * @param {number} [options.scanTimeout=10000] - Time in milliseconds to scan for a headband
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.noble) {
+      throw new TypeError("NobleTransport requires the noble module");
+    }
+    this.noble = options.noble;
+    this.name = options.name || null;
+    this.scanTimeout = options.scanTimeout || 10000;
+  }
+
+  /**
+   * Converts a UUID to the format used by noble: lowercase hexadecimal without dashes.
+   *
+   * @param {string|number} uuid - The UUID, as a string or a 16-bit number.
+   * @return {string} The UUID in noble format.
+   */
+  #nobleUUID(uuid) {
+    if (typeof uuid === "number") {
+      return uuid.toString(16).padStart(4, "0");
+    }
+    return uuid.replace(/-/g, "").toLowerCase();
+  }
+
+  /**
+   * Scans for the first Muse headband, or the one with the configured name.
+   *
+   * @return {Promise<boolean>} A promise that resolves with true if a headband was found,
+   *                            or false if none was found before the scan timed out.
+   * @throws {Error} If the scan cannot be started or stopped, e.g. when the adapter is off.
+   */
+  async requestDevice() {
+    const noble = this.noble;
+    if (noble.state !== "poweredOn") {
+      await noble.waitForPoweredOnAsync();
+    }
+    let finish;
+    const found = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const timer = setTimeout(() => finish(null), this.scanTimeout);
+    const onDiscover = (candidate) => {
+      const name = candidate.advertisement && candidate.advertisement.localName;
+      if (!this.name || name === this.name) {
+        finish(candidate);
+      }
+    };
+    noble.on("discover", onDiscover);
+    let peripheral;
+    try {
+      await noble.startScanningAsync([this.#nobleUUID(SERVICE)], false);
+      peripheral = await found;
+    } finally {
+      clearTimeout(timer);
+      noble.removeListener("discover", onDiscover);
+    }
+    await noble.stopScanningAsync();
+    if (!peripheral) {
+      return false;
+    }
+    this.#peripheral = peripheral;
+    peripheral.on("disconnect", () => {
+      // Ignore the event caused by disconnect() and events of previously found headbands
+      if (peripheral === this.#peripheral) {
+        this.disconnected();
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Connects to the headband and discovers the characteristics of the Muse service.
+   *
+   * @return {Promise<void>} A promise that resolves when the connection is established.
+   */
+  async connect() {
+    const peripheral = this.#peripheral;
+    if (peripheral.state !== "connected") {
+      await peripheral.connectAsync();
+    }
+    const { characteristics } =
+      await peripheral.discoverSomeServicesAndCharacteristicsAsync(
+        [this.#nobleUUID(SERVICE)],
+        []
+      );
+    this.#characteristics.clear();
+    for (const c of characteristics) {
+      this.#characteristics.set(c.uuid, c);
+    }
+  }
+
+  /**
+   * Returns a characteristic of the Muse service.
+   *
+   * @param {string} uuid - The UUID of the characteristic.
+   * @return {Promise<{startNotifications: Function, write: Function}>} A promise that resolves to the characteristic.
+   * @throws {Error} If the headband does not have the characteristic.
+   */
+  async getCharacteristic(uuid) {
+    const c = this.#characteristics.get(this.#nobleUUID(uuid));
+    if (!c) {
+      throw new Error(`Characteristic ${uuid} not found`);
+    }
+    return {
+      startNotifications: async (listener) => {
+        c.removeAllListeners("data");
+        c.on("data", (data) => {
+          // Copy out of the pooled Buffer, as the decoders read the whole underlying ArrayBuffer
+          listener(new DataView(Uint8Array.from(data).buffer));
+        });
+        await c.subscribeAsync();
+      },
+      write: async (bytes) => {
+        await c.writeAsync(Buffer.from(bytes), false);
+      },
+    };
+  }
+
+  /**
+   * Disconnects from the headband and forgets it.
+   *
+   * @return {Promise<void>} A promise that resolves once the link is down.
+   * @throws {Error} If the stack fails to disconnect.
+   */
+  async disconnect() {
+    const peripheral = this.#peripheral;
+    this.#peripheral = null;
+    this.#characteristics.clear();
+    if (peripheral) {
+      await peripheral.disconnectAsync();
+    }
+  }
+}
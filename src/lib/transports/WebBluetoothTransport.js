@@ -0,0 +1,81 @@
+import { MuseTransport } from "./MuseTransport.js";
+import { SERVICE } from "../protocol.js";
+
+/**
+ * A transport that connects to a Muse headband through the Web Bluetooth API,
+ * available in Chromium-based browsers.
+ *
+ * @extends MuseTransport
+ */
+export class WebBluetoothTransport extends MuseTransport {
+  #dev = null;
+  #service = null;
+
+  /**
+   * Shows the browser's device chooser, filtered to Muse headbands.
+   *
+   * @return {Promise<boolean>} A promise that resolves with true if a headband was selected,
+   *                            or false if the chooser was cancelled.
+   */
+  async requestDevice() {
+    try {
+      this.#dev = await navigator["bluetooth"]["requestDevice"]({
+        filters: [{ services: [SERVICE] }],
+      });
+    } catch (error) {
+      this.#dev = null;
+      return false;
+    }
+    const dev = this.#dev;
+    dev.addEventListener("gattserverdisconnected", () => {
+      // Ignore the event caused by disconnect() and events of previously selected headbands
+      if (dev === this.#dev) {
+        this.disconnected();
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Connects to the GATT server of the selected headband and looks up the Muse service.
+   *
+   * @return {Promise<void>} A promise that resolves when the connection is established.
+   */
+  async connect() {
+    const gatt = await this.#dev["gatt"]["connect"]();
+    this.#service = await gatt["getPrimaryService"](SERVICE);
+  }
+
+  /**
+   * Returns a characteristic of the Muse service.
+   *
+   * @param {string} uuid - The UUID of the characteristic.
+   * @return {Promise<{startNotifications: Function, write: Function}>} A promise that resolves to the characteristic.
+   */
+  async getCharacteristic(uuid) {
+    const c = await this.#service["getCharacteristic"](uuid);
+    return {
+      startNotifications: async (listener) => {
+        c["oncharacteristicvaluechanged"] = function (event) {
+          listener(event.target.value);
+        };
+        await c["startNotifications"]();
+      },
+      write: async (bytes) => {
+        await c["writeValue"](bytes);
+      },
+    };
+  }
+
+  /**
+   * Disconnects from the GATT server of the selected headband and forgets it.
+   *
+   * @return {void} This function does not return a value.
+   */
+  disconnect() {
+    const dev = this.#dev;
+    this.#dev = null;
+    this.#service = null;
+    if (dev) dev["gatt"]["disconnect"]();
+  }
+}
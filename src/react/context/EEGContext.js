@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
 import { connectMuse as connectMuseLib } from "../../lib/MuseDevice";
 import { setupPipeline } from "../../lib/eeg";
+import { SignalQuality } from "../../lib/SignalQuality";
 
 const EEGContext = createContext();
 
@@ -11,6 +12,7 @@ export const EEGProvider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [isMockData, setIsMockData] = useState(false);
   const [rawEEG, setRawEEG] = useState([]);
+  const [signalQuality, setSignalQuality] = useState(null);
 
   /**
    * Connects to a Muse device (real or mock).
@@ -38,6 +40,20 @@ export const EEGProvider = ({ children }) => {
     }
   }, [muse]);
 
+  useEffect(() => {
+    if (muse) {
+      const quality = new SignalQuality(muse);
+      const onQuality = (event) => setSignalQuality(event.detail);
+      quality.addEventListener("quality", onQuality);
+      quality.start();
+      return () => {
+        quality.stop();
+        quality.removeEventListener("quality", onQuality);
+        setSignalQuality(null);
+      };
+    }
+  }, [muse]);
+
   /**
    * Legacy method for mock data connection.
    * @deprecated Use connectMuse({ mock: true }) instead
@@ -61,6 +77,7 @@ export const EEGProvider = ({ children }) => {
     isConnected,
     isMockData,
     rawEEG,
+    signalQuality,
     connectMuse,
     connectMockData, // Keep for backward compatibility
     disconnectEEG,
@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { ArtifactDetector } from "../src/lib/ArtifactDetector.js";
+import { SyntheticEEG } from "../src/lib/SyntheticEEG.js";
+import { connectFake, mockClock, sendEEG } from "./helpers.js";
+
+const PERIOD = 1000 / 256;
+
+// A source without background noise or alpha, to see the scripted artifacts only
+const QUIET = { noise: { amplitude: 0 }, alpha: { amplitude: 0 } };
+
+describe("ArtifactDetector", () => {
+  let muse;
+  let transport;
+  let clock;
+  let times;
+
+  /**
+   * Sends synthetic EEG as packets of raw samples, one packet per channel every 12 samples.
+   *
+   * @param {Object} options - The options of the SyntheticEEG.
+   * @param {number} seconds - The duration of the EEG.
+   * @param {number[]} [lost=[]] - The sequence numbers of the packets that are not sent.
+   * @return {void} This function does not return a value.
+   */
+  const play = (options, seconds, lost = []) => {
+    const { eeg } = new SyntheticEEG(options).generate(seconds);
+    for (let sequence = 0; sequence < eeg[0].length / 12; sequence++) {
+      clock.advance(12 * PERIOD);
+      if (!lost.includes(sequence)) {
+        sendEEG(transport, sequence, (channel, i) =>
+          Math.round(eeg[channel][sequence * 12 + i] / 0.48828125 + 0x800)
+        );
+      }
+    }
+  };
+
+  /**
+   * Collects the detections of a detector.
+   *
+   * @param {ArtifactDetector} detector - The detector.
+   * @return {{blink: Object[], jawClench: Object[]}} The details of the events of each type.
+   */
+  const collect = (detector) => {
+    const events = { blink: [], jawClench: [] };
+    for (const type of ["blink", "jawClench"]) {
+      detector.addEventListener(type, (event) =>
+        events[type].push(event.detail)
+      );
+    }
+    return events;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+    // The timestamps of the samples of AF7, by their index
+    times = [];
+    muse.addEventListener("eeg", (event) => {
+      if (event.detail.channel === 1) {
+        const start = event.detail.sequence * 12;
+        event.detail.timestamps.forEach((time, i) => {
+          times[start + i] = time;
+        });
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("detects a blink at its peak on the forehead channels", () => {
+    const detector = new ArtifactDetector(muse);
+    const events = collect(detector);
+    detector.start();
+    play({ ...QUIET, script: [{ at: 2, event: "blink" }] }, 4);
+
+    assert.equal(events.blink.length, 1);
+    assert.equal(events.jawClench.length, 0);
+    const { time, duration, amplitude, confidence } = events.blink[0];
+    // The blink of 150 µV peaks 150 ms after its start, a little later once filtered
+    const peak = times.indexOf(time);
+    assert.ok(peak >= 512 + 38 && peak < 512 + 48, `peak at ${peak}`);
+    assert.ok(duration > 100 && duration < 300, `duration ${duration}`);
+    assert.ok(amplitude > 100 && amplitude < 150, `amplitude ${amplitude}`);
+    // Both channels agree, and the peak is below twice the threshold
+    assert.ok(Math.abs(confidence - amplitude / 160) < 1e-9);
+    assert.equal(detector.latest, events.blink[0]);
+  });
+
+  it("ignores deflections that last too long or follow a blink too closely", () => {
+    const detector = new ArtifactDetector(muse, { blink: { refractory: 1 } });
+    const events = collect(detector);
+    detector.start();
+    play(
+      {
+        ...QUIET,
+        script: [
+          { at: 1, event: "blink", duration: 2 },
+          { at: 4, event: "blink" },
+          { at: 4.6, event: "blink" },
+          { at: 5.6, event: "blink" },
+        ],
+      },
+      7
+    );
+
+    const peaks = events.blink.map((blink) => times.indexOf(blink.time) / 256);
+    assert.equal(peaks.length, 2);
+    assert.ok(Math.abs(peaks[0] - 4.15) < 0.05);
+    assert.ok(Math.abs(peaks[1] - 5.75) < 0.05);
+  });
+
+  it("detects a jaw clench on the temporal channels", () => {
+    const detector = new ArtifactDetector(muse);
+    const events = collect(detector);
+    detector.start();
+    play(
+      { ...QUIET, seed: 5, script: [{ at: 2, event: "clench", duration: 1 }] },
+      4
+    );
+
+    assert.equal(events.blink.length, 0);
+    assert.equal(events.jawClench.length, 1);
+    const { time, duration, amplitude, confidence } = events.jawClench[0];
+    const start = times.indexOf(time) / 256;
+    assert.ok(start > 2 && start < 2.2, `start at ${start}`);
+    assert.ok(Math.abs(duration - 1000) < 200, `duration ${duration}`);
+    // Most of the 30 µV RMS of the EMG is above 30 Hz
+    assert.ok(amplitude > 20 && amplitude < 30, `amplitude ${amplitude}`);
+    assert.ok(confidence > 0.6 && confidence <= 1);
+  });
+
+  it("ignores bursts shorter than the RMS window", () => {
+    const detector = new ArtifactDetector(muse);
+    const events = collect(detector);
+    detector.start();
+    play(
+      {
+        ...QUIET,
+        seed: 5,
+        script: [{ at: 2, event: "clench", duration: 0.1 }],
+      },
+      3
+    );
+
+    assert.equal(events.jawClench.length, 0);
+  });
+
+  it("keeps the channels aligned across lost packets", () => {
+    const detector = new ArtifactDetector(muse);
+    const events = collect(detector);
+    detector.start();
+    play({ ...QUIET, script: [{ at: 2, event: "blink" }] }, 4, [20, 21]);
+
+    assert.equal(events.blink.length, 1);
+    const peak = times.indexOf(events.blink[0].time);
+    assert.ok(peak >= 512 + 38 && peak < 512 + 48, `peak at ${peak}`);
+  });
+
+  it("runs the enabled detectors only", () => {
+    const detector = new ArtifactDetector(muse, { blink: false });
+    const events = collect(detector);
+    detector.start();
+    play(
+      {
+        ...QUIET,
+        script: [
+          { at: 1, event: "blink" },
+          { at: 2, event: "clench", duration: 1 },
+        ],
+      },
+      4
+    );
+
+    assert.equal(detector.blink, null);
+    assert.equal(events.blink.length, 0);
+    assert.equal(events.jawClench.length, 1);
+  });
+
+  it("rejects thresholds and windows that are not positive", () => {
+    assert.throws(
+      () => new ArtifactDetector(muse, { blink: { threshold: 0 } }),
+      RangeError
+    );
+    assert.throws(
+      () => new ArtifactDetector(muse, { jawClench: { window: -1 } }),
+      RangeError
+    );
+    assert.doesNotThrow(
+      () => new ArtifactDetector(muse, { blink: false, jawClench: true })
+    );
+  });
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { BandPowerStream } from "../src/lib/BandPowerStream.js";
+import { currentTime } from "../src/lib/protocol.js";
+import { connectFake, mockClock, sendEEG } from "./helpers.js";
+
+const PERIOD = 1000 / 256;
+
+describe("BandPowerStream", () => {
+  let muse;
+  let transport;
+  let clock;
+
+  // Sends the next EEG packet of every channel: a 10 Hz sine of 20 µV on TP9 and TP10, nothing on AF7 and AF8
+  const send = (sequence) => {
+    clock.advance(12 * PERIOD);
+    sendEEG(transport, sequence, (channel, i) => {
+      const amplitude = channel === 0 || channel === 3 ? 20 / 0.48828125 : 0;
+      const t = (sequence * 12 + i) / 256;
+      return 0x800 + Math.round(amplitude * Math.sin(2 * Math.PI * 10 * t));
+    });
+  };
+
+  /**
+   * Sends EEG packets and collects the results of a stream.
+   *
+   * @param {BandPowerStream} stream - The stream.
+   * @param {number[]} sequences - The sequence numbers of the packets to send.
+   * @return {Object[]} The details of the `bandpower` events.
+   */
+  const run = (stream, sequences) => {
+    const results = [];
+    stream.addEventListener("bandpower", (event) => results.push(event.detail));
+    for (const sequence of sequences) {
+      send(sequence);
+    }
+    return results;
+  };
+
+  const range = (length, from = 0) =>
+    Array.from({ length }, (_, i) => from + i);
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("computes the band powers every hop once a window was received", () => {
+    const stream = new BandPowerStream(muse);
+    stream.start();
+    // 2 s windows every 64 samples: after 516, 576, 648 and 708 samples
+    const results = run(stream, range(59));
+
+    assert.equal(results.length, 4);
+    const { time, channels, absolute, relative, artifact } = results[3];
+    assert.deepEqual(channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.ok(Math.abs(time - (currentTime() - PERIOD)) < 1e-3);
+    assert.ok(Math.abs(absolute[0].alpha - 200) < 4);
+    assert.ok(relative[3].alpha > 0.99);
+    assert.ok(absolute[1].alpha < 1e-3);
+    assert.ok(Number.isNaN(relative[1].alpha));
+    assert.equal(artifact, false);
+    assert.equal(stream.latest, results[3]);
+    stream.stop();
+  });
+
+  it("interpolates the samples of lost packets", () => {
+    const stream = new BandPowerStream(muse, { window: 1, hop: 1 });
+    stream.start();
+    const results = run(stream, [...range(10), ...range(12, 11)]);
+
+    assert.equal(results.length, 1);
+    // The straight line across the 12 lost samples, in the middle of the window, loses a tenth of the power
+    const { alpha } = results[0].absolute[0];
+    assert.ok(alpha > 170 && alpha < 200, `alpha ${alpha}`);
+    stream.stop();
+  });
+
+  it("uses the given bands and flags windows with motion artifacts", () => {
+    const windows = [];
+    const motion = {
+      overlapsArtifact: (from, to) => windows.push([from, to]) > 0,
+    };
+    const stream = new BandPowerStream(muse, {
+      window: 1,
+      hop: 0.5,
+      bands: { mu: [9, 11], low: [1, 4] },
+      motion,
+    });
+    stream.start();
+    const results = run(stream, range(33));
+
+    assert.equal(results.length, 2);
+    assert.deepEqual(Object.keys(results[1].absolute[0]), ["mu", "low"]);
+    assert.ok(results[1].relative[0].mu > 0.99);
+    assert.equal(results[1].artifact, true);
+    assert.deepEqual(windows[1], [results[1].time - 1000, results[1].time]);
+    stream.stop();
+  });
+
+  it("starts over with an empty window", () => {
+    const stream = new BandPowerStream(muse, { window: 1, hop: 1 });
+    stream.start();
+    run(stream, range(22));
+    stream.stop();
+    assert.ok(stream.latest);
+    stream.start();
+    assert.equal(stream.latest, null);
+    // Without the reset, the next hop would be complete after 2 more packets
+    const results = run(stream, range(20, 22));
+
+    assert.equal(results.length, 0);
+    assert.equal(stream.latest, null);
+    stream.stop();
+  });
+
+  it("rejects a window or hop that is not positive", () => {
+    assert.throws(() => new BandPowerStream(muse, { window: 0 }), RangeError);
+    assert.throws(() => new BandPowerStream(muse, { hop: -1 }), RangeError);
+  });
+});
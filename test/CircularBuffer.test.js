@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MuseCircularBuffer } from "../src/lib/CircularBuffer.js";
+
+const fill = (buffer, values) =>
+  values.forEach((value) => buffer.write(value, value * 10));
+
+describe("MuseCircularBuffer", () => {
+  it("reads the values in the order they were written", () => {
+    const buffer = new MuseCircularBuffer(4);
+    fill(buffer, [1, 2, 3]);
+
+    assert.equal(buffer.length, 3);
+    assert.equal(buffer.read(), 1);
+    assert.equal(buffer.read(), 2);
+    assert.equal(buffer.read(), 3);
+    assert.equal(buffer.read(), null);
+  });
+
+  it("drops new values when full by default", () => {
+    const buffer = new MuseCircularBuffer(3);
+    fill(buffer, [1, 2, 3, 4, 5]);
+
+    assert.equal(buffer.mode, "drop");
+    assert.equal(buffer.discarded, 2);
+    assert.deepEqual(Array.from(buffer.readMany().values), [1, 2, 3]);
+  });
+
+  it("overwrites the oldest unread values in overwrite mode", () => {
+    const buffer = new MuseCircularBuffer(3, { mode: "overwrite" });
+    fill(buffer, [1, 2, 3, 4, 5]);
+
+    assert.equal(buffer.length, 3);
+    assert.equal(buffer.discarded, 2);
+    const { values, timestamps } = buffer.readMany();
+    assert.deepEqual(Array.from(values), [3, 4, 5]);
+    assert.deepEqual(Array.from(timestamps), [30, 40, 50]);
+  });
+
+  it("wraps around after reads", () => {
+    const buffer = new MuseCircularBuffer(3);
+    fill(buffer, [1, 2]);
+    buffer.read();
+    buffer.read();
+    fill(buffer, [3, 4, 5]);
+
+    assert.equal(buffer.isFull, true);
+    assert.deepEqual(Array.from(buffer.snapshot().values), [3, 4, 5]);
+    assert.equal(buffer.length, 3);
+  });
+
+  it("reads at most the unread values with readMany", () => {
+    const buffer = new MuseCircularBuffer(4);
+    fill(buffer, [1, 2, 3]);
+
+    assert.deepEqual(Array.from(buffer.readMany(2).values), [1, 2]);
+    assert.deepEqual(Array.from(buffer.readMany(5).values), [3]);
+    assert.equal(buffer.readMany(1).values.length, 0);
+  });
+
+  it("peeks at the latest values, read or unread, without consuming them", () => {
+    const buffer = new MuseCircularBuffer(4, { mode: "overwrite" });
+    fill(buffer, [1, 2, 3, 4, 5, 6]);
+    buffer.readMany(3);
+
+    assert.equal(buffer.stored, 4);
+    const { values, timestamps } = buffer.peekLatest(3);
+    assert.deepEqual(Array.from(values), [4, 5, 6]);
+    assert.deepEqual(Array.from(timestamps), [40, 50, 60]);
+    assert.deepEqual(Array.from(buffer.peekLatest(10).values), [3, 4, 5, 6]);
+    assert.equal(buffer.length, 1);
+    assert.throws(() => buffer.peekLatest(-1), RangeError);
+    assert.throws(() => buffer.peekLatest(1.5), RangeError);
+  });
+
+  it("keeps the unread values in snapshot", () => {
+    const buffer = new MuseCircularBuffer(4);
+    fill(buffer, [1, 2, 3]);
+    buffer.read();
+
+    assert.deepEqual(Array.from(buffer.snapshot().values), [2, 3]);
+    assert.equal(buffer.length, 2);
+  });
+
+  it("discards everything on clear", () => {
+    const buffer = new MuseCircularBuffer(3);
+    fill(buffer, [1, 2, 3]);
+    buffer.clear();
+
+    assert.equal(buffer.length, 0);
+    assert.equal(buffer.stored, 0);
+    assert.equal(buffer.isFull, false);
+    assert.equal(buffer.peekLatest(3).values.length, 0);
+  });
+
+  it("stores the values in the requested storage", () => {
+    const float32 = new MuseCircularBuffer(2, { storage: Float32Array });
+    const array = new MuseCircularBuffer(2, { storage: Array });
+    fill(float32, [0.1]);
+    fill(array, [0.1]);
+
+    assert.ok(float32.readMany().values instanceof Float32Array);
+    assert.equal(float32.memory[0], Math.fround(0.1));
+    assert.ok(Array.isArray(array.readMany().values));
+    assert.equal(array.memory[0], 0.1);
+  });
+
+  it("timestamps the values with the time of writing by default", () => {
+    const buffer = new MuseCircularBuffer(2);
+    const before = Date.now();
+    buffer.write(1);
+
+    assert.ok(buffer.snapshot().timestamps[0] >= before);
+  });
+
+  it("rejects an unknown mode", () => {
+    assert.throws(
+      () => new MuseCircularBuffer(2, { mode: "grow" }),
+      /Unknown buffer mode: grow/
+    );
+  });
+});
@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { HeartRateMonitor } from "../src/lib/HeartRateMonitor.js";
+import { CHARACTERISTICS } from "../src/lib/protocol.js";
+import { connectFake, mockClock, motionPacket, ppgPacket } from "./helpers.js";
+
+const PPG_PERIOD = 1000 / 64;
+
+/**
+ * Returns the times of beats in seconds from their intervals in milliseconds, starting at half a second.
+ *
+ * @param {number[]} intervals - The inter-beat intervals.
+ * @return {number[]} The times of the beats.
+ */
+const beats = (intervals) =>
+  intervals.reduce(
+    (times, ibi) => [...times, times[times.length - 1] + ibi / 1000],
+    [0.5]
+  );
+
+const repeat = (values, times) => Array(times).fill(values).flat();
+
+describe("HeartRateMonitor", () => {
+  let muse;
+  let transport;
+  let clock;
+  let times;
+
+  /**
+   * Sends the infrared PPG of a pulse with beats at given times: the signal dips as blood absorbs the light.
+   *
+   * @param {HeartRateMonitor} monitor - The monitor.
+   * @param {number[]} pulses - The times of the beats in seconds.
+   * @param {Object} [options] - Options
+   * @param {number[]} [options.lost=[]] - The sequence numbers of the packets that are not sent
+   * @param {number} [options.motion=0] - The amplitude in g of the shaking of the headband
+   * @return {Object[]} The details of the `heartrate` events.
+   */
+  const run = (monitor, pulses, options = {}) => {
+    const { lost = [], motion = 0 } = options;
+    const results = [];
+    monitor.addEventListener("heartrate", (event) =>
+      results.push(event.detail)
+    );
+    const packets = Math.ceil(((pulses[pulses.length - 1] + 1) * 64) / 6);
+    for (let sequence = 0; sequence < packets; sequence++) {
+      clock.advance(6 * PPG_PERIOD);
+      if (sequence % 2 === 0) {
+        // Accelerometer packets of 3 samples, at about the rate of 52 Hz
+        const shake = (k) => Math.round(16384 * (1 + motion * (k % 2)));
+        transport.notify(
+          CHARACTERISTICS.accelerometer,
+          motionPacket(
+            sequence / 2,
+            [0, 1, 2].map((k) => [0, 0, shake(k)])
+          )
+        );
+      }
+      if (lost.includes(sequence)) {
+        continue;
+      }
+      const samples = [];
+      for (let i = 0; i < 6; i++) {
+        const t = (sequence * 6 + i) / 64;
+        const pulse = pulses.reduce(
+          (sum, beat) => sum + Math.exp(-(((t - beat) / 0.1) ** 2) / 2),
+          0
+        );
+        samples.push(Math.round(500000 - 3000 * pulse));
+      }
+      transport.notify(CHARACTERISTICS.ppg[1], ppgPacket(sequence, samples));
+    }
+    return results;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+    // The timestamps of the infrared samples, by their index
+    times = [];
+    muse.addEventListener("ppg", (event) => {
+      const start = event.detail.sequence * 6;
+      event.detail.timestamps.forEach((time, i) => {
+        times[start + i] = time;
+      });
+    });
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("measures a steady heart rate at every beat", () => {
+    const monitor = new HeartRateMonitor(muse);
+    monitor.start();
+    const pulses = beats(Array(20).fill(800));
+    const results = run(monitor, pulses);
+
+    assert.equal(results.length, 21);
+    assert.ok(Number.isNaN(results[0].ibi));
+    assert.ok(Number.isNaN(results[0].heartRate));
+    const last = results[20];
+    assert.ok(Math.abs(last.ibi - 800) < 5, `ibi ${last.ibi}`);
+    assert.ok(Math.abs(last.heartRate - 75) < 0.5);
+    assert.ok(last.hrv.rmssd < 5);
+    assert.equal(last.hrv.pnn50, 0);
+    assert.equal(last.hrv.count, 20);
+    assert.equal(last.confidence, 1);
+    assert.ok(Math.abs(last.motion) < 1e-3);
+    // Every beat is found at the same delay after the minimum of the signal
+    const delays = results.map(
+      (result, i) => result.time - (times[0] + pulses[i] * 1000)
+    );
+    for (const delay of delays.slice(2)) {
+      assert.ok(Math.abs(delay - delays[1]) < 5, `delays ${delays}`);
+    }
+    assert.equal(monitor.latest, last);
+  });
+
+  it("computes the variability of the intervals", () => {
+    const monitor = new HeartRateMonitor(muse);
+    monitor.start();
+    const results = run(monitor, beats(repeat([760, 840], 10)));
+
+    const { heartRate, hrv } = results[results.length - 1];
+    // The median of the last 5 intervals: 3 of 840 ms and 2 of 760 ms
+    assert.ok(Math.abs(heartRate - 60000 / 840) < 1, `${heartRate}`);
+    assert.ok(Math.abs(hrv.rmssd - 80) < 5, `RMSSD ${hrv.rmssd}`);
+    assert.ok(Math.abs(hrv.sdnn - 40) < 5, `SDNN ${hrv.sdnn}`);
+    assert.equal(hrv.pnn50, 100);
+  });
+
+  it("leaves irregular beats out of the heart rate and HRV", () => {
+    const monitor = new HeartRateMonitor(muse);
+    monitor.start();
+    // A premature beat: 500 ms after the previous one, and 1100 ms before the next
+    const results = run(
+      monitor,
+      beats([...Array(8).fill(800), 500, 1100, ...Array(4).fill(800)])
+    );
+
+    const last = results[results.length - 1];
+    assert.ok(Math.abs(last.heartRate - 75) < 0.5);
+    assert.ok(last.hrv.rmssd < 5);
+    // Of the 14 intervals, the 2 around the premature beat are artifacts
+    assert.equal(last.hrv.count, 12);
+    assert.ok(Math.abs(last.confidence - 0.8) < 1e-9);
+  });
+
+  it("discounts the beats while the headband moves", () => {
+    const monitor = new HeartRateMonitor(muse);
+    monitor.start();
+    const results = run(monitor, beats(Array(10).fill(800)), { motion: 0.5 });
+
+    const last = results[results.length - 1];
+    assert.ok(last.motion > 0.2);
+    assert.equal(last.confidence, 0);
+    assert.ok(Number.isNaN(last.heartRate));
+  });
+
+  it("drops the interval across lost packets", () => {
+    const monitor = new HeartRateMonitor(muse);
+    monitor.start();
+    // Packets 30 and 31 hold the samples from 2.81 to 2.99 s, in the middle of the beat at 2.9 s
+    const results = run(monitor, beats(Array(10).fill(800)), {
+      lost: [30, 31],
+    });
+
+    // That beat is lost, and the one after it starts over
+    assert.equal(results.length, 10);
+    assert.ok(Number.isNaN(results[3].ibi));
+    assert.ok(Math.abs(results[3].time - results[2].time - 1600) < 5);
+    for (const result of results.slice(4)) {
+      assert.ok(Math.abs(result.ibi - 800) < 5, `ibi ${result.ibi}`);
+    }
+    assert.equal(results[9].hrv.count, 8);
+  });
+
+  it("analyzes the chosen PPG channel only", () => {
+    const monitor = new HeartRateMonitor(muse, { channel: "red" });
+    monitor.start();
+
+    assert.deepEqual(run(monitor, beats(Array(5).fill(800))), []);
+    assert.throws(
+      () => new HeartRateMonitor(muse, { channel: "green" }),
+      TypeError
+    );
+    assert.throws(
+      () => new HeartRateMonitor(muse, { hrvWindow: 0 }),
+      RangeError
+    );
+  });
+});
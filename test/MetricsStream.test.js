@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { MetricsStream } from "../src/lib/MetricsStream.js";
+import { normalizeScore } from "../src/lib/metrics.js";
+import { connectFake, mockClock, sendEEG } from "./helpers.js";
+
+const PERIOD = 1000 / 256;
+
+// The amplitudes in µV of the 10 Hz alpha rhythm of TP9, AF7, AF8 and TP10, all with a 20 Hz beta rhythm of 10 µV
+const ALPHA = [20, 10, 20, 20];
+
+// The alpha/beta index of the powers added over the channels: (200 + 50 + 200 + 200) / (4 * 50)
+const RELAXATION = 3.25;
+
+describe("MetricsStream", () => {
+  let muse;
+  let transport;
+  let clock;
+  let sequence;
+
+  /**
+   * Sends EEG packets and collects the results of a stream.
+   *
+   * @param {MetricsStream} stream - The stream.
+   * @param {number} packets - The number of packets to send on every channel.
+   * @return {Object[]} The details of the `metrics` events.
+   */
+  const run = (stream, packets) => {
+    const results = [];
+    stream.addEventListener("metrics", (event) => results.push(event.detail));
+    for (let n = 0; n < packets; n++) {
+      clock.advance(12 * PERIOD);
+      sendEEG(transport, sequence, (channel, i) => {
+        const t = (sequence * 12 + i) / 256;
+        const value =
+          ALPHA[channel] * Math.sin(2 * Math.PI * 10 * t) +
+          10 * Math.sin(2 * Math.PI * 20 * t);
+        return 0x800 + Math.round(value / 0.48828125);
+      });
+      sequence++;
+    }
+    return results;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    sequence = 0;
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("derives the metrics from the band powers of every hop", () => {
+    const stream = new MetricsStream(muse, { window: 1, hop: 0.5 });
+    stream.start();
+    const results = run(stream, 33);
+
+    assert.equal(results.length, 2);
+    const {
+      channels,
+      artifact,
+      asymmetry,
+      indices,
+      relaxation,
+      relative,
+      alphaTheta,
+    } = results[1];
+    assert.deepEqual(channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.equal(artifact, false);
+    // The alpha power of AF8 is 4 times that of AF7
+    assert.ok(Math.abs(asymmetry - Math.log(4)) < 0.05, `${asymmetry}`);
+    assert.ok(Math.abs(indices.relaxation - RELAXATION) < 0.1);
+    assert.ok(
+      Math.abs(relaxation - normalizeScore(indices.relaxation, 1)) < 1e-9
+    );
+    assert.ok(Math.abs(relative[0].alpha - 0.8) < 0.02);
+    assert.ok(alphaTheta[0] > 100);
+    assert.equal(stream.latest, results[1]);
+    stream.stop();
+  });
+
+  it("calibrates the references on the next seconds of EEG", async () => {
+    const stream = new MetricsStream(muse, { window: 1, hop: 0.5 });
+    stream.start();
+    run(stream, 22);
+    const calibration = stream.calibrate(1);
+    // 2 more hops, after 384 and 512 samples
+    run(stream, 22);
+    const references = await calibration;
+
+    assert.ok(Math.abs(references.relaxation - RELAXATION) < 0.1);
+    assert.deepEqual(stream.references, references);
+    const [result] = run(stream, 11);
+    assert.ok(Math.abs(result.relaxation - 50) < 1, `${result.relaxation}`);
+    assert.ok(Math.abs(result.concentration - 50) < 1);
+    stream.stop();
+  });
+
+  it("calibrates on the windows without motion artifacts only", async () => {
+    const stream = new MetricsStream(muse, {
+      window: 1,
+      hop: 0.5,
+      motion: { overlapsArtifact: () => true },
+    });
+    stream.start();
+    const calibration = stream.calibrate(1);
+    run(stream, 33);
+
+    await assert.rejects(calibration, /no EEG without artifacts/);
+    assert.equal(stream.references.relaxation, 1);
+    stream.stop();
+  });
+
+  it("rejects a calibration that is restarted or stopped", async () => {
+    const stream = new MetricsStream(muse, {
+      references: { concentration: 2 },
+    });
+
+    assert.throws(() => stream.calibrate(), /Start the metrics stream/);
+    stream.start();
+    assert.throws(() => stream.calibrate(0), RangeError);
+    const first = stream.calibrate();
+    const second = stream.calibrate();
+    await assert.rejects(first, /restarted/);
+    stream.stop();
+    await assert.rejects(second, /stopped during calibration/);
+    assert.deepEqual(stream.references, { relaxation: 1, concentration: 2 });
+  });
+});
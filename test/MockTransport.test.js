@@ -0,0 +1,299 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Muse } from "../src/lib/MuseDevice.js";
+import { parseRecording } from "../src/lib/importers.js";
+import { mockTimers, sleep } from "./helpers.js";
+
+/**
+ * Builds a web-muse CSV recording at 256 Hz.
+ *
+ * @param {number} length - The number of rows.
+ * @param {function(number): number[]} row - The cells of a row after the timestamp, from its index.
+ * @param {string} [header] - The names of the columns after the EEG channels.
+ * @return {Object} The parsed recording.
+ */
+const csv = (length, row, header = "") => {
+  const lines = [`Timestamp (ms),TP9,AF7,AF8,TP10${header}`];
+  for (let i = 0; i < length; i++) {
+    lines.push([(i * 1000) / 256, ...row(i)].join(","));
+  }
+  return parseRecording(lines.join("\n"));
+};
+
+/**
+ * Collects the payloads of the events of a device by type.
+ *
+ * @param {Muse} muse - The device.
+ * @param {string[]} types - The event types.
+ * @return {Object<string, Object[]>} The payloads of every type, in order.
+ */
+const collect = (muse, types) => {
+  const events = {};
+  for (const type of types) {
+    events[type] = [];
+    muse.addEventListener(type, (event) => events[type].push(event.detail));
+  }
+  return events;
+};
+
+/**
+ * Waits for the end of mock playback.
+ *
+ * @param {Muse} muse - The device.
+ * @return {Promise<void>} Resolves on the `ended` event.
+ */
+const ended = (muse) =>
+  new Promise((resolve) =>
+    muse.addEventListener("ended", () => resolve(), { once: true })
+  );
+
+describe("MockTransport sensors", () => {
+  const SENSORS =
+    ",PPG1,PPG2,PPG3,Acc X,Acc Y,Acc Z,Gyro X,Gyro Y,Gyro Z,Battery";
+
+  it("plays back the PPG, motion and battery columns at their own rates", async () => {
+    const recording = csv(
+      48,
+      (i) => {
+        // The PPG column is only filled in the rows of its samples, at 64 Hz
+        const ppg = i % 4 === 0 ? [1000 + i, 2000 + i, 3000 + i] : ["", "", ""];
+        return [0, 0, 0, 0, ...ppg, 0, 0, 1, 10, -20, 30, 80];
+      },
+      SENSORS
+    );
+    const muse = new Muse({
+      mock: true,
+      mockRecording: recording,
+      mockSpeed: Infinity,
+      mockLoop: false,
+    });
+    const events = collect(muse, ["ppg", "accelerometer", "gyroscope"]);
+    const done = ended(muse);
+    await muse.connect();
+    await done;
+
+    // 48 rows at 256 Hz hold 12 PPG samples
+    const infrared = events.ppg.filter((detail) => detail.channel === 1);
+    assert.equal(infrared.length, 2);
+    assert.deepEqual(
+      infrared.flatMap((detail) => Array.from(detail.samples)),
+      [2000, 2004, 2008, 2012, 2016, 2020, 2024, 2028, 2032, 2036, 2040, 2044]
+    );
+    assert.deepEqual(
+      infrared.map((detail) => detail.sequence),
+      [0, 1]
+    );
+    // and 9 or 10 motion samples at 52 Hz, in packets of 3
+    assert.equal(events.accelerometer.length, 3);
+    const [x, y, z] = events.accelerometer[0].samples;
+    assert.ok(Math.abs(x[0]) < 1e-4 && Math.abs(y[0]) < 1e-4);
+    assert.ok(Math.abs(z[0] - 1) < 1e-4);
+    assert.equal(events.gyroscope.length, 3);
+    const gyroscope = events.gyroscope[2].samples.map((axis) => axis[2]);
+    assert.deepEqual(
+      gyroscope.map((value) => Math.round(value * 10) / 10),
+      [10, -20, 30]
+    );
+    assert.equal(muse.batteryLevel, 80);
+    await muse.disconnect();
+  });
+
+  it("answers the info and status commands like a headband", async () => {
+    const muse = new Muse({
+      mock: true,
+      mockRecording: csv(24, () => [0, 0, 0, 0]),
+      mockSpeed: Infinity,
+      mockLoop: false,
+    });
+    await muse.connect({ preset: "p21" });
+    await sleep();
+
+    assert.equal(muse.info.hn, "Muse-MOCK");
+    assert.equal(muse.info.fw, "0.0.0");
+    assert.equal(muse.info.ps, 21);
+    const info = await muse.getDeviceInfo();
+    assert.equal(info.serial, "0000-0000-MOCK");
+    await muse.disconnect();
+  });
+});
+
+describe("MockTransport packets", () => {
+  it("packs 12 consecutive rows into one EEG packet per channel", async () => {
+    const recording = csv(24, (i) =>
+      [0, 1, 2, 3].map((channel) => 0.48828125 * (i + 50 * channel))
+    );
+    const muse = new Muse({
+      mock: true,
+      mockRecording: recording,
+      mockSpeed: Infinity,
+      mockLoop: false,
+    });
+    const { eeg } = collect(muse, ["eeg"]);
+    const done = ended(muse);
+    await muse.connect();
+    await done;
+
+    for (let channel = 0; channel < 4; channel++) {
+      const packets = eeg.filter((detail) => detail.channel === channel);
+      assert.deepEqual(
+        packets.map((detail) => detail.sequence),
+        [0, 1]
+      );
+      assert.deepEqual(
+        packets.flatMap((detail) => Array.from(detail.raw)),
+        Array.from({ length: 24 }, (_, i) => 0x800 + i + 50 * channel)
+      );
+    }
+    assert.equal(muse.droppedPackets, 0);
+    await muse.disconnect();
+  });
+
+  it("sends the packets at the real rate without drifting", async (t) => {
+    const muse = new Muse({
+      mock: true,
+      mockRecording: csv(2560, () => [0, 0, 0, 0]),
+    });
+    await muse.connect();
+    // Take over the clock and timers before streaming starts
+    muse.playback.pause();
+    const timers = mockTimers(t);
+    let packets = 0;
+    muse.addEventListener("eeg", (event) => {
+      packets += event.detail.channel === 0 ? 1 : 0;
+    });
+    muse.playback.resume();
+
+    // One packet of 12 samples every 46.875 ms, from the first one right away
+    timers.advance(1000);
+    assert.equal(packets, 22);
+    timers.advance(2000);
+    assert.equal(packets, 65);
+    await muse.disconnect();
+  });
+});
+
+describe("MockTransport playback", () => {
+  // Rows whose EEG tells their index, so that the packets show the position of playback
+  const ROWS = (i) => [0, 0, 0, 0].fill(0.48828125 * (i % 1024));
+
+  /**
+   * Connects a Muse that plays back a recording, and collects the EEG packets of TP9.
+   *
+   * @param {number} length - The number of rows of the recording.
+   * @param {Object} [options] - More options of the Muse.
+   * @return {Promise<{muse: Muse, packets: Object[]}>} The device and the packets received so far.
+   */
+  const play = async (length, options = {}) => {
+    const muse = new Muse({
+      mock: true,
+      mockRecording: csv(length, ROWS),
+      ...options,
+    });
+    const packets = [];
+    muse.addEventListener("eeg", (event) => {
+      if (event.detail.channel === 0) {
+        packets.push(event.detail);
+      }
+    });
+    await muse.connect({ preset: "p21" });
+    return { muse, packets };
+  };
+
+  // The index of the first row of a packet
+  const row = (packet) => packet.raw[0] - 0x800;
+
+  it("ends at the end of the data without looping, until playback is moved back", async () => {
+    const { muse, packets } = await play(120, {
+      mockSpeed: Infinity,
+      mockLoop: false,
+    });
+    let ends = 0;
+    muse.addEventListener("ended", () => ends++);
+    await ended(muse);
+    const playback = muse.playback;
+
+    assert.equal(packets.length, 10);
+    assert.equal(playback.paused, true);
+    assert.equal(playback.position, playback.duration);
+    playback.resume();
+    await sleep();
+    assert.equal(ends, 1);
+    assert.equal(packets.length, 10);
+
+    playback.seek(0);
+    playback.resume();
+    await ended(muse);
+    assert.equal(ends, 2);
+    assert.equal(packets.length, 20);
+    assert.equal(row(packets[10]), 0);
+    // Sequence numbers go on, so moving playback is not taken for packet loss
+    assert.equal(packets[19].sequence, 19);
+    assert.equal(muse.droppedPackets, 0);
+    await muse.disconnect();
+  });
+
+  it("starts over at the end of the data by default", async () => {
+    const { muse, packets } = await play(24, { mockSpeed: Infinity });
+    await new Promise((resolve) => {
+      muse.addEventListener("eeg", () => {
+        if (packets.length === 5) {
+          muse.playback.pause();
+          resolve();
+        }
+      });
+    });
+
+    assert.deepEqual(packets.map(row), [0, 12, 0, 12, 0]);
+    await muse.disconnect();
+  });
+
+  it("pauses, resumes and seeks on the real-time schedule", async (t) => {
+    const { muse, packets } = await play(2560);
+    const playback = muse.playback;
+    playback.pause();
+    playback.seek(0);
+    packets.length = 0;
+    const timers = mockTimers(t);
+
+    playback.resume();
+    timers.advance(500);
+    assert.equal(packets.length, 11);
+    playback.pause();
+    timers.advance(1000);
+    assert.equal(packets.length, 11);
+    assert.equal(playback.position, (11 * 12) / 256);
+
+    playback.resume();
+    timers.advance(1);
+    assert.equal(row(packets[11]), 132);
+
+    playback.seek(2);
+    assert.equal(playback.position, 2);
+    timers.advance(1);
+    assert.equal(row(packets[packets.length - 1]), 512);
+    assert.throws(() => playback.seek(11), RangeError);
+    assert.throws(() => playback.seek(-1), RangeError);
+    await muse.disconnect();
+  });
+
+  it("plays back at a multiple of real time", async (t) => {
+    const { muse, packets } = await play(2560, { mockSpeed: 4 });
+    muse.playback.pause();
+    packets.length = 0;
+    const timers = mockTimers(t);
+
+    muse.playback.resume();
+    timers.advance(500);
+    // Four times the 21.3 packets per second
+    assert.equal(packets.length, 43);
+    muse.playback.speed = 0.5;
+    const sent = packets.length;
+    timers.advance(1000);
+    assert.equal(packets.length - sent, 11);
+    assert.throws(() => {
+      muse.playback.speed = 0;
+    }, RangeError);
+    await muse.disconnect();
+  });
+});
@@ -0,0 +1,271 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { MotionTracker } from "../src/lib/MotionTracker.js";
+import { CHARACTERISTICS, SCALES, currentTime } from "../src/lib/protocol.js";
+import { connectFake, mockClock, motionPacket } from "./helpers.js";
+
+const PERIOD = 1000 / 52;
+
+const LEVEL = [0, 0, 1];
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${actual} != ${expected}`
+  );
+
+describe("MotionTracker", () => {
+  let muse;
+  let transport;
+  let clock;
+  let sequence;
+
+  /**
+   * Sends accelerometer and gyroscope packets of 3 samples each.
+   *
+   * @param {number} seconds - The duration of the motion.
+   * @param {function(number): number[]} acceleration - The acceleration in g, from the time in seconds.
+   * @param {function(number): number[]} rotation - The rotation rate in deg/s, from the time in seconds.
+   * @return {void} This function does not return a value.
+   */
+  const move = (seconds, acceleration, rotation) => {
+    for (let n = 0; n < Math.round((seconds * 52) / 3); n++) {
+      clock.advance(3 * PERIOD);
+      const times = [0, 1, 2].map((i) => (n * 3 + i) / 52);
+      const raw = (values, scale) =>
+        values.map((value) => Math.round(value / scale));
+      transport.notify(
+        CHARACTERISTICS.accelerometer,
+        motionPacket(
+          sequence,
+          times.map((t) => raw(acceleration(t), SCALES.accelerometer))
+        )
+      );
+      transport.notify(
+        CHARACTERISTICS.gyroscope,
+        motionPacket(
+          sequence,
+          times.map((t) => raw(rotation(t), SCALES.gyroscope))
+        )
+      );
+      sequence++;
+    }
+  };
+
+  const still = (seconds, acceleration = LEVEL) =>
+    move(
+      seconds,
+      () => acceleration,
+      () => [0, 0, 0]
+    );
+
+  // The gravity measured with the head rolled by an angle in degrees
+  const gravity = (angle) => [
+    0,
+    Math.sin((angle * Math.PI) / 180),
+    Math.cos((angle * Math.PI) / 180),
+  ];
+
+  // Rolls the head from an angle to another in half a second
+  const roll = (from, to) =>
+    move(
+      0.5,
+      (t) => gravity(from + ((to - from) * t) / 0.5),
+      () => [(to - from) / 0.5, 0, 0]
+    );
+
+  /**
+   * Collects the events of a tracker.
+   *
+   * @param {MotionTracker} tracker - The tracker.
+   * @return {Object<string, Object[]>} The details of the events of every type.
+   */
+  const collect = (tracker) => {
+    const events = {};
+    for (const type of [
+      "orientation",
+      "nod",
+      "shake",
+      "tilt",
+      "motionartifact",
+    ]) {
+      events[type] = [];
+      tracker.addEventListener(type, (event) =>
+        events[type].push(event.detail)
+      );
+    }
+    return events;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    sequence = 0;
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("starts at the pitch and roll of gravity, and reports the orientation of every packet", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    // Rolled 30° to the right
+    still(1, [0, 0.5, Math.sqrt(3) / 2]);
+
+    assert.equal(events.orientation.length, 17);
+    const { time, pitch, roll, yaw, quaternion, moving } =
+      events.orientation[16];
+    assert.equal(time, currentTime());
+    // Up to the resolution of the accelerometer
+    close(roll, 30, 0.05);
+    close(pitch, 0, 0.05);
+    close(yaw, 0, 1e-6);
+    close(Math.hypot(...quaternion), 1, 1e-12);
+    assert.equal(moving, false);
+    assert.equal(tracker.latest, events.orientation[16]);
+  });
+
+  it("integrates the rotation rate and pulls pitch and roll towards gravity", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    still(0.5);
+    // A turn of the head by 90° in 2 s
+    move(
+      2,
+      () => LEVEL,
+      () => [0, 0, 45]
+    );
+    const turned = events.orientation[events.orientation.length - 1];
+    close(turned.yaw, 90, 2);
+    close(turned.pitch, 0, 0.5);
+
+    // A pitch the accelerometer does not see is corrected over a few seconds
+    move(
+      0.5,
+      () => LEVEL,
+      () => [0, 20, 0]
+    );
+    const pitched = events.orientation[events.orientation.length - 1].pitch;
+    still(5);
+    const settled = events.orientation[events.orientation.length - 1].pitch;
+    assert.ok(pitched > 3, `pitch ${pitched}`);
+    assert.ok(Math.abs(settled) < 0.5, `pitch ${settled}`);
+  });
+
+  it("removes the gyroscope bias while the head is still", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    move(
+      10,
+      () => LEVEL,
+      () => [0, 0, 2]
+    );
+
+    // Integrating the bias would have turned the yaw by 20°
+    const { yaw } = events.orientation[events.orientation.length - 1];
+    assert.ok(Math.abs(yaw) < 3, `yaw ${yaw}`);
+  });
+
+  it("detects a nod and a shake, once per gesture", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    still(0.5);
+    // Two nods back and forth, then a pause and a shake
+    const swing = (axis) => (t) => {
+      const rate = [0, 0, 0];
+      rate[axis] = 100 * Math.sin(2 * Math.PI * 2.5 * t);
+      return rate;
+    };
+    move(0.8, () => LEVEL, swing(1));
+    still(1.5);
+    move(0.4, () => LEVEL, swing(2));
+    still(1);
+
+    assert.equal(events.nod.length, 1);
+    assert.equal(events.shake.length, 1);
+    close(events.nod[0].rate, 100, 1);
+    assert.ok(events.shake[0].time > events.nod[0].time + 1500);
+  });
+
+  it("reports a tilt held beyond the angle, once until the head is level again", () => {
+    const tracker = new MotionTracker(muse, { tilt: { angle: 15, hold: 0.5 } });
+    const events = collect(tracker);
+    tracker.start();
+    still(0.5);
+    roll(0, -20);
+    still(1, gravity(-20));
+    roll(-20, 0);
+    still(1);
+    roll(0, 25);
+    still(0.3, gravity(25));
+    // Leaning further does not report the tilt again
+    roll(25, 35);
+    still(1, gravity(35));
+
+    assert.deepEqual(
+      events.tilt.map((tilt) => tilt.direction),
+      ["left", "right"]
+    );
+    close(events.tilt[0].angle, -20, 1);
+    close(events.tilt[1].angle, 25, 1);
+  });
+
+  it("keeps the motion artifacts for the EEG analyses", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    still(1);
+    const start = currentTime();
+    // A bump of the headband, for 3 packets of 3 samples
+    move(
+      0.2,
+      () => [0, 0, 1.5],
+      () => [0, 0, 0]
+    );
+    assert.equal(tracker.moving, true);
+    assert.equal(tracker.overlapsArtifact(start, start + 10000), true);
+    still(1);
+
+    assert.equal(tracker.moving, false);
+    assert.equal(events.motionartifact.length, 1);
+    const artifact = events.motionartifact[0];
+    // From the first sample of the first packet
+    close(artifact.start, start + PERIOD, 1e-3);
+    // The artifact is extended by half a second, 26 samples, after the last moving sample
+    close(artifact.end - artifact.start, (8 + 26) * PERIOD, 1e-3);
+    assert.equal(tracker.overlapsArtifact(start - 1000, start - 100), false);
+    assert.equal(tracker.overlapsArtifact(start - 1000, artifact.start), true);
+    assert.equal(tracker.overlapsArtifact(artifact.end, start + 5000), true);
+    assert.equal(
+      tracker.overlapsArtifact(artifact.end + 1, start + 5000),
+      false
+    );
+  });
+
+  it("ends the artifact in progress when stopped", () => {
+    const tracker = new MotionTracker(muse);
+    const events = collect(tracker);
+    tracker.start();
+    still(0.5);
+    move(
+      0.5,
+      () => LEVEL,
+      () => [100, 0, 0]
+    );
+    tracker.stop();
+
+    assert.equal(events.motionartifact.length, 1);
+    assert.equal(events.motionartifact[0].end, currentTime());
+    assert.equal(tracker.moving, false);
+  });
+
+  it("rejects a negative beta", () => {
+    assert.throws(() => new MotionTracker(muse, { beta: -1 }), RangeError);
+  });
+});
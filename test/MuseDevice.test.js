@@ -0,0 +1,497 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { Muse } from "../src/lib/MuseDevice.js";
+import { CHARACTERISTICS, currentTime } from "../src/lib/protocol.js";
+import {
+  FakeTransport,
+  batteryPacket,
+  connectFake,
+  eegPacket,
+  mockClock,
+  motionPacket,
+  ppgPacket,
+  sleep,
+} from "./helpers.js";
+
+// An EEG packet with sequence number 0x1234 whose first samples are 0xABC and 0xDEF, and the rest 0x800
+const EEG_BYTES = Uint8Array.from([
+  0x12, 0x34, 0xab, 0xcd, 0xef, 0x80, 0x08, 0x00, 0x80, 0x08, 0x00, 0x80, 0x08,
+  0x00, 0x80, 0x08, 0x00, 0x80, 0x08, 0x00,
+]);
+
+describe("Muse events", () => {
+  let muse;
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("decodes EEG packets into raw values and microvolts", async () => {
+    let transport;
+    ({ muse, transport } = await connectFake());
+    const events = [];
+    muse.addEventListener("eeg", (event) => events.push(event.detail));
+    transport.notify(CHARACTERISTICS.eeg[1], EEG_BYTES);
+
+    assert.equal(events.length, 1);
+    const { channel, raw, samples, sequence } = events[0];
+    assert.equal(channel, 1);
+    assert.equal(sequence, 0x1234);
+    assert.deepEqual(raw, [0xabc, 0xdef, ...Array(10).fill(0x800)]);
+    assert.equal(samples[0], 0.48828125 * (0xabc - 0x800));
+    assert.equal(samples[2], 0);
+  });
+
+  it("decodes PPG, motion and battery packets", async () => {
+    let transport;
+    ({ muse, transport } = await connectFake());
+    const details = {};
+    for (const type of ["ppg", "accelerometer", "gyroscope", "battery"]) {
+      muse.addEventListener(type, (event) => (details[type] = event.detail));
+    }
+    // Sequence number 5, samples 0x010203 and 0xFFFFFF, and zeros
+    const ppg = new Uint8Array(20);
+    ppg.set([0x00, 0x05, 0x01, 0x02, 0x03, 0xff, 0xff, 0xff]);
+    transport.notify(CHARACTERISTICS.ppg[2], ppg);
+    const motion = motionPacket(0, [
+      [16384, -16384, 0],
+      [0, 0, 0],
+      [0, 0, 0],
+    ]);
+    transport.notify(CHARACTERISTICS.accelerometer, motion);
+    transport.notify(CHARACTERISTICS.gyroscope, motion);
+    transport.notify(
+      CHARACTERISTICS.battery,
+      Uint8Array.from([0, 0, 0x64, 0x00, ...Array(16).fill(0)])
+    );
+
+    assert.equal(details.ppg.channel, 2);
+    assert.equal(details.ppg.sequence, 5);
+    assert.deepEqual(details.ppg.samples, [0x010203, 0xffffff, 0, 0, 0, 0]);
+    const [x, y, z] = details.accelerometer.samples;
+    assert.ok(Math.abs(x[0] - 1) < 1e-4);
+    assert.ok(Math.abs(y[0] + 1) < 1e-4);
+    assert.deepEqual(z, [0, 0, 0]);
+    assert.ok(
+      Math.abs(details.gyroscope.samples[0][0] - 16384 * 0.0074768) < 1e-9
+    );
+    assert.equal(details.battery.level, 50);
+  });
+
+  it("assembles control replies split across notifications", async () => {
+    let transport;
+    ({ muse, transport } = await connectFake());
+    await sleep();
+    const replies = [];
+    muse.addEventListener("control", (event) =>
+      replies.push(event.detail.info)
+    );
+    transport.reply({ hn: "Muse-1234", sn: "1234-5678-9012", rc: 0 });
+
+    assert.deepEqual(replies, [
+      { hn: "Muse-1234", sn: "1234-5678-9012", rc: 0 },
+    ]);
+    assert.equal(muse.info.hn, "Muse-1234");
+  });
+
+  it("registers and removes several listeners with subscribe", async () => {
+    let transport;
+    ({ muse, transport } = await connectFake());
+    const types = [];
+    const unsubscribe = muse.subscribe({
+      eeg: () => types.push("eeg"),
+      battery: () => types.push("battery"),
+    });
+    transport.notify(
+      CHARACTERISTICS.eeg[0],
+      eegPacket(0, Array(12).fill(0x800))
+    );
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(0, 80));
+    unsubscribe();
+    transport.notify(
+      CHARACTERISTICS.eeg[0],
+      eegPacket(1, Array(12).fill(0x800))
+    );
+
+    assert.deepEqual(types, ["eeg", "battery"]);
+  });
+
+  it("fills the buffers through the hooks, also when a subclass overrides them with super", async () => {
+    const seen = [];
+    class LoggingMuse extends Muse {
+      eegData(n, event) {
+        seen.push([n, this.eventSequenceNumber(event)]);
+        super.eegData(n, event);
+      }
+      batteryData(event) {
+        seen.push(["battery", this.eventBatteryData(event)]);
+      }
+    }
+    const transport = new FakeTransport();
+    muse = new LoggingMuse({ transport });
+    await muse.connect();
+    transport.notify(CHARACTERISTICS.eeg[3], EEG_BYTES);
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(0, 25));
+
+    assert.deepEqual(seen, [
+      [3, 0x1234],
+      ["battery", 25],
+    ]);
+    assert.equal(muse.eeg[3].length, 12);
+    assert.equal(muse.eeg[3].read(), 0.48828125 * (0xabc - 0x800));
+    assert.equal(muse.batteryLevel, null);
+  });
+
+  it("decodes raw notifications passed to the hooks directly", async () => {
+    muse = new Muse({ transport: new FakeTransport() });
+    const notification = { target: { value: new DataView(EEG_BYTES.buffer) } };
+    muse.eegData(0, notification);
+    muse.ppgData(1, {
+      target: { value: new DataView(ppgPacket(0, [1, 2, 3, 4, 5, 6]).buffer) },
+    });
+
+    assert.deepEqual(
+      muse.eventEEGData(notification).slice(0, 2),
+      [0xabc, 0xdef]
+    );
+    assert.equal(muse.eeg[0].length, 12);
+    assert.equal(muse.ppg[1].length, 6);
+  });
+});
+
+describe("Muse reconnection", () => {
+  it("reconnects after the link is lost and reports the gap", async () => {
+    const { muse, transport } = await connectFake({
+      reconnect: { initialDelay: 5, maxAttempts: 3 },
+    });
+    const events = [];
+    for (const type of ["reconnecting", "reconnected", "disconnected"]) {
+      muse.addEventListener(type, (event) => events.push([type, event.detail]));
+    }
+    const reconnected = new Promise((resolve) =>
+      muse.addEventListener("reconnected", resolve)
+    );
+    const before = currentTime();
+    // The first attempt fails and the second succeeds
+    muse.addEventListener("reconnecting", (event) => {
+      transport.failConnect = event.detail.attempt === 1;
+    });
+    transport.lose();
+    assert.equal(muse.state, 1);
+    await reconnected;
+
+    assert.equal(muse.state, 2);
+    assert.deepEqual(
+      events.map(([type]) => type),
+      ["reconnecting", "reconnecting", "reconnected"]
+    );
+    assert.deepEqual(events[1][1], { attempt: 2, maxAttempts: 3, delay: 10 });
+    const { attempts, gap } = events[2][1];
+    assert.equal(attempts, 2);
+    assert.ok(gap.start >= before && gap.end > gap.start);
+    assert.equal(gap.duration, gap.end - gap.start);
+    // The characteristics are subscribed again
+    const received = [];
+    muse.addEventListener("eeg", (event) => received.push(event.detail));
+    transport.notify(CHARACTERISTICS.eeg[0], EEG_BYTES);
+    assert.equal(received.length, 1);
+    await muse.disconnect();
+  });
+
+  it("gives up after maxAttempts and disconnects", async () => {
+    const { muse, transport } = await connectFake({
+      reconnect: { initialDelay: 1, maxAttempts: 2 },
+    });
+    const disconnected = new Promise((resolve) =>
+      muse.addEventListener("disconnected", resolve)
+    );
+    transport.failConnect = true;
+    transport.lose();
+    await disconnected;
+
+    assert.equal(muse.state, 0);
+    assert.equal(transport.connects, 3);
+  });
+
+  it("disconnects right away without the reconnect option", async () => {
+    const { muse, transport } = await connectFake();
+    let reconnecting = false;
+    muse.addEventListener("reconnecting", () => (reconnecting = true));
+    transport.lose();
+
+    assert.equal(muse.state, 0);
+    assert.equal(reconnecting, false);
+  });
+});
+
+describe("Muse packet sequences", () => {
+  const PACKET_DURATION = (12 * 1000) / 256;
+  let muse;
+  let transport;
+  let clock;
+  let packets;
+  let losses;
+
+  const send = (sequence, channel = 0) =>
+    transport.notify(
+      CHARACTERISTICS.eeg[channel],
+      eegPacket(sequence, Array(12).fill(0x800))
+    );
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+    packets = [];
+    losses = [];
+    muse.addEventListener("eeg", (event) => packets.push(event.detail));
+    muse.addEventListener("packetloss", (event) => losses.push(event.detail));
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("counts the packets lost between two sequence numbers", () => {
+    send(10);
+    send(11);
+    send(14);
+
+    assert.deepEqual(
+      packets.map((p) => p.dropped),
+      [0, 0, 2]
+    );
+    assert.deepEqual(losses, [
+      { sensor: "eeg", channel: 0, sequence: 14, dropped: 2, total: 2 },
+    ]);
+    assert.equal(muse.droppedPackets, 2);
+  });
+
+  it("wraps around after 0xffff without reporting a loss", () => {
+    // Packets that arrive sooner than they can have been acquired move the timestamps back,
+    // so leave the duration of a packet between them
+    for (const sequence of [0xfffe, 0xffff, 0, 1]) {
+      send(sequence);
+      clock.advance(PACKET_DURATION);
+    }
+
+    assert.deepEqual(
+      packets.map((p) => p.dropped),
+      [0, 0, 0, 0]
+    );
+    assert.equal(losses.length, 0);
+    // The timestamps continue across the wraparound
+    const last = packets[3].timestamps;
+    const first = packets[0].timestamps;
+    assert.ok(Math.abs(last[0] - first[0] - 3 * PACKET_DURATION) < 1e-3);
+  });
+
+  it("counts the packets lost across the wraparound", () => {
+    send(0xfffd);
+    send(2);
+
+    assert.equal(packets[1].dropped, 4);
+    assert.equal(muse.droppedPackets, 4);
+  });
+
+  it("flags late and duplicate packets without counting them as lost", () => {
+    send(20);
+    clock.advance(2 * PACKET_DURATION);
+    send(22);
+    send(21);
+    send(22);
+
+    assert.deepEqual(
+      packets.map((p) => [p.dropped, p.reordered]),
+      [
+        [0, false],
+        [1, false],
+        [0, true],
+        [0, true],
+      ]
+    );
+    // A late packet keeps the timestamps of its place in the sequence
+    assert.ok(
+      Math.abs(
+        packets[2].timestamps[0] - packets[0].timestamps[0] - PACKET_DURATION
+      ) < 1e-3
+    );
+    assert.equal(muse.droppedPackets, 1);
+  });
+
+  it("tracks every channel separately", () => {
+    send(5, 0);
+    send(9, 1);
+    send(6, 0);
+    send(10, 1);
+
+    assert.equal(losses.length, 0);
+    assert.deepEqual(
+      packets.map((p) => p.channel),
+      [0, 1, 0, 1]
+    );
+  });
+
+  it("spaces the samples at the nominal rate and never in the future", () => {
+    const before = currentTime();
+    send(0);
+    const { timestamps } = packets[0];
+
+    assert.equal(timestamps.length, 12);
+    for (let i = 1; i < 12; i++) {
+      assert.ok(
+        Math.abs(timestamps[i] - timestamps[i - 1] - 1000 / 256) < 1e-6
+      );
+    }
+    assert.ok(timestamps[11] <= currentTime());
+    assert.ok(timestamps[0] >= before - 12 * (1000 / 256));
+  });
+
+  it("starts tracking afresh on every connection", async () => {
+    send(100);
+    await muse.disconnect();
+    await muse.connect();
+    send(7);
+
+    assert.equal(packets[1].dropped, 0);
+    assert.equal(muse.droppedPackets, 0);
+  });
+});
+
+describe("Muse presets", () => {
+  it("selects the preset and subscribes to the sensors of the layout", async () => {
+    const { muse, transport } = await connectFake({
+      connect: { preset: "p21", sensors: { battery: false } },
+    });
+    const types = [];
+    muse.subscribe({
+      eeg: () => types.push("eeg"),
+      ppg: () => types.push("ppg"),
+      battery: () => types.push("battery"),
+    });
+    transport.notify(CHARACTERISTICS.eeg[3], EEG_BYTES);
+    transport.notify(CHARACTERISTICS.eeg[4], EEG_BYTES);
+    transport.notify(CHARACTERISTICS.ppg[0], ppgPacket(0, [1, 2, 3, 4, 5, 6]));
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(0, 50));
+
+    assert.deepEqual(transport.commands, ["h", "p21", "s", "d", "v1"]);
+    assert.equal(muse.layout.preset, "p21");
+    assert.deepEqual(types, ["eeg"]);
+    await muse.disconnect();
+  });
+
+  it("rejects an unknown preset without connecting", async () => {
+    const transport = new FakeTransport();
+    const muse = new Muse({ transport });
+
+    await assert.rejects(muse.connect({ preset: "p99" }), TypeError);
+    assert.equal(muse.state, 0);
+    assert.equal(transport.connects, 0);
+  });
+});
+
+describe("Muse commands", () => {
+  let muse;
+  let transport;
+
+  beforeEach(async () => {
+    ({ muse, transport } = await connectFake());
+    await sleep();
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("resolves with the parsed reply of a command", async () => {
+    transport.replies.s = { hn: "Muse-ABCD", bp: 87, ps: 50, rc: 0 };
+
+    assert.deepEqual(await muse.sendCommand("s"), transport.replies.s);
+    const status = await muse.getStatus();
+    assert.equal(status.name, "Muse-ABCD");
+    assert.equal(status.battery, 87);
+    assert.equal(status.preset, 50);
+  });
+
+  it("matches the replies to the commands in order", async () => {
+    transport.replies.a = { n: 1, rc: 0 };
+    transport.replies.b = { n: 2, rc: 0 };
+    const [a, b] = await Promise.all([
+      muse.sendCommand("a"),
+      muse.sendCommand("b"),
+    ]);
+
+    assert.equal(a.n, 1);
+    assert.equal(b.n, 2);
+  });
+
+  it("parses the device info and takes the serial from the status if needed", async () => {
+    transport.replies.v1 = {
+      fw: "1.2.13",
+      hw: "3.1",
+      bl: "1.0",
+      bn: 64,
+      pv: 1,
+      sp: "Blackcomb_revB",
+      tp: "consumer",
+      rc: 0,
+    };
+    transport.replies.s = { sn: "1234-5678", rc: 0 };
+    const info = await muse.getDeviceInfo();
+
+    assert.equal(info.firmware, "1.2.13");
+    assert.equal(info.hardware, "3.1");
+    assert.equal(info.buildNumber, 64);
+    assert.equal(info.model, "Blackcomb_revB");
+    assert.equal(info.serial, "1234-5678");
+    assert.deepEqual(info.raw, transport.replies.v1);
+  });
+
+  it("rejects when no reply arrives in time", async () => {
+    transport.replies.x = null;
+
+    await assert.rejects(
+      muse.sendCommand("x", { timeout: 10 }),
+      /No reply to command "x" within 10 ms/
+    );
+  });
+
+  it("rejects pending commands on disconnect, and new ones while disconnected", async () => {
+    transport.replies.x = null;
+    const pending = muse.sendCommand("x");
+    await muse.disconnect();
+
+    await assert.rejects(pending, /Disconnected/);
+    await assert.rejects(muse.sendCommand("s"), /not connected/);
+  });
+});
+
+describe("Muse markers", () => {
+  let muse;
+  let clock;
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("dispatches markers timestamped on the clock of the samples", () => {
+    const markers = [];
+    muse.addEventListener("marker", (event) => markers.push(event.detail));
+    const first = muse.mark("stimulus", { id: 7 });
+    clock.advance(0.25);
+    const second = muse.mark("response");
+
+    assert.deepEqual(markers, [first, second]);
+    assert.equal(first.label, "stimulus");
+    assert.deepEqual(first.metadata, { id: 7 });
+    assert.deepEqual(second.metadata, {});
+    assert.equal(second.time, currentTime());
+    // Sub-millisecond resolution, to place markers between samples
+    assert.ok(Math.abs(second.time - first.time - 0.25) < 1e-6);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { MuseStream } from "../src/lib/MuseStream.js";
+import { CHARACTERISTICS } from "../src/lib/protocol.js";
+import { batteryPacket, connectFake } from "./helpers.js";
+
+/**
+ * A stream that publishes every battery level it receives, and counts its resets.
+ */
+class BatteryStream extends MuseStream {
+  resets = 0;
+
+  listeners() {
+    return {
+      battery: (event) => this.publish("level", { level: event.detail.level }),
+    };
+  }
+
+  reset() {
+    this.resets++;
+  }
+}
+
+describe("MuseStream", () => {
+  let muse;
+  let transport;
+
+  beforeEach(async () => {
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("cannot be constructed directly", () => {
+    assert.throws(() => new MuseStream(muse), TypeError);
+  });
+
+  it("requires subclasses to implement listeners", () => {
+    class Incomplete extends MuseStream {}
+    const stream = new Incomplete(muse);
+
+    assert.throws(() => stream.start(), /listeners is not implemented/);
+    assert.equal(stream.active, false);
+  });
+
+  it("listens to the device while active and keeps the latest result", () => {
+    const stream = new BatteryStream(muse);
+    const levels = [];
+    stream.addEventListener("level", (event) =>
+      levels.push(event.detail.level)
+    );
+
+    assert.equal(stream.muse, muse);
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(0, 10));
+    stream.start();
+    stream.start();
+    assert.equal(stream.active, true);
+    assert.equal(stream.resets, 1);
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(1, 20));
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(2, 30));
+    assert.deepEqual(stream.latest, { level: 30 });
+    stream.stop();
+    transport.notify(CHARACTERISTICS.battery, batteryPacket(3, 40));
+
+    assert.equal(stream.active, false);
+    assert.deepEqual(levels, [20, 30]);
+    // The result is kept after stopping, and cleared by the next start
+    assert.deepEqual(stream.latest, { level: 30 });
+    stream.start();
+    assert.equal(stream.latest, null);
+    assert.equal(stream.resets, 2);
+    stream.stop();
+  });
+});
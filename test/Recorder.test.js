@@ -0,0 +1,211 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { Recorder } from "../src/lib/Recorder.js";
+import { CHARACTERISTICS, currentTime } from "../src/lib/protocol.js";
+import {
+  connectFake,
+  mockClock,
+  motionPacket,
+  ppgPacket,
+  sendEEG,
+} from "./helpers.js";
+
+const PERIOD = 1000 / 256;
+
+describe("Recorder", () => {
+  let muse;
+  let transport;
+  let clock;
+
+  // Sends the EEG packets of every channel once they were acquired
+  const send = (sequence, value = () => 0x800) => {
+    clock.advance(12 * PERIOD);
+    sendEEG(transport, sequence, value);
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("records the EEG channels aligned on their timestamps", () => {
+    const recorder = new Recorder(muse);
+    recorder.start();
+    for (let sequence = 0; sequence < 3; sequence++) {
+      send(sequence, (channel, i) => 0x800 + channel * 12 + i);
+    }
+    const session = recorder.stop();
+    const eeg = session.streams.eeg;
+
+    assert.deepEqual(eeg.channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.equal(eeg.sampleRate, 256);
+    assert.equal(eeg.timestamps.length, 36);
+    assert.equal(eeg.data.length, 4);
+    assert.equal(eeg.data[2][13], 0.48828125 * (2 * 12 + 1));
+    for (let i = 1; i < eeg.timestamps.length; i++) {
+      assert.ok(
+        Math.abs(eeg.timestamps[i] - eeg.timestamps[i - 1] - PERIOD) < 1e-3
+      );
+    }
+    assert.ok(Math.abs(eeg.timestamps[35] - currentTime() + PERIOD) < 1e-3);
+    assert.equal(session.streams.ppg, undefined);
+  });
+
+  it("fills lost packets with NaN samples", () => {
+    const recorder = new Recorder(muse);
+    recorder.start();
+    send(0);
+    clock.advance(12 * PERIOD); // The time of the lost packet
+    send(2, () => 0x900);
+    const eeg = recorder.stop().streams.eeg;
+
+    assert.equal(eeg.timestamps.length, 36);
+    assert.ok(eeg.data[0].slice(12, 24).every(Number.isNaN));
+    assert.ok(
+      Math.abs(eeg.timestamps[12] - eeg.timestamps[11] - PERIOD) < 1e-3
+    );
+    assert.equal(eeg.data[0][24], 0.48828125 * 0x100);
+  });
+
+  it("records only the selected sensors", () => {
+    const recorder = new Recorder(muse, { sensors: { eeg: false } });
+    recorder.start();
+    send(0);
+    transport.notify(CHARACTERISTICS.ppg[1], ppgPacket(0, [1, 2, 3, 4, 5, 6]));
+    transport.notify(
+      CHARACTERISTICS.accelerometer,
+      motionPacket(0, [
+        [0, 0, 16384],
+        [0, 0, 16384],
+        [0, 0, 16384],
+      ])
+    );
+    const { streams } = recorder.stop();
+
+    assert.deepEqual(Object.keys(streams), ["ppg", "accelerometer"]);
+    assert.deepEqual(streams.ppg.channels, ["infrared"]);
+    assert.deepEqual(Array.from(streams.ppg.data[0]), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(streams.accelerometer.channels, ["x", "y", "z"]);
+    assert.ok(Math.abs(streams.accelerometer.data[2][0] - 1) < 1e-4);
+  });
+
+  it("ignores samples while paused and lists the pause", () => {
+    const recorder = new Recorder(muse);
+    const events = [];
+    for (const type of ["start", "pause", "resume", "stop"]) {
+      recorder.addEventListener(type, () => events.push(type));
+    }
+    recorder.start();
+    send(0);
+    recorder.pause();
+    assert.equal(recorder.state, "paused");
+    send(1);
+    recorder.resume();
+    send(2);
+    const session = recorder.stop();
+
+    assert.deepEqual(events, ["start", "pause", "resume", "stop"]);
+    assert.equal(recorder.state, "inactive");
+    assert.equal(session.pauses.length, 1);
+    assert.ok(
+      Math.abs(session.pauses[0].end - session.pauses[0].start - 12 * PERIOD) <
+        1e-3
+    );
+    assert.ok(Math.abs(session.duration - (24 * PERIOD) / 1000) < 1e-6);
+    assert.equal(session.streams.eeg.timestamps.length, 24);
+  });
+
+  it("maps markers onto the first EEG sample at or after them", () => {
+    const recorder = new Recorder(muse);
+    recorder.start();
+    send(0);
+    clock.advance(PERIOD / 2);
+    const marker = recorder.mark("stimulus", { id: 7 });
+    send(1);
+    const session = recorder.stop();
+
+    assert.equal(session.markers.length, 1);
+    assert.equal(session.markers[0].label, "stimulus");
+    assert.deepEqual(session.markers[0].metadata, { id: 7 });
+    assert.equal(session.markers[0].time, marker.time);
+    // The first sample of the second packet was acquired half a period before the marker
+    assert.equal(session.markers[0].sample, 13);
+  });
+
+  it("shares the markers of the device with every recorder", () => {
+    const recorders = [new Recorder(muse), new Recorder(muse)];
+    recorders.forEach((recorder) => recorder.start());
+    send(0);
+    muse.mark("eyes closed");
+    recorders[1].mark("eyes open", { trial: 2 });
+    send(1);
+    const [first, second] = recorders.map((recorder) => recorder.stop());
+
+    assert.deepEqual(first.markers, second.markers);
+    assert.deepEqual(
+      first.markers.map((marker) => [marker.label, marker.sample]),
+      [
+        ["eyes closed", 12],
+        ["eyes open", 12],
+      ]
+    );
+    assert.deepEqual(first.markers[1].metadata, { trial: 2 });
+  });
+
+  it("stops by itself after maxDuration", () => {
+    const recorder = new Recorder(muse, { maxDuration: 0.1 });
+    let stopped = null;
+    recorder.addEventListener("stop", (event) => {
+      stopped = event.detail.session;
+    });
+    recorder.start();
+    send(0);
+    send(1);
+    assert.equal(stopped, null);
+    send(2);
+
+    assert.equal(recorder.state, "inactive");
+    assert.ok(stopped.duration >= 0.1);
+    assert.equal(recorder.stop(), stopped);
+  });
+
+  it("discards the chunks older than maxDuration in rolling mode", () => {
+    const recorder = new Recorder(muse, {
+      maxDuration: 0.1,
+      rolling: true,
+      chunkSize: 12,
+    });
+    recorder.start();
+    for (let sequence = 0; sequence < 5; sequence++) {
+      send(sequence, () => 0x800 + sequence);
+    }
+    assert.equal(recorder.state, "recording");
+    const eeg = recorder.stop().streams.eeg;
+
+    // The chunks of the first two packets ended more than 0.1 seconds ago
+    assert.equal(eeg.timestamps.length, 36);
+    assert.equal(eeg.data[0][0], 0.48828125 * 2);
+  });
+
+  it("rejects starting twice and marking while inactive", () => {
+    const recorder = new Recorder(muse);
+    assert.throws(() => recorder.mark("too early"), /not recording/);
+    recorder.start();
+    assert.throws(() => recorder.start(), /already recording/);
+    recorder.stop();
+  });
+
+  it("builds a session without streams when nothing was received", () => {
+    const recorder = new Recorder(muse);
+    recorder.start();
+    const session = recorder.stop();
+
+    assert.deepEqual(session.streams, {});
+    assert.deepEqual(session.layout, muse.layout);
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { SignalQuality } from "../src/lib/SignalQuality.js";
+import { currentTime } from "../src/lib/protocol.js";
+import { connectFake, mockClock, sendEEG } from "./helpers.js";
+
+const PERIOD = 1000 / 256;
+
+const sine = (frequency, amplitude, i) =>
+  amplitude * Math.sin((2 * Math.PI * frequency * i) / 256);
+
+describe("SignalQuality", () => {
+  let muse;
+  let transport;
+  let clock;
+
+  /**
+   * Sends EEG packets and collects the ratings of a monitor.
+   *
+   * @param {SignalQuality} quality - The monitor.
+   * @param {number} packets - The number of packets to send on every channel.
+   * @param {function(number, number): number} value - The EEG of a channel in µV, from its index and the index of the sample.
+   * @return {Object[]} The details of the `quality` events.
+   */
+  const run = (quality, packets, value) => {
+    const results = [];
+    quality.addEventListener("quality", (event) => results.push(event.detail));
+    for (let sequence = 0; sequence < packets; sequence++) {
+      clock.advance(12 * PERIOD);
+      sendEEG(transport, sequence, (channel, i) => {
+        const raw = Math.round(
+          value(channel, sequence * 12 + i) / 0.48828125 + 0x800
+        );
+        return Math.min(0xfff, Math.max(0, raw));
+      });
+    }
+    return results;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("rates the contact of every electrode like the horseshoe indicator", () => {
+    const quality = new SignalQuality(muse);
+    quality.start();
+    const results = run(quality, 64, (channel, i) => {
+      switch (channel) {
+        case 0:
+          // Clean EEG with a DC offset
+          return 300 + sine(10, 20, i) + sine(23, 5, i);
+        case 1:
+          // A disconnected input
+          return 0;
+        case 2:
+          // As much mains interference as EEG
+          return sine(10, 20, i) + sine(60, 20, i);
+        default:
+          // Large artifacts
+          return sine(10, 150, i);
+      }
+    });
+
+    // 2 s windows every 0.5 s, after 516, 636 and 756 samples
+    assert.equal(results.length, 3);
+    const { time, channels, scores, status, metrics } = results[2];
+    assert.deepEqual(channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.ok(Math.abs(time - (currentTime() - PERIOD)) < 1e-3);
+    assert.deepEqual(status, ["good", "bad", "bad", "medium"]);
+    assert.equal(scores[0], 1);
+    assert.equal(scores[1], 0);
+    assert.equal(metrics[1].flat, 1);
+    assert.ok(Math.abs(metrics[2].lineNoise - 0.5) < 0.05);
+    // A sine of 150 µV has a standard deviation of 106 µV
+    assert.ok(Math.abs(metrics[3].std - 150 * Math.SQRT1_2) < 2);
+    assert.ok(Math.abs(scores[3] - (200 - metrics[3].std) / 150) < 1e-9);
+    assert.equal(quality.latest, results[2]);
+  });
+
+  it("counts the samples at the rails of the 12-bit range", () => {
+    const quality = new SignalQuality(muse, { window: 1, hop: 1 });
+    quality.start();
+    // Every other sample at the top rail on TP9, at the bottom one on TP10
+    const results = run(quality, 22, (channel, i) => {
+      if (i % 2 === 0 && (channel === 0 || channel === 3)) {
+        return channel === 0 ? 1000 : -1000;
+      }
+      return sine(5, 10, i);
+    });
+
+    assert.equal(results.length, 1);
+    const { metrics, status } = results[0];
+    assert.equal(metrics[0].saturation, 0.5);
+    assert.equal(metrics[3].saturation, 0.5);
+    assert.equal(metrics[1].saturation, 0);
+    assert.equal(status[0], "bad");
+  });
+
+  it("leaves lost samples out of the shares", () => {
+    const quality = new SignalQuality(muse, { window: 1, hop: 1 });
+    const results = [];
+    quality.addEventListener("quality", (event) => results.push(event.detail));
+    quality.start();
+    // Every sample at the top rail, with 4 packets lost in the window
+    for (let sequence = 0; sequence < 22; sequence++) {
+      clock.advance(12 * PERIOD);
+      if (sequence < 4 || sequence > 7) {
+        sendEEG(transport, sequence, () => 0xfff);
+      }
+    }
+
+    assert.equal(results.length, 1);
+    const { saturation, flat } = results[0].metrics[0];
+    assert.equal(saturation, 1);
+    // The sample after the gap is not compared with a lost one
+    assert.equal(flat, 206 / 207);
+  });
+
+  it("rejects windows shorter than a second and hops that are not positive", () => {
+    assert.throws(() => new SignalQuality(muse, { window: 0.5 }), RangeError);
+    assert.throws(() => new SignalQuality(muse, { hop: 0 }), RangeError);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { SlidingWindow } from "../src/lib/SlidingWindow.js";
+
+const range = (length, from = 0) => Array.from({ length }, (_, i) => from + i);
+
+describe("SlidingWindow", () => {
+  it("completes a window every hop once every channel received its samples", () => {
+    const windows = new SlidingWindow(2, { length: 8, hop: 4, slack: 8 });
+
+    assert.equal(windows.push(0, [range(6)], 0, 100), false);
+    assert.equal(windows.push(0, [range(6, 6)], 0, 200), false);
+    assert.equal(windows.push(1, [range(6, 100)], 0, 110), false);
+    assert.equal(windows.push(1, [range(6, 106)], 0, 210), true);
+    // The windows of both channels end at the last sample both received
+    assert.deepEqual(Array.from(windows.window(0)), range(8, 4));
+    assert.deepEqual(Array.from(windows.window(1)), range(8, 104));
+    assert.equal(windows.time, 200);
+
+    // The next window is due after 16 samples
+    assert.equal(windows.push(0, [range(3, 12)], 0, 300), false);
+    assert.equal(windows.push(1, [range(3, 112)], 0, 310), false);
+    assert.equal(windows.push(0, [range(3, 15)], 0, 400), false);
+    assert.equal(windows.push(1, [range(3, 115)], 0, 410), true);
+    assert.deepEqual(Array.from(windows.window(1)), range(8, 110));
+  });
+
+  it("keeps the samples of every field", () => {
+    const windows = new SlidingWindow(1, { length: 4, hop: 2, fields: 2 });
+    windows.push(0, [range(4), range(4, 10)], 0, 0);
+
+    assert.deepEqual(Array.from(windows.window(0, 1)), range(4, 10));
+    assert.deepEqual(Array.from(windows.window(0)), range(4));
+  });
+
+  it("adds the samples of lost packets as NaN after the first packet", () => {
+    const windows = new SlidingWindow(1, { length: 8, hop: 1 });
+
+    assert.equal(windows.push(0, [[1, 2]], 3, 0), false);
+    assert.equal(windows.push(0, [[3, 4]], 1, 0), false);
+    assert.equal(windows.push(0, [[5, 6]], 0, 0), true);
+    assert.deepEqual(Array.from(windows.window(0)), [
+      1,
+      2,
+      NaN,
+      NaN,
+      3,
+      4,
+      5,
+      6,
+    ]);
+  });
+
+  it("rejects a length or hop that is not a positive integer", () => {
+    assert.throws(
+      () => new SlidingWindow(1, { length: 0, hop: 1 }),
+      RangeError
+    );
+    assert.throws(
+      () => new SlidingWindow(1, { length: 8, hop: 1.5 }),
+      RangeError
+    );
+  });
+});
@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import {
+  DEFAULT_CALIBRATION,
+  SpO2Estimator,
+} from "../src/lib/SpO2Estimator.js";
+import { CHARACTERISTICS } from "../src/lib/protocol.js";
+import { connectFake, mockClock, ppgPacket } from "./helpers.js";
+
+const PPG_PERIOD = 1000 / 64;
+
+describe("SpO2Estimator", () => {
+  let muse;
+  let transport;
+  let clock;
+
+  /**
+   * Sends the red and infrared PPG of a pulse at 75 beats per minute. The pulse dips the infrared
+   * channel by 3000 from 500000 and the red channel by `red` from 400000, so that the ratio of
+   * ratios is about `red / 2400`.
+   *
+   * @param {SpO2Estimator} estimator - The estimator.
+   * @param {number} count - The number of beats.
+   * @param {Object} [options] - Options
+   * @param {number} [options.red=1200] - The depth of the pulse on the red channel
+   * @param {number[]} [options.lostRed=[]] - The sequence numbers of the red packets that are not sent
+   * @return {Object[]} The details of the `spo2` events.
+   */
+  const run = (estimator, count, options = {}) => {
+    const { red = 1200, lostRed = [] } = options;
+    const results = [];
+    estimator.addEventListener("spo2", (event) => results.push(event.detail));
+    const beats = Array.from({ length: count }, (_, k) => 0.5 + 0.8 * k);
+    const packets = Math.ceil(((beats[count - 1] + 1) * 64) / 6);
+    for (let sequence = 0; sequence < packets; sequence++) {
+      clock.advance(6 * PPG_PERIOD);
+      const pulse = [];
+      for (let i = 0; i < 6; i++) {
+        const t = (sequence * 6 + i) / 64;
+        pulse.push(
+          beats.reduce(
+            (sum, beat) => sum + Math.exp(-(((t - beat) / 0.1) ** 2) / 2),
+            0
+          )
+        );
+      }
+      transport.notify(
+        CHARACTERISTICS.ppg[1],
+        ppgPacket(
+          sequence,
+          pulse.map((p) => Math.round(500000 - 3000 * p))
+        )
+      );
+      if (!lostRed.includes(sequence)) {
+        transport.notify(
+          CHARACTERISTICS.ppg[2],
+          ppgPacket(
+            sequence,
+            pulse.map((p) => Math.round(400000 - red * p))
+          )
+        );
+      }
+    }
+    return results;
+  };
+
+  beforeEach(async (t) => {
+    clock = mockClock(t);
+    ({ muse, transport } = await connectFake());
+  });
+
+  afterEach(async () => {
+    await muse.disconnect();
+  });
+
+  it("estimates the saturation from the ratio of ratios over the last cycles", () => {
+    const estimator = new SpO2Estimator(muse);
+    estimator.start();
+    const results = run(estimator, 12);
+
+    // A result for every cycle after the first beat
+    assert.equal(results.length, 11);
+    assert.deepEqual(
+      results.map((result) => result.beats),
+      [1, 2, 3, 4, 5, 6, 7, 8, 8, 8, 8]
+    );
+    assert.deepEqual(
+      results.slice(0, 3).map((result) => result.quality),
+      ["bad", "bad", "good"]
+    );
+    const { spo2, ratio, perfusion, quality } = results[10];
+    // The DC of a cycle includes the mean of the pulse, which lowers the infrared DC a little more
+    assert.ok(Math.abs(ratio - 0.5) < 2e-3, `R ${ratio}`);
+    assert.ok(Math.abs(spo2 - (110 - 25 * ratio)) < 1e-9);
+    assert.ok(Math.abs(perfusion - 0.6) < 0.02, `perfusion ${perfusion}`);
+    assert.equal(quality, "good");
+    assert.equal(estimator.latest, results[10]);
+  });
+
+  it("maps the ratio with a given calibration, and caps the saturation", () => {
+    const estimator = new SpO2Estimator(muse, {
+      calibration: (ratio) => 100 - 10 * ratio,
+    });
+    const capped = new SpO2Estimator(muse, { calibration: [120, -25] });
+    const cappedResults = [];
+    capped.addEventListener("spo2", (event) =>
+      cappedResults.push(event.detail)
+    );
+    estimator.start();
+    capped.start();
+    const results = run(estimator, 6);
+
+    const last = results[results.length - 1];
+    assert.ok(Math.abs(last.spo2 - (100 - 10 * last.ratio)) < 1e-9);
+    const { spo2, quality } = cappedResults[cappedResults.length - 1];
+    assert.equal(spo2, 100);
+    assert.equal(quality, "bad");
+    assert.equal(capped.saturation(0.4), 110);
+    assert.deepEqual(DEFAULT_CALIBRATION, [110, -25]);
+  });
+
+  it("tracks a lower saturation", () => {
+    const estimator = new SpO2Estimator(muse);
+    estimator.start();
+    // R of about 1, for 85 %
+    const results = run(estimator, 10, { red: 2400 });
+
+    const { spo2, ratio } = results[results.length - 1];
+    assert.ok(Math.abs(ratio - 1) < 4e-3, `R ${ratio}`);
+    assert.ok(Math.abs(spo2 - 85) < 0.1);
+  });
+
+  it("skips the cycles with lost samples", () => {
+    const estimator = new SpO2Estimator(muse);
+    estimator.start();
+    // A red packet in the cycle from 2.1 to 2.9 s
+    const results = run(estimator, 8, { lostRed: [25] });
+
+    assert.equal(results.length, 6);
+    assert.equal(results[5].beats, 6);
+  });
+
+  it("stops along with its heart-rate monitor", () => {
+    const estimator = new SpO2Estimator(muse);
+    estimator.start();
+    estimator.stop();
+
+    assert.deepEqual(run(estimator, 5), []);
+    assert.equal(estimator.active, false);
+  });
+
+  it("rejects invalid calibrations and numbers of beats", () => {
+    assert.throws(
+      () => new SpO2Estimator(muse, { calibration: "linear" }),
+      TypeError
+    );
+    assert.throws(() => new SpO2Estimator(muse, { beats: 0 }), RangeError);
+    assert.throws(() => new SpO2Estimator(muse, { beats: 2.5 }), RangeError);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Muse } from "../src/lib/MuseDevice.js";
+import { SyntheticEEG } from "../src/lib/SyntheticEEG.js";
+
+const rms = (samples) =>
+  Math.sqrt(samples.reduce((sum, x) => sum + x * x, 0) / samples.length);
+
+// A source without background noise or alpha, to see a single component at a time
+const QUIET = { noise: { amplitude: 0 }, alpha: { amplitude: 0 } };
+
+describe("SyntheticEEG", () => {
+  it("generates the same signal for the same seed, and after a reset", () => {
+    const options = { seed: 42, blinks: { rate: 20 }, pops: { rate: 10 } };
+    const source = new SyntheticEEG(options);
+    const first = source.generate(10);
+    const events = source.events;
+    source.reset();
+
+    assert.deepEqual(source.generate(10), first);
+    assert.deepEqual(source.events, events);
+    assert.deepEqual(new SyntheticEEG(options).generate(10), first);
+    assert.notDeepEqual(
+      new SyntheticEEG({ ...options, seed: 43 }).generate(10).eeg,
+      first.eeg
+    );
+  });
+
+  it("scales the background noise to the given RMS", () => {
+    const { eeg } = new SyntheticEEG({
+      seed: 7,
+      noise: { amplitude: 10 },
+      alpha: { amplitude: 0 },
+    }).generate(30);
+
+    for (const channel of eeg) {
+      assert.ok(Math.abs(rms(channel) - 10) < 1.5, `RMS ${rms(channel)}`);
+    }
+  });
+
+  it("generates a continuous alpha rhythm weighted towards TP9 and TP10", () => {
+    const source = new SyntheticEEG({
+      noise: { amplitude: 0 },
+      alpha: { frequency: 10, amplitude: 20, burstInterval: 0 },
+    });
+    const { eeg, timestamps } = source.generate(1);
+
+    for (let i = 0; i < 256; i++) {
+      const alpha = 20 * Math.sin((2 * Math.PI * 10 * i) / 256);
+      assert.ok(Math.abs(eeg[0][i] - alpha) < 1e-9);
+      assert.ok(Math.abs(eeg[1][i] - 0.4 * alpha) < 1e-9);
+    }
+    assert.equal(timestamps[128], 500);
+  });
+
+  it("adds line noise at the given frequency", () => {
+    const { eeg } = new SyntheticEEG({
+      ...QUIET,
+      lineNoise: { frequency: 60, amplitude: 5 },
+    }).generate(1);
+
+    for (let i = 0; i < 256; i++) {
+      const line = 5 * Math.sin((2 * Math.PI * 60 * i) / 256);
+      assert.ok(Math.abs(eeg[3][i] - line) < 1e-9);
+    }
+  });
+
+  it("runs the script and logs the artifacts it starts", () => {
+    const source = new SyntheticEEG({
+      ...QUIET,
+      script: [
+        { at: 1, event: "blink" },
+        { at: 2, event: "pop", channel: 2 },
+        { at: 2.5, set: { lineNoise: { amplitude: 5 } } },
+      ],
+    });
+    const { eeg } = source.generate(3);
+
+    assert.deepEqual(source.events, [
+      { type: "blink", time: 1, duration: 77 / 256, channels: ["AF7", "AF8"] },
+      { type: "pop", time: 2, duration: 0.5, channels: ["AF8"] },
+    ]);
+    // The blink peaks halfway, on the forehead channels only
+    assert.ok(Math.abs(eeg[1][256 + 38] - 150) < 0.1);
+    // The pop steps by its amplitude and recovers with a time constant of 100 ms
+    assert.equal(Math.abs(eeg[2][512]), 200);
+    assert.ok(
+      Math.abs(Math.abs(eeg[2][512 + 26]) - 200 * Math.exp(-26 / 25.6)) < 1e-9
+    );
+    // TP9 stays flat until the line noise is switched on
+    assert.equal(rms(eeg[0].subarray(0, 640)), 0);
+    assert.ok(rms(eeg[0].subarray(640)) > 3);
+  });
+
+  it("rejects unknown components and events", () => {
+    assert.throws(() => new SyntheticEEG({ beta: {} }), TypeError);
+    assert.throws(
+      () => new SyntheticEEG({ script: [{ at: 1, event: "sneeze" }] }),
+      TypeError
+    );
+  });
+
+  it("streams through a Muse in mock mode", async () => {
+    const muse = new Muse({
+      mock: true,
+      mockSource: new SyntheticEEG({ seed: 3 }),
+      mockSpeed: Infinity,
+    });
+    const packets = [];
+    const received = new Promise((resolve) => {
+      muse.addEventListener("eeg", (event) => {
+        if (event.detail.channel === 1 && packets.push(event.detail) === 2) {
+          muse.playback.pause();
+          resolve();
+        }
+      });
+    });
+    await muse.connect({ preset: "p21" });
+    await received;
+
+    const expected = new SyntheticEEG({ seed: 3 }).generate(24 / 256).eeg[1];
+    const raw = packets.flatMap((detail) => Array.from(detail.raw));
+    assert.deepEqual(
+      raw,
+      Array.from(expected, (x) => Math.round(x / 0.48828125 + 0x800))
+    );
+    assert.equal(muse.playback.duration, Infinity);
+    await muse.disconnect();
+  });
+});
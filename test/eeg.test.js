@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  analyzeRecording,
+  startRecording,
+  stopRecording,
+} from "../src/lib/eeg.js";
+
+/**
+ * Builds a recording in the format of parseRecording, with a sine of the given frequency
+ * and amplitude on every channel.
+ */
+const sineRecording = (frequency, amplitude, seconds, sampleRate = 256) => ({
+  sampleRate,
+  rows: Array.from({ length: seconds * sampleRate }, (_, i) => {
+    const value =
+      amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    return {
+      timestamp: (i * 1000) / sampleRate,
+      eeg: [value, value, value, value],
+    };
+  }),
+});
+
+describe("startRecording", () => {
+  it("throws without a device or pipeline", () => {
+    assert.throws(() => startRecording(), /No device to record/);
+  });
+});
+
+describe("stopRecording", () => {
+  it("returns null without a recording", () => {
+    assert.equal(stopRecording(), null);
+  });
+});
+
+describe("analyzeRecording", () => {
+  it("finds the power of a 10 Hz sine in the alpha band", () => {
+    const result = analyzeRecording(sineRecording(10, 20, 4));
+
+    assert.equal(result.powerData.length, 4);
+    assert.equal(result.alphaData.length, 4);
+    // A sine of amplitude A has a power of A² / 2
+    assert.ok(Math.abs(result.alphaData[0] - 200) < 2);
+    assert.ok(result.powerData[0].beta < 1);
+    assert.equal(result.frequencies[10], 10);
+    assert.ok(result.metrics);
+  });
+
+  it("uses the sample rate of the recording", () => {
+    const result = analyzeRecording(sineRecording(10, 20, 4, 220));
+
+    assert.ok(Math.abs(result.alphaData[0] - 200) < 2);
+    assert.equal(result.spectraData[0].length, 111);
+  });
+
+  it("interpolates lost samples", () => {
+    const recording = sineRecording(10, 20, 4);
+    for (let i = 600; i < 612; i++) {
+      recording.rows[i].eeg = recording.rows[i].eeg.map(() => NaN);
+    }
+    const result = analyzeRecording(recording);
+
+    assert.ok(result.rawEEG.every(Number.isFinite));
+    assert.ok(Math.abs(result.alphaData[0] - 200) < 10);
+  });
+
+  it("analyzes only the selected part", () => {
+    const recording = sineRecording(10, 20, 8);
+
+    assert.equal(analyzeRecording(recording, { start: 6 }), null);
+    assert.ok(analyzeRecording(recording, { start: 1, end: 5 }));
+  });
+});
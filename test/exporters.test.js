@@ -0,0 +1,483 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  exportSession,
+  toBDF,
+  toCSV,
+  toEDF,
+  toXDF,
+} from "../src/lib/exporters.js";
+import { parseRecording } from "../src/lib/importers.js";
+
+// A quarter of a second past a whole second in local time, as EDF headers are
+const START = new Date(2024, 0, 15, 10, 30, 0).getTime() + 250;
+
+/**
+ * Builds a stream of a session with samples at its nominal rate from START.
+ *
+ * @param {string[]} channels - The names of the channels.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {number} length - The number of samples.
+ * @param {function(number, number): number} value - The value of a sample, from its channel and index.
+ * @return {Object} The stream.
+ */
+const stream = (channels, sampleRate, length, value) => ({
+  channels,
+  sampleRate,
+  timestamps: Float64Array.from(
+    { length },
+    (_, i) => START + (i * 1000) / sampleRate
+  ),
+  data: channels.map((_, c) =>
+    Float32Array.from({ length }, (_, i) => value(c, i))
+  ),
+});
+
+/**
+ * Builds a session as returned by Recorder.stop: EEG with a lost sample, and accelerometer.
+ *
+ * @param {number} [seconds=2.5] - The duration of the session.
+ * @return {Object} The session.
+ */
+const session = (seconds = 2.5) => {
+  const eeg = stream(
+    ["TP9", "AF7", "AF8", "TP10"],
+    256,
+    seconds * 256,
+    (c, i) => (i === 300 ? NaN : 100 * Math.sin(i / 10 + c))
+  );
+  return {
+    startTime: START,
+    endTime: START + seconds * 1000,
+    duration: seconds,
+    device: { hn: "Muse-1234", sn: "1234-5678", fw: "1.2.13" },
+    layout: { preset: "p21" },
+    streams: {
+      eeg,
+      accelerometer: stream(["x", "y", "z"], 52, seconds * 52, (c, i) =>
+        c === 2 ? 1 : i / 256
+      ),
+    },
+    markers: [
+      { time: START + 500, label: "stimulus", metadata: {}, sample: 128 },
+    ],
+    pauses: [{ start: START + 1000, end: START + 1200 }],
+    gaps: [],
+  };
+};
+
+/**
+ * Reads an EDF+ or BDF+ file: its header, the physical values of every signal and the annotations.
+ *
+ * @param {Uint8Array} bytes - The content of the file.
+ * @return {Object} The fields of the header, the signals and the annotations.
+ */
+const readEDF = (bytes) => {
+  const text = (offset, length) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + length)).trim();
+  const width = bytes[0] === 0xff ? 3 : 2;
+  const count = Number(text(252, 4));
+  const file = {
+    version: text(0, 8),
+    patient: text(8, 80),
+    recording: text(88, 80),
+    startDate: text(168, 8),
+    startTime: text(176, 8),
+    headerBytes: Number(text(184, 8)),
+    reserved: text(192, 44),
+    records: Number(text(236, 8)),
+    recordDuration: Number(text(244, 8)),
+    signals: [],
+    annotations: [],
+  };
+  let offset = 256;
+  const columns = (length) => {
+    const values = [];
+    for (let s = 0; s < count; s++, offset += length) {
+      values.push(text(offset, length));
+    }
+    return values;
+  };
+  const labels = columns(16);
+  columns(80);
+  const dimensions = columns(8);
+  const physicalMins = columns(8).map(Number);
+  const physicalMaxs = columns(8).map(Number);
+  const digitalMins = columns(8).map(Number);
+  const digitalMaxs = columns(8).map(Number);
+  columns(80);
+  const samples = columns(8).map(Number);
+  for (let s = 0; s < count; s++) {
+    file.signals.push({
+      label: labels[s],
+      dimension: dimensions[s],
+      physicalMin: physicalMins[s],
+      physicalMax: physicalMaxs[s],
+      digitalMin: digitalMins[s],
+      digitalMax: digitalMaxs[s],
+      samples: samples[s],
+      values: [],
+    });
+  }
+
+  offset = file.headerBytes;
+  for (let record = 0; record < file.records; record++) {
+    for (const signal of file.signals) {
+      const length = signal.samples * width;
+      const data = bytes.subarray(offset, offset + length);
+      offset += length;
+      if (/Annotations$/.test(signal.label)) {
+        // Time-stamped annotation lists: onset, optional duration, then texts, each ended by \x14
+        for (const list of new TextDecoder().decode(data).split("\x00")) {
+          const [time, ...texts] = list.split("\x14");
+          if (!time) {
+            continue;
+          }
+          const [onset, duration] = time.split("\x15").map(Number);
+          file.annotations.push({
+            onset,
+            duration,
+            text: texts.filter(Boolean).join(""),
+          });
+        }
+        continue;
+      }
+      const gain =
+        (signal.physicalMax - signal.physicalMin) /
+        (signal.digitalMax - signal.digitalMin);
+      for (let i = 0; i < length; i += width) {
+        let digital = 0;
+        for (let b = 0; b < width; b++) {
+          digital |= data[i + b] << (8 * b);
+        }
+        // Sign-extend the 16 or 24-bit value
+        digital = (digital << (32 - 8 * width)) >> (32 - 8 * width);
+        signal.values.push(
+          (digital - signal.digitalMin) * gain + signal.physicalMin
+        );
+      }
+    }
+  }
+  assert.equal(offset, bytes.length);
+  return file;
+};
+
+describe("toEDF and toBDF", () => {
+  for (const [format, encode, resolution] of [
+    ["EDF", toEDF, 2000 / 65535],
+    ["BDF", toBDF, 2000 / 16777215],
+  ]) {
+    it(`writes an ${format}+ file that reads back with its signals and annotations`, () => {
+      const recorded = session();
+      const file = readEDF(
+        encode(recorded, {
+          patient: { code: "P-042", sex: "F", name: "Jane Doe" },
+          technician: "Sam",
+        })
+      );
+
+      assert.equal(file.version, format === "BDF" ? "\xffBIOSEMI" : "0");
+      assert.equal(file.reserved, `${format}+C`);
+      assert.equal(file.patient, "P-042 F X Jane_Doe");
+      assert.equal(file.recording, "Startdate 15-JAN-2024 X Sam Muse-1234");
+      assert.equal(file.startDate, "15.01.24");
+      assert.equal(file.startTime, "10.30.00");
+      assert.equal(file.headerBytes, 256 * 9);
+      // 2.5 seconds of samples from 0.25 seconds past the start time of the header
+      assert.equal(file.records, 3);
+      assert.equal(file.recordDuration, 1);
+      assert.deepEqual(
+        file.signals.map((signal) => signal.label),
+        [
+          "EEG TP9",
+          "EEG AF7",
+          "EEG AF8",
+          "EEG TP10",
+          "Acc X",
+          "Acc Y",
+          "Acc Z",
+          `${format} Annotations`,
+        ]
+      );
+      const [tp9] = file.signals;
+      assert.equal(tp9.dimension, "uV");
+      assert.equal(tp9.samples, 256);
+      assert.deepEqual([tp9.physicalMin, tp9.physicalMax], [-1000, 1000]);
+
+      const data = recorded.streams.eeg.data[0];
+      for (let i = 0; i < 640; i++) {
+        // The lost sample is written as 0
+        const expected = i === 300 ? 0 : data[i];
+        assert.ok(Math.abs(tp9.values[i] - expected) <= resolution);
+      }
+      // The last record is padded
+      assert.ok(Math.abs(tp9.values[700]) <= resolution);
+      const z = file.signals[6];
+      assert.equal(z.samples, 52);
+      assert.ok(Math.abs(z.values[129] - 1) <= (4 * resolution) / 2000);
+
+      // Every record starts with its time-keeping annotation
+      assert.deepEqual(file.annotations, [
+        { onset: 0.25, duration: undefined, text: "" },
+        { onset: 0.75, duration: undefined, text: "stimulus" },
+        { onset: 1.25, duration: undefined, text: "" },
+        { onset: 1.25, duration: 0.2, text: "Recording paused" },
+        { onset: 2.25, duration: undefined, text: "" },
+      ]);
+    });
+  }
+
+  it("takes the range of the PPG signals from the data", () => {
+    const recorded = session();
+    recorded.streams = {
+      ppg: stream(["infrared"], 64, 64, (c, i) => 1000 + i),
+    };
+    const [ppg] = readEDF(toEDF(recorded)).signals;
+
+    assert.equal(ppg.label, "PPG infrared");
+    assert.deepEqual([ppg.physicalMin, ppg.physicalMax], [1000, 1063]);
+    assert.ok(Math.abs(ppg.values[10] - 1010) < 1e-3);
+  });
+
+  it("rejects sessions without samples", () => {
+    const recorded = session();
+    recorded.streams = {};
+
+    assert.throws(() => toEDF(recorded), /no samples to export/);
+    assert.throws(() => toCSV(recorded), /no samples to export/);
+  });
+});
+
+describe("toCSV", () => {
+  it("writes the web-muse format, which imports back", () => {
+    const recorded = session();
+    const recording = parseRecording(new TextDecoder().decode(toCSV(recorded)));
+    const { eeg, accelerometer } = recorded.streams;
+
+    assert.equal(recording.format, "web-muse");
+    // The row of the lost sample has no EEG, so it is skipped
+    assert.deepEqual(recording.skipped, [
+      { line: 302, reason: "missing timestamp or EEG samples" },
+    ]);
+    assert.equal(recording.rows.length, 639);
+    // Estimated from the rows, one of which is missing
+    assert.ok(Math.abs(recording.sampleRate - 256) < 0.5);
+    const row = recording.rows[299];
+    assert.ok(Math.abs(row.timestamp - (299 * 1000) / 256) < 1e-3);
+    eeg.data.forEach((values, c) =>
+      assert.ok(Math.abs(row.eeg[c] - values[299]) < 1e-5)
+    );
+    // Motion samples are on the row of the first EEG sample at or after them
+    const motion = recording.rows.filter((row) => row.accelerometer);
+    assert.equal(motion.length, accelerometer.timestamps.length);
+    assert.deepEqual(motion[1].accelerometer, [1 / 256, 1 / 256, 1]);
+    assert.ok(
+      motion[1].timestamp >= 1000 / 52 &&
+        motion[1].timestamp - 1000 / 52 < 1000 / 256
+    );
+    assert.deepEqual(recording.events, [{ time: 0.5, label: "stimulus" }]);
+  });
+
+  it("quotes markers with commas and joins markers on the same row", () => {
+    const recorded = session();
+    recorded.markers.push({ time: START + 500, label: 'say "a, b"' });
+    const lines = new TextDecoder().decode(toCSV(recorded)).split("\n");
+
+    assert.equal(lines[0].split(",").pop(), "Marker");
+    assert.ok(lines[129].endsWith(',"stimulus; say ""a, b"""'));
+  });
+});
+
+describe("exportSession", () => {
+  it("wraps the file in a Blob of its type", async () => {
+    const blob = exportSession(session(), "csv");
+
+    assert.equal(blob.type, "text/csv");
+    assert.deepEqual(
+      new Uint8Array(await blob.arrayBuffer()),
+      toCSV(session())
+    );
+    assert.equal(
+      exportSession(session(), "bdf").type,
+      "application/octet-stream"
+    );
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => exportSession(session(), "gdf"), TypeError);
+  });
+});
+
+/**
+ * Reads an XDF file into its chunks, with the samples of the sample chunks decoded.
+ *
+ * @param {Uint8Array} bytes - The content of the file.
+ * @return {Array<{tag: number, streamId: number, xml: string, samples: Array}>} The chunks.
+ */
+const readXDF = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  assert.equal(decoder.decode(bytes.subarray(0, 4)), "XDF:");
+  let offset = 4;
+  const varlen = () => {
+    const size = view.getUint8(offset);
+    const value =
+      size === 1
+        ? view.getUint8(offset + 1)
+        : view.getUint32(offset + 1, true) +
+          (size === 8 ? view.getUint32(offset + 5, true) * 0x100000000 : 0);
+    offset += 1 + size;
+    return value;
+  };
+  const formats = new Map();
+  const chunks = [];
+  while (offset < bytes.length) {
+    const length = varlen();
+    const end = offset + length;
+    const chunk = { tag: view.getUint16(offset, true) };
+    offset += 2;
+    if (chunk.tag !== 1 && chunk.tag !== 5) {
+      chunk.streamId = view.getUint32(offset, true);
+      offset += 4;
+    }
+    if (chunk.tag === 3) {
+      const { count, format } = formats.get(chunk.streamId);
+      chunk.samples = [];
+      for (let n = varlen(); n > 0; n--) {
+        assert.equal(view.getUint8(offset), 8);
+        const time = view.getFloat64(offset + 1, true);
+        offset += 9;
+        const values = [];
+        for (let c = 0; c < count; c++) {
+          if (format === "string") {
+            const size = varlen();
+            values.push(decoder.decode(bytes.subarray(offset, offset + size)));
+            offset += size;
+          } else {
+            values.push(view.getFloat32(offset, true));
+            offset += 4;
+          }
+        }
+        chunk.samples.push({ time, values });
+      }
+    } else if (chunk.tag === 4) {
+      chunk.offset = [
+        view.getFloat64(offset, true),
+        view.getFloat64(offset + 8, true),
+      ];
+    } else if (chunk.tag !== 5) {
+      chunk.xml = decoder.decode(bytes.subarray(offset, end));
+      if (chunk.tag === 2) {
+        const element = (name) =>
+          chunk.xml.match(new RegExp(`<${name}>([^<]*)</${name}>`))[1];
+        formats.set(chunk.streamId, {
+          count: Number(element("channel_count")),
+          format: element("channel_format"),
+        });
+      }
+    }
+    offset = end;
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+describe("toXDF", () => {
+  const XDF = { fileHeader: 1, streamHeader: 2, samples: 3, clockOffset: 4 };
+
+  it("writes a stream per sensor and for the markers, which reads back", () => {
+    const recorded = session(12);
+    const chunks = readXDF(toXDF(recorded));
+    const ofTag = (tag) => chunks.filter((chunk) => chunk.tag === tag);
+
+    assert.equal(chunks[0].tag, XDF.fileHeader);
+    assert.ok(chunks[0].xml.includes("<version>1.0</version>"));
+    assert.ok(
+      chunks[0].xml.includes(
+        `<datetime>${new Date(START).toISOString()}</datetime>`
+      )
+    );
+    const headers = ofTag(XDF.streamHeader);
+    assert.deepEqual(
+      headers.map((chunk) => chunk.streamId),
+      [1, 2, 3]
+    );
+    const [eeg, accelerometer, markers] = headers.map((chunk) => chunk.xml);
+    assert.ok(eeg.includes("<type>EEG</type><channel_count>4</channel_count>"));
+    assert.ok(eeg.includes("<nominal_srate>256</nominal_srate>"));
+    assert.ok(
+      eeg.includes(
+        "<channel><label>TP9</label><unit>microvolts</unit><type>EEG</type></channel>"
+      )
+    );
+    assert.ok(eeg.includes("<serial_number>1234-5678</serial_number>"));
+    assert.ok(eeg.includes("<preset>p21</preset>"));
+    assert.ok(accelerometer.includes("<label>Z</label><unit>g</unit>"));
+    assert.ok(markers.includes("<channel_format>string</channel_format>"));
+    assert.ok(markers.includes("<nominal_srate>0</nominal_srate>"));
+
+    const samples = (id) =>
+      ofTag(XDF.samples)
+        .filter((chunk) => chunk.streamId === id)
+        .flatMap((chunk) => chunk.samples);
+    const eegSamples = samples(1);
+    assert.equal(eegSamples.length, 12 * 256);
+    eegSamples.forEach(({ time, values }, i) => {
+      assert.equal(time, recorded.streams.eeg.timestamps[i] / 1000);
+      assert.deepEqual(
+        values,
+        recorded.streams.eeg.data.map((data) => data[i])
+      );
+    });
+    assert.ok(Number.isNaN(eegSamples[300].values[0]));
+    assert.equal(samples(2).length, 12 * 52);
+    assert.deepEqual(samples(3), [
+      { time: (START + 500) / 1000, values: ["stimulus"] },
+    ]);
+  });
+
+  it("aligns the streams with zero clock offsets and interleaves the chunks in time", () => {
+    const chunks = readXDF(toXDF(session(12)));
+
+    const offsets = chunks.filter((chunk) => chunk.tag === XDF.clockOffset);
+    assert.deepEqual(
+      offsets
+        .filter((chunk) => chunk.streamId === 1)
+        .map((chunk) => chunk.offset),
+      [0, 5, 10].map((time) => [START / 1000 + time, 0])
+    );
+    // One boundary chunk every 10 seconds
+    assert.equal(chunks.filter((chunk) => chunk.tag === 5).length, 1);
+    const times = chunks
+      .filter((chunk) => chunk.tag === XDF.samples)
+      .map((chunk) => chunk.samples[0].time);
+    assert.deepEqual(
+      times,
+      times.slice().sort((a, b) => a - b)
+    );
+    const footers = chunks.filter((chunk) => chunk.tag === 6);
+    assert.equal(footers.length, 3);
+    assert.ok(footers[0].xml.includes("<sample_count>3072</sample_count>"));
+    assert.ok(
+      footers[0].xml.includes(
+        `<first_timestamp>${START / 1000}</first_timestamp>`
+      )
+    );
+  });
+
+  it("escapes the text of the headers and writes the markers as UTF-8", () => {
+    const recorded = session();
+    recorded.device.sn = "<Muse & co>";
+    recorded.markers[0].label = "Augen zu ✓";
+    const chunks = readXDF(toXDF(recorded));
+
+    assert.ok(
+      chunks[1].xml.includes("<source_id>&lt;Muse &amp; co&gt;</source_id>")
+    );
+    const [marker] = chunks.find(
+      (chunk) => chunk.tag === XDF.samples && chunk.streamId === 3
+    ).samples;
+    assert.deepEqual(marker.values, ["Augen zu ✓"]);
+  });
+});
@@ -0,0 +1,309 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  butterworthBandPass,
+  butterworthHighPass,
+  butterworthLowPass,
+  createChannelFilters,
+  createFilterChain,
+  FilterChain,
+  FIRFilter,
+  notch,
+} from "../src/lib/filters.js";
+import { connectFake, sendEEG } from "./helpers.js";
+
+/**
+ * Computes the magnitude of the frequency response of a cascade of sections.
+ *
+ * @param {Biquad[]} sections - The sections.
+ * @param {number} frequency - The frequency in Hz.
+ * @param {number} [sampleRate=256] - The sample rate in Hz.
+ * @return {number} The gain at the frequency.
+ */
+const gain = (sections, frequency, sampleRate = 256) => {
+  const w = (2 * Math.PI * frequency) / sampleRate;
+  // |c0 + c1 e^-jw + c2 e^-2jw|
+  const magnitude = (c0, c1, c2) =>
+    Math.hypot(
+      c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w),
+      c1 * Math.sin(w) + c2 * Math.sin(2 * w)
+    );
+  return sections.reduce(
+    (product, { b0, b1, b2, a1, a2 }) =>
+      (product * magnitude(b0, b1, b2)) / magnitude(1, a1, a2),
+    1
+  );
+};
+
+/**
+ * The gain of a digital Butterworth low-pass filter designed with the bilinear transform.
+ *
+ * @param {number} frequency - The frequency in Hz.
+ * @param {number} cutoff - The cutoff frequency in Hz.
+ * @param {number} order - The order of the filter.
+ * @return {number} The gain at the frequency.
+ */
+const butterworthGain = (frequency, cutoff, order) => {
+  const ratio =
+    Math.tan((Math.PI * frequency) / 256) / Math.tan((Math.PI * cutoff) / 256);
+  return 1 / Math.sqrt(1 + ratio ** (2 * order));
+};
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(
+    Math.abs(actual - expected) < tolerance,
+    `${actual} != ${expected}`
+  );
+
+const sine = (frequency, length) =>
+  Float64Array.from({ length }, (_, i) =>
+    Math.sin((2 * Math.PI * frequency * i) / 256)
+  );
+
+const peak = (samples) => Math.max(...samples.map(Math.abs));
+
+describe("Butterworth filters", () => {
+  for (const order of [1, 2, 3, 4, 5]) {
+    it(`has the response of a Butterworth filter of order ${order}`, () => {
+      const lowPass = butterworthLowPass(20, order);
+      const highPass = butterworthHighPass(20, order);
+
+      assert.equal(lowPass.length, Math.ceil(order / 2));
+      close(gain(lowPass, 20), Math.SQRT1_2);
+      close(gain(highPass, 20), Math.SQRT1_2);
+      close(gain(lowPass, 0), 1);
+      close(gain(highPass, 128), 1);
+      for (const frequency of [1, 10, 30, 60, 100]) {
+        close(gain(lowPass, frequency), butterworthGain(frequency, 20, order));
+        close(gain(highPass, frequency), butterworthGain(20, frequency, order));
+      }
+    });
+  }
+
+  it("passes a band between the responses of its edges", () => {
+    const bandPass = butterworthBandPass(1, 40, 2);
+
+    assert.equal(bandPass.length, 2);
+    for (const frequency of [0.5, 1, 10, 40, 80]) {
+      close(
+        gain(bandPass, frequency),
+        butterworthGain(1, frequency, 2) * butterworthGain(frequency, 40, 2)
+      );
+    }
+    assert.ok(gain(bandPass, 10) > 0.99);
+  });
+
+  it("attenuates a sine at the cutoff by 3 dB once settled", () => {
+    const chain = new FilterChain(butterworthLowPass(30));
+    const output = chain.process(sine(30, 1024));
+
+    close(peak(output.subarray(512)), Math.SQRT1_2, 1e-3);
+  });
+
+  it("rejects frequencies outside the Nyquist range and invalid orders", () => {
+    assert.throws(() => butterworthLowPass(0), RangeError);
+    assert.throws(() => butterworthHighPass(128), RangeError);
+    assert.throws(() => butterworthLowPass(100, 250, 200), RangeError);
+    assert.throws(() => butterworthLowPass(10, 0), RangeError);
+    assert.throws(() => butterworthLowPass(10, 2.5), RangeError);
+    assert.throws(() => butterworthBandPass(40, 1), RangeError);
+  });
+});
+
+describe("notch", () => {
+  it("removes the mains frequency and its harmonics below the Nyquist frequency", () => {
+    const sections = notch(50, { harmonics: 3 });
+
+    // 150 Hz is above the Nyquist frequency of 128 Hz
+    assert.equal(sections.length, 2);
+    close(gain(sections, 50), 0);
+    close(gain(sections, 100), 0);
+    assert.ok(gain(sections, 10) > 0.999);
+    assert.ok(gain(sections, 45) > 0.9);
+  });
+
+  it("narrows with the quality factor", () => {
+    const wide = gain(notch(60, { q: 5 }), 58);
+    const narrow = gain(notch(60, { q: 60 }), 58);
+
+    assert.ok(wide < 0.5);
+    assert.ok(narrow > 0.9);
+  });
+
+  it("is as wide at -3 dB as the frequency divided by the quality factor", () => {
+    // The notches of the harmonics are as wide relative to their frequency
+    const [first, second] = notch(60, { q: 30, harmonics: 2 });
+    // Finds the frequency between two others where the gain of a section crosses -3 dB
+    const edge = (section, from, to) => {
+      const sections = [section];
+      for (let i = 0; i < 60; i++) {
+        const middle = (from + to) / 2;
+        if (
+          gain(sections, middle) < Math.SQRT1_2 ===
+          gain(sections, from) < Math.SQRT1_2
+        ) {
+          from = middle;
+        } else {
+          to = middle;
+        }
+      }
+      return from;
+    };
+
+    close(edge(first, 60, 64) - edge(first, 56, 60), 2);
+    close(edge(second, 120, 127) - edge(second, 113, 120), 4);
+  });
+
+  it("uses the given sample rate", () => {
+    const sections = notch(60, { sampleRate: 500, harmonics: 4 });
+
+    assert.equal(sections.length, 4);
+    close(gain(sections, 240, 500), 0);
+    assert.throws(() => notch(60, { sampleRate: 100 }), RangeError);
+  });
+});
+
+describe("FilterChain", () => {
+  it("starts in the steady state of the first sample", () => {
+    const highPass = createFilterChain([{ type: "highpass", frequency: 1 }]);
+    const lowPass = createFilterChain([{ type: "lowpass", frequency: 1 }]);
+
+    // A DC offset of 800 µV is removed from the first sample on
+    for (const y of highPass.process(new Float64Array(64).fill(800))) {
+      close(y, 0, 1e-6);
+    }
+    for (const y of lowPass.process(new Float64Array(64).fill(800))) {
+      close(y, 800, 1e-6);
+    }
+  });
+
+  it("filters packet by packet like the whole signal, and primes again after a reset", () => {
+    const spec = [
+      { type: "bandpass", low: 1, high: 40 },
+      { type: "notch", frequency: 60, harmonics: 2 },
+    ];
+    const signal = sine(10, 120).map((x, i) => 100 + 20 * x + (i % 7));
+    const whole = createFilterChain(spec).process(signal);
+    const chain = createFilterChain(spec);
+    const packets = [];
+    for (let i = 0; i < signal.length; i += 12) {
+      packets.push(...chain.process(signal.subarray(i, i + 12)));
+    }
+
+    assert.deepEqual(packets, Array.from(whole));
+    chain.reset();
+    assert.deepEqual(chain.process(signal), whole);
+  });
+
+  it("passes lost samples through without changing the state", () => {
+    const chain = createFilterChain([{ type: "lowpass", frequency: 10 }]);
+    const output = chain.process([1, 5, NaN, -3, 2]);
+    const expected = createFilterChain([
+      { type: "lowpass", frequency: 10 },
+    ]).process([1, 5, -3, 2]);
+
+    assert.ok(Number.isNaN(output[2]));
+    assert.deepEqual(
+      [output[0], output[1], output[3], output[4]],
+      Array.from(expected)
+    );
+  });
+
+  it("applies FIR filters", () => {
+    const chain = createFilterChain([
+      { type: "fir", coefficients: [0.5, 0.25, 0.25] },
+    ]);
+
+    assert.deepEqual(Array.from(chain.process([4, 8, 0, 4])), [4, 6, 3, 4]);
+    const filter = new FIRFilter([1, -1]);
+    assert.equal(filter.step(3), 3);
+    assert.equal(filter.step(5), 2);
+    filter.reset();
+    assert.equal(filter.step(5), 5);
+  });
+
+  it("rejects unknown filter types", () => {
+    assert.throws(
+      () => createFilterChain([{ type: "comb" }]),
+      /Unknown filter type "comb"/
+    );
+    assert.throws(
+      () => createFilterChain([{ type: "lowpass", frequency: 200 }]),
+      RangeError
+    );
+  });
+});
+
+describe("createChannelFilters", () => {
+  const CHANNELS = ["TP9", "AF7", "AF8", "TP10", "AUX"];
+
+  it("creates a chain with its own state for every channel", () => {
+    const chains = createChannelFilters(
+      [{ type: "highpass", frequency: 1 }],
+      CHANNELS
+    );
+
+    assert.equal(chains.length, 5);
+    assert.notEqual(chains[0], chains[1]);
+    chains[0].process([100, 200]);
+    assert.equal(chains[1].step(50), 0);
+  });
+
+  it("creates the chains of the named channels only", () => {
+    const chains = createChannelFilters(
+      { AF7: [{ type: "notch", frequency: 50 }] },
+      CHANNELS
+    );
+
+    assert.deepEqual(
+      chains.map((chain) => chain !== null),
+      [false, true, false, false, false]
+    );
+    assert.deepEqual(createChannelFilters(null, CHANNELS), Array(5).fill(null));
+  });
+});
+
+describe("Muse EEG filters", () => {
+  // A DC offset of 0x100 steps, 125 µV, plus a step of 0x20 on the second packet
+  const send = (transport, sequence) =>
+    sendEEG(transport, sequence, () => 0x900 + (sequence > 0 ? 0x20 : 0));
+
+  it("filters the EEG written to the buffers, not the EEG of the events", async () => {
+    const { muse, transport } = await connectFake({
+      eegFilters: { TP9: [{ type: "highpass", frequency: 1 }] },
+    });
+    const events = [];
+    muse.addEventListener("eeg", (event) => {
+      if (event.detail.channel === 0) {
+        events.push(event.detail.samples[0]);
+      }
+    });
+    send(transport, 0);
+    send(transport, 1);
+
+    const tp9 = muse.eeg[0].readMany().values;
+    const af7 = muse.eeg[1].readMany().values;
+    assert.deepEqual(events, [125, 140.625]);
+    close(tp9[0], 0);
+    assert.ok(tp9[12] > 15 && tp9[12] < 15.625);
+    assert.equal(af7[12], 140.625);
+    await muse.disconnect();
+  });
+
+  it("replaces the filters with fresh ones, or removes them", async () => {
+    const { muse, transport } = await connectFake();
+    muse.setEEGFilters([{ type: "lowpass", frequency: 5 }]);
+    send(transport, 0);
+    send(transport, 1);
+    const filtered = muse.eeg[2].readMany().values;
+
+    close(filtered[0], 125);
+    assert.ok(filtered[12] < 130);
+    muse.setEEGFilters(null);
+    send(transport, 2);
+    assert.equal(muse.eeg[2].readMany().values[0], 140.625);
+    assert.throws(() => muse.setEEGFilters([{ type: "comb" }]), TypeError);
+    await muse.disconnect();
+  });
+});
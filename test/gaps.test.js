@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fillGaps } from "../src/lib/gaps.js";
+
+describe("fillGaps", () => {
+  it("interpolates linearly between the valid samples around a gap", () => {
+    assert.deepEqual(fillGaps([0, NaN, NaN, 3, null, 5]), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it("holds the first and last valid samples at the ends", () => {
+    assert.deepEqual(fillGaps([undefined, NaN, 2, 4, NaN]), [2, 2, 2, 4, 4]);
+  });
+
+  it("leaves its input unchanged and accepts typed arrays", () => {
+    const values = Float64Array.from([1, NaN, 3]);
+
+    assert.deepEqual(fillGaps(values), [1, 2, 3]);
+    assert.ok(Number.isNaN(values[1]));
+  });
+
+  it("returns null without a valid sample", () => {
+    assert.equal(fillGaps([NaN, null]), null);
+    assert.equal(fillGaps([]), null);
+  });
+});
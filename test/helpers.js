@@ -0,0 +1,242 @@
+import { Muse } from "../src/lib/MuseDevice.js";
+import { CHARACTERISTICS, SCALES } from "../src/lib/protocol.js";
+import { MuseTransport } from "../src/lib/transports/MuseTransport.js";
+
+/**
+ * A transport that stands in for a headband: it answers every command with its entry in `replies`,
+ * `{"rc":0}` by default or nothing for null, and lets the tests send notifications on any characteristic.
+ */
+export class FakeTransport extends MuseTransport {
+  #listeners = new Map();
+
+  constructor() {
+    super();
+    this.commands = [];
+    this.replies = {};
+    this.connects = 0;
+    this.failConnect = false;
+  }
+
+  async requestDevice() {
+    return true;
+  }
+
+  async connect() {
+    this.connects++;
+    if (this.failConnect) {
+      throw new Error("Connection failed");
+    }
+  }
+
+  async getCharacteristic(uuid) {
+    return {
+      startNotifications: async (listener) => {
+        this.#listeners.set(uuid, listener);
+      },
+      write: async (bytes) => {
+        const cmd = new TextDecoder().decode(bytes.subarray(1)).trim();
+        const reply = cmd in this.replies ? this.replies[cmd] : { rc: 0 };
+        this.commands.push(cmd);
+        if (reply) {
+          setTimeout(() => this.reply(reply), 0);
+        }
+      },
+    };
+  }
+
+  async disconnect() {
+    this.#listeners.clear();
+  }
+
+  /**
+   * Sends a notification on a characteristic.
+   *
+   * @param {string} uuid - The UUID of the characteristic, see CHARACTERISTICS.
+   * @param {Uint8Array} bytes - The value of the notification.
+   * @return {void} This function does not return a value.
+   */
+  notify(uuid, bytes) {
+    const listener = this.#listeners.get(uuid);
+    if (listener) {
+      listener(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    }
+  }
+
+  /**
+   * Sends a JSON reply on the control characteristic, in notifications of up to 19 characters.
+   *
+   * @param {object} reply - The reply.
+   * @return {void} This function does not return a value.
+   */
+  reply(reply) {
+    const text = JSON.stringify(reply);
+    for (let i = 0; i < text.length; i += 19) {
+      const chunk = new TextEncoder().encode(text.slice(i, i + 19));
+      const bytes = new Uint8Array(20);
+      bytes[0] = chunk.length;
+      bytes.set(chunk, 1);
+      this.notify(CHARACTERISTICS.control, bytes);
+    }
+  }
+
+  /**
+   * Simulates the loss of the connection.
+   *
+   * @return {void} This function does not return a value.
+   */
+  lose() {
+    this.#listeners.clear();
+    this.disconnected();
+  }
+}
+
+/**
+ * Encodes an EEG packet: a 16-bit sequence number and 12 unsigned 12-bit samples.
+ *
+ * @param {number} sequence - The sequence number.
+ * @param {number[]} raw - The 12 raw samples.
+ * @return {Uint8Array} The packet.
+ */
+export const eegPacket = (sequence, raw) => {
+  const bytes = new Uint8Array(20);
+  new DataView(bytes.buffer).setUint16(0, sequence);
+  for (let i = 0; i < raw.length; i += 2) {
+    const offset = 2 + (i / 2) * 3;
+    bytes[offset] = raw[i] >> 4;
+    bytes[offset + 1] = ((raw[i] & 0xf) << 4) | (raw[i + 1] >> 8);
+    bytes[offset + 2] = raw[i + 1] & 0xff;
+  }
+  return bytes;
+};
+
+/**
+ * Encodes a PPG packet: a 16-bit sequence number and 6 unsigned 24-bit samples.
+ *
+ * @param {number} sequence - The sequence number.
+ * @param {number[]} samples - The 6 samples.
+ * @return {Uint8Array} The packet.
+ */
+export const ppgPacket = (sequence, samples) => {
+  const bytes = new Uint8Array(20);
+  new DataView(bytes.buffer).setUint16(0, sequence);
+  samples.forEach((sample, i) => {
+    bytes[2 + i * 3] = sample >> 16;
+    bytes[3 + i * 3] = (sample >> 8) & 0xff;
+    bytes[4 + i * 3] = sample & 0xff;
+  });
+  return bytes;
+};
+
+/**
+ * Encodes an accelerometer or gyroscope packet: a 16-bit sequence number and 3 samples of
+ * signed 16-bit x, y and z values.
+ *
+ * @param {number} sequence - The sequence number.
+ * @param {number[][]} samples - The 3 `[x, y, z]` samples, in raw units.
+ * @return {Uint8Array} The packet.
+ */
+export const motionPacket = (sequence, samples) => {
+  const bytes = new Uint8Array(20);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, sequence);
+  samples.forEach((sample, i) =>
+    sample.forEach((value, axis) => view.setInt16(2 + i * 6 + axis * 2, value))
+  );
+  return bytes;
+};
+
+/**
+ * Encodes a battery packet.
+ *
+ * @param {number} sequence - The sequence number.
+ * @param {number} level - The battery level in percent.
+ * @return {Uint8Array} The packet.
+ */
+export const batteryPacket = (sequence, level) => {
+  const bytes = new Uint8Array(20);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, sequence);
+  view.setUint16(2, Math.round(level / SCALES.battery));
+  return bytes;
+};
+
+/**
+ * Connects a Muse to a FakeTransport.
+ *
+ * @param {Object} [options] - Options of the Muse, and `connect` for the options of `connect`.
+ * @return {Promise<{muse: Muse, transport: FakeTransport}>} The connected device and its transport.
+ */
+export const connectFake = async (options = {}) => {
+  const transport = new FakeTransport();
+  const muse = new Muse({ ...options, transport });
+  await muse.connect(options.connect);
+  return { muse, transport };
+};
+
+/**
+ * Sends one EEG packet on every channel of a device.
+ *
+ * @param {FakeTransport} transport - The transport of the device.
+ * @param {number} sequence - The sequence number of the packets.
+ * @param {function(number, number): number} value - The raw value of a sample, from its channel and index.
+ * @param {number} [channels=4] - The number of EEG channels.
+ * @return {void} This function does not return a value.
+ */
+export const sendEEG = (transport, sequence, value, channels = 4) => {
+  for (let channel = 0; channel < channels; channel++) {
+    const raw = [];
+    for (let i = 0; i < 12; i++) {
+      raw.push(value(channel, i));
+    }
+    transport.notify(CHARACTERISTICS.eeg[channel], eegPacket(sequence, raw));
+  }
+};
+
+/**
+ * Waits for the timers that are due, e.g. the replies of FakeTransport.
+ *
+ * @param {number} [ms=0] - Milliseconds to wait.
+ * @return {Promise<void>} Resolves after the delay.
+ */
+export const sleep = (ms = 0) =>
+  new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stops the clock of the sample timestamps for the duration of a test, so that it only moves when told to.
+ *
+ * @param {TestContext} t - The context of the test, whose mocks are restored after it.
+ * @return {{advance: function(number): void}} Moves the clock forward by the given milliseconds.
+ */
+export const mockClock = (t) => {
+  let now = performance.now();
+  t.mock.method(performance, "now", () => now);
+  return {
+    advance: (ms) => {
+      now += ms;
+    },
+  };
+};
+
+/**
+ * Stops the clock of the sample timestamps and the timers for the duration of a test,
+ * so that both only move when told to, e.g. to drive the real-time schedule of mock playback.
+ * The clock starts on a whole millisecond, which keeps the packet times of mock playback exact:
+ * unlike Node, the mocked timers do not round a delay of a fraction of a millisecond up to 1 ms.
+ *
+ * @param {TestContext} t - The context of the test, whose mocks are restored after it.
+ * @return {{advance: function(number): void}} Moves the clock forward by the given whole milliseconds,
+ *                                             running the timers that fall due on the way.
+ */
+export const mockTimers = (t) => {
+  let now = Math.floor(performance.now());
+  t.mock.method(performance, "now", () => now);
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  return {
+    advance: (ms) => {
+      for (let i = 0; i < ms; i++) {
+        now++;
+        t.mock.timers.tick(1);
+      }
+    },
+  };
+};
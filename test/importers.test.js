@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseRecording } from "../src/lib/importers.js";
+
+// Mind Monitor and Muse Direct store EEG as unsigned microvolts around this offset
+const OFFSET = 1682.815 / 2;
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe("parseRecording", () => {
+  it("parses the web-muse format with its optional columns and markers", () => {
+    const recording = parseRecording(
+      [
+        "Timestamp (ms),TP9,AF7,AF8,TP10,PPG1,PPG2,PPG3,Acc X,Acc Y,Acc Z,Battery,Marker",
+        "0,1,2,3,4,100,200,300,0,0,1,80,",
+        "4,5,6,7,8,,,,0,0,1,80,start",
+        "oops",
+        "8,9,10,11,12,,,,,,,,",
+      ].join("\n")
+    );
+
+    assert.equal(recording.format, "web-muse");
+    assert.deepEqual(recording.channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.equal(recording.startTime, null);
+    assert.equal(recording.sampleRate, 250);
+    assert.deepEqual(recording.rows[0], {
+      timestamp: 0,
+      eeg: [1, 2, 3, 4],
+      ppg: [100, 200, 300],
+      accelerometer: [0, 0, 1],
+      gyroscope: null,
+      battery: 80,
+    });
+    assert.equal(recording.rows[1].ppg, null);
+    assert.equal(recording.rows[2].battery, null);
+    assert.deepEqual(recording.events, [{ time: 0.004, label: "start" }]);
+    assert.deepEqual(recording.skipped, [
+      { line: 4, reason: "missing timestamp or EEG samples" },
+    ]);
+  });
+
+  it("parses Mind Monitor exports with band powers, repeated sensors and elements", () => {
+    const bands = ["Delta", "Theta", "Alpha", "Beta", "Gamma"].flatMap((band) =>
+      ["TP9", "AF7", "AF8", "TP10"].map((channel) => `${band}_${channel}`)
+    );
+    const header = [
+      "TimeStamp",
+      ...bands,
+      "RAW_TP9,RAW_AF7,RAW_AF8,RAW_TP10,AUX_RIGHT",
+      "Accelerometer_X,Accelerometer_Y,Accelerometer_Z,Battery,Elements",
+    ];
+    const row = (time, raw, powers, accelerometer, elements = "") =>
+      [
+        `2021-03-04 12:00:${time}`,
+        ...Array(20).fill(powers),
+        raw,
+        raw,
+        raw,
+        raw,
+        raw,
+        ...accelerometer,
+        90,
+        elements,
+      ].join(",");
+    const recording = parseRecording(
+      [
+        header.join(","),
+        row("00.000", OFFSET + 10, 0.5, [0, 0, 1]),
+        row("00.004", OFFSET - 10, 0.5, [0, 0, 1]),
+        // Rows with an element only have the timestamp and the Elements column
+        header
+          .join(",")
+          .split(",")
+          .map((name, i) =>
+            i === 0
+              ? "2021-03-04 12:00:00.006"
+              : name === "Elements"
+              ? "/muse/elements/blink"
+              : ""
+          )
+          .join(","),
+        row("00.008", OFFSET, 0.7, [0, 0.1, 1]),
+      ].join("\n")
+    );
+
+    assert.equal(recording.format, "mind-monitor");
+    assert.deepEqual(recording.channels, ["TP9", "AF7", "AF8", "TP10", "AUX"]);
+    assert.equal(recording.startTime, new Date(2021, 2, 4, 12, 0, 0).getTime());
+    assert.equal(recording.rows.length, 3);
+    close(recording.rows[0].eeg[4], 10);
+    close(recording.rows[1].eeg[0], -10);
+    close(recording.rows[2].timestamp, 8);
+    // Sensors and band powers are repeated until they change
+    assert.deepEqual(recording.rows[0].accelerometer, [0, 0, 1]);
+    assert.equal(recording.rows[1].accelerometer, null);
+    assert.deepEqual(recording.rows[2].accelerometer, [0, 0.1, 1]);
+    assert.equal(recording.rows[0].battery, 90);
+    assert.equal(recording.rows[1].battery, null);
+    assert.deepEqual(
+      recording.bandPowers.map((powers) => [powers.time, powers.alpha[3]]),
+      [
+        [0, 0.5],
+        [0.008, 0.7],
+      ]
+    );
+    assert.deepEqual(recording.events, [
+      { time: 0.006, label: "/muse/elements/blink" },
+    ]);
+    assert.deepEqual(recording.skipped, []);
+  });
+
+  it("parses muse-lsl files with Unix timestamps and markers", () => {
+    const recording = parseRecording(
+      [
+        "timestamps,TP9,AF7,AF8,TP10,Right AUX,Marker0",
+        "1600000000.000,1,2,3,4,5,0",
+        "1600000000.004,1,2,3,4,5,0",
+        "1600000000.008,1,2,3,4,5,42",
+        "1600000000.012,1,2,3,,5,0",
+      ].join("\n")
+    );
+
+    assert.equal(recording.format, "muse-lsl");
+    assert.deepEqual(recording.channels, ["TP9", "AF7", "AF8", "TP10", "AUX"]);
+    assert.equal(recording.startTime, 1600000000000);
+    assert.deepEqual(recording.rows[2].eeg, [1, 2, 3, 4, 5]);
+    close(recording.rows[2].timestamp, 8);
+    close(recording.sampleRate, 250);
+    assert.equal(recording.events.length, 1);
+    assert.equal(recording.events[0].label, "42");
+    close(recording.events[0].time, 0.008);
+    assert.deepEqual(recording.skipped, [
+      { line: 5, reason: "missing timestamp or EEG samples" },
+    ]);
+  });
+
+  it("parses Muse Direct messages, with the other sensors added to the next EEG row", () => {
+    const recording = parseRecording(
+      [
+        "1600000000.000,/muse/eeg,841.4075,851.4075,831.4075,841.4075",
+        "1600000000.002,/muse/acc,0,0,1000",
+        "1600000000.002,/muse/batt,8500",
+        "1600000000.003,/muse/elements/blink,1",
+        "1600000000.004,/muse/eeg,841.4075,841.4075,841.4075,841.4075",
+        "1600000000.005,/Marker/1,stimulus",
+        "1600000000.006,/muse/elements/jaw_clench,0",
+        "1600000000.008,/muse/eeg,841.4075",
+      ].join("\n")
+    );
+
+    assert.equal(recording.format, "muse-direct");
+    assert.deepEqual(recording.channels, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.equal(recording.rows.length, 2);
+    close(recording.rows[0].eeg[1], 10);
+    assert.equal(recording.rows[0].accelerometer, null);
+    // MuseIO reports milli-g and hundredths of a percent
+    assert.deepEqual(recording.rows[1].accelerometer, [0, 0, 1]);
+    assert.equal(recording.rows[1].battery, 85);
+    assert.deepEqual(
+      recording.events.map((event) => event.label),
+      ["/muse/elements/blink", "stimulus"]
+    );
+    assert.deepEqual(recording.skipped, [
+      { line: 8, reason: "missing EEG samples" },
+    ]);
+  });
+
+  it("parses a given format instead of detecting it", () => {
+    const recording = parseRecording("Time,A,B,C,D\n0,1,2,3,4", {
+      format: "web-muse",
+    });
+
+    assert.deepEqual(recording.rows[0].eeg, [1, 2, 3, 4]);
+    assert.equal(recording.sampleRate, 256);
+  });
+
+  it("rejects unknown formats and files without EEG samples", () => {
+    assert.throws(
+      () => parseRecording("", { format: "edf" }),
+      /Unknown recording format "edf"/
+    );
+    assert.throws(() => parseRecording("a,b\n1,2"), /Unrecognized/);
+    assert.throws(
+      () => parseRecording("Timestamp,TP9,AF7,AF8,TP10\nx,1,2,3,4"),
+      /No EEG samples found in the web-muse recording/
+    );
+    assert.throws(
+      () => parseRecording("RAW_TP9\n1", { format: "mind-monitor" }),
+      /without RAW EEG columns/
+    );
+  });
+});
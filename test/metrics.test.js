@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  bandRatio,
+  computeMetrics,
+  DEFAULT_REFERENCES,
+  frontalAlphaAsymmetry,
+  normalizeScore,
+  relativePower,
+} from "../src/lib/metrics.js";
+import { median } from "../src/lib/statistics.js";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// The band powers of TP9, AF7, AF8 and TP10
+const POWERS = [
+  { theta: 2, alpha: 6, beta: 2 },
+  { theta: 1, alpha: 2, beta: 1 },
+  { theta: 1, alpha: 8, beta: 1 },
+  { theta: 4, alpha: 4, beta: 2 },
+];
+
+describe("metrics", () => {
+  it("computes relative powers and band ratios", () => {
+    assert.deepEqual(relativePower({ theta: 2, alpha: 6, beta: 2 }), {
+      theta: 0.2,
+      alpha: 0.6,
+      beta: 0.2,
+    });
+    assert.ok(Number.isNaN(relativePower({ alpha: 0, beta: 0 }).alpha));
+    assert.equal(bandRatio(POWERS[0], "alpha", "theta"), 3);
+    assert.equal(bandRatio(POWERS[0], "beta", ["alpha", "theta"]), 0.25);
+    assert.equal(bandRatio(POWERS[0], ["alpha", "beta"], "theta"), 4);
+    assert.ok(Number.isNaN(bandRatio({ alpha: 1, beta: 0 }, "alpha", "beta")));
+    assert.ok(Number.isNaN(bandRatio(POWERS[0], "alpha", "gamma")));
+  });
+
+  it("computes the frontal alpha asymmetry from AF7 and AF8", () => {
+    close(frontalAlphaAsymmetry(POWERS), Math.log(4));
+    close(
+      frontalAlphaAsymmetry([POWERS[2], POWERS[1]], ["AF7", "AF8"]),
+      -Math.log(4)
+    );
+    assert.ok(Number.isNaN(frontalAlphaAsymmetry(POWERS, ["TP9", "TP10"])));
+    assert.ok(
+      Number.isNaN(
+        frontalAlphaAsymmetry([{ alpha: 0 }, { alpha: 1 }], ["AF7", "AF8"])
+      )
+    );
+  });
+
+  it("scores an index relative to its reference", () => {
+    assert.equal(normalizeScore(2, 2), 50);
+    close(normalizeScore(4, 2), 200 / 3);
+    close(normalizeScore(1, 2), 100 / 3);
+    assert.equal(normalizeScore(0, 2), 0);
+    assert.ok(Number.isNaN(normalizeScore(NaN, 2)));
+    assert.ok(normalizeScore(1e12, 1) <= 100);
+  });
+
+  it("computes the metrics of a window of band powers", () => {
+    const metrics = computeMetrics(POWERS);
+
+    assert.deepEqual(metrics.relative[0], {
+      theta: 0.2,
+      alpha: 0.6,
+      beta: 0.2,
+    });
+    assert.deepEqual(metrics.alphaTheta, [3, 2, 8, 1]);
+    assert.deepEqual(metrics.thetaBeta, [1, 1, 1, 2]);
+    assert.deepEqual(metrics.engagement, [0.25, 1 / 3, 1 / 9, 0.25]);
+    close(metrics.asymmetry, Math.log(4));
+    // The powers added over the channels: theta 8, alpha 20 and beta 6
+    close(metrics.indices.relaxation, 20 / 6);
+    close(metrics.indices.concentration, 6 / 28);
+    close(metrics.relaxation, normalizeScore(20 / 6, 1));
+    close(metrics.concentration, normalizeScore(6 / 28, 0.5));
+    assert.deepEqual(DEFAULT_REFERENCES, { relaxation: 1, concentration: 0.5 });
+  });
+
+  it("uses the given channels and references", () => {
+    // Theta 3, alpha 8 and beta 3 over the two channels
+    const metrics = computeMetrics(POWERS.slice(0, 2), {
+      channels: ["AF8", "AF7"],
+      references: { relaxation: 8 / 3 },
+    });
+
+    close(metrics.asymmetry, Math.log(3));
+    close(metrics.relaxation, 50);
+    close(metrics.concentration, normalizeScore(3 / 11, 0.5));
+  });
+});
+
+describe("median", () => {
+  it("returns the middle value, or the mean of the two middle values, without NaN", () => {
+    const values = [3, 1, NaN, 2, 10];
+
+    assert.equal(median(values), 2.5);
+    assert.equal(median([5, 1, 3]), 3);
+    assert.deepEqual(values, [3, 1, NaN, 2, 10]);
+    assert.ok(Number.isNaN(median([])));
+    assert.ok(Number.isNaN(median([NaN])));
+  });
+});
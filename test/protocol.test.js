@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { resolveLayout } from "../src/lib/protocol.js";
+
+describe("resolveLayout", () => {
+  it("subscribes to everything the preset streams by default", () => {
+    assert.deepEqual(resolveLayout("p50"), {
+      preset: "p50",
+      eeg: ["TP9", "AF7", "AF8", "TP10", "AUX"],
+      ppg: ["ambient", "infrared", "red"],
+      accelerometer: true,
+      gyroscope: true,
+      battery: true,
+    });
+  });
+
+  it("leaves out what the preset does not stream", () => {
+    const layout = resolveLayout("p21");
+
+    assert.deepEqual(layout.eeg, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.deepEqual(layout.ppg, []);
+  });
+
+  it("leaves out the sensors that are not requested", () => {
+    const layout = resolveLayout("p1034", {
+      aux: false,
+      ppg: false,
+      gyroscope: false,
+    });
+
+    assert.deepEqual(layout.eeg, ["TP9", "AF7", "AF8", "TP10"]);
+    assert.deepEqual(layout.ppg, []);
+    assert.equal(layout.gyroscope, false);
+    assert.equal(layout.accelerometer, true);
+    assert.deepEqual(resolveLayout("p50", { eeg: false }).eeg, []);
+  });
+
+  it("rejects an unknown preset", () => {
+    assert.throws(() => resolveLayout("p99"), TypeError);
+  });
+});
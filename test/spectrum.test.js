@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { bandPower, fft, welch } from "../src/lib/spectrum.js";
+
+/**
+ * Computes the discrete Fourier transform by its definition, in O(n²).
+ *
+ * @param {number[]} real - The real parts of the values.
+ * @param {number[]} imag - The imaginary parts of the values.
+ * @return {{real: number[], imag: number[]}} The transform.
+ */
+const dft = (real, imag) => {
+  const n = real.length;
+  const result = { real: [], imag: [] };
+  for (let k = 0; k < n; k++) {
+    let re = 0;
+    let im = 0;
+    for (let t = 0; t < n; t++) {
+      const angle = (-2 * Math.PI * k * t) / n;
+      re += real[t] * Math.cos(angle) - imag[t] * Math.sin(angle);
+      im += real[t] * Math.sin(angle) + imag[t] * Math.cos(angle);
+    }
+    result.real.push(re);
+    result.imag.push(im);
+  }
+  return result;
+};
+
+// Deterministic values without structure
+const values = (n, offset) =>
+  Array.from({ length: n }, (_, i) => Math.sin((i + offset) ** 2));
+
+const sine = (frequency, amplitude, length, sampleRate = 256) =>
+  Float64Array.from(
+    { length },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+
+describe("fft", () => {
+  // Powers of two use the radix-2 algorithm, the other sizes Bluestein's
+  for (const n of [1, 2, 8, 256, 3, 7, 100, 768]) {
+    it(`matches the naive DFT of ${n} complex values`, () => {
+      const real = values(n, 1);
+      const imag = values(n, 2);
+      const expected = dft(real, imag);
+      const actual = fft(real, imag);
+
+      for (let k = 0; k < n; k++) {
+        assert.ok(Math.abs(actual.real[k] - expected.real[k]) < 1e-9 * n);
+        assert.ok(Math.abs(actual.imag[k] - expected.imag[k]) < 1e-9 * n);
+      }
+    });
+  }
+
+  it("transforms real values and leaves its input unchanged", () => {
+    const real = values(12, 3);
+    const copy = real.slice();
+    const { real: re, imag: im } = fft(real);
+    const expected = dft(real, Array(12).fill(0));
+
+    assert.deepEqual(real, copy);
+    for (let k = 0; k < 12; k++) {
+      assert.ok(Math.abs(re[k] - expected.real[k]) < 1e-9);
+      assert.ok(Math.abs(im[k] - expected.imag[k]) < 1e-9);
+    }
+  });
+});
+
+describe("welch", () => {
+  it("integrates to the variance of the signal", () => {
+    const data = values(256, 5);
+    const mean = data.reduce((a, b) => a + b) / data.length;
+    const variance =
+      data.reduce((sum, x) => sum + (x - mean) ** 2, 0) / data.length;
+    const { frequencies, psd } = welch(data, { window: "rectangular" });
+
+    assert.equal(frequencies.length, 129);
+    assert.equal(frequencies[128], 128);
+    const power =
+      psd.reduce((a, b) => a + b) * (frequencies[1] - frequencies[0]);
+    assert.ok(Math.abs(power - variance) < 1e-12);
+  });
+
+  it("finds the power of a sine at its frequency", () => {
+    const spectrum = welch(sine(10, 20, 4 * 256));
+    const peak = spectrum.psd.indexOf(Math.max(...spectrum.psd));
+
+    assert.equal(spectrum.frequencies[peak], 10);
+    // The power of a sine is half its squared amplitude
+    assert.ok(Math.abs(bandPower(spectrum, 8, 13) - 200) < 1);
+    assert.ok(bandPower(spectrum, 13, 30) < 1e-6);
+  });
+
+  it("uses the sample rate and segment length for the frequency bins", () => {
+    const spectrum = welch(sine(10, 20, 3 * 220, 220), {
+      sampleRate: 220,
+      segmentLength: 220,
+      window: "hamming",
+    });
+
+    assert.equal(spectrum.frequencies.length, 111);
+    assert.equal(spectrum.frequencies[1], 1);
+    assert.ok(Math.abs(bandPower(spectrum, 8, 13) - 200) < 2);
+  });
+
+  it("shortens the segments to the signal", () => {
+    const { frequencies } = welch(values(100, 0));
+
+    assert.equal(frequencies.length, 51);
+    assert.equal(frequencies[1], 2.56);
+  });
+
+  it("rejects unknown windows, too short signals and invalid overlaps", () => {
+    assert.throws(() => welch(values(8, 0), { window: "kaiser" }), TypeError);
+    assert.throws(() => welch([1]), RangeError);
+    assert.throws(() => welch(values(8, 0), { overlap: 1 }), RangeError);
+  });
+});
+
+describe("bandPower", () => {
+  it("counts the part of every bin inside the band", () => {
+    const spectrum = {
+      frequencies: Float64Array.from({ length: 129 }, (_, k) => k),
+      psd: new Float64Array(129).fill(2),
+    };
+
+    assert.equal(bandPower(spectrum, 8, 13), 10);
+    assert.equal(bandPower(spectrum, 8.25, 8.75), 1);
+    assert.equal(bandPower({ frequencies: [0], psd: [1] }, 0, 1), 0);
+  });
+});
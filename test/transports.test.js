@@ -0,0 +1,178 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { describe, it } from "node:test";
+
+import { Muse } from "../src/lib/MuseDevice.js";
+import { CHARACTERISTICS } from "../src/lib/protocol.js";
+import { MuseTransport } from "../src/lib/transports/MuseTransport.js";
+import { NobleTransport } from "../src/lib/transports/NobleTransport.js";
+import { eegPacket } from "./helpers.js";
+
+const nobleUUID = (uuid) => uuid.replace(/-/g, "");
+
+class FakeCharacteristic extends EventEmitter {
+  constructor(uuid) {
+    super();
+    this.uuid = nobleUUID(uuid);
+    this.written = [];
+    this.subscribed = false;
+  }
+
+  async subscribeAsync() {
+    this.subscribed = true;
+  }
+
+  async writeAsync(data) {
+    this.written.push(data);
+  }
+}
+
+class FakePeripheral extends EventEmitter {
+  constructor(localName) {
+    super();
+    this.advertisement = { localName };
+    this.state = "disconnected";
+    this.characteristics = [
+      CHARACTERISTICS.control,
+      CHARACTERISTICS.battery,
+      CHARACTERISTICS.accelerometer,
+      CHARACTERISTICS.gyroscope,
+      ...CHARACTERISTICS.ppg,
+      ...CHARACTERISTICS.eeg,
+    ].map((uuid) => new FakeCharacteristic(uuid));
+  }
+
+  async connectAsync() {
+    this.state = "connected";
+  }
+
+  async discoverSomeServicesAndCharacteristicsAsync(services) {
+    assert.deepEqual(services, ["fe8d"]);
+    return { characteristics: this.characteristics };
+  }
+
+  async disconnectAsync() {
+    this.state = "disconnected";
+    this.emit("disconnect");
+  }
+
+  characteristic(uuid) {
+    return this.characteristics.find((c) => c.uuid === nobleUUID(uuid));
+  }
+}
+
+class FakeNoble extends EventEmitter {
+  constructor(peripherals) {
+    super();
+    this.state = "poweredOn";
+    this.peripherals = peripherals;
+    this.scanning = false;
+  }
+
+  async startScanningAsync(services) {
+    assert.deepEqual(services, ["fe8d"]);
+    this.scanning = true;
+    for (const peripheral of this.peripherals) {
+      this.emit("discover", peripheral);
+    }
+  }
+
+  async stopScanningAsync() {
+    this.scanning = false;
+  }
+}
+
+describe("MuseTransport", () => {
+  it("cannot be constructed directly", () => {
+    assert.throws(() => new MuseTransport(), TypeError);
+  });
+});
+
+describe("NobleTransport", () => {
+  it("requires the noble module", () => {
+    assert.throws(() => new NobleTransport(), /requires the noble module/);
+  });
+
+  it("connects to the headband with the configured name", async () => {
+    const wanted = new FakePeripheral("Muse-2D5C");
+    const noble = new FakeNoble([new FakePeripheral("Muse-0000"), wanted]);
+    const transport = new NobleTransport({ noble, name: "Muse-2D5C" });
+
+    assert.equal(await transport.requestDevice(), true);
+    assert.equal(noble.scanning, false);
+    assert.equal(noble.listenerCount("discover"), 0);
+    await transport.connect();
+    assert.equal(wanted.state, "connected");
+  });
+
+  it("resolves with false when no headband is found before the timeout", async () => {
+    const noble = new FakeNoble([new FakePeripheral("Muse-0000")]);
+    const transport = new NobleTransport({
+      noble,
+      name: "Muse-2D5C",
+      scanTimeout: 10,
+    });
+
+    assert.equal(await transport.requestDevice(), false);
+    assert.equal(noble.scanning, false);
+  });
+
+  it("streams a Muse through noble characteristics", async () => {
+    const peripheral = new FakePeripheral("Muse-2D5C");
+    const muse = new Muse({
+      transport: new NobleTransport({ noble: new FakeNoble([peripheral]) }),
+    });
+    const events = [];
+    muse.addEventListener("eeg", (event) => events.push(event.detail));
+    await muse.connect({ preset: "p21" });
+    // Noble passes pooled Buffers that can start anywhere in a larger ArrayBuffer
+    const pool = Buffer.alloc(64);
+    pool.set(eegPacket(3, Array(12).fill(0x900)), 7);
+    peripheral
+      .characteristic(CHARACTERISTICS.eeg[0])
+      .emit("data", pool.subarray(7, 27));
+
+    const control = peripheral.characteristic(CHARACTERISTICS.control);
+    assert.equal(control.subscribed, true);
+    assert.deepEqual(
+      control.written.map((data) => data.toString("latin1")),
+      ["\x02h\n", "\x04p21\n", "\x02s\n", "\x02d\n", "\x03v1\n"]
+    );
+    assert.equal(events.length, 1);
+    assert.equal(events[0].sequence, 3);
+    assert.deepEqual(events[0].raw, Array(12).fill(0x900));
+    await muse.disconnect();
+  });
+
+  it("reports the loss of the link, but not a disconnect it was asked for", async () => {
+    const peripheral = new FakePeripheral("Muse-2D5C");
+    const transport = new NobleTransport({
+      noble: new FakeNoble([peripheral]),
+    });
+    let lost = 0;
+    transport.addEventListener("disconnected", () => lost++);
+    await transport.requestDevice();
+    await transport.connect();
+    peripheral.emit("disconnect");
+    assert.equal(lost, 1);
+    await transport.disconnect();
+
+    assert.equal(lost, 1);
+    assert.equal(peripheral.state, "disconnected");
+  });
+
+  it("rejects a characteristic the headband does not have", async () => {
+    const peripheral = new FakePeripheral("Muse-2D5C");
+    peripheral.characteristics.pop();
+    const transport = new NobleTransport({
+      noble: new FakeNoble([peripheral]),
+    });
+    await transport.requestDevice();
+    await transport.connect();
+
+    await assert.rejects(
+      transport.getCharacteristic(CHARACTERISTICS.eeg[4]),
+      /not found/
+    );
+  });
+});